@@ -0,0 +1,108 @@
+/**
+ * Archetype configuration
+ * The JSON files holding the stats of the zombie, obstacle and gun types, loaded by the
+ * AssetLoader at startup, and the fields each category's archetypes may set.
+ * Paths are relative to the project root.
+ *
+ * An archetype file lists archetypes by type id. An archetype can extend another one
+ * (usually the file's abstract base archetype) and only set the values that differ:
+ *
+ *   {
+ *     "category": "enemy",
+ *     "archetypes": {
+ *       "zombie": { "abstract": true, "health": 1, "speed": 50, ... },
+ *       "giant": {
+ *         "extends": "zombie",
+ *         "health": 8,
+ *         "defaultVariant": "Standard",
+ *         "variants": {
+ *           "Standard": { "variant": "standard" },
+ *           "Tank": { "variant": "tank", "health": 12, "speed": 25 }
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * Enemies can have special abilities, listed with their parameters (see
+ * src/core/ability-registry.js):
+ *   "Runner": { "variant": "runner", "abilities": [{ "type": "sprint", "interval": 4 }] }
+ *
+ * Bosses span several lanes and go through phases as they lose health (see
+ * src/systems/boss-system.js):
+ *   "boss": { "laneSpan": 3, "phases": [{ "healthThreshold": 1 }, { "healthThreshold": 0.5, "speedMultiplier": 2 }] }
+ *
+ * A map can override archetype values for itself with the same fields:
+ *   "archetypes": { "enemy": { "giant": { "health": 10, "variants": { "Tank": { "health": 20 } } } } }
+ */
+
+export const ArchetypeFiles = {
+  enemy: 'assets/archetypes/zombies.json',
+  obstacle: 'assets/archetypes/obstacles.json',
+  gun: 'assets/archetypes/guns.json'
+};
+
+// Fields each category's archetypes may set, with their type
+export const ArchetypeFields = {
+  enemy: {
+    variant: 'string',
+    health: 'number',
+    armor: 'number',
+    speed: 'number',
+    attackDamage: 'number',
+    attackRate: 'number',
+    attackWidth: 'number',
+    reachWidth: 'number',
+    reachHeight: 'number',
+    affectedEntities: 'number',
+    deathTimer: 'number',
+    pointValue: 'number',
+    width: 'number',
+    height: 'number',
+    color: 'string',
+    weight: 'number',
+    abilities: 'array',
+    laneSpan: 'number',
+    phases: 'array'
+  },
+  obstacle: {
+    variant: 'string',
+    health: 'number',
+    speed: 'number',
+    width: 'number',
+    height: 'number',
+    color: 'string',
+    weight: 'number',
+    damageAmount: 'number',
+    reachWidth: 'number',
+    reachHeight: 'number',
+    affectedEntities: 'number',
+    damageInterval: 'number',
+    impassable: 'boolean',
+    projectilesPassThrough: 'boolean'
+  },
+  gun: {
+    bulletType: 'string',
+    loadSpeed: 'number',
+    damage: 'number',
+    bulletSpeed: 'number',
+    bulletWidth: 'number',
+    bulletHeight: 'number',
+    affectedEntities: 'number',
+    areaWidth: 'number',
+    areaHeight: 'number',
+    color: 'string'
+  }
+};
+
+// Fields every item of a list field must set, with their type
+export const ArchetypeListItemFields = {
+  abilities: { type: 'string' },
+  phases: { healthThreshold: 'number' }
+};
+
+// Fields every concrete (non-abstract) archetype must have, once inherited values are applied
+export const RequiredArchetypeFields = {
+  enemy: ['health', 'speed', 'attackDamage', 'attackRate', 'pointValue', 'width', 'height', 'color', 'weight'],
+  obstacle: ['health', 'speed', 'width', 'height', 'color', 'weight'],
+  gun: ['bulletType', 'loadSpeed', 'damage', 'bulletSpeed', 'bulletWidth', 'bulletHeight', 'affectedEntities', 'areaWidth', 'areaHeight', 'color']
+};
@@ -0,0 +1,54 @@
+/**
+ * Campaign configuration
+ * The ordered levels of the campaign. Each level plays a map from default-maps.json
+ * (by map id) and can override its time limit and show an intro message.
+ *
+ * loadout: what the player starts the level with
+ * carryOver: for soldiers and grenades, 'carry' keeps what the player had at the end
+ *            of the previous level, 'reset' always starts with the loadout
+ */
+
+// How soldiers and grenades move from one level to the next
+export const CarryOverRule = {
+  CARRY: 'carry',
+  RESET: 'reset'
+};
+
+export const CampaignConfig = {
+  id: 'main',
+  name: 'Zombie Lane Defense',
+  levels: [
+    {
+      level: 1,
+      mapId: 'level0',
+      message: 'Tutorial: Move between lanes, shoot the zombies and reach the finish line.',
+      loadout: {
+        soldiers: 3,
+        grenades: { standard: 1, sticky: 0 }
+      },
+      carryOver: { soldiers: CarryOverRule.RESET, grenades: CarryOverRule.RESET }
+    },
+    {
+      level: 2,
+      mapId: 'level1',
+      timeLimit: 180,
+      message: 'Level 1: The Outbreak Begins',
+      loadout: {
+        soldiers: 3,
+        grenades: { standard: 2, sticky: 1 }
+      },
+      carryOver: { soldiers: CarryOverRule.CARRY, grenades: CarryOverRule.CARRY }
+    },
+    {
+      level: 3,
+      mapId: 'level2',
+      timeLimit: 120,
+      message: 'Level 2: The Horde Is Coming',
+      loadout: {
+        soldiers: 3,
+        grenades: { standard: 2, sticky: 2 }
+      },
+      carryOver: { soldiers: CarryOverRule.CARRY, grenades: CarryOverRule.RESET }
+    }
+  ]
+};
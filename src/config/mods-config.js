@@ -0,0 +1,19 @@
+/**
+ * Mods configuration
+ * Mod files loaded at startup by the game and the map editor, before any map is played.
+ * Paths are relative to the project root, e.g. 'mods/toxic-zombie.js'.
+ *
+ * A mod is an ES module exporting register(registry), which registers its zombie,
+ * obstacle, bonus and gun types with the content registry (src/core/content-registry.js):
+ *
+ *   export function register(registry) {
+ *     registry.register('enemy', 'toxic', {
+ *       create: (entityManager, config) => createEnemy(entityManager, { ...config, type: 'toxic' }),
+ *       variants: { Standard: { variant: 'standard', health: 3, speed: 40 } },
+ *       displayName: 'Toxic Zombie',
+ *       editor: { label: 'toxic zombie' }
+ *     });
+ *   }
+ */
+
+export const ModFiles = [];
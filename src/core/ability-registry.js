@@ -0,0 +1,136 @@
+/**
+ * Ability Registry
+ *
+ * Central list of the special abilities enemy variants can have (e.g. a Runner's
+ * sprints or a Berserker's rage). A variant declares its abilities in its archetype:
+ *
+ *   "Runner": { "variant": "runner", "abilities": [{ "type": "sprint", "interval": 4 }] }
+ *
+ * Each declaration names a registered ability type and may set any of its parameters;
+ * the others keep the type's defaults. The enemy factory turns the declarations into an
+ * AbilityComponent, and the AbilitySystem runs the abilities from the event bus and the
+ * timer by calling the hooks of their type.
+ *
+ * The built-in abilities register themselves when their modules are loaded (see
+ * src/entities/abilities/).
+ */
+
+export class AbilityRegistry {
+    /**
+     * Create a new AbilityRegistry instance
+     */
+    constructor() {
+        // Ability definitions by type, in registration order
+        this.abilities = new Map();
+
+        // Unknown ability types that were declared, reported once each
+        this.misses = new Set();
+    }
+
+    /**
+     * Register an ability type. Registering an existing type replaces it.
+     * Every hook is called with the entity, the ability's state (its parameters and
+     * whatever JSON-safe values the hooks keep in it) and the AbilitySystem.
+     * @param {string} type - The ability type used in archetypes (e.g. 'sprint')
+     * @param {Object} definition - The ability definition
+     * @param {Object} [definition.defaults={}] - Default parameters
+     * @param {Function} [definition.attach] - Called when the entity enters the game, or is restored from a snapshot
+     * @param {Function} [definition.onTimer] - Called when a timer started with AbilitySystem.schedule() fires
+     * @param {Function} [definition.onUpdate] - Called every update while the entity is alive, with the delta time
+     * @param {Function} [definition.onDamaged] - Called after the entity took damage, with the 'entityDamaged' event data
+     * @param {Function} [definition.canBeHitBy] - Whether a projectile or damage area ({ gunType, isGrenade }) can hit the entity
+     * @returns {Object} The registered definition
+     */
+    register(type, definition = {}) {
+        if (typeof type !== 'string' || !type) {
+            throw new Error('Ability type must be a non-empty string');
+        }
+
+        if (this.abilities.has(type)) {
+            console.warn(`[ABILITY_REGISTRY] Replacing ability: ${type}`);
+        }
+
+        const registered = {
+            ...definition,
+            type,
+            defaults: definition.defaults || {}
+        };
+        this.abilities.set(type, registered);
+        return registered;
+    }
+
+    /**
+     * Get an ability definition
+     * @param {string} type - The ability type
+     * @returns {Object|null} The definition, or null if the type is not registered
+     */
+    get(type) {
+        return this.abilities.get(type) || null;
+    }
+
+    /**
+     * Check if an ability type is registered
+     * @param {string} type - The ability type
+     * @returns {boolean} True if the type is registered
+     */
+    has(type) {
+        return this.abilities.has(type);
+    }
+
+    /**
+     * Get the registered ability types
+     * @returns {string[]} The ability types, in registration order
+     */
+    getTypes() {
+        return Array.from(this.abilities.keys());
+    }
+
+    /**
+     * Build the state of the abilities a variant declares. Declarations of unknown
+     * types are reported once and skipped.
+     * @param {Object[]} [declarations=[]] - The declarations: { type, ...parameters }
+     * @returns {Object[]} The ability states, with the type's defaults applied
+     */
+    createAbilities(declarations = []) {
+        const abilities = [];
+
+        for (const declaration of declarations) {
+            const type = declaration && declaration.type;
+            const definition = this.get(type);
+            if (!definition) {
+                if (!this.misses.has(type)) {
+                    this.misses.add(type);
+                    console.warn(`[ABILITY_REGISTRY] Unknown ability: ${type}`);
+                }
+                continue;
+            }
+
+            abilities.push({ ...definition.defaults, ...declaration, type, active: false });
+        }
+
+        return abilities;
+    }
+
+    /**
+     * Check if a projectile or damage area can hit an entity, as far as the entity's
+     * abilities are concerned
+     * @param {Entity} entity - The entity
+     * @param {Object} source - The projectile or damage area component ({ gunType, isGrenade })
+     * @returns {boolean} False if one of the entity's abilities avoids the hit
+     */
+    canBeHitBy(entity, source) {
+        const abilities = entity.getComponent('abilities');
+        if (!abilities || !source) return true;
+
+        for (const ability of abilities.abilities) {
+            const definition = this.get(ability.type);
+            if (definition && definition.canBeHitBy && !definition.canBeHitBy(entity, ability, source)) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+// The registry shared by the game
+export const abilityRegistry = new AbilityRegistry();
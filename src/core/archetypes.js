@@ -0,0 +1,267 @@
+/**
+ * Archetypes
+ *
+ * Validates and resolves the archetype files listing the stats of the zombie, obstacle
+ * and gun types (see src/config/archetype-config.js for the format). Resolving applies
+ * inheritance: each archetype gets the values of the archetype it extends, then its own,
+ * and each of its variants gets the archetype's values, then the variant's.
+ *
+ * The AssetLoader loads the files and hands the resolved archetypes to the content
+ * registry, which merges them into the registered types.
+ */
+
+import { ArchetypeFields, ArchetypeListItemFields, RequiredArchetypeFields } from '../config/archetype-config.js';
+
+// Keys of an archetype that are not stats
+const RESERVED_KEYS = new Set(['extends', 'abstract', 'defaultVariant', 'variants']);
+
+export class Archetypes {
+    /**
+     * Validate an archetype file
+     * @param {string} category - The content category the file is loaded for
+     * @param {Object} data - The parsed file
+     * @returns {string[]} The problems found (empty if the file is valid)
+     */
+    static validate(category, data) {
+        const fields = ArchetypeFields[category];
+        if (!fields) {
+            return [`No archetype fields for category: ${category}`];
+        }
+        if (!Archetypes.isObject(data) || !Archetypes.isObject(data.archetypes)) {
+            return ['Archetype file must be an object with an "archetypes" object'];
+        }
+        if (data.category !== category) {
+            return [`Archetype file is for category "${data.category}", expected "${category}"`];
+        }
+
+        const errors = [];
+        const archetypes = data.archetypes;
+
+        for (const [id, archetype] of Object.entries(archetypes)) {
+            if (!Archetypes.isObject(archetype)) {
+                errors.push(`${id} must be an object`);
+                continue;
+            }
+
+            errors.push(...Archetypes.validateValues(category, archetype, id, true));
+
+            if (archetype.extends !== undefined && !Archetypes.isObject(archetypes[archetype.extends])) {
+                errors.push(`${id} extends unknown archetype "${archetype.extends}"`);
+            }
+            if (archetype.abstract !== undefined && typeof archetype.abstract !== 'boolean') {
+                errors.push(`${id}.abstract must be a boolean`);
+            }
+        }
+
+        // Inheritance must not loop; only check the rest once every parent exists
+        if (errors.length > 0) {
+            return errors;
+        }
+        for (const id of Object.keys(archetypes)) {
+            const chain = [id];
+            let parent = archetypes[id].extends;
+            while (parent !== undefined) {
+                if (chain.includes(parent)) {
+                    errors.push(`${id} has circular inheritance: ${[...chain, parent].join(' -> ')}`);
+                    break;
+                }
+                chain.push(parent);
+                parent = archetypes[parent].extends;
+            }
+        }
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        // Concrete archetypes need every required stat once inherited values are applied
+        const resolved = Archetypes.resolve(data);
+        for (const [id, archetype] of Object.entries(resolved)) {
+            const variantNames = Object.keys(archetype.variants);
+            if (archetype.defaultVariant && !variantNames.includes(archetype.defaultVariant)) {
+                errors.push(`${id}.defaultVariant "${archetype.defaultVariant}" is not one of its variants`);
+            }
+
+            const configs = variantNames.length > 0
+                ? Object.entries(archetype.variants).map(([name, config]) => [`${id}.variants.${name}`, config])
+                : [[id, archetype.values]];
+            for (const [path, config] of configs) {
+                const missing = RequiredArchetypeFields[category].filter(field => config[field] === undefined);
+                if (missing.length > 0) {
+                    errors.push(`${path} is missing ${missing.join(', ')}`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate the archetype values a map overrides
+     * @param {Object} overrides - Overrides by category, then type id (e.g. { enemy: { giant: { health: 10 } } })
+     * @returns {string[]} The problems found (empty if the overrides are valid)
+     */
+    static validateOverrides(overrides) {
+        if (!Archetypes.isObject(overrides)) {
+            return ['Archetype overrides must be an object'];
+        }
+
+        const errors = [];
+        for (const [category, types] of Object.entries(overrides)) {
+            if (!ArchetypeFields[category]) {
+                errors.push(`Unknown archetype category: ${category}`);
+                continue;
+            }
+            if (!Archetypes.isObject(types)) {
+                errors.push(`${category} overrides must be an object`);
+                continue;
+            }
+
+            for (const [id, override] of Object.entries(types)) {
+                if (!Archetypes.isObject(override)) {
+                    errors.push(`${category}.${id} must be an object`);
+                    continue;
+                }
+                errors.push(...Archetypes.validateValues(category, override, `${category}.${id}`, false));
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Validate the values of an archetype or override, and of its variants
+     * @param {string} category - The content category
+     * @param {Object} archetype - The archetype
+     * @param {string} path - Where the archetype is, for messages
+     * @param {boolean} allowInheritance - Whether extends, abstract and defaultVariant are allowed
+     * @returns {string[]} The problems found
+     * @private
+     */
+    static validateValues(category, archetype, path, allowInheritance) {
+        const errors = [];
+
+        for (const [key, value] of Object.entries(archetype)) {
+            if (key === 'variants') {
+                if (!Archetypes.isObject(value)) {
+                    errors.push(`${path}.variants must be an object`);
+                    continue;
+                }
+                for (const [name, variant] of Object.entries(value)) {
+                    if (!Archetypes.isObject(variant)) {
+                        errors.push(`${path}.variants.${name} must be an object`);
+                        continue;
+                    }
+                    for (const [field, fieldValue] of Object.entries(variant)) {
+                        errors.push(...Archetypes.validateField(category, field, fieldValue, `${path}.variants.${name}`));
+                    }
+                }
+            } else if (RESERVED_KEYS.has(key)) {
+                if (!allowInheritance) {
+                    errors.push(`${path}.${key} can't be overridden`);
+                } else if ((key === 'extends' || key === 'defaultVariant') && typeof value !== 'string') {
+                    errors.push(`${path}.${key} must be a string`);
+                }
+            } else {
+                errors.push(...Archetypes.validateField(category, key, value, path));
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a stat
+     * @param {string} category - The content category
+     * @param {string} field - The stat name
+     * @param {*} value - The value
+     * @param {string} path - Where the stat is, for messages
+     * @returns {string[]} The problems found
+     * @private
+     */
+    static validateField(category, field, value, path) {
+        const type = ArchetypeFields[category][field];
+        if (!type) {
+            return [`${path}.${field} is not a known ${category} field`];
+        }
+        if (type === 'array') {
+            if (!Array.isArray(value)) {
+                return [`${path}.${field} must be an array`];
+            }
+
+            // Lists hold objects, each setting the fields of its list (e.g. an ability's type)
+            const errors = [];
+            const itemFields = Object.entries(ArchetypeListItemFields[field] || {});
+            value.forEach((item, index) => {
+                const missing = itemFields.find(([key, keyType]) => !Archetypes.isObject(item) || typeof item[key] !== keyType);
+                if (missing) {
+                    errors.push(`${path}.${field}[${index}] must be an object with a ${missing[1]} ${missing[0]}`);
+                } else if (!Archetypes.isObject(item)) {
+                    errors.push(`${path}.${field}[${index}] must be an object`);
+                }
+            });
+            return errors;
+        }
+        if (typeof value !== type) {
+            return [`${path}.${field} must be a ${type}`];
+        }
+        if (type === 'number' && (!Number.isFinite(value) || value < 0)) {
+            return [`${path}.${field} must be a positive number or 0`];
+        }
+        return [];
+    }
+
+    /**
+     * Resolve the inheritance of a valid archetype file
+     * @param {Object} data - The parsed file
+     * @returns {Object} The concrete archetypes by type id: { values, variants, defaultVariant }
+     */
+    static resolve(data) {
+        const archetypes = data.archetypes;
+        const resolved = {};
+
+        const resolveArchetype = (id) => {
+            const archetype = archetypes[id];
+            const parent = archetype.extends !== undefined ? resolveArchetype(archetype.extends) : null;
+
+            const ownValues = {};
+            for (const [key, value] of Object.entries(archetype)) {
+                if (!RESERVED_KEYS.has(key)) {
+                    ownValues[key] = value;
+                }
+            }
+
+            return {
+                values: { ...(parent ? parent.values : {}), ...ownValues },
+                variants: archetype.variants || (parent ? parent.variants : {}),
+                defaultVariant: archetype.defaultVariant || (parent ? parent.defaultVariant : null)
+            };
+        };
+
+        for (const id of Object.keys(archetypes)) {
+            if (archetypes[id].abstract) continue;
+
+            const { values, variants, defaultVariant } = resolveArchetype(id);
+            const variantConfigs = {};
+            for (const [name, variant] of Object.entries(variants)) {
+                variantConfigs[name] = { ...values, ...variant };
+            }
+
+            resolved[id] = {
+                values,
+                variants: variantConfigs,
+                defaultVariant: defaultVariant || Object.keys(variantConfigs)[0] || null
+            };
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Check if a value is a plain object
+     * @param {*} value - The value
+     * @returns {boolean} True for objects that are not arrays or null
+     * @private
+     */
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+}
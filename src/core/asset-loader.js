@@ -2,11 +2,17 @@
  * Asset Loader
  * Handles loading and managing game assets
  */
+import { ArchetypeFiles } from '../config/archetype-config.js';
+import { Archetypes } from './archetypes.js';
+import { contentRegistry } from './content-registry.js';
+
 export class AssetLoader {
     constructor() {
         this.images = {};
         this.sounds = {};
         this.maps = {};
+        this.archetypes = {};
+        this.archetypesPromise = null;
         this.loaded = false;
         this.loadPromise = null;
         this.totalAssets = 0;
@@ -89,9 +95,13 @@ export class AssetLoader {
 
             this.totalAssets = Object.keys(imagesToLoad).length + 
                               Object.keys(soundsToLoad).length + 
-                              Object.keys(jsonToLoad).length;
+                              Object.keys(jsonToLoad).length +
+                              1; // Archetypes
             this.loadedAssets = 0;
 
+            // Load the archetypes of the zombie, obstacle and gun types
+            this.loadArchetypes().then(() => this.assetLoaded(resolve));
+
             // Load images
             for (const [key, src] of Object.entries(imagesToLoad)) {
                 const img = new Image();
@@ -154,6 +164,62 @@ export class AssetLoader {
         return this.loadPromise;
     }
 
+    /**
+     * Load the archetype files (see src/config/archetype-config.js), validate them and
+     * apply them to the content registry. Invalid files are reported and skipped.
+     * Also works in Node, so headless runs can await it before loading a level.
+     * @returns {Promise<string[]>} The categories whose archetypes were loaded
+     */
+    loadArchetypes() {
+        if (this.archetypesPromise) {
+            return this.archetypesPromise;
+        }
+
+        // Archetype paths are relative to the project root
+        const baseUrl = new URL('../../', import.meta.url).href;
+
+        this.archetypesPromise = Promise.all(Object.entries(ArchetypeFiles).map(async ([category, file]) => {
+            try {
+                const data = await this.loadJSONFile(new URL(file, baseUrl).href);
+
+                const errors = Archetypes.validate(category, data);
+                if (errors.length > 0) {
+                    errors.forEach(error => console.error(`[AssetLoader] Invalid archetype in ${file}: ${error}`));
+                    return null;
+                }
+
+                this.archetypes[category] = data;
+                contentRegistry.applyArchetypes(category, Archetypes.resolve(data));
+                console.log(`[AssetLoader] Loaded archetypes: ${file}`);
+                return category;
+            } catch (err) {
+                console.error(`[AssetLoader] Failed to load archetypes: ${file}`, err);
+                return null;
+            }
+        })).then(categories => categories.filter(category => category !== null));
+
+        return this.archetypesPromise;
+    }
+
+    /**
+     * Load and parse a JSON file
+     * @param {string} url - The file URL
+     * @returns {Promise<Object>} The parsed JSON data
+     */
+    loadJSONFile(url) {
+        // Node's fetch can't read files, so headless runs import them as JSON modules
+        if (url.startsWith('file:')) {
+            return import(url, { with: { type: 'json' } }).then(module => module.default);
+        }
+
+        return fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to load JSON: ${url} (${response.status} ${response.statusText})`);
+            }
+            return response.json();
+        });
+    }
+
     /**
      * Called when an asset is loaded
      * @param {Function} resolve - Promise resolve function
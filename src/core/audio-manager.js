@@ -1,4 +1,5 @@
 import { ServiceLocator } from './service-locator.js';
+import { GameState } from './game-state.js';
 
 export class AudioManager {
     constructor() {
@@ -21,6 +22,55 @@ export class AudioManager {
             console.log('[AUDIO_MANAGER] AssetLoader not available yet, will initialize sounds later');
             // We'll load sounds later when AssetLoader becomes available
         }
+
+        // Follow the game state when running inside a game (the menus have no event bus)
+        this.subscribeToGameState();
+    }
+
+    /**
+     * Subscribe to game state changes on the event bus, if there is one.
+     * Called again by the game whenever it builds a level; replaces the previous subscription.
+     */
+    subscribeToGameState() {
+        if (!ServiceLocator.hasService('eventBus')) {
+            return;
+        }
+
+        const eventBus = ServiceLocator.getService('eventBus');
+        eventBus.unsubscribeOwner(this);
+        eventBus.subscribe('gameStateChanged', this.handleGameStateChanged.bind(this), { owner: this });
+    }
+
+    /**
+     * Pause, resume or stop the background music when the game state changes
+     * @param {Object} event - Event data
+     * @param {string} event.from - The previous state
+     * @param {string} event.to - The new state
+     */
+    handleGameStateChanged(event) {
+        const { from, to } = event;
+
+        switch (to) {
+            case GameState.PAUSED:
+                // Don't stop the music, just pause it
+                if (this.music) {
+                    this.music.pause();
+                }
+                break;
+            case GameState.PLAYING:
+                // Resume the music after a pause
+                if (this.music && from === GameState.PAUSED) {
+                    this.music.play().catch(err => console.error('Error resuming background music:', err));
+                }
+                break;
+            case GameState.VICTORY:
+                this.stopBackgroundMusic();
+                this.playSound('finishGame');
+                break;
+            case GameState.DEFEAT:
+                this.stopBackgroundMusic();
+                break;
+        }
     }
 
     // Add a method to load sounds when AssetLoader becomes available
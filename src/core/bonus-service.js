@@ -8,6 +8,7 @@
 import { ServiceLocator } from './service-locator.js';
 import { GunType } from '../entities/components/gun.js';
 import { PlayerSoldierService } from './player-soldier-service.js';
+import { contentRegistry, ContentCategory } from './content-registry.js';
 
 export class BonusService {
     /**
@@ -88,19 +89,11 @@ export class BonusService {
         const bonus = bonusEntity.getComponent('bonus');
         if (!bonus) return;
 
-        switch (bonus.bonusType) {
-            case 'gun':
-                this.applyGunBonus(player, bonus.bonusVariant);
-                break;
-            case 'grenade':
-                this.applyGrenadeBonus(player, bonus.bonusVariant);
-                break;
-            case 'soldier':
-                this.applySoldierBonus(player);
-                break;
-            default:
-                console.warn('[BONUS_SERVICE] Unknown bonus type:', bonusData.bonusType);
-                break;
+        const definition = contentRegistry.get(ContentCategory.BONUS, bonus.bonusType);
+        if (definition && typeof definition.apply === 'function') {
+            definition.apply(this, player, bonus.bonusVariant);
+        } else {
+            console.warn('[BONUS_SERVICE] Unknown bonus type:', bonus.bonusType);
         }
         const bonusType = bonus.bonusType;
         const bonusVariant = bonus.bonusVariant;
@@ -112,16 +105,10 @@ export class BonusService {
             });
         }
         
-        // Play appropriate bonus collected sound
+        // Play the bonus type's collected sound
         const audioManager = ServiceLocator.getService('audioManager');
-        if (audioManager) {
-            if (bonusType === 'grenade') {
-                audioManager.playSound('bonusGrenadeCollected');
-            } else if (bonusType === 'gun') {
-                audioManager.playSound('bonusGunCollected');
-            } else if (bonusType === 'soldier') {
-                audioManager.playSound('bonusSoldierCollected');
-            }
+        if (audioManager && definition && definition.sound) {
+            audioManager.playSound(definition.sound);
         }
     }
     
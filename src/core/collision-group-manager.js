@@ -151,7 +151,7 @@ export class CollisionGroupManager {
             if (entityIds.length === 1) {
                 // If there's one entity left, remove it from the group
                 const lastEntityId = entityIds[0];
-                const entityManager = entity.entityManager;
+                const entityManager = this._getEntityManager();
                 const lastEntity = entityManager.getEntity(lastEntityId);
                 if (lastEntity) {
                     const lastMovement = lastEntity.getComponent('movement');
@@ -167,7 +167,7 @@ export class CollisionGroupManager {
 
         } else {
             // Update the group speed for the remaining entities
-            const entityManager = entity.entityManager;
+            const entityManager = this._getEntityManager();
             const remainingEntities = entityIds.map(id => entityManager.getEntity(id)).filter(e => e);
             this.updateGroupSpeed(groupId, remainingEntities);
 
@@ -0,0 +1,619 @@
+/**
+ * Content Registry
+ *
+ * Central list of the zombie, obstacle, bonus and gun types the game knows about.
+ * Each type registers its factory, variants, sprite config, display name and editor
+ * metadata here, and the entity factory, map loading, bonus handling, gameplay UI and
+ * map editor read them from the registry, so adding a type needs no switch edits.
+ *
+ * The built-in types register themselves when their modules are loaded. Mod files
+ * (see src/config/mods-config.js) are ES modules exporting a register(registry)
+ * function; they are loaded with loadMods() at startup, before any map is played.
+ *
+ * The stats of the built-in types come from archetype files (see
+ * src/config/archetype-config.js), which the AssetLoader loads and applies with
+ * applyArchetypes(). A map can override them for itself with setOverrides().
+ */
+
+import { Archetypes } from './archetypes.js';
+
+// Categories of content
+export const ContentCategory = {
+    ENEMY: 'enemy',
+    OBSTACLE: 'obstacle',
+    BONUS: 'bonus',
+    GUN: 'gun'
+};
+
+// Categories whose types create entities, and must have a create() function
+const ENTITY_CATEGORIES = new Set([ContentCategory.ENEMY, ContentCategory.OBSTACLE]);
+
+export class ContentRegistry {
+    /**
+     * Create a new ContentRegistry instance
+     */
+    constructor() {
+        // Type definitions of each category by type id, in registration order
+        this.content = new Map();
+        for (const category of Object.values(ContentCategory)) {
+            this.content.set(category, new Map());
+        }
+
+        // Unknown types and variants that were asked for, by category/type/variant
+        this.misses = new Map();
+
+        // Resolved archetypes of each category by type id, applied to types as they register
+        this.archetypes = new Map();
+
+        // Archetype values overridden by the current map, by category, then type id
+        this.overrides = {};
+    }
+
+    /**
+     * Register a type. Registering an existing type id replaces it.
+     * @param {string} category - The content category (see ContentCategory)
+     * @param {string} typeId - The type id used in map data (e.g. 'normal', 'ak47')
+     * @param {Object} definition - The type definition
+     * @param {Function} [definition.create] - Creates the entity: (entityManager, config) => Entity. Required for enemies and obstacles
+     * @param {Object} [definition.stats={}] - Stats of the type, merged into the config passed to create() (set by archetype files)
+     * @param {Object} [definition.variants={}] - Variant configurations by variant name, merged into the config passed to create()
+     * @param {string} [definition.defaultVariant] - Variant used for unknown variants (defaults to the first one)
+     * @param {string} [definition.variantCategory] - Category whose types are this type's variants (e.g. the gun bonus' variants are the guns)
+     * @param {Object} [definition.spriteConfig] - Sprite configuration (see src/config/sprite-config.js)
+     * @param {string} [definition.displayName] - Name shown to the player (defaults to the type id)
+     * @param {Object} [definition.editor] - Map editor metadata: { label, hidden }
+     * @returns {Object} The registered definition
+     */
+    register(category, typeId, definition = {}) {
+        const types = this.content.get(category);
+        if (!types) {
+            throw new Error(`Unknown content category: ${category}`);
+        }
+        if (typeof typeId !== 'string' || !typeId) {
+            throw new Error('Content type id must be a non-empty string');
+        }
+        if (ENTITY_CATEGORIES.has(category) && typeof definition.create !== 'function') {
+            throw new Error(`Content type ${category}/${typeId} needs a create() function`);
+        }
+
+        if (types.has(typeId)) {
+            console.warn(`[CONTENT_REGISTRY] Replacing ${category} type: ${typeId}`);
+        }
+
+        const variants = definition.variants || {};
+        const registered = {
+            ...definition,
+            id: typeId,
+            category,
+            stats: definition.stats || {},
+            variants,
+            defaultVariant: definition.defaultVariant || Object.keys(variants)[0] || null,
+            displayName: definition.displayName || typeId,
+            editor: { label: definition.displayName || typeId, hidden: false, ...definition.editor }
+        };
+
+        // Archetypes loaded before the type registered
+        const archetypes = this.archetypes.get(category);
+        if (archetypes && archetypes.has(typeId)) {
+            ContentRegistry.applyArchetype(registered, archetypes.get(typeId));
+        }
+
+        types.set(typeId, registered);
+        return registered;
+    }
+
+    /**
+     * Apply resolved archetypes (see Archetypes.resolve) to the types of a category.
+     * Types registered later get their archetype when they register.
+     * @param {string} category - The content category
+     * @param {Object} archetypes - The resolved archetypes by type id
+     */
+    applyArchetypes(category, archetypes) {
+        if (!this.content.has(category)) {
+            throw new Error(`Unknown content category: ${category}`);
+        }
+        if (!this.archetypes.has(category)) {
+            this.archetypes.set(category, new Map());
+        }
+
+        for (const [typeId, archetype] of Object.entries(archetypes)) {
+            this.archetypes.get(category).set(typeId, archetype);
+
+            const definition = this.get(category, typeId);
+            if (definition) {
+                ContentRegistry.applyArchetype(definition, archetype);
+            }
+        }
+    }
+
+    /**
+     * Check if the archetypes of a category have been applied
+     * @param {string} category - The content category
+     * @returns {boolean} True if applyArchetypes() was called for the category
+     */
+    hasArchetypes(category) {
+        return this.archetypes.has(category);
+    }
+
+    /**
+     * Apply an archetype to a registered type: its stats, and its variants if it has any
+     * @param {Object} definition - The registered definition
+     * @param {Object} archetype - The resolved archetype
+     * @private
+     */
+    static applyArchetype(definition, archetype) {
+        definition.stats = archetype.values;
+        if (Object.keys(archetype.variants).length > 0) {
+            definition.variants = archetype.variants;
+            definition.defaultVariant = archetype.defaultVariant;
+        }
+    }
+
+    /**
+     * Set the archetype values the current map overrides. Type and variant names are
+     * matched regardless of case or format. Invalid overrides are reported and ignored.
+     * @param {Object} [overrides] - Overrides by category, then type id (see src/config/archetype-config.js)
+     * @returns {string[]} The problems found (empty if every override applies)
+     */
+    setOverrides(overrides) {
+        this.overrides = {};
+        if (!overrides) return [];
+
+        const errors = Archetypes.validateOverrides(overrides);
+        if (errors.length === 0) {
+            for (const [category, types] of Object.entries(overrides)) {
+                for (const [typeId, override] of Object.entries(types)) {
+                    const id = this.findType(category, typeId);
+                    if (!id) {
+                        errors.push(ContentRegistry.describeMiss(category, typeId, null, null));
+                        continue;
+                    }
+
+                    const { variants = {}, ...values } = override;
+                    const variantOverrides = {};
+                    for (const [variant, variantValues] of Object.entries(variants)) {
+                        const name = this.findVariant(category, id, variant);
+                        if (name) {
+                            variantOverrides[name] = variantValues;
+                        } else {
+                            errors.push(ContentRegistry.describeMiss(category, id, variant, null));
+                        }
+                    }
+
+                    if (!this.overrides[category]) {
+                        this.overrides[category] = {};
+                    }
+                    this.overrides[category][id] = { values, variants: variantOverrides };
+                }
+            }
+        }
+
+        if (errors.length > 0) {
+            this.overrides = {};
+            for (const error of errors) {
+                console.error(`[CONTENT_REGISTRY] Invalid map archetype override: ${error}`);
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Remove a type
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @returns {boolean} True if the type was registered
+     */
+    unregister(category, typeId) {
+        const types = this.content.get(category);
+        return types ? types.delete(typeId) : false;
+    }
+
+    /**
+     * Check if a type is registered
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @returns {boolean} True if the type is registered
+     */
+    has(category, typeId) {
+        const types = this.content.get(category);
+        return !!types && types.has(typeId);
+    }
+
+    /**
+     * Get a type definition
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @returns {Object|null} The definition, or null if the type is not registered
+     */
+    get(category, typeId) {
+        const types = this.content.get(category);
+        return (types && types.get(typeId)) || null;
+    }
+
+    /**
+     * Get every type of a category
+     * @param {string} category - The content category
+     * @returns {Object[]} The definitions, in registration order
+     */
+    getTypes(category) {
+        const types = this.content.get(category);
+        return types ? Array.from(types.values()) : [];
+    }
+
+    /**
+     * Normalize an id for matching: case, spaces, dashes and underscores are ignored,
+     * so 'Tank', 'tank' and 'TANK' match, as do 'heavy-armor' and 'HeavyArmor'.
+     * @param {*} id - The id
+     * @returns {string} The normalized id
+     */
+    static normalizeId(id) {
+        return String(id).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Find the registered id of a type, whatever the case or format of the given id
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @returns {string|null} The registered type id, or null if no type matches
+     */
+    findType(category, typeId) {
+        const types = this.content.get(category);
+        if (!types || typeId === undefined || typeId === null) return null;
+        if (types.has(typeId)) return typeId;
+
+        const normalized = ContentRegistry.normalizeId(typeId);
+        for (const id of types.keys()) {
+            if (ContentRegistry.normalizeId(id) === normalized) {
+                return id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find the registered name of a type's variant, whatever the case or format of the
+     * given variant. Variants match their name or their config's variant id; variants
+     * of types with a variantCategory match the ids of that category.
+     * @param {string} category - The content category
+     * @param {string} typeId - The registered type id
+     * @param {string} variant - The variant
+     * @returns {string|null} The registered variant name, or null if no variant matches
+     */
+    findVariant(category, typeId, variant) {
+        const definition = this.get(category, typeId);
+        if (!definition || variant === undefined || variant === null || variant === '') return null;
+
+        if (definition.variantCategory) {
+            const id = this.findType(definition.variantCategory, variant);
+            return id && this.getVariantIds(category, typeId).includes(id) ? id : null;
+        }
+
+        if (definition.variants[variant]) return variant;
+
+        const normalized = ContentRegistry.normalizeId(variant);
+        for (const [name, variantConfig] of Object.entries(definition.variants)) {
+            if (ContentRegistry.normalizeId(name) === normalized ||
+                (variantConfig.variant && ContentRegistry.normalizeId(variantConfig.variant) === normalized)) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a type id to its registered id. Unknown types are recorded as misses.
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @param {string} [fallbackTypeId=null] - Type used for unknown types
+     * @returns {string|null} The registered type id, or the fallback for unknown types
+     */
+    resolveType(category, typeId, fallbackTypeId = null) {
+        const id = this.findType(category, typeId);
+        if (id) return id;
+
+        this.recordMiss(category, typeId, null, fallbackTypeId);
+        return fallbackTypeId;
+    }
+
+    /**
+     * Resolve a variant of a registered type to its registered name. A missing variant
+     * resolves to the default variant; an unknown one also does, and is recorded as a miss.
+     * @param {string} category - The content category
+     * @param {string} typeId - The registered type id
+     * @param {string} variant - The variant
+     * @returns {string|null} The registered variant name, or the default variant
+     */
+    resolveVariant(category, typeId, variant) {
+        const definition = this.get(category, typeId);
+        if (!definition) return null;
+
+        const name = this.findVariant(category, typeId, variant);
+        if (name) return name;
+
+        const fallback = definition.variantCategory ? null : definition.defaultVariant;
+        if (variant !== undefined && variant !== null && variant !== '') {
+            this.recordMiss(category, typeId, variant, fallback);
+        }
+        return fallback;
+    }
+
+    /**
+     * Check a type and variant without recording misses
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @param {string} [variant] - The variant
+     * @returns {string[]} Warnings for an unknown type or variant (empty if both are known)
+     */
+    checkContent(category, typeId, variant) {
+        const id = this.findType(category, typeId);
+        if (!id) {
+            return [ContentRegistry.describeMiss(category, typeId, null, null)];
+        }
+
+        if (variant === undefined || variant === null || variant === '' || this.findVariant(category, id, variant)) {
+            return [];
+        }
+        const definition = this.get(category, id);
+        return [ContentRegistry.describeMiss(category, id, variant, definition.variantCategory ? null : definition.defaultVariant)];
+    }
+
+    /**
+     * Describe an unknown type or variant
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @param {string|null} variant - The unknown variant, or null for an unknown type
+     * @param {string|null} fallback - What is used instead
+     * @returns {string} The description
+     */
+    static describeMiss(category, typeId, variant, fallback) {
+        const missing = variant === null
+            ? `Unknown ${category} type "${typeId}"`
+            : `Unknown ${category} "${typeId}" variant "${variant}"`;
+        return fallback ? `${missing}, using "${fallback}"` : missing;
+    }
+
+    /**
+     * Record an unknown type or variant. Each distinct miss is logged once and counted.
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @param {string|null} variant - The unknown variant, or null for an unknown type
+     * @param {string|null} fallback - What is used instead
+     * @returns {Object} The miss record
+     */
+    recordMiss(category, typeId, variant, fallback) {
+        const key = `${category}/${typeId}/${variant === null ? '' : variant}`;
+        let miss = this.misses.get(key);
+
+        if (!miss) {
+            miss = {
+                category,
+                typeId,
+                variant,
+                fallback,
+                count: 0,
+                message: ContentRegistry.describeMiss(category, typeId, variant, fallback)
+            };
+            this.misses.set(key, miss);
+            console.warn(`[CONTENT_REGISTRY] ${miss.message}`);
+        }
+
+        miss.count++;
+        return miss;
+    }
+
+    /**
+     * Get the unknown types and variants recorded since the last clear
+     * @returns {Object[]} The misses ({ category, typeId, variant, fallback, count, message }), in the order first hit
+     */
+    getMisses() {
+        return Array.from(this.misses.values());
+    }
+
+    /**
+     * Forget the recorded misses (e.g. when a new level starts)
+     */
+    clearMisses() {
+        this.misses.clear();
+    }
+
+    /**
+     * Get the configuration of a type's variant. The variant is resolved regardless of
+     * case or format, and unknown variants fall back to the default variant.
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @param {string} variant - The variant name
+     * @returns {Object|null} The variant configuration, or null if the type has none
+     */
+    getVariant(category, typeId, variant) {
+        const definition = this.get(category, typeId);
+        if (!definition) return null;
+
+        const name = this.resolveVariant(category, typeId, variant);
+        return (name && definition.variants[name]) || null;
+    }
+
+    /**
+     * Get the full configuration of a type's variant: the type's stats, then the variant's,
+     * then the values the current map overrides for the type and for the variant
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @param {string} [variant] - The variant name (resolved like getVariant)
+     * @returns {Object|null} The configuration, or null if the type is not registered
+     */
+    getConfig(category, typeId, variant) {
+        const definition = this.get(category, typeId);
+        if (!definition) return null;
+
+        const name = Object.keys(definition.variants).length > 0 ? this.resolveVariant(category, typeId, variant) : null;
+        const override = this.overrides[category] && this.overrides[category][typeId];
+
+        return {
+            ...definition.stats,
+            ...(name ? definition.variants[name] : {}),
+            ...(override ? override.values : {}),
+            ...(override && name ? override.variants[name] : {})
+        };
+    }
+
+    /**
+     * Get the variant names of a type. Types with a variantCategory list the types of
+     * that category that can be bonuses (bonus !== false).
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @returns {string[]} The variant names
+     */
+    getVariantIds(category, typeId) {
+        const definition = this.get(category, typeId);
+        if (!definition) return [];
+
+        if (definition.variantCategory) {
+            return this.getTypes(definition.variantCategory)
+                .filter(type => type.bonus !== false)
+                .map(type => type.id);
+        }
+        return Object.keys(definition.variants);
+    }
+
+    /**
+     * Create an entity of a registered type. The type and variant are resolved regardless
+     * of case or format; unknown ones are recorded as misses.
+     * @param {string} category - The content category (enemy or obstacle)
+     * @param {string} typeId - The type id
+     * @param {EntityManager} entityManager - The entity manager
+     * @param {string} variant - The variant name
+     * @param {Object} [config={}] - Configuration overriding the variant's
+     * @returns {Entity|null} The created entity, or null if the type is not registered
+     */
+    create(category, typeId, entityManager, variant, config = {}) {
+        const id = this.resolveType(category, typeId);
+        const definition = id && this.get(category, id);
+        if (!definition || typeof definition.create !== 'function') {
+            return null;
+        }
+
+        const variantConfig = this.getConfig(category, id, variant);
+        return definition.create(entityManager, { ...variantConfig, ...config });
+    }
+
+    /**
+     * Get the name of a type to show to the player
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @returns {string} The display name (the type id for unknown types)
+     */
+    getDisplayName(category, typeId) {
+        const definition = this.get(category, typeId);
+        return definition ? definition.displayName : typeId;
+    }
+
+    /**
+     * Get the name of a type's variant to show to the player
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @param {string} variant - The variant name
+     * @returns {string} The display name (the variant name if it has none)
+     */
+    getVariantDisplayName(category, typeId, variant) {
+        const definition = this.get(category, typeId);
+        if (!definition) return variant;
+
+        if (definition.variantCategory) {
+            return this.getDisplayName(definition.variantCategory, variant);
+        }
+
+        const variantConfig = definition.variants[variant];
+        return (variantConfig && variantConfig.displayName) || variant;
+    }
+
+    /**
+     * Get the sprite configuration of a type. For types with a variantCategory it maps
+     * each variant to the sprite configuration of that type (e.g. gun id to gun sprite).
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @returns {Object|null} The sprite configuration, or null if the type has none
+     */
+    getSpriteConfig(category, typeId) {
+        const definition = this.get(category, typeId);
+        if (!definition) return null;
+
+        if (definition.variantCategory) {
+            const spriteConfigs = {};
+            for (const type of this.getTypes(definition.variantCategory)) {
+                if (type.spriteConfig) {
+                    spriteConfigs[type.id] = type.spriteConfig;
+                }
+            }
+            return spriteConfigs;
+        }
+
+        return definition.spriteConfig || null;
+    }
+
+    /**
+     * Get the map editor options for the types of a category
+     * @param {string} category - The content category
+     * @returns {Array<{value: string, text: string}>} The options, without hidden types
+     */
+    getEditorTypeOptions(category) {
+        return this.getTypes(category)
+            .filter(type => !type.editor.hidden)
+            .map(type => ({ value: type.id, text: type.editor.label }));
+    }
+
+    /**
+     * Get the map editor options for the variants of a type
+     * @param {string} category - The content category
+     * @param {string} typeId - The type id
+     * @returns {Array<{value: string, text: string}>} The options, without hidden variants
+     */
+    getEditorVariantOptions(category, typeId) {
+        const definition = this.get(category, typeId);
+        if (!definition) return [];
+
+        if (definition.variantCategory) {
+            return this.getVariantIds(category, typeId)
+                .map(id => this.get(definition.variantCategory, id))
+                .filter(type => !type.editor.hidden)
+                .map(type => ({ value: type.id, text: type.editor.label }));
+        }
+
+        return Object.entries(definition.variants)
+            .filter(([, variantConfig]) => !(variantConfig.editor && variantConfig.editor.hidden))
+            .map(([name, variantConfig]) => ({
+                value: variantConfig.variant || name,
+                text: (variantConfig.editor && variantConfig.editor.label) || variantConfig.displayName || variantConfig.variant || name
+            }));
+    }
+
+    /**
+     * Load mod files and let them register their content. A mod that fails to load
+     * is reported and skipped.
+     * @param {string[]} modFiles - Paths of the mod modules
+     * @param {string} [baseUrl] - URL the paths are relative to (defaults to the project root)
+     * @returns {Promise<string[]>} The paths of the mods that were registered
+     */
+    async loadMods(modFiles, baseUrl = new URL('../../', import.meta.url).href) {
+        const loaded = [];
+
+        for (const modFile of modFiles) {
+            try {
+                const mod = await import(new URL(modFile, baseUrl).href);
+                const register = mod.register || mod.default;
+                if (typeof register !== 'function') {
+                    throw new Error('Mod does not export a register(registry) function');
+                }
+
+                register(this);
+                loaded.push(modFile);
+                console.log(`[CONTENT_REGISTRY] Loaded mod: ${modFile}`);
+            } catch (error) {
+                console.error(`[CONTENT_REGISTRY] Failed to load mod: ${modFile}`, error);
+            }
+        }
+
+        return loaded;
+    }
+}
+
+// The registry shared by the game and the map editor
+export const contentRegistry = new ContentRegistry();
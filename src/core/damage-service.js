@@ -11,6 +11,7 @@ import { CollisionType, CollisionComponent } from '../entities/components/collis
 import { createStickyArea } from "../entities/sticky-area.js";
 import { DamageAreaComponent } from '../entities/components/damage-area-component.js';
 import { createDamageArea } from '../entities/damage-area.js';
+import { abilityRegistry } from './ability-registry.js';
 
 export class DamageService {
     /**
@@ -59,6 +60,11 @@ export class DamageService {
                 this.destroyDamageArea(damageArea);
                 continue;
             }
+
+            // Acid keeps burning the soldiers that move into it
+            if (damageAreaComponent.isAcid) {
+                this.applyDamageWithPriority(damageArea);
+            }
         }
     }
 
@@ -91,12 +97,22 @@ export class DamageService {
             return false;
         }
 
+        // Skip targets whose abilities avoid this kind of hit (e.g. low profile zombies)
+        if (!abilityRegistry.canBeHitBy(target, damageArea)) {
+            return false;
+        }
+
         // Apply damage
         const damageDealt = health.takeDamage(damageArea.damageAmount);
 
         // Add to damaged entities
         damageArea.addDamagedEntity(target);
 
+        // Let abilities and listeners react to the damage
+        if (damageDealt > 0 && this.eventBus) {
+            this.eventBus.publish('entityDamaged', { entity: target, amount: damageDealt, source: damageAreaEntity });
+        }
+
         return true;
     }
 
@@ -290,8 +306,9 @@ export class DamageService {
      * Handle projectile-to-enemy collision
      * @param {Entity} projectile - Projectile entity
      * @param {Entity} target - Target entity
+     * @param {Entity[]} [targets] - Every target a bullet hit, in order along its path
      */
-    handleProjectileTargetCollision(projectile, target) {
+    handleProjectileTargetCollision(projectile, target, targets = [target]) {
         // Check if this is a grenade
         const projectileComponent = projectile.getComponent('projectile');
         if (projectileComponent && projectileComponent.isGrenade) {
@@ -303,7 +320,7 @@ export class DamageService {
             }
         } else {
             // Handle regular projectile collision
-            const damageAreaEntity = this.createProjectileDamageArea(projectile, target);
+            const damageAreaEntity = this.createProjectileDamageArea(projectile, target, targets);
             this.damageAreas.push(damageAreaEntity);
         }
         
@@ -337,16 +354,17 @@ export class DamageService {
         });
         
         // Apply damage to all enemies in the area
-        this.applyDamageToEnemiesInArea(damageAreaEntity, target);
+        const kills = this.applyDamageToEnemiesInArea(damageAreaEntity, target);
 
         // Add to active damage areas
         this.damageAreas.push(damageAreaEntity);
         
-        // Publish event for rendering
+        // Publish event for rendering and scoring
         if (this.eventBus) {
             this.eventBus.publish('grenadeExploded', { 
                 position: { x: transform.x, y: transform.y },
-                radius: projectileComponent.areaWidth / 2
+                radius: projectileComponent.areaWidth / 2,
+                kills
             });
         }
 
@@ -401,14 +419,14 @@ export class DamageService {
         });
         
         // Apply damage to all enemies in the area
-        this.applyDamageToEnemiesInArea(damageAreaEntity, target);
+        const kills = this.applyDamageToEnemiesInArea(damageAreaEntity, target);
 
         // Add to active damage areas
         this.damageAreas.push(damageAreaEntity);
         
-        // Publish events for rendering
+        // Publish events for rendering and scoring
         if (this.eventBus) {
-            this.eventBus.publish('stickyAreaCreated', { stickyArea: stickyAreaEntity });
+            this.eventBus.publish('stickyAreaCreated', { stickyArea: stickyAreaEntity, kills });
         }
 
         // Play grenade damage area created sound
@@ -422,9 +440,10 @@ export class DamageService {
      * Create a damage area for projectile-to-target damage
      * @param {Entity} projectile - Projectile entity
      * @param {Entity} target - target entity
+     * @param {Entity[]} [targets] - Every target hit, in order along the bullet's path
      * @returns {Entity} The created damage area entity
      */
-    createProjectileDamageArea(projectile, target) {
+    createProjectileDamageArea(projectile, target, targets = [target]) {
         // Get projectile damage
         const projectileComponent = projectile.getComponent('projectile');
         if (!projectileComponent) {
@@ -455,8 +474,8 @@ export class DamageService {
             color: color.replace(')', ', 0.3)').replace('rgb', 'rgba') // Semi-transparent version of projectile color
         });
 
-        // Apply damage to enemies in the damage area
-        this.applyDamageToEnemiesInArea(damageAreaEntity, target);
+        // Apply damage to the targets along the path, then to enemies in the damage area
+        this.applyDamageToEnemiesInArea(damageAreaEntity, target, targets);
 
         return damageAreaEntity;
     }
@@ -465,15 +484,17 @@ export class DamageService {
      * Apply damage to enemies in a damage area
      * @param {Entity} damageAreaEntity - The damage area entity
      * @param {Entity} initialEnemy - The enemy that was initially hit
+     * @param {Entity[]} [pathEnemies] - Enemies hit along the projectile's path, damaged in order after the initial enemy
+     * @returns {Entity[]} The zombies killed by the damage
      */
-    applyDamageToEnemiesInArea(damageAreaEntity, initialEnemy) {
+    applyDamageToEnemiesInArea(damageAreaEntity, initialEnemy, pathEnemies = []) {
 
         // Get damage area bounds
         const transform = damageAreaEntity.getComponent('transform');
         const render = damageAreaEntity.getComponent('render');
 
         if (!render || !transform) {
-            return;
+            return [];
         }
 
         const bounds = {
@@ -516,18 +537,125 @@ export class DamageService {
             return intersects;
         });
 
+        // Zombies killed by this damage area
+        const kills = [];
+        const damageAndCountKill = (enemy) => {
+            const health = enemy.getComponent('health');
+            const wasAlive = health && !health.isDead;
+            if (this.applyDamage(damageAreaEntity, enemy) && wasAlive && health.isDead && enemy.hasTag('enemy')) {
+                kills.push(enemy);
+            }
+        };
+
         // Apply damage to the initial enemy first
-        this.applyDamage(damageAreaEntity, initialEnemy);
+        damageAndCountKill(initialEnemy);
+
+        // Then to the enemies further along the path (already damaged enemies are skipped)
+        for (const enemy of pathEnemies) {
+            const damageArea = damageAreaEntity.getComponent('damageArea');
+            if (damageArea.canDamageMoreEntities()) {
+                damageAndCountKill(enemy);
+            } else {
+                break;
+            }
+        }
 
         // Apply damage to other enemies in the area
         for (const enemy of enemiesInArea) {
             const damageArea = damageAreaEntity.getComponent('damageArea');
             if (damageArea.canDamageMoreEntities()) {
-                const success = this.applyDamage(damageAreaEntity, enemy);
+                damageAndCountKill(enemy);
             } else {
                 break;
             }
         }
+
+        return kills;
+    }
+
+    /**
+     * Handle an enemy projectile hitting a soldier, or landing where the soldiers stand.
+     * Either way it splashes into an acid damage area that damages the soldiers in it
+     * until it expires.
+     * @param {Entity} projectile - Enemy projectile entity
+     * @param {Entity|null} target - The soldier hit, or null if the projectile landed
+     */
+    handleEnemyProjectileCollision(projectile, target) {
+        const projectileComponent = projectile.getComponent('projectile');
+        const transform = projectile.getComponent('transform');
+
+        if (projectileComponent && transform) {
+            const damageAreaEntity = createDamageArea(this.entityManager, {
+                x: transform.x,
+                y: transform.y,
+                width: projectileComponent.areaWidth,
+                height: projectileComponent.areaHeight,
+                damageType: DamageType.ENEMY_TO_SOLDIER,
+                damageAmount: projectileComponent.damage,
+                affectedEntities: projectileComponent.affectedEntities,
+                sourceEntity: projectileComponent.sourceEntity,
+                lifetime: projectileComponent.areaLifetime,
+                isAcid: true
+            });
+
+            // The soldier struck is damaged first, then the others in the splash
+            if (target) {
+                this.applyDamage(damageAreaEntity, target);
+            }
+            this.applyDamageWithPriority(damageAreaEntity);
+
+            this.damageAreas.push(damageAreaEntity);
+        }
+
+        // Remove the projectile
+        this.entityManager.removeEntity(projectile);
+    }
+
+    /**
+     * Handle a bullet shooting down an enemy projectile: both are destroyed
+     * @param {Entity} projectile - The bullet
+     * @param {Entity} enemyProjectile - The enemy projectile
+     */
+    handleEnemyProjectileShotDown(projectile, enemyProjectile) {
+        this.entityManager.removeEntity(enemyProjectile);
+        this.entityManager.removeEntity(projectile);
+    }
+
+    /**
+     * Handle a boss sweeping a lane: every soldier in the lane between the left edge of
+     * the screen and the boss is damaged
+     * @param {Entity} boss - The boss
+     * @param {number} laneIndex - The lane swept
+     * @param {number} damage - Damage dealt to each soldier
+     * @returns {Entity|null} The created damage area entity
+     */
+    handleLaneSweep(boss, laneIndex, damage) {
+        const transform = boss.getComponent('transform');
+        const collision = boss.getComponent('collision');
+        if (!transform || !ServiceLocator.hasService('laneSystem')) {
+            return null;
+        }
+
+        const laneHeight = ServiceLocator.getService('laneSystem').getLaneHeight();
+        const right = Math.max(0, transform.x - (collision ? collision.width / 2 : 0));
+
+        const damageAreaEntity = createDamageArea(this.entityManager, {
+            x: right / 2,
+            y: laneIndex * laneHeight + laneHeight / 2,
+            width: right,
+            height: laneHeight,
+            damageType: DamageType.ENEMY_TO_SOLDIER,
+            damageAmount: damage,
+            affectedEntities: Number.MAX_SAFE_INTEGER,
+            sourceEntity: boss,
+            lifetime: 0.3,
+            isLaneSweep: true
+        });
+
+        this.applyDamageWithPriority(damageAreaEntity);
+        this.damageAreas.push(damageAreaEntity);
+
+        return damageAreaEntity;
     }
 
     /**
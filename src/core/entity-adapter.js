@@ -2,8 +2,9 @@
  * Adapter for EntityFactory to handle map data
  */
 import { EntityFactory } from '../entities/entity-factory.js';
-import { ServiceLocator } from '../core/service-locator.js';
+import { ServiceLocator } from './service-locator.js';
 import { createEmbeddedBonus } from '../entities/embedded-bonus.js';
+import { contentRegistry, ContentCategory } from './content-registry.js';
 
 export class EntityAdapter {
     /**
@@ -101,17 +102,7 @@ export class EntityAdapter {
      * @returns {Entity} The created enemy entity
      */
     static createEnemyFromMapData(entityManager, objectType, variant, config) {
-        switch (objectType) {
-            case 'normal':
-                return EntityFactory.createNormalZombie(entityManager, variant, config);
-            case 'armored':
-                return EntityFactory.createArmoredZombie(entityManager, variant, config);
-            case 'giant':
-                return EntityFactory.createGiantZombie(entityManager, variant, config);
-            default:
-                console.warn(`Unknown enemy type: ${objectType}, defaulting to normal`);
-                return EntityFactory.createNormalZombie(entityManager, variant, config);
-        }
+        return EntityFactory.createZombie(entityManager, objectType, variant, config);
     }
     
     /**
@@ -123,19 +114,7 @@ export class EntityAdapter {
      * @returns {Entity} The created obstacle entity
      */
     static createObstacleFromMapData(entityManager, objectType, variant, config) {
-        switch (objectType) {
-            case 'small':
-                return EntityFactory.createSmallObstacle(entityManager, variant, config);
-            case 'medium':
-                return EntityFactory.createMediumObstacle(entityManager, variant, config);
-            case 'large':
-                return EntityFactory.createLargeObstacle(entityManager, variant, config);
-            case 'hazard':
-                return EntityFactory.createImpassableHazard(entityManager, variant, config);
-            default:
-                console.warn(`Unknown obstacle type: ${objectType}, defaulting to small`);
-                return EntityFactory.createSmallObstacle(entityManager, variant, config);
-        }
+        return EntityFactory.createObstacle(entityManager, objectType, variant, config);
     }
     
     /**
@@ -179,26 +158,22 @@ export class EntityAdapter {
         let bonusVariant = bonusData.variant;
         
         if (bonusType === 'random') {
-            // Define array of possible bonus combinations
-            const bonusCombinations = [
-                { type: 'soldier', variant: 'standard' },
-                { type: 'gun', variant: 'glock_17' },
-                { type: 'gun', variant: 'desert_eagle' },
-                { type: 'gun', variant: 'benelli_m4' },
-                { type: 'gun', variant: 'ak47' },
-                { type: 'gun', variant: 'barrett_xm109' },
-                { type: 'grenade', variant: 'standard' },
-                { type: 'grenade', variant: 'sticky' }
-            ];
+            // Every variant of every registered bonus type
+            const bonusCombinations = contentRegistry.getTypes(ContentCategory.BONUS).flatMap(type =>
+                contentRegistry.getVariantIds(ContentCategory.BONUS, type.id).map(variant => ({ type: type.id, variant }))
+            );
             
-            // Select a random combination
-            const randomIndex = Math.floor(Math.random() * bonusCombinations.length);
-            const selectedBonus = bonusCombinations[randomIndex];
+            // Select a random combination (seeded so runs are reproducible)
+            const random = ServiceLocator.getService('random');
+            const selectedBonus = random.pick(bonusCombinations);
             
             bonusType = selectedBonus.type;
             bonusVariant = selectedBonus.variant;
         }
         
+        // Match the registered type and variant, reporting unknown ones
+        ({ bonusType, bonusVariant } = EntityFactory.resolveBonus(bonusType, bonusVariant));
+        
         // Create embedded bonus
         createEmbeddedBonus(entityManager, {
             bonusType: bonusType,
@@ -1,11 +1,24 @@
 import { Entity } from '../entities/entity.js';
+import { EntityQuery } from './entity-query.js';
 import { ServiceLocator } from './service-locator.js';
 
+// Most removed entities (and components of each type) kept for reuse
+export const MAX_POOL_SIZE = 256;
+
 /**
  * Entity Manager
  *
  * Manages the creation, deletion, and querying of entities.
  * Provides methods to find entities with specific components or tags.
+ *
+ * Lookups by component types and tags are answered from cached queries (see EntityQuery)
+ * that are updated as entities gain and lose components and tags, instead of scanning
+ * every entity. Systems can register a named query once and read it every tick.
+ *
+ * Short-lived entities (bullets, grenades, damage areas, effect areas) are pooled:
+ * create them with createPooledEntity() and acquireComponent(), and when they are
+ * removed the entity and its components are reset and kept for the next one instead
+ * of being left to the garbage collector. Only components with a reset() method are pooled.
  */
 
 export class EntityManager {
@@ -29,6 +42,29 @@ export class EntityManager {
         
         // Set to track entities that have had their added event published
         this.entitiesNotified = new Set();
+
+        // Ids of live entities created with createPooledEntity
+        this.pooledEntityIds = new Set();
+
+        // Removed pooled entities, and their components by component class, ready for reuse
+        this.entityPool = [];
+        this.componentPools = new Map();
+
+        // How many pooled entities and components were reused rather than allocated
+        this.poolStats = {
+            entitiesCreated: 0,
+            entitiesReused: 0,
+            componentsCreated: 0,
+            componentsReused: 0
+        };
+
+        // Cached queries by key, and the queries that depend on each component type and tag
+        this.queries = new Map();
+        this.queriesByComponent = new Map();
+        this.queriesByTag = new Map();
+
+        // Registered queries by name
+        this.namedQueries = new Map();
     }
 
     /**
@@ -41,6 +77,7 @@ export class EntityManager {
 
         // Create the entity
         const entity = new Entity(id);
+        entity.manager = this;
 
         // Store the entity
         this.entities.set(id, entity);
@@ -51,6 +88,99 @@ export class EntityManager {
         return entity;
     }
 
+    /**
+     * Create an entity that is returned to the pool when it is removed. The entity
+     * gets a new id like any other; only the object is reused.
+     * @returns {Entity} The new (or reused) entity
+     */
+    createPooledEntity() {
+        const id = this.entityIdCounter++;
+
+        let entity = this.entityPool.pop();
+        if (entity) {
+            entity.id = id;
+            entity.active = true;
+            this.poolStats.entitiesReused++;
+        } else {
+            entity = new Entity(id);
+            this.poolStats.entitiesCreated++;
+        }
+        entity.manager = this;
+
+        this.entities.set(id, entity);
+        this.pooledEntityIds.add(id);
+
+        return entity;
+    }
+
+    /**
+     * Get a component for a pooled entity, reusing a released one when available.
+     * Reused components have been reset(); initialize them like new ones.
+     * @param {Function} ComponentClass - The component class
+     * @returns {Component} The component
+     */
+    acquireComponent(ComponentClass) {
+        const pool = this.componentPools.get(ComponentClass);
+        if (pool && pool.length > 0) {
+            this.poolStats.componentsReused++;
+            return pool.pop();
+        }
+
+        this.poolStats.componentsCreated++;
+        return new ComponentClass();
+    }
+
+    /**
+     * Reset a removed pooled entity's components and keep them and the entity for reuse
+     * @param {Entity} entity - The removed entity (already destroyed)
+     * @param {Component[]} components - The components it had
+     * @private
+     */
+    _releaseToPool(entity, components) {
+        for (const component of components) {
+            if (typeof component.reset !== 'function') continue;
+
+            const ComponentClass = component.constructor;
+            if (!this.componentPools.has(ComponentClass)) {
+                this.componentPools.set(ComponentClass, []);
+            }
+
+            const pool = this.componentPools.get(ComponentClass);
+            if (pool.length < MAX_POOL_SIZE) {
+                component.reset();
+                pool.push(component);
+            }
+        }
+
+        // Drop extra properties set on the entity so they don't leak into its next use
+        for (const key of Object.keys(entity)) {
+            if (!['id', 'components', 'active', 'tags', 'manager'].includes(key)) {
+                delete entity[key];
+            }
+        }
+
+        if (this.entityPool.length < MAX_POOL_SIZE) {
+            this.entityPool.push(entity);
+        }
+    }
+
+    /**
+     * Get the sizes of the pools and how often pooled objects were reused
+     * @returns {Object} Pool statistics
+     */
+    getPoolStats() {
+        let pooledComponents = 0;
+        for (const pool of this.componentPools.values()) {
+            pooledComponents += pool.length;
+        }
+
+        return {
+            ...this.poolStats,
+            pooledEntities: this.entityPool.length,
+            pooledComponents
+        };
+    }
+
     /**
      * Notify that an entity has been fully initialized with all components
      * @param {Entity} entity - The fully initialized entity
@@ -99,19 +229,32 @@ export class EntityManager {
             return false;
         }
 
-        // Publish entity removed event before destroying
+        // Publish entity removed event before destroying, so systems can still
+        // read its components to unregister it
         if (this.eventBus) {
             this.eventBus.publish('entityRemoved', { entity });
         }
 
+        // Drop the entity from the queries before its components and tags are removed
+        this._removeFromQueries(entity);
+        entity.manager = null;
+
         // Clean up the entity
+        const components = entity.getAllComponents();
         entity.destroy();
 
         // Remove the entity from the notified set
         this.entitiesNotified.delete(id);
 
         // Remove the entity from the manager
-        return this.entities.delete(id);
+        this.entities.delete(id);
+
+        // Return pooled entities only once nothing can find them any more
+        if (this.pooledEntityIds.delete(id)) {
+            this._releaseToPool(entity, components);
+        }
+
+        return true;
     }
 
     /**
@@ -144,9 +287,7 @@ export class EntityManager {
      * @returns {Entity[]} Array of entities with the component
      */
     getEntitiesWithComponent(componentType) {
-        return this.getAllEntities().filter(entity =>
-            entity.isActive() && entity.hasComponent(componentType)
-        );
+        return this.getQuery({ components: [componentType] }).getEntities();
     }
 
     /**
@@ -155,9 +296,7 @@ export class EntityManager {
      * @returns {Entity[]} Array of entities with all components
      */
     getEntitiesWithAllComponents(componentTypes) {
-        return this.getAllEntities().filter(entity =>
-            entity.isActive() && entity.hasAllComponents(componentTypes)
-        );
+        return this.getQuery({ components: componentTypes }).getEntities();
     }
 
     /**
@@ -177,9 +316,7 @@ export class EntityManager {
      * @returns {Entity[]} Array of entities with the tag
      */
     getEntitiesWithTag(tag) {
-        return this.getAllEntities().filter(entity =>
-            entity.isActive() && entity.hasTag(tag)
-        );
+        return this.getQuery({ tags: [tag] }).getEntities();
     }
 
     /**
@@ -188,10 +325,7 @@ export class EntityManager {
      * @returns {Entity[]} Array of entities with all tags
      */
     getEntitiesWithAllTags(tags) {
-        return this.getAllEntities().filter(entity => {
-            if (!entity.isActive()) return false;
-            return tags.every(tag => entity.hasTag(tag));
-        });
+        return this.getQuery({ tags }).getEntities();
     }
 
     /**
@@ -206,6 +340,116 @@ export class EntityManager {
         });
     }
 
+    /**
+     * Get the cached query for a set of component types and tags, creating it
+     * (and filling it from the current entities) the first time it is asked for
+     * @param {Object} definition - What the entities must have
+     * @param {string[]} [definition.components=[]] - Component types
+     * @param {string[]} [definition.tags=[]] - Tags
+     * @returns {EntityQuery} The query
+     */
+    getQuery({ components = [], tags = [] } = {}) {
+        const key = EntityQuery.getKey(components, tags);
+        let query = this.queries.get(key);
+        if (query) {
+            return query;
+        }
+
+        query = new EntityQuery({ components, tags });
+        for (const entity of this.entities.values()) {
+            if (query.matches(entity)) {
+                query.add(entity);
+            }
+        }
+
+        this.queries.set(key, query);
+        query.components.forEach(type => this._addQueryDependency(this.queriesByComponent, type, query));
+        query.tags.forEach(tag => this._addQueryDependency(this.queriesByTag, tag, query));
+
+        return query;
+    }
+
+    /**
+     * Register a query under a name so it can be looked up and reused. Registering
+     * the same definition again returns the existing query.
+     * @param {string} name - The query name
+     * @param {Object} definition - What the entities must have (see getQuery)
+     * @returns {EntityQuery} The query
+     */
+    registerQuery(name, definition) {
+        const query = this.getQuery(definition);
+        const registered = this.namedQueries.get(name);
+
+        if (registered && registered !== query) {
+            throw new Error(`Query "${name}" is already registered with a different definition`);
+        }
+
+        this.namedQueries.set(name, query);
+        return query;
+    }
+
+    /**
+     * Get a registered query
+     * @param {string} name - The query name
+     * @returns {EntityQuery|null} The query, or null if no query has that name
+     */
+    getNamedQuery(name) {
+        return this.namedQueries.get(name) || null;
+    }
+
+    /**
+     * Get the active entities of a registered query
+     * @param {string} name - The query name
+     * @returns {Entity[]} The entities, in id order
+     */
+    queryEntities(name) {
+        const query = this.getNamedQuery(name);
+        if (!query) {
+            throw new Error(`Query "${name}" is not registered`);
+        }
+        return query.getEntities();
+    }
+
+    /**
+     * Update the queries depending on a component type or tag after an entity gained or lost it
+     * @param {Entity} entity - The entity
+     * @param {string|null} componentType - The component type that changed
+     * @param {string|null} tag - The tag that changed
+     */
+    onEntityChanged(entity, componentType, tag) {
+        const queries = componentType ? this.queriesByComponent.get(componentType) : this.queriesByTag.get(tag);
+        if (!queries || !this.entities.has(entity.id)) return;
+
+        for (const query of queries) {
+            query.update(entity);
+        }
+    }
+
+    /**
+     * Remember that a query depends on a component type or tag
+     * @param {Map<string, EntityQuery[]>} index - Queries by component type or tag
+     * @param {string} key - The component type or tag
+     * @param {EntityQuery} query - The query
+     * @private
+     */
+    _addQueryDependency(index, key, query) {
+        if (!index.has(key)) {
+            index.set(key, []);
+        }
+        index.get(key).push(query);
+    }
+
+    /**
+     * Remove an entity from every query
+     * @param {Entity} entity - The entity
+     * @private
+     */
+    _removeFromQueries(entity) {
+        for (const query of this.queries.values()) {
+            query.remove(entity);
+        }
+    }
+
     /**
      * Remove all entities
      */
@@ -229,8 +473,14 @@ export class EntityManager {
             return false;
         }
 
-        // Store the entity
+        // Store the entity and add it to the queries it already matches
         this.entities.set(entity.id, entity);
+        entity.manager = this;
+        for (const query of this.queries.values()) {
+            if (query.matches(entity)) {
+                query.add(entity);
+            }
+        }
         
         // Note: We don't automatically publish entityAdded here
         // The caller should call notifyEntityAdded after adding all components
@@ -244,5 +494,11 @@ export class EntityManager {
     destroy() {
         this.removeAllEntities();
         this.entitiesNotified.clear();
+        this.entityPool = [];
+        this.componentPools.clear();
+        this.queries.clear();
+        this.queriesByComponent.clear();
+        this.queriesByTag.clear();
+        this.namedQueries.clear();
     }
 }
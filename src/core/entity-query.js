@@ -0,0 +1,126 @@
+/**
+ * Entity Query
+ *
+ * Live set of the entities that have all of a set of component types and tags.
+ * Queries are created and kept up to date by the EntityManager: it adds and removes
+ * entities as components and tags are added to and removed from them, so reading a
+ * query never scans every entity.
+ *
+ * Results are returned in entity id order, like a scan of the entity manager, so
+ * the simulation stays deterministic whichever order entities started matching in.
+ */
+
+export class EntityQuery {
+    /**
+     * Create a new EntityQuery instance
+     * @param {Object} definition - What the entities must have
+     * @param {string[]} [definition.components=[]] - Component types
+     * @param {string[]} [definition.tags=[]] - Tags
+     */
+    constructor({ components = [], tags = [] } = {}) {
+        if (!Array.isArray(components) || !Array.isArray(tags)) {
+            throw new Error('Query components and tags must be arrays');
+        }
+        if (components.length === 0 && tags.length === 0) {
+            throw new Error('Query needs at least one component type or tag');
+        }
+
+        // Component types and tags every matching entity has
+        this.components = [...new Set(components)].sort();
+        this.tags = [...new Set(tags)].sort();
+
+        // Key identifying queries with the same definition
+        this.key = EntityQuery.getKey(this.components, this.tags);
+
+        // Matching entities
+        this.entities = new Set();
+
+        // Highest id added so far, and whether an entity was added out of id order
+        this.lastId = -1;
+        this.unsorted = false;
+    }
+
+    /**
+     * Get the key of a query definition
+     * @param {string[]} components - Component types
+     * @param {string[]} tags - Tags
+     * @returns {string} The key
+     */
+    static getKey(components, tags) {
+        return `${[...new Set(components)].sort().join(',')}#${[...new Set(tags)].sort().join(',')}`;
+    }
+
+    /**
+     * Check if an entity matches the query
+     * @param {Entity} entity - The entity
+     * @returns {boolean} True if the entity has every component type and tag
+     */
+    matches(entity) {
+        return this.components.every(type => entity.hasComponent(type)) &&
+            this.tags.every(tag => entity.hasTag(tag));
+    }
+
+    /**
+     * Add or remove an entity after it changed
+     * @param {Entity} entity - The entity
+     */
+    update(entity) {
+        if (this.matches(entity)) {
+            this.add(entity);
+        } else {
+            this.entities.delete(entity);
+        }
+    }
+
+    /**
+     * Add a matching entity
+     * @param {Entity} entity - The entity
+     */
+    add(entity) {
+        if (this.entities.has(entity)) return;
+
+        if (entity.id < this.lastId) {
+            this.unsorted = true;
+        } else {
+            this.lastId = entity.id;
+        }
+        this.entities.add(entity);
+    }
+
+    /**
+     * Remove an entity
+     * @param {Entity} entity - The entity
+     */
+    remove(entity) {
+        this.entities.delete(entity);
+    }
+
+    /**
+     * Get the active matching entities
+     * @returns {Entity[]} The entities, in id order
+     */
+    getEntities() {
+        if (this.unsorted) {
+            const sorted = Array.from(this.entities).sort((a, b) => a.id - b.id);
+            this.entities = new Set(sorted);
+            this.lastId = sorted.length > 0 ? sorted[sorted.length - 1].id : -1;
+            this.unsorted = false;
+        }
+
+        const entities = [];
+        for (const entity of this.entities) {
+            if (entity.isActive()) {
+                entities.push(entity);
+            }
+        }
+        return entities;
+    }
+
+    /**
+     * Get the number of matching entities (active or not)
+     * @returns {number} The number of entities
+     */
+    getSize() {
+        return this.entities.size;
+    }
+}
@@ -4,8 +4,25 @@
  * Implements the Observer pattern for system communication.
  * Allows systems to publish events and subscribe to events
  * without direct dependencies between them.
+ *
+ * Subscribers are called in order of priority (higher first), then in the order they
+ * subscribed. An event type can be a pattern where '*' matches any characters, e.g.
+ * 'enemy:*' or 'enemy*'. Each subscriber is called with the event data and the event
+ * itself ({ type, frame, deferred }), where frame is the game frame the event was
+ * published in.
+ *
+ * publish() calls the subscribers right away, in the middle of whatever is running.
+ * publishDeferred() queues the event instead; the game flushes the queue once per
+ * frame, after all systems have updated, so subscribers can add and remove entities
+ * without changing the collections the systems are iterating.
+ *
+ * A subscription can have an owner (a system, service or UI screen). The owner releases
+ * all of its subscriptions at once with unsubscribeOwner(), usually in its destroy().
  */
 
+// Most events a single flush dispatches, so subscribers that keep queueing events can't hang the game
+const MAX_FLUSH_EVENTS = 10000;
+
 export class EventBus {
     /**
      * Create a new EventBus instance
@@ -16,15 +33,28 @@ export class EventBus {
         
         // Counter for generating unique subscription IDs
         this.subscriptionIdCounter = 0;
+
+        // Patterns subscribed to (event types containing '*'), with the regular expression they compile to
+        this.patterns = new Map();
+
+        // Events published with publishDeferred, waiting for the next flush
+        this.queue = [];
+
+        // The game frame events are currently published in
+        this.frame = 0;
     }
 
     /**
      * Subscribe to an event
-     * @param {string} eventType - The type of event to subscribe to
-     * @param {Function} callback - Function to call when the event is published
+     * @param {string} eventType - The type of event to subscribe to, or a pattern where '*' matches any characters
+     * @param {Function} callback - Function to call with the event data and the event when the event is published
+     * @param {Object} [options] - Subscription options
+     * @param {number} [options.priority=0] - Subscribers with a higher priority are called first
+     * @param {boolean} [options.once=false] - Unsubscribe after the first event
+     * @param {*} [options.owner] - Owner of the subscription, released with unsubscribeOwner()
      * @returns {number} Subscription ID that can be used to unsubscribe
      */
-    subscribe(eventType, callback) {
+    subscribe(eventType, callback, options = {}) {
         if (typeof eventType !== 'string' || !eventType) {
             throw new Error('Event type must be a non-empty string');
         }
@@ -33,23 +63,50 @@ export class EventBus {
             throw new Error('Callback must be a function');
         }
         
-        // Get or create the array of subscribers for this event type
-        if (!this.subscribers.has(eventType)) {
-            this.subscribers.set(eventType, []);
+        const priority = options.priority !== undefined ? options.priority : 0;
+        if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+            throw new Error('Priority must be a finite number');
+        }
+        
+        // Compile patterns once, when they are first subscribed to
+        if (eventType.includes('*') && !this.patterns.has(eventType)) {
+            this.patterns.set(eventType, EventBus.compilePattern(eventType));
         }
         
         // Generate a unique ID for this subscription
         const id = this.subscriptionIdCounter++;
         
-        // Add the subscriber
-        this.subscribers.get(eventType).push({
+        // Add the subscriber after those with the same or a higher priority. The array is
+        // replaced rather than changed, so a publish in progress keeps its subscribers.
+        const subscribers = this.subscribers.get(eventType) || [];
+        const index = subscribers.findIndex(sub => sub.priority < priority);
+        const subscriber = {
             id: id,
-            callback: callback
-        });
+            callback: callback,
+            priority: priority,
+            once: options.once === true,
+            owner: options.owner
+        };
+        this.subscribers.set(eventType, index === -1
+            ? [...subscribers, subscriber]
+            : [...subscribers.slice(0, index), subscriber, ...subscribers.slice(index)]);
         
         return id;
     }
 
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} eventType - The type of event to subscribe to, or a pattern
+     * @param {Function} callback - Function to call when the event is published
+     * @param {Object} [options] - Subscription options
+     * @param {number} [options.priority=0] - Subscribers with a higher priority are called first
+     * @param {*} [options.owner] - Owner of the subscription, released with unsubscribeOwner()
+     * @returns {number} Subscription ID that can be used to unsubscribe before the event
+     */
+    once(eventType, callback, options = {}) {
+        return this.subscribe(eventType, callback, { ...options, once: true });
+    }
+
     /**
      * Unsubscribe from an event
      * @param {string} eventType - The type of event to unsubscribe from
@@ -57,6 +114,11 @@ export class EventBus {
      * @returns {boolean} True if the subscription was found and removed, false otherwise
      */
     unsubscribe(eventType, subscriptionId) {
+        if (typeof subscriptionId !== 'number') {
+            console.warn(`[EVENT_BUS] unsubscribe('${eventType}') needs the subscription ID returned by subscribe, not a callback`);
+            return false;
+        }
+
         if (!this.subscribers.has(eventType)) {
             return false;
         }
@@ -69,31 +131,219 @@ export class EventBus {
         
         // Update the subscribers array
         this.subscribers.set(eventType, filteredSubscribers);
+        if (filteredSubscribers.length === 0) {
+            this.patterns.delete(eventType);
+        }
         
         // Return true if a subscription was removed
         return filteredSubscribers.length < initialLength;
     }
 
     /**
-     * Publish an event
+     * Release every subscription of an owner
+     * @param {*} owner - The owner passed to subscribe
+     * @returns {number} The number of subscriptions removed
+     */
+    unsubscribeOwner(owner) {
+        if (owner === undefined || owner === null) {
+            return 0;
+        }
+        return this.removeSubscribers(subscriber => subscriber.owner === owner);
+    }
+
+    /**
+     * Release every subscription except those of the given owners
+     * @param {Array} [keepOwners=[]] - Owners whose subscriptions are kept
+     * @returns {Object} The subscriptions removed, by event type, then owner name (see getSubscriptionReport)
+     */
+    unsubscribeAllExcept(keepOwners = []) {
+        const released = (subscriber) => !keepOwners.includes(subscriber.owner);
+        const report = this.getSubscriptionReport(released);
+        this.removeSubscribers(released);
+        return report;
+    }
+
+    /**
+     * Count the subscriptions by event type and owner, e.g. to find subscriptions that
+     * outlived their owner
+     * @param {Function} [filter] - Only count the subscribers this returns true for
+     * @returns {Object} Subscription counts by event type, then owner name,
+     *                   e.g. { enemyKilled: { ScoreService: 1, '(no owner)': 2 } }
+     */
+    getSubscriptionReport(filter = () => true) {
+        const report = {};
+        for (const [eventType, subscribers] of this.subscribers) {
+            for (const subscriber of subscribers) {
+                if (!filter(subscriber)) continue;
+
+                const ownerName = EventBus.getOwnerName(subscriber.owner);
+                report[eventType] = report[eventType] || {};
+                report[eventType][ownerName] = (report[eventType][ownerName] || 0) + 1;
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Remove the subscribers matching a condition from every event type
+     * @param {Function} condition - Returns true for the subscribers to remove
+     * @returns {number} The number of subscriptions removed
+     * @private
+     */
+    removeSubscribers(condition) {
+        let removed = 0;
+        for (const [eventType, subscribers] of this.subscribers) {
+            const kept = subscribers.filter(subscriber => !condition(subscriber));
+            if (kept.length === subscribers.length) continue;
+
+            removed += subscribers.length - kept.length;
+            this.subscribers.set(eventType, kept);
+            if (kept.length === 0) {
+                this.patterns.delete(eventType);
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Get a readable name for a subscription owner
+     * @param {*} owner - The owner
+     * @returns {string} The owner if it is a string, its name, or its class name
+     * @private
+     */
+    static getOwnerName(owner) {
+        if (owner === undefined || owner === null) {
+            return '(no owner)';
+        }
+        if (typeof owner === 'string') {
+            return owner;
+        }
+        if (typeof owner.name === 'string' && owner.name) {
+            return owner.name;
+        }
+        return owner.constructor ? owner.constructor.name : String(owner);
+    }
+
+    /**
+     * Publish an event, calling its subscribers right away
      * @param {string} eventType - The type of event to publish
      * @param {Object} eventData - Data to pass to subscribers
      */
     publish(eventType, eventData = {}) {
-        if (!this.subscribers.has(eventType)) {
-            return; // No subscribers for this event type
+        this.dispatch({ type: eventType, frame: this.frame, deferred: false }, eventData);
+    }
+
+    /**
+     * Publish an event at the next flush, once the current frame's systems have updated
+     * @param {string} eventType - The type of event to publish
+     * @param {Object} eventData - Data to pass to subscribers
+     */
+    publishDeferred(eventType, eventData = {}) {
+        this.queue.push({ event: { type: eventType, frame: this.frame, deferred: true }, eventData });
+    }
+
+    /**
+     * Publish the deferred events in the order they were queued, including any queued
+     * by their subscribers
+     * @returns {number} The number of events published
+     */
+    flush() {
+        let count = 0;
+        while (this.queue.length > 0) {
+            if (count >= MAX_FLUSH_EVENTS) {
+                console.error(`[EVENT_BUS] Dropped ${this.queue.length} deferred events after publishing ${count} in one flush (frame ${this.frame})`);
+                this.queue = [];
+                break;
+            }
+
+            const { event, eventData } = this.queue.shift();
+            this.dispatch(event, eventData);
+            count++;
         }
-        
-        const subscribers = this.subscribers.get(eventType);
+        return count;
+    }
+
+    /**
+     * Get the number of deferred events waiting for the next flush
+     * @returns {number} The number of queued events
+     */
+    getQueuedCount() {
+        return this.queue.length;
+    }
+
+    /**
+     * Drop the deferred events without publishing them
+     */
+    clearQueue() {
+        this.queue = [];
+    }
+
+    /**
+     * Set the game frame events are published in
+     * @param {number} frame - The frame number
+     */
+    setFrame(frame) {
+        this.frame = frame;
+    }
+
+    /**
+     * Call the subscribers of an event
+     * @param {Object} event - The event: { type, frame, deferred }
+     * @param {Object} eventData - Data to pass to subscribers
+     * @private
+     */
+    dispatch(event, eventData) {
+        const subscribers = this.getMatchingSubscribers(event.type);
         
         // Call each subscriber's callback with the event data
-        for (const subscriber of subscribers) {
+        for (const { eventType, subscriber } of subscribers) {
+            if (subscriber.once && !this.unsubscribe(eventType, subscriber.id)) {
+                continue; // Already called by an earlier publish of the same event
+            }
+
             try {
-                subscriber.callback(eventData);
+                subscriber.callback(eventData, event);
             } catch (error) {
-                console.error(`Error in event subscriber for '${eventType}':`, error);
+                console.error(`Error in event subscriber for '${event.type}' (frame ${event.frame}):`, error);
+            }
+        }
+    }
+
+    /**
+     * Get the subscribers of an event type and of the patterns matching it, in call order
+     * @param {string} eventType - The event type
+     * @returns {Array<{eventType: string, subscriber: Object}>} The subscribers, with the event type or pattern they subscribed to
+     * @private
+     */
+    getMatchingSubscribers(eventType) {
+        const matching = (this.subscribers.get(eventType) || []).map(subscriber => ({ eventType, subscriber }));
+
+        let merged = false;
+        for (const [pattern, regex] of this.patterns) {
+            if (pattern === eventType || !regex.test(eventType)) continue;
+
+            for (const subscriber of this.subscribers.get(pattern) || []) {
+                matching.push({ eventType: pattern, subscriber });
             }
+            merged = true;
         }
+
+        // Each list is already in call order; merge them by priority, then subscription order
+        if (merged) {
+            matching.sort((a, b) => (b.subscriber.priority - a.subscriber.priority) || (a.subscriber.id - b.subscriber.id));
+        }
+        return matching;
+    }
+
+    /**
+     * Compile an event type pattern to a regular expression
+     * @param {string} pattern - The pattern, where '*' matches any characters
+     * @returns {RegExp} The regular expression matching the whole event type
+     * @private
+     */
+    static compilePattern(pattern) {
+        const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return new RegExp(`^${source}$`);
     }
 
     /**
@@ -129,6 +379,7 @@ export class EventBus {
         }
         
         this.subscribers.set(eventType, []);
+        this.patterns.delete(eventType);
         return true;
     }
 
@@ -137,6 +388,7 @@ export class EventBus {
      */
     clearAllSubscribers() {
         this.subscribers.clear();
+        this.patterns.clear();
     }
 
     /**
@@ -144,5 +396,6 @@ export class EventBus {
      */
     destroy() {
         this.clearAllSubscribers();
+        this.clearQueue();
     }
 }
@@ -0,0 +1,411 @@
+/**
+ * Game Snapshot
+ *
+ * Serializes the complete world of a running game to a versioned, JSON-safe snapshot
+ * and rebuilds a game from it, so a run can be saved mid-level and continued later.
+ *
+ * Every entity is stored with its id, tags, extra properties and all of its components.
+ * Component data is copied generically: Sets, Maps and references to other entities are
+ * encoded so they survive JSON, and the entity back-reference and sprite configuration
+ * are rebuilt on restore. Lane background entities are not stored because the lane
+ * system recreates them when the game is constructed.
+ *
+ * Service state that lives outside the entities (collision groups, managed damage and
+ * effect areas, speed, timers, counters and the random generator) is stored alongside.
+ */
+
+import { ServiceLocator } from './service-locator.js';
+import { ReplayMode } from './replay-service.js';
+import { Entity } from '../entities/entity.js';
+import { TransformComponent } from '../entities/components/transform.js';
+import { LaneComponent } from '../entities/components/lane.js';
+import { RenderComponent } from '../entities/components/render.js';
+import { MovementComponent } from '../entities/components/movement.js';
+import { CollisionComponent } from '../entities/components/collision.js';
+import { HealthComponent } from '../entities/components/health.js';
+import { DamageComponent } from '../entities/components/damage.js';
+import { GunComponent } from '../entities/components/gun.js';
+import { PlayerComponent } from '../entities/components/player-component.js';
+import { ProjectileComponent } from '../entities/components/projectile.js';
+import { BonusComponent } from '../entities/components/bonus-component.js';
+import { DamageAreaComponent } from '../entities/components/damage-area-component.js';
+import { EffectComponent } from '../entities/components/effect.js';
+import { AbilityComponent } from '../entities/components/ability.js';
+import { BossComponent } from '../entities/components/boss.js';
+
+// Current snapshot format version
+export const SNAPSHOT_VERSION = 1;
+
+// Component classes by component type, used to rebuild components on restore
+export const ComponentClasses = {
+    transform: TransformComponent,
+    lane: LaneComponent,
+    render: RenderComponent,
+    movement: MovementComponent,
+    collision: CollisionComponent,
+    health: HealthComponent,
+    damage: DamageComponent,
+    gun: GunComponent,
+    player: PlayerComponent,
+    projectile: ProjectileComponent,
+    bonus: BonusComponent,
+    damageArea: DamageAreaComponent,
+    effect: EffectComponent,
+    abilities: AbilityComponent,
+    boss: BossComponent
+};
+
+// Component fields that are rebuilt on restore instead of being stored
+const SKIPPED_COMPONENT_FIELDS = new Set(['entity', 'spriteConfig', 'image']);
+
+// Entity fields that are stored separately from the extra properties
+const ENTITY_FIELDS = new Set(['id', 'components', 'tags', 'active', 'manager']);
+
+// Tag of entities that are recreated by their system rather than restored
+const BACKGROUND_TAG = 'background';
+
+export class GameSnapshot {
+    /**
+     * Create a snapshot of a game
+     * @param {Game} game - The game to snapshot
+     * @param {Object} [session={}] - Extra JSON-safe data owned by the caller (map, UI counters, ...)
+     * @returns {Object} The snapshot
+     */
+    static create(game, session = {}) {
+        const entityManager = ServiceLocator.getService('entityManager');
+        const collisionGroupManager = ServiceLocator.getService('collisionGroupManager');
+        const damageService = ServiceLocator.getService('damageService');
+        const effectService = ServiceLocator.getService('effectService');
+        const speedController = ServiceLocator.getService('speedController');
+        const movementSystem = ServiceLocator.getService('movementSystem');
+        const collisionSystem = ServiceLocator.getService('collisionSystem');
+        const timer = ServiceLocator.getService('timer');
+        const replay = ServiceLocator.getService('replay');
+        const spawnSystem = ServiceLocator.getService('spawnSystem');
+
+        const entities = entityManager.getAllEntities()
+            .filter(entity => !entity.hasTag(BACKGROUND_TAG))
+            .map(entity => GameSnapshot.serializeEntity(entity));
+
+        return {
+            version: SNAPSHOT_VERSION,
+            createdAt: new Date().toISOString(),
+            seed: game.getSeed(),
+            randomState: game.random.getState(),
+            game: {
+                frameCount: game.frameCount,
+                playerWorldPosition: game.playerWorldPosition,
+                finishLine: { ...game.finishLine },
+                killCount: game.killCount,
+                escapedCount: game.escapedCount
+            },
+            speed: {
+                baseSpeed: speedController.getBaseSpeed(),
+                playerSpeedModifier: speedController.getPlayerSpeedModifier()
+            },
+            timer: timer.serialize(),
+            counters: {
+                movementFrames: movementSystem.frameCount,
+                collisionRecalculation: collisionSystem.recalculationCounter
+            },
+            nextEntityId: entityManager.entityIdCounter,
+            entities,
+            collisionGroups: {
+                nextGroupId: collisionGroupManager.nextGroupId,
+                groups: Array.from(collisionGroupManager.getAllGroups().entries())
+                    .map(([groupId, entityIds]) => [groupId, [...entityIds]])
+            },
+            damageAreaIds: damageService.damageAreas.map(entity => entity.id),
+            effectAreaIds: effectService.effectAreas.map(entity => entity.id),
+            spawnZones: spawnSystem.getState(),
+            score: ServiceLocator.getService('scoreService').getState(),
+            replayActions: replay.mode === ReplayMode.RECORDING ? replay.actions.map(action => ({ ...action })) : null,
+            session
+        };
+    }
+
+    /**
+     * Restore a snapshot into a newly constructed game that has not been started yet
+     * @param {Game} game - The game to restore into
+     * @param {Object} snapshot - Snapshot created by GameSnapshot.create()
+     * @throws {Error} If the snapshot is invalid or the game is already running
+     */
+    static restore(game, snapshot) {
+        GameSnapshot.validate(snapshot);
+
+        if (game.isRunning) {
+            throw new Error('Cannot restore a snapshot into a running game');
+        }
+
+        const entityManager = ServiceLocator.getService('entityManager');
+
+        // Remove everything except the background entities the systems created
+        for (const entity of entityManager.getAllEntities()) {
+            if (!entity.hasTag(BACKGROUND_TAG)) {
+                entityManager.removeEntity(entity);
+            }
+        }
+
+        // First pass: create entities so that references between them can be resolved
+        const restored = [];
+        for (const data of snapshot.entities) {
+            if (entityManager.hasEntity(data.id)) {
+                console.warn(`[GAME_SNAPSHOT] Entity ${data.id} already exists, skipping`);
+                continue;
+            }
+
+            const entity = new Entity(data.id);
+            entityManager.addEntity(entity);
+            restored.push({ entity, data });
+        }
+        entityManager.entityIdCounter = Math.max(entityManager.entityIdCounter, snapshot.nextEntityId);
+
+        // Second pass: restore tags, properties and components
+        for (const { entity, data } of restored) {
+            GameSnapshot.restoreEntity(entity, data, entityManager);
+        }
+
+        // Announce the entities so systems (e.g. collision lanes) register them
+        for (const { entity } of restored) {
+            entityManager.notifyEntityAdded(entity);
+        }
+
+        GameSnapshot.restoreServices(game, snapshot, entityManager);
+
+        console.log(`[GAME_SNAPSHOT] Restored ${restored.length} entities at frame ${snapshot.game.frameCount}`);
+    }
+
+    /**
+     * Restore game and service state from a snapshot
+     * @param {Game} game - The game to restore into
+     * @param {Object} snapshot - The snapshot
+     * @param {EntityManager} entityManager - The entity manager
+     * @private
+     */
+    static restoreServices(game, snapshot, entityManager) {
+        const getEntities = ids => ids.map(id => entityManager.getEntity(id)).filter(Boolean);
+
+        // Game state
+        game.random.setSeed(snapshot.seed).setState(snapshot.randomState);
+        game.startFrame = snapshot.game.frameCount;
+        game.frameCount = snapshot.game.frameCount;
+        game.playerWorldPosition = snapshot.game.playerWorldPosition;
+        game.finishLine = { ...snapshot.game.finishLine };
+        game.killCount = snapshot.game.killCount;
+        game.escapedCount = snapshot.game.escapedCount;
+        game.player = entityManager.getEntitiesWithTag('player')[0] || null;
+
+        // Speed
+        const speedController = ServiceLocator.getService('speedController');
+        speedController.setBaseSpeed(snapshot.speed.baseSpeed);
+        speedController.setPlayerSpeedModifier(snapshot.speed.playerSpeedModifier);
+
+        // Timer and counters
+        ServiceLocator.getService('timer').restore(snapshot.timer);
+        ServiceLocator.getService('movementSystem').frameCount = snapshot.counters.movementFrames;
+        ServiceLocator.getService('collisionSystem').recalculationCounter = snapshot.counters.collisionRecalculation;
+
+        // Collision groups
+        const collisionGroupManager = ServiceLocator.getService('collisionGroupManager');
+        collisionGroupManager.clear();
+        for (const [groupId, entityIds] of snapshot.collisionGroups.groups) {
+            collisionGroupManager.groups.set(groupId, [...entityIds]);
+        }
+        collisionGroupManager.nextGroupId = snapshot.collisionGroups.nextGroupId;
+
+        // Damage and effect areas managed by their services
+        ServiceLocator.getService('damageService').damageAreas = getEntities(snapshot.damageAreaIds);
+        ServiceLocator.getService('effectService').effectAreas = getEntities(snapshot.effectAreaIds);
+
+        // Spawn zones and how far each one has got
+        if (snapshot.spawnZones) {
+            ServiceLocator.getService('spawnSystem').setState(snapshot.spawnZones);
+        }
+
+        // Score and the running combo
+        if (snapshot.score) {
+            ServiceLocator.getService('scoreService').setState(snapshot.score);
+        }
+
+        // Keep recording the run so a replay saved later still starts from the beginning
+        if (snapshot.replayActions) {
+            ServiceLocator.getService('replay').resumeRecording(snapshot.replayActions);
+        }
+    }
+
+    /**
+     * Serialize an entity
+     * @param {Entity} entity - The entity
+     * @returns {Object} Serialized entity data
+     */
+    static serializeEntity(entity) {
+        const properties = {};
+        for (const key of Object.keys(entity)) {
+            if (!ENTITY_FIELDS.has(key) && typeof entity[key] !== 'function') {
+                properties[key] = GameSnapshot.encodeValue(entity[key]);
+            }
+        }
+
+        const components = [];
+        for (const [type, instances] of entity.components.entries()) {
+            for (const component of instances) {
+                components.push({ type, data: GameSnapshot.serializeComponent(component) });
+            }
+        }
+
+        return {
+            id: entity.id,
+            active: entity.active,
+            tags: entity.getAllTags(),
+            properties,
+            components
+        };
+    }
+
+    /**
+     * Serialize a component's fields
+     * @param {Component} component - The component
+     * @returns {Object} Serialized component data
+     */
+    static serializeComponent(component) {
+        const data = {};
+        for (const key of Object.keys(component)) {
+            if (SKIPPED_COMPONENT_FIELDS.has(key) || typeof component[key] === 'function') {
+                continue;
+            }
+            data[key] = GameSnapshot.encodeValue(component[key]);
+        }
+        return data;
+    }
+
+    /**
+     * Restore an entity's tags, properties and components
+     * @param {Entity} entity - The (empty) entity
+     * @param {Object} data - Serialized entity data
+     * @param {EntityManager} entityManager - Entity manager used to resolve entity references
+     * @private
+     */
+    static restoreEntity(entity, data, entityManager) {
+        entity.active = data.active;
+
+        for (const tag of data.tags) {
+            entity.addTag(tag);
+        }
+
+        for (const [key, value] of Object.entries(data.properties)) {
+            entity[key] = GameSnapshot.decodeValue(value, entityManager);
+        }
+
+        for (const { type, data: componentData } of data.components) {
+            const ComponentClass = ComponentClasses[type];
+            if (!ComponentClass) {
+                console.warn(`[GAME_SNAPSHOT] Unknown component type: ${type}`);
+                continue;
+            }
+
+            const component = new ComponentClass();
+            const fields = {};
+            for (const [key, value] of Object.entries(componentData)) {
+                fields[key] = GameSnapshot.decodeValue(value, entityManager);
+            }
+
+            // Rebuild the sprite configuration, then put the saved animation state back
+            if (component instanceof RenderComponent && fields.entityType) {
+                Object.assign(component, fields);
+                component.initSpriteConfig();
+            }
+            Object.assign(component, fields);
+
+            entity.addComponent(component);
+        }
+    }
+
+    /**
+     * Encode a value so it survives JSON
+     * @param {*} value - The value
+     * @returns {*} The encoded value
+     */
+    static encodeValue(value) {
+        if (value === null || value === undefined || typeof value !== 'object') {
+            return value;
+        }
+
+        if (value instanceof Entity) {
+            return { $entity: value.id };
+        }
+
+        if (value instanceof Set) {
+            return { $set: Array.from(value, item => GameSnapshot.encodeValue(item)) };
+        }
+
+        if (value instanceof Map) {
+            return { $map: Array.from(value.entries(), ([key, item]) => [key, GameSnapshot.encodeValue(item)]) };
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => GameSnapshot.encodeValue(item));
+        }
+
+        const encoded = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (typeof item !== 'function') {
+                encoded[key] = GameSnapshot.encodeValue(item);
+            }
+        }
+        return encoded;
+    }
+
+    /**
+     * Decode a value encoded by encodeValue()
+     * @param {*} value - The encoded value
+     * @param {EntityManager} entityManager - Entity manager used to resolve entity references
+     * @returns {*} The decoded value
+     */
+    static decodeValue(value, entityManager) {
+        if (value === null || value === undefined || typeof value !== 'object') {
+            return value;
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => GameSnapshot.decodeValue(item, entityManager));
+        }
+
+        if ('$entity' in value) {
+            // The referenced entity may have been removed before the snapshot was taken
+            return entityManager.getEntity(value.$entity);
+        }
+
+        if ('$set' in value) {
+            return new Set(value.$set.map(item => GameSnapshot.decodeValue(item, entityManager)));
+        }
+
+        if ('$map' in value) {
+            return new Map(value.$map.map(([key, item]) => [key, GameSnapshot.decodeValue(item, entityManager)]));
+        }
+
+        const decoded = {};
+        for (const [key, item] of Object.entries(value)) {
+            decoded[key] = GameSnapshot.decodeValue(item, entityManager);
+        }
+        return decoded;
+    }
+
+    /**
+     * Validate snapshot data
+     * @param {Object} snapshot - The snapshot
+     * @throws {Error} If the snapshot is invalid
+     */
+    static validate(snapshot) {
+        if (!snapshot || typeof snapshot !== 'object') {
+            throw new Error('Snapshot must be an object');
+        }
+
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+        }
+
+        if (!Array.isArray(snapshot.entities) || !snapshot.game || snapshot.seed === undefined) {
+            throw new Error('Snapshot must contain entities, game state and a seed');
+        }
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Game State Machine
+ *
+ * Owns the flow of a game: loading, countdown, playing, paused, victory, defeat
+ * and results. Only the transitions listed in GameStateTransitions are allowed.
+ * Every transition is published on the event bus as 'gameStateChanged'
+ * ({ from, to, ...data }) so systems, input and audio can react to the new state
+ * instead of polling the game.
+ */
+
+// Game states
+export const GameState = {
+    LOADING: 'loading',     // Game is being set up, nothing is simulated
+    COUNTDOWN: 'countdown', // Level is about to start, nothing is simulated yet
+    PLAYING: 'playing',     // Simulation is running and player input is accepted
+    PAUSED: 'paused',       // Simulation is halted, can be resumed or stepped
+    VICTORY: 'victory',     // Player reached the finish line
+    DEFEAT: 'defeat',       // Game was lost (see GameFinishReason)
+    RESULTS: 'results'      // Results of the finished game are being shown
+};
+
+// States that can be entered from each state
+export const GameStateTransitions = {
+    [GameState.LOADING]: [GameState.COUNTDOWN, GameState.PLAYING, GameState.PAUSED],
+    [GameState.COUNTDOWN]: [GameState.PLAYING],
+    [GameState.PLAYING]: [GameState.PAUSED, GameState.VICTORY, GameState.DEFEAT],
+    [GameState.PAUSED]: [GameState.PLAYING, GameState.VICTORY, GameState.DEFEAT],
+    [GameState.VICTORY]: [GameState.RESULTS],
+    [GameState.DEFEAT]: [GameState.RESULTS],
+    [GameState.RESULTS]: []
+};
+
+export class GameStateMachine {
+    /**
+     * Create a new GameStateMachine instance
+     * @param {EventBus} eventBus - Event bus the transitions are published on
+     * @param {string} [initialState=GameState.LOADING] - The state to start in
+     */
+    constructor(eventBus, initialState = GameState.LOADING) {
+        this.eventBus = eventBus;
+        this.state = initialState;
+
+        // State before the current one
+        this.previousState = null;
+    }
+
+    /**
+     * Get the current state
+     * @returns {string} The current state (see GameState)
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Check if the machine is in a state
+     * @param {...string} states - States to check against
+     * @returns {boolean} True if the current state is one of the given states
+     */
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    /**
+     * Check if a transition to a state is allowed from the current state
+     * @param {string} state - The target state
+     * @returns {boolean} True if the transition is allowed
+     */
+    canTransition(state) {
+        return GameStateTransitions[this.state].includes(state);
+    }
+
+    /**
+     * Check if the game has ended (victory, defeat or results)
+     * @returns {boolean} True once the game is over
+     */
+    isFinished() {
+        return this.is(GameState.VICTORY, GameState.DEFEAT, GameState.RESULTS);
+    }
+
+    /**
+     * Move to a new state and publish the transition
+     * @param {string} state - The target state
+     * @param {Object} [data={}] - Extra event data (e.g. the reason of a defeat)
+     * @throws {Error} If the transition is not allowed
+     */
+    transition(state, data = {}) {
+        if (!this.canTransition(state)) {
+            throw new Error(`Invalid game state transition: ${this.state} -> ${state}`);
+        }
+
+        const from = this.state;
+        this.previousState = from;
+        this.state = state;
+
+        console.log(`[GAME_STATE] ${from} -> ${state}`);
+
+        if (this.eventBus) {
+            this.eventBus.publish('gameStateChanged', { ...data, from, to: state });
+        }
+    }
+}
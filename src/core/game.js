@@ -10,6 +10,24 @@
  * and allows game mechanics like zombie attacks and movement to operate on a predictable schedule.
  * The limited frame rate of 12 FPS gives the game an authentic retro feel reminiscent of
  * early computer games.
+ *
+ * In headless mode the game runs without a canvas or DOM (e.g. in Node). There is no
+ * requestAnimationFrame loop; the simulation is advanced explicitly with tick(), and
+ * all gameplay systems run while drawing is skipped.
+ *
+ * The flow of the game is owned by a GameStateMachine (loading, countdown, playing,
+ * paused, victory, defeat, results). Every transition is published as 'gameStateChanged';
+ * the simulation only advances in the playing state.
+ *
+ * A game ends with a single 'gameFinished' event: victory when the player reaches the
+ * finish line, or defeat when the whole team is eliminated, a zombie crosses the finish
+ * line (escapes past the left edge) or the level's time limit expires.
+ *
+ * loadLevel() and reset() tear down the current level (entities, gameplay services,
+ * systems and event subscriptions) and rebuild it in place, so a level can be retried
+ * or the next one started without reloading the page. The renderer, input, assets and
+ * audio are kept. loadLevel() also spawns the map's objects as the player advances, so
+ * a headless game plays a whole map with loadLevel() and tick().
  */
 
 import { ServiceLocator } from './service-locator.js';
@@ -30,36 +48,96 @@ import { MovementSystem } from '../systems/movement-system.js';
 import { CollisionSystem } from '../systems/collision-system.js';
 import { DamageSystem } from '../systems/damage-system.js';
 import { ShootingSystem } from '../systems/shooting-system.js';
+import { SpawnSystem } from '../systems/spawn-system.js';
+import { AbilitySystem } from '../systems/ability-system.js';
+import { BossSystem } from '../systems/boss-system.js';
 import { AssetLoader } from './asset-loader.js';
 import { AudioManager } from './audio-manager.js';
+import { RandomService } from './random-service.js';
+import { ReplayService } from './replay-service.js';
+import { ScoreService } from './score-service.js';
+import { GameSnapshot } from './game-snapshot.js';
+import { GameState, GameStateMachine } from './game-state.js';
+import { contentRegistry } from './content-registry.js';
+import { EntityAdapter } from './entity-adapter.js';
+import { ArchetypeFiles } from '../config/archetype-config.js';
+
+// Fixed time step of the simulation (12 updates per second)
+const FIXED_TIME_STEP = 1 / 12;
+
+// Range of the simulation time scale (slow motion to fast-forward)
+export const MIN_TIME_SCALE = 0.25;
+export const MAX_TIME_SCALE = 8;
+
+// What set a simulation time scale; the game runs at the product of all of them
+export const TimeScaleSource = {
+    PLAYBACK: 'playback',
+    TESTER: 'tester',
+    POWER_UP: 'powerUp'
+};
+
+// Timer group of the level's timers (e.g. map spawning)
+export const GAMEPLAY_TIMER_GROUP = 'gameplay';
+
+// Map objects are checked for spawning every 0.5 seconds of game time (every 6 frames)
+const MAP_SPAWN_INTERVAL = 0.5;
+
+// Services that survive a level reset (everything else is rebuilt)
+const PERSISTENT_SERVICES = ['game', 'renderer', 'input', 'eventBus', 'assetLoader', 'audioManager'];
+
+// Results published with the 'gameFinished' event
+export const GameResult = {
+    VICTORY: 'victory',
+    DEFEAT: 'defeat'
+};
+
+// Reasons published with the 'gameFinished' event
+export const GameFinishReason = {
+    FINISH_LINE_REACHED: 'finish_line_reached',
+    TEAM_ELIMINATED: 'team_eliminated',
+    ZOMBIE_CROSSED_FINISH_LINE: 'zombie_crossed_finish_line',
+    TIME_LIMIT_EXPIRED: 'time_limit_expired'
+};
 
 export class Game {
     /**
      * Create a new Game instance
      * @param {Object} config - Configuration object
-     * @param {HTMLCanvasElement} config.canvas - The canvas element
+     * @param {HTMLCanvasElement} config.canvas - The canvas element (not required when headless)
      * @param {number} config.width - Canvas width
      * @param {number} config.height - Canvas height
      * @param {Object} [config.finishLine] - Finish line configuration
      * @param {number} [config.finishLine.position] - Initial position of the finish line
      * @param {boolean} [config.finishLine.enabled] - Whether the finish line is enabled
+     * @param {boolean} [config.headless=false] - Run the simulation without a canvas or DOM
+     * @param {number|string} [config.seed] - Seed for the random service (generated if omitted)
+     * @param {number} [config.timeLimit] - Level time limit in seconds (no limit if omitted or 0)
+     * @param {number} [config.countdown] - Seconds of countdown before play starts (none if omitted or 0)
      */
     constructor(config) {
-        if (!config || !config.canvas) {
+        if (!config || (!config.canvas && !config.headless)) {
             throw new Error('Game requires a valid configuration with canvas element');
         }
 
         this.config = config;
+        this.headless = config.headless || false;
         this.isRunning = false;
-        this.isPaused = false;
         this.lastTimestamp = 0;
+        this.animationFrameId = null;
         this.frameCount = 0;
+        this.startFrame = 0; // Frame the game starts counting from (non-zero for restored games)
         this.accumulatedTime = 0;
         this.debugMode = config.debugMode || false;
         this.systems = [];
         this.killCount = 0;
         this.escapedCount = 0;
         this.eventBus = null;
+
+        // Number of fixed steps simulated per elapsed step of real time (e.g. 2 for 2x replay playback)
+        this.playbackSpeed = 1;
+
+        // Simulation time scales by source (see TimeScaleSource); sources at 1x are not listed
+        this.timeScales = new Map();
         
         // Player position tracking
         this.playerWorldPosition = 100; // Initial player position in world coordinates
@@ -72,8 +150,29 @@ export class Game {
             passed: false
         };
 
+        // Level time limit in seconds of simulated time (0 = no limit)
+        this.timeLimit = config.timeLimit > 0 ? config.timeLimit : 0;
+
+        // Result of the game once it has finished ({ result, reason }), null while playing
+        this.finishResult = null;
+
+        // Countdown shown before play starts, in seconds of real time
+        this.countdown = config.countdown > 0 ? config.countdown : 0;
+        this.countdownRemaining = 0;
+
         // Initialize core systems
         this._initializeSystems();
+
+        // Game flow, starting in the loading state until start() is called
+        this.stateMachine = new GameStateMachine(this.eventBus);
+
+        // Level being played (set by loadLevel), with the ids of map objects already spawned
+        this.map = null;
+
+        // Headless runs have no UI to register the game, so do it here
+        if (this.headless && !ServiceLocator.hasService('game')) {
+            ServiceLocator.registerService('game', this);
+        }
     }
 
     /**
@@ -90,7 +189,8 @@ export class Game {
             renderer = new Renderer({
                 canvas: this.config.canvas,
                 width: this.config.width,
-                height: this.config.height
+                height: this.config.height,
+                headless: this.headless
             });
             ServiceLocator.registerService('renderer', renderer);
         }
@@ -127,6 +227,20 @@ export class Game {
         }
         this.eventBus = eventBus;
 
+        // Check if random service already exists
+        let random;
+        try {
+            random = ServiceLocator.getService('random');
+            if (this.config.seed !== undefined) {
+                random.setSeed(this.config.seed);
+            }
+        } catch (e) {
+            // Create random service if it doesn't exist
+            random = new RandomService(this.config.seed);
+            ServiceLocator.registerService('random', random);
+        }
+        this.random = random;
+
         // Check if entity manager already exists
         let entityManager;
         try {
@@ -159,6 +273,26 @@ export class Game {
             effectService.initialize();
         }
 
+        // Check if replay service already exists
+        try {
+            ServiceLocator.getService('replay');
+        } catch (e) {
+            // Create replay service if it doesn't exist
+            const replayService = new ReplayService();
+            ServiceLocator.registerService('replay', replayService);
+            replayService.initialize();
+        }
+
+        // Check if score service already exists
+        try {
+            ServiceLocator.getService('scoreService');
+        } catch (e) {
+            // Create score service if it doesn't exist
+            const scoreService = new ScoreService();
+            ServiceLocator.registerService('scoreService', scoreService);
+            scoreService.initialize();
+        }
+
         // Check if player soldier service already exists
         try {
             ServiceLocator.getService('playerSoldierService');
@@ -174,7 +308,11 @@ export class Game {
                 // Create asset loader if it doesn't exist
                 assetLoader = new AssetLoader();
                 ServiceLocator.registerService('assetLoader', assetLoader);
-                assetLoader.loadAssets();
+
+                // Images and sounds can only be loaded in a browser
+                if (!this.headless) {
+                    assetLoader.loadAssets();
+                }
         }
 
         // Check if audio manager already exists
@@ -206,6 +344,16 @@ export class Game {
             this.addSystem(laneSystem);
         }
         
+        // Spawn system
+        let spawnSystem;
+        try {
+            spawnSystem = ServiceLocator.getService('spawnSystem');
+        } catch (e) {
+            spawnSystem = new SpawnSystem();
+            ServiceLocator.registerService('spawnSystem', spawnSystem);
+            this.addSystem(spawnSystem);
+        }
+        
         // Movement system
         let movementSystem;
         try {
@@ -236,6 +384,26 @@ export class Game {
             this.addSystem(damageSystem);
         }
         
+        // Ability system
+        let abilitySystem;
+        try {
+            abilitySystem = ServiceLocator.getService('abilitySystem');
+        } catch (e) {
+            abilitySystem = new AbilitySystem();
+            ServiceLocator.registerService('abilitySystem', abilitySystem);
+            this.addSystem(abilitySystem);
+        }
+        
+        // Boss system
+        let bossSystem;
+        try {
+            bossSystem = ServiceLocator.getService('bossSystem');
+        } catch (e) {
+            bossSystem = new BossSystem();
+            ServiceLocator.registerService('bossSystem', bossSystem);
+            this.addSystem(bossSystem);
+        }
+        
         // Shooting system
         let shootingSystem;
         try {
@@ -297,6 +465,10 @@ export class Game {
 
         // Store reference to the effect system
         this.effectSystem = effectSystem;
+
+        // Watch for the events that end the game in defeat
+        this.eventBus.subscribe('soldierKilled', this._handleSoldierKilled.bind(this), { owner: this });
+        this.eventBus.subscribe('enemyEscaped', this._handleEnemyEscaped.bind(this), { owner: this });
     }
     
     /**
@@ -304,9 +476,10 @@ export class Game {
      * @param {Object} options - Initialization options
      * @param {boolean} options.createPlayer - Whether to create a player (default: true)
      * @param {number} options.initialSoldiers - Number of initial soldiers (default: 0)
+     * @param {Object} [options.grenades] - Grenades the player starts with, by grenade type (e.g. { standard: 2, sticky: 1 })
      */
     initializeGame(options = {}) {
-        const { createPlayer = true, initialSoldiers = 0 } = options;
+        const { createPlayer = true, initialSoldiers = 0, grenades } = options;
         
         if (createPlayer) {
             // Create a player with the specified number of soldiers
@@ -315,11 +488,34 @@ export class Game {
                 this.player = EntityFactory.createPlayer(entityManager, initialSoldiers);
                 console.log(`Game initialized with player and ${initialSoldiers} soldiers`);
             }
+
+            if (this.player && grenades) {
+                Object.assign(this.player.getComponent('player').grenades, grenades);
+            }
         }
     }
 
+    /**
+     * Get the current game state
+     * @returns {string} The current state (see GameState)
+     */
+    get state() {
+        return this.stateMachine.getState();
+    }
+
+    /**
+     * Whether the simulation is halted (any state other than playing).
+     * Prefer reacting to 'gameStateChanged' events over polling this flag.
+     * @returns {boolean} True if the simulation is not advancing
+     */
+    get isPaused() {
+        return !this.stateMachine.is(GameState.PLAYING);
+    }
+
     /**
      * Start the game loop
+     * Moves from loading to paused (if startPaused), to the countdown (if configured) or to playing.
+     * @param {boolean} [startPaused=false] - Start in the paused state
      */
     start(startPaused = false) {
         if (this.isRunning) {
@@ -327,20 +523,27 @@ export class Game {
         }
 
         this.isRunning = true;
-        this.isPaused = startPaused;
-        this.lastTimestamp = performance.now();
-        this.frameCount = 0;
+        this.frameCount = this.startFrame;
 
-        // Start the game loop
-        requestAnimationFrame(this._gameLoop.bind(this));
+        if (startPaused) {
+            this.stateMachine.transition(GameState.PAUSED);
+        } else if (this.countdown > 0) {
+            this.countdownRemaining = this.countdown;
+            this.stateMachine.transition(GameState.COUNTDOWN, { seconds: this.countdown });
+        } else {
+            this.stateMachine.transition(GameState.PLAYING);
+        }
 
-        // Dispatch start event if in debug mode
-        if (this.debugMode && typeof window.dispatchEvent === 'function') {
-            const startEvent = new CustomEvent('game:start', {
-                detail: { paused: startPaused }
-            });
-            window.dispatchEvent(startEvent);
+        // Headless games are advanced with tick() instead of the animation frame loop
+        if (!this.headless) {
+            this.lastTimestamp = performance.now();
+
+            // Start the game loop
+            this.animationFrameId = requestAnimationFrame(this._gameLoop.bind(this));
         }
+
+        // Dispatch start event if in debug mode
+        this._dispatchDebugEvent('game:start', { paused: startPaused });
     }
 
     /**
@@ -349,74 +552,129 @@ export class Game {
     stop() {
         this.isRunning = false;
 
-        // Dispatch stop event if in debug mode
-        if (this.debugMode && typeof window.dispatchEvent === 'function') {
-            const stopEvent = new CustomEvent('game:stop');
-            window.dispatchEvent(stopEvent);
+        // Drop the pending frame so a restarted game never runs two loops
+        if (this.animationFrameId !== null && typeof cancelAnimationFrame === 'function') {
+            cancelAnimationFrame(this.animationFrameId);
         }
+        this.animationFrameId = null;
+
+        // Dispatch stop event if in debug mode
+        this._dispatchDebugEvent('game:stop');
     }
 
     /**
      * Pause the game loop
      */
     pause() {
-        if (!this.isRunning || this.isPaused) return;
+        if (!this.isRunning || !this.stateMachine.is(GameState.PLAYING)) return;
 
-        this.isPaused = true;
+        this.stateMachine.transition(GameState.PAUSED);
 
         // Dispatch pause event if in debug mode
-        if (this.debugMode && typeof window.dispatchEvent === 'function') {
-            const pauseEvent = new CustomEvent('game:pause');
-            window.dispatchEvent(pauseEvent);
-        }
+        this._dispatchDebugEvent('game:pause');
     }
 
     /**
      * Resume the game loop
      */
     resume() {
-        if (!this.isRunning || !this.isPaused) return;
+        if (!this.isRunning || !this.stateMachine.is(GameState.PAUSED)) return;
 
-        this.isPaused = false;
-        this.lastTimestamp = performance.now(); // Reset timestamp to avoid large delta
+        this.stateMachine.transition(GameState.PLAYING);
+        if (!this.headless) {
+            this.lastTimestamp = performance.now(); // Reset timestamp to avoid large delta
+        }
 
         // Dispatch resume event if in debug mode
-        if (this.debugMode && typeof window.dispatchEvent === 'function') {
-            const resumeEvent = new CustomEvent('game:resume');
-            window.dispatchEvent(resumeEvent);
-        }
+        this._dispatchDebugEvent('game:resume');
     }
 
     /**
      * Step the game loop by one frame
      */
     step() {
-        if (!this.isRunning || !this.isPaused) return;
+        if (!this.isRunning || !this.stateMachine.is(GameState.PAUSED)) return;
 
         // Use the same fixed time step as the game loop (12 updates per second)
-        const fixedTimeStep = 1/12;
+        const fixedTimeStep = FIXED_TIME_STEP;
 
         console.log("===== STEP: STARTING UPDATE OF ALL SYSTEMS =====");
 
-        // Update ALL systems explicitly, not just through _update()
-        for (const system of this.systems) {
-            if (typeof system.update === 'function') {
-                system.update(fixedTimeStep);
-            }
-        }
+        // Run exactly the same update as the game loop so stepping stays in sync
+        // with normal play (world position, finish line and recorded actions included)
+        this._update(fixedTimeStep);
 
         console.log("===== STEP: FINISHED UPDATE OF ALL SYSTEMS =====");
         // Increment frame count
         this.frameCount++;
 
         // Dispatch step event if in debug mode
-        if (this.debugMode && typeof window.dispatchEvent === 'function') {
-            const stepEvent = new CustomEvent('game:step', {
-                detail: { frameCount: this.frameCount, deltaTime: fixedTimeStep }
-            });
-            window.dispatchEvent(stepEvent);
+        this._dispatchDebugEvent('game:step', { frameCount: this.frameCount, deltaTime: fixedTimeStep });
+    }
+
+    /**
+     * Advance the simulation by a number of fixed time steps.
+     * Used to drive headless games, where there is no animation frame loop.
+     * Steps spent on the countdown advance the countdown instead of the simulation.
+     * Stops early if the game leaves the playing state (e.g. when the finish line is reached).
+     * @param {number} [frames=1] - Number of 1/12 second steps to run
+     * @returns {number} The number of steps actually simulated
+     */
+    tick(frames = 1) {
+        if (!this.isRunning) return 0;
+
+        // Use the same fixed time step as the game loop (12 updates per second)
+        const fixedTimeStep = FIXED_TIME_STEP;
+
+        let steps = 0;
+        let simulated = 0;
+        while (steps < frames) {
+            if (this.stateMachine.is(GameState.COUNTDOWN)) {
+                this._updateCountdown(fixedTimeStep);
+            } else if (this.stateMachine.is(GameState.PLAYING)) {
+                this._update(fixedTimeStep);
+                this.frameCount++;
+                simulated++;
+            } else {
+                break;
+            }
+            steps++;
         }
+
+        return simulated;
     }
+
+    /**
+     * Count down before play starts; moves to playing once the countdown is over.
+     * Publishes 'countdownTick' every time the whole number of seconds left changes.
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @private
+     */
+    _updateCountdown(deltaTime) {
+        const previousSeconds = Math.ceil(this.countdownRemaining);
+        this.countdownRemaining = Math.max(0, this.countdownRemaining - deltaTime);
+
+        if (this.countdownRemaining <= 0) {
+            this.stateMachine.transition(GameState.PLAYING);
+            return;
+        }
+
+        const seconds = Math.ceil(this.countdownRemaining);
+        if (seconds !== previousSeconds && this.eventBus) {
+            this.eventBus.publish('countdownTick', { seconds });
+        }
+    }
+
+    /**
+     * Draw the current world without advancing the simulation (used during the countdown)
+     * @private
+     */
+    _renderOnly() {
+        if (ServiceLocator.hasService('renderSystem')) {
+            ServiceLocator.getService('renderSystem').update(0);
+        }
+    }
+
     /**
      * The main game loop
      * @param {number} timestamp - The current timestamp
@@ -430,16 +688,22 @@ export class Game {
         this.lastTimestamp = timestamp;
 
         // Fixed time step for updates (12 updates per second)
-        const fixedTimeStep = 1 / 12;
+        const fixedTimeStep = FIXED_TIME_STEP;
 
-        // Only update if not paused
-        if (!this.isPaused) {
-            // Accumulate time since last update
-            this.accumulatedTime = (this.accumulatedTime || 0) + deltaTime;
+        // Count down in real time and keep showing the world until play starts
+        if (this.stateMachine.is(GameState.COUNTDOWN)) {
+            this._updateCountdown(deltaTime);
+            this._renderOnly();
+        }
+
+        // Only update while playing
+        if (this.stateMachine.is(GameState.PLAYING)) {
+            // Accumulate time since last update (scaled by the simulation time scale)
+            this.accumulatedTime = (this.accumulatedTime || 0) + deltaTime * this.getTimeScale();
 
             // Update game state at fixed intervals
             let updated = false;
-            while (this.accumulatedTime >= fixedTimeStep) {
+            while (this.accumulatedTime >= fixedTimeStep && this.stateMachine.is(GameState.PLAYING)) {
                 this._update(fixedTimeStep);
                 this.accumulatedTime -= fixedTimeStep;
                 updated = true;
@@ -449,16 +713,13 @@ export class Game {
             }
 
             // Dispatch frame event if in debug mode and an update occurred
-            if (updated && this.debugMode && typeof window.dispatchEvent === 'function') {
-                const frameEvent = new CustomEvent('game:frame', {
-                    detail: { frameCount: this.frameCount, deltaTime: fixedTimeStep }
-                });
-                window.dispatchEvent(frameEvent);
+            if (updated) {
+                this._dispatchDebugEvent('game:frame', { frameCount: this.frameCount, deltaTime: fixedTimeStep });
             }
         }
 
         // Schedule next frame
-        requestAnimationFrame(this._gameLoop.bind(this));
+        this.animationFrameId = requestAnimationFrame(this._gameLoop.bind(this));
     }
 
     /**
@@ -468,8 +729,12 @@ export class Game {
      */
     _update(deltaTime) {
         // Log update cycle (only if window.debugLog is defined)
-        if (typeof window.debugLog === 'function') {
-            window.debugLog(`Game update cycle: deltaTime=${deltaTime.toFixed(4)}s`);
+        this._debugLog(`Game update cycle: deltaTime=${deltaTime.toFixed(4)}s`);
+
+        // Let frame-driven services (e.g. queued player actions) run before the systems
+        if (this.eventBus) {
+            this.eventBus.setFrame(this.frameCount);
+            this.eventBus.publish('frameStarted', { frame: this.frameCount, deltaTime });
         }
 
         // Update player world position based on game speed
@@ -485,20 +750,133 @@ export class Game {
 
         // Update all systems
         for (const system of this.systems) {
-            if (typeof window.debugLog === 'function') {
-                window.debugLog(`Updating system: ${system.name}`);
-            }
+            this._debugLog(`Updating system: ${system.name}`);
             system.update(deltaTime);
         }
 
+        // Publish the events deferred during the update, now that no system is iterating its entities
+        if (this.eventBus) {
+            this.eventBus.flush();
+        }
+
         // Check if player has passed the finish line
         this._checkFinishLine();
 
-        if (typeof window.debugLog === 'function') {
-            window.debugLog('Game update cycle completed');
+        // Check if the level time has run out
+        this._checkTimeLimit();
+
+        this._debugLog('Game update cycle completed');
+    }
+
+    /**
+     * In debug mode, warn about event subscriptions that were dropped because their
+     * owner did not release them
+     * @param {string} reason - Why the subscriptions were dropped
+     * @param {Object} report - The dropped subscriptions, by event type, then owner name
+     * @private
+     */
+    _reportLeakedSubscriptions(reason, report) {
+        if (!this.debugMode || Object.keys(report).length === 0) {
+            return;
+        }
+
+        const lines = Object.entries(report).map(([eventType, owners]) =>
+            `  ${eventType}: ${Object.entries(owners).map(([owner, count]) => `${owner} x${count}`).join(', ')}`);
+        console.warn(`[GAME] Leaked event subscriptions ${reason}:\n${lines.join('\n')}`);
+    }
+
+    /**
+     * Log a message through window.debugLog if it is defined
+     * @param {string} message - The message to log
+     * @private
+     */
+    _debugLog(message) {
+        if (typeof window !== 'undefined' && typeof window.debugLog === 'function') {
+            window.debugLog(message);
         }
     }
 
+    /**
+     * Dispatch a window event for debug tools if in debug mode and running in a browser
+     * @param {string} type - The event type (e.g. 'game:pause')
+     * @param {Object} [detail] - Optional event detail
+     * @private
+     */
+    _dispatchDebugEvent(type, detail) {
+        if (!this.debugMode || typeof window === 'undefined' || typeof window.dispatchEvent !== 'function') {
+            return;
+        }
+
+        const event = detail !== undefined ? new CustomEvent(type, { detail }) : new CustomEvent(type);
+        window.dispatchEvent(event);
+    }
+
+    /**
+     * Set how many fixed steps are simulated per step of real time.
+     * Used for fast-forwarding replays; each step still uses the fixed 1/12 second time step,
+     * so the simulation result is identical at any playback speed.
+     * @param {number} speed - Playback speed multiplier (e.g. 1, 2 or 4), from MIN_TIME_SCALE to MAX_TIME_SCALE
+     * @throws {Error} If the speed is not a positive number, or is outside MIN_TIME_SCALE to MAX_TIME_SCALE
+     */
+    setPlaybackSpeed(speed) {
+        if (typeof speed !== 'number' || !(speed > 0)) {
+            throw new Error('Playback speed must be a positive number');
+        }
+        if (speed < MIN_TIME_SCALE || speed > MAX_TIME_SCALE) {
+            throw new Error(`Playback speed must be between ${MIN_TIME_SCALE} and ${MAX_TIME_SCALE}`);
+        }
+
+        this.setTimeScale(speed, TimeScaleSource.PLAYBACK);
+        this.playbackSpeed = speed;
+    }
+
+    /**
+     * Set a simulation time scale, e.g. 0.5 for slow motion or 4 to fast-forward.
+     * The time scale changes how many fixed steps run per second of real time, not the
+     * step itself, so gun cooldowns, damage intervals, effects and timers all follow it
+     * and a run plays out the same at any time scale. Headless games advanced with tick()
+     * are not affected. Publishes 'timeScaleChanged'.
+     * @param {number} scale - Time scale, from MIN_TIME_SCALE to MAX_TIME_SCALE (1 to clear it)
+     * @param {string} [source=TimeScaleSource.TESTER] - What sets the time scale; each source
+     *                                                  replaces its own previous time scale
+     */
+    setTimeScale(scale, source = TimeScaleSource.TESTER) {
+        if (typeof scale !== 'number' || !(scale >= MIN_TIME_SCALE && scale <= MAX_TIME_SCALE)) {
+            throw new Error(`Time scale must be between ${MIN_TIME_SCALE} and ${MAX_TIME_SCALE}`);
+        }
+
+        if (scale === 1) {
+            this.timeScales.delete(source);
+        } else {
+            this.timeScales.set(source, scale);
+        }
+
+        if (this.eventBus) {
+            this.eventBus.publish('timeScaleChanged', { timeScale: this.getTimeScale(), source, scale });
+        }
+    }
+
+    /**
+     * Remove the time scale set by a source
+     * @param {string} source - What set the time scale (see TimeScaleSource)
+     */
+    clearTimeScale(source) {
+        this.setTimeScale(1, source);
+    }
+
+    /**
+     * Get the simulation time scale: the product of the time scales of every source,
+     * limited to MIN_TIME_SCALE to MAX_TIME_SCALE
+     * @returns {number} The time scale (1 for real time)
+     */
+    getTimeScale() {
+        let scale = 1;
+        for (const sourceScale of this.timeScales.values()) {
+            scale *= sourceScale;
+        }
+        return Math.min(MAX_TIME_SCALE, Math.max(MIN_TIME_SCALE, scale));
+    }
+
     /**
      * Add a system to the game loop
      * @param {Object} system - The system to add
@@ -526,6 +904,161 @@ export class Game {
         return system;
     }
 
+    /**
+     * Tear down the current level and build an empty one in its place.
+     * Entities, gameplay services and systems are discarded, along with their event
+     * subscriptions; the renderer, input, assets and audio are kept. The game is left
+     * stopped in the loading state, ready for start(). Event listeners outside the game
+     * (e.g. the UI) must release their subscriptions before and subscribe again after;
+     * any other subscription is dropped and, in debug mode, reported as leaked.
+     * @param {Object} [config={}] - Configuration overrides for the new level
+     *                               (finishLine, timeLimit, countdown, seed; see constructor)
+     * @returns {Game} This game
+     */
+    reset(config = {}) {
+        this.stop();
+
+        const persistent = PERSISTENT_SERVICES
+            .filter(name => ServiceLocator.hasService(name))
+            .map(name => ServiceLocator.getService(name));
+        const levelOwners = [
+            ...this.systems,
+            ...ServiceLocator.getServiceNames().map(name => ServiceLocator.getService(name))
+        ];
+
+        // Stop every subscriber first so nothing reacts to the teardown: the game's own,
+        // and any left by listeners outside the game
+        this.eventBus.clearQueue();
+        this.eventBus.setFrame(0);
+        this.eventBus.unsubscribeOwner(this);
+        this._reportLeakedSubscriptions('still subscribed when the level was reset',
+            this.eventBus.unsubscribeAllExcept([...persistent, ...levelOwners]));
+
+        // Let systems and services release what they hold, including their subscriptions
+        const destroyed = new Set(persistent);
+
+        for (const system of this.systems) {
+            if (!destroyed.has(system) && typeof system.destroy === 'function') {
+                system.destroy();
+            }
+            destroyed.add(system);
+        }
+
+        for (const name of ServiceLocator.getServiceNames()) {
+            const service = ServiceLocator.getService(name);
+            if (!destroyed.has(service) && typeof service.destroy === 'function') {
+                service.destroy();
+            }
+            destroyed.add(service);
+
+            if (!PERSISTENT_SERVICES.includes(name)) {
+                ServiceLocator.removeService(name);
+            }
+        }
+
+        // Only the persistent services (e.g. audio) keep their subscriptions
+        this._reportLeakedSubscriptions('not released when their owner was destroyed',
+            this.eventBus.unsubscribeAllExcept(persistent));
+
+        // Reset the game state for the new level
+        this.config = { ...this.config, ...config };
+        this.systems = [];
+        this.player = null;
+        this.frameCount = 0;
+        this.startFrame = 0;
+        this.accumulatedTime = 0;
+        this.killCount = 0;
+        this.escapedCount = 0;
+        this.playerWorldPosition = 100;
+        this.finishLine = {
+            enabled: this.config.finishLine?.enabled || false,
+            initialPosition: this.config.finishLine?.position || 0,
+            currentPosition: this.config.finishLine?.position || 0,
+            passed: false
+        };
+        this.timeLimit = this.config.timeLimit > 0 ? this.config.timeLimit : 0;
+        this.countdown = this.config.countdown > 0 ? this.config.countdown : 0;
+        this.countdownRemaining = 0;
+        this.finishResult = null;
+
+        // Archetype values overridden by the previous map no longer apply
+        contentRegistry.setOverrides(null);
+
+        // A power-up's slow motion ends with its level
+        this.timeScales.delete(TimeScaleSource.POWER_UP);
+
+        // Rebuild services and systems, and subscribe again
+        this._initializeSystems();
+        if (ServiceLocator.hasService('audioManager')) {
+            ServiceLocator.getService('audioManager').subscribeToGameState();
+        }
+        this.stateMachine = new GameStateMachine(this.eventBus);
+
+        console.log('[GAME] Level reset');
+        return this;
+    }
+
+    /**
+     * Load a level map: reset the game for it, create the player and the map objects near
+     * it, and spawn the other map objects as the player comes within reach of them (on the
+     * 'mapSpawning' timer), so ticking the game plays the whole map.
+     * The finish line, time limit and archetype overrides come from the map; the map is
+     * copied so it can be played again from the start (see createdObjectIds).
+     * The archetypes must be loaded first (see AssetLoader.loadArchetypes).
+     * @param {Object} map - The level map (as loaded, e.g. from default-maps.json)
+     * @param {Object} [options={}] - Level options
+     * @param {number|string} [options.seed] - Seed for the run (defaults to the map's seed, generated if neither is set)
+     * @param {number} [options.countdown] - Seconds of countdown before play starts
+     * @param {number} [options.initialSoldiers=3] - Number of soldiers the player starts with
+     * @param {boolean} [options.createPlayer=true] - Whether to create the player (false when restoring a snapshot)
+     * @param {Object} [options.grenades] - Grenades the player starts with, by grenade type
+     * @returns {Game} This game
+     * @throws {Error} If there is no map or the archetypes are not loaded
+     */
+    loadLevel(map, options = {}) {
+        if (!map) {
+            throw new Error('loadLevel requires a map');
+        }
+
+        // Without its archetypes a type would be created without its stats
+        const missingArchetypes = Object.keys(ArchetypeFiles).filter(category => !contentRegistry.hasArchetypes(category));
+        if (missingArchetypes.length > 0) {
+            throw new Error(`loadLevel requires the archetypes to be loaded (missing: ${missingArchetypes.join(', ')})`);
+        }
+
+        const { initialSoldiers = 3, createPlayer = true, grenades } = options;
+        const seed = options.seed !== undefined ? options.seed : map.seed;
+
+        this.reset({
+            finishLine: { enabled: true, position: map.length || 6000 },
+            timeLimit: map.timeLimit,
+            countdown: options.countdown !== undefined ? options.countdown : this.config.countdown,
+            seed: seed !== undefined && seed !== null ? seed : undefined
+        });
+
+        // Work on a copy so the original map can be reloaded unchanged
+        this.map = JSON.parse(JSON.stringify(map));
+        this.map.createdObjectIds = new Set();
+
+        // The map can override archetype values (e.g. zombie health) for itself
+        contentRegistry.setOverrides(this.map.archetypes);
+
+        // Spawn zones spawn entities as the player travels through them
+        ServiceLocator.getService('spawnSystem').loadZones(this.map.spawnZones || []);
+
+        this.initializeGame({ createPlayer, initialSoldiers, grenades });
+
+        // Map objects spawn as the player comes within reach of them, on game time
+        this.spawnMapObjects();
+        ServiceLocator.getService('timer').setInterval(MAP_SPAWN_INTERVAL, () => this.spawnMapObjects(), {
+            name: 'mapSpawning',
+            group: GAMEPLAY_TIMER_GROUP
+        });
+
+        console.log(`[GAME] Level loaded: ${map.name || 'Unnamed Map'}`);
+        return this;
+    }
+
     /**
      * Clean up resources when the game is destroyed
      */
@@ -541,6 +1074,11 @@ export class Game {
 
         this.systems = [];
 
+        // Release the game's own subscriptions
+        if (this.eventBus) {
+            this.eventBus.unsubscribeOwner(this);
+        }
+
         // Clear services
         ServiceLocator.clearServices();
 
@@ -586,19 +1124,134 @@ export class Game {
     // Method to handle when player passes the finish line
     _handleFinishLinePassed() {
         console.log('Player passed the finish line!');
-        
-        // Pause the game
-        this.pause();
-        
+
+        this._finishGame(GameResult.VICTORY, GameFinishReason.FINISH_LINE_REACHED);
+    }
+
+    /**
+     * End the game in defeat when the time limit has expired
+     * @private
+     */
+    _checkTimeLimit() {
+        if (!this.timeLimit || this.finishResult) return;
+
+        // frameCount is incremented after the update, so this update is frame frameCount + 1
+        if ((this.frameCount + 1) * FIXED_TIME_STEP >= this.timeLimit) {
+            console.log('[GAME] Time limit expired');
+            this._finishGame(GameResult.DEFEAT, GameFinishReason.TIME_LIMIT_EXPIRED);
+        }
+    }
+
+    /**
+     * End the game in defeat when the last soldier of the team has been killed
+     * @param {Object} event - Event data
+     * @param {Entity} event.entity - The soldier that was killed
+     * @private
+     */
+    _handleSoldierKilled(event) {
+        if (!this.isRunning || this.finishResult) return;
+
+        const entityManager = ServiceLocator.getService('entityManager');
+        const survivors = entityManager.getEntitiesWithTag('soldier').filter(soldier => {
+            const health = soldier.getComponent('health');
+            return soldier !== event.entity && !(health && health.isDead);
+        });
+
+        if (survivors.length === 0) {
+            console.log('[GAME] Team eliminated');
+            this._finishGame(GameResult.DEFEAT, GameFinishReason.TEAM_ELIMINATED);
+        }
+    }
+
+    /**
+     * End the game in defeat when a zombie escapes past the left edge of the screen
+     * @private
+     */
+    _handleEnemyEscaped() {
+        if (!this.isRunning || this.finishResult) return;
+
+        console.log('[GAME] A zombie crossed the finish line');
+        this._finishGame(GameResult.DEFEAT, GameFinishReason.ZOMBIE_CROSSED_FINISH_LINE);
+    }
+
+    /**
+     * Move to the victory or defeat state and publish the 'gameFinished' event (only once per game)
+     * @param {string} result - The result (see GameResult)
+     * @param {string} reason - Why the game ended (see GameFinishReason)
+     * @private
+     */
+    _finishGame(result, reason) {
+        if (this.finishResult) return;
+
+        this.finishResult = { result, reason };
+
+        // Stop the simulation; victory and defeat can only move on to the results
+        const state = result === GameResult.VICTORY ? GameState.VICTORY : GameState.DEFEAT;
+        this.stateMachine.transition(state, { reason });
+
         // Publish game finished event using only the EventBus
         if (this.eventBus) {
-            this.eventBus.publish('gameFinished', {
-                result: 'victory',
-                reason: 'finish_line_reached'
-            });
+            this.eventBus.publish('gameFinished', { result, reason });
         }
     }
 
+    /**
+     * Move from victory or defeat to the results screen
+     */
+    showResults() {
+        if (!this.stateMachine.is(GameState.VICTORY, GameState.DEFEAT)) return;
+
+        this.stateMachine.transition(GameState.RESULTS, this.finishResult);
+    }
+
+    /**
+     * Get the time left before the level time limit expires
+     * @returns {number|null} Remaining seconds, or null if the level has no time limit
+     */
+    getTimeRemaining() {
+        if (!this.timeLimit) return null;
+
+        return Math.max(0, this.timeLimit - this.frameCount * FIXED_TIME_STEP);
+    }
+
+    /**
+     * Create a snapshot of the complete game state that can be saved as JSON
+     * @param {Object} [session={}] - Extra JSON-safe data to store with the snapshot (map, UI counters, ...)
+     * @returns {Object} The snapshot
+     */
+    createSnapshot(session = {}) {
+        return GameSnapshot.create(this, session);
+    }
+
+    /**
+     * Restore a snapshot created by createSnapshot().
+     * Must be called on a newly constructed game before start(); the game then
+     * continues from the saved frame.
+     * @param {Object} snapshot - The snapshot
+     * @throws {Error} If the snapshot is invalid or the game is already running
+     */
+    restoreSnapshot(snapshot) {
+        GameSnapshot.restore(this, snapshot);
+    }
+
+    /**
+     * Create the objects of the level map that the player has come within reach of and
+     * that were not created yet
+     */
+    spawnMapObjects() {
+        if (!this.map) return;
+
+        EntityAdapter.createEntitiesFromMap(this.map, this.playerWorldPosition);
+    }
+
+    /**
+     * Get the seed of the current run
+     * @returns {number} The random service seed
+     */
+    getSeed() {
+        return this.random.getSeed();
+    }
+
     /**
      * Get the current finish line data for rendering
      * @returns {Object|null} Finish line data or null if disabled
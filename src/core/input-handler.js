@@ -33,6 +33,11 @@ export class InputHandler {
      * @private
      */
     _bindEventListeners() {
+        // No window to listen on when running headless (e.g. in Node)
+        if (typeof window === 'undefined') {
+            return;
+        }
+
         // Keyboard events
         window.addEventListener('keydown', this._handleKeyDown.bind(this));
         window.addEventListener('keyup', this._handleKeyUp.bind(this));
@@ -202,12 +207,14 @@ export class InputHandler {
      */
     destroy() {
         // Remove event listeners
-        window.removeEventListener('keydown', this._handleKeyDown);
-        window.removeEventListener('keyup', this._handleKeyUp);
-        window.removeEventListener('touchstart', this._handleTouchStart);
-        window.removeEventListener('touchmove', this._handleTouchMove);
-        window.removeEventListener('touchend', this._handleTouchEnd);
-        window.removeEventListener('contextmenu', (e) => e.preventDefault());
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('keydown', this._handleKeyDown);
+            window.removeEventListener('keyup', this._handleKeyUp);
+            window.removeEventListener('touchstart', this._handleTouchStart);
+            window.removeEventListener('touchmove', this._handleTouchMove);
+            window.removeEventListener('touchend', this._handleTouchEnd);
+            window.removeEventListener('contextmenu', (e) => e.preventDefault());
+        }
         
         // Clear data
         this.keys.clear();
@@ -0,0 +1,167 @@
+/**
+ * Lane Broadphase
+ *
+ * Sweep-and-prune broadphase for lane-based collisions. Each lane keeps its entities
+ * sorted by the left edge of their hitbox, so only entities whose x intervals overlap
+ * have to be tested against each other. Entities only move a little between updates,
+ * so the lanes stay nearly sorted and an insertion sort puts them back in order in
+ * close to linear time.
+ *
+ * Entities occupying several lanes (see CollisionComponent.getOccupiedLanes) are listed
+ * in each of their lanes; overlapping pairs are still reported only once.
+ */
+
+export class LaneBroadphase {
+    /**
+     * Create a new LaneBroadphase instance
+     * @param {number} laneCount - Number of lanes
+     */
+    constructor(laneCount) {
+        // Entries ({ id, left, right }) of each lane, sorted by left edge
+        this.lanes = [];
+
+        // Widest hitbox of each lane, used to bound queries
+        this.maxWidths = [];
+
+        for (let i = 0; i < laneCount; i++) {
+            this.lanes[i] = [];
+            this.maxWidths[i] = 0;
+        }
+    }
+
+    /**
+     * Bring every lane up to date with its entities and their current positions
+     * @param {Set<number>[]} entityIdsByLane - Ids of the entities in each lane
+     * @param {EntityManager} entityManager - The entity manager
+     */
+    update(entityIdsByLane, entityManager) {
+        for (let laneIndex = 0; laneIndex < this.lanes.length; laneIndex++) {
+            this.updateLane(laneIndex, entityIdsByLane[laneIndex] || new Set(), entityManager);
+        }
+    }
+
+    /**
+     * Bring a lane up to date: drop entities that left it, add the ones that joined it,
+     * refresh every hitbox and restore the order
+     * @param {number} laneIndex - The lane index
+     * @param {Set<number>} entityIds - Ids of the entities in the lane
+     * @param {EntityManager} entityManager - The entity manager
+     */
+    updateLane(laneIndex, entityIds, entityManager) {
+        // Keep the previous order so the lane only needs a few swaps
+        const entries = this.lanes[laneIndex].filter(entry => entityIds.has(entry.id));
+        const listed = new Set(entries.map(entry => entry.id));
+        for (const id of entityIds) {
+            if (!listed.has(id)) {
+                entries.push({ id, left: 0, right: 0 });
+            }
+        }
+
+        let maxWidth = 0;
+        const valid = [];
+        for (const entry of entries) {
+            const entity = entityManager.getEntity(entry.id);
+            const transform = entity ? entity.getComponent('transform') : null;
+            const collision = entity ? entity.getComponent('collision') : null;
+            if (!transform || !collision) continue;
+
+            const bounds = collision.getHitboxBounds(transform);
+            entry.left = bounds.left;
+            entry.right = bounds.right;
+            maxWidth = Math.max(maxWidth, bounds.right - bounds.left);
+            valid.push(entry);
+        }
+
+        LaneBroadphase.insertionSort(valid);
+
+        this.lanes[laneIndex] = valid;
+        this.maxWidths[laneIndex] = maxWidth;
+    }
+
+    /**
+     * Get the pairs of entities sharing a lane whose hitboxes overlap on x
+     * @returns {Array<number[]>} Pairs of entity ids, each pair once, in lane and x order
+     */
+    getOverlappingPairs() {
+        const pairs = [];
+        const reported = new Set();
+
+        for (const entries of this.lanes) {
+            for (let i = 0; i < entries.length; i++) {
+                const entry = entries[i];
+
+                // Entries are sorted by left edge: stop at the first one starting past this one
+                for (let j = i + 1; j < entries.length && entries[j].left <= entry.right; j++) {
+                    const other = entries[j];
+                    const pairId = entry.id < other.id ? `${entry.id}-${other.id}` : `${other.id}-${entry.id}`;
+                    if (reported.has(pairId)) continue;
+
+                    reported.add(pairId);
+                    pairs.push([entry.id, other.id]);
+                }
+            }
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Get the entities of a lane whose hitboxes overlap an x interval
+     * @param {number} laneIndex - The lane index
+     * @param {number} left - Left edge of the interval
+     * @param {number} right - Right edge of the interval
+     * @returns {number[]} Ids of the overlapping entities, in x order
+     */
+    query(laneIndex, left, right) {
+        const entries = this.lanes[laneIndex];
+        if (!entries) return [];
+
+        // No hitbox is wider than maxWidth, so nothing starting before this can reach the interval
+        let index = LaneBroadphase.lowerBound(entries, left - this.maxWidths[laneIndex]);
+
+        const ids = [];
+        for (; index < entries.length && entries[index].left <= right; index++) {
+            if (entries[index].right >= left) {
+                ids.push(entries[index].id);
+            }
+        }
+        return ids;
+    }
+
+    /**
+     * Sort entries by left edge. Fast on nearly sorted entries and stable, so entities
+     * at the same position keep their order and the simulation stays deterministic.
+     * @param {Object[]} entries - The entries to sort in place
+     */
+    static insertionSort(entries) {
+        for (let i = 1; i < entries.length; i++) {
+            const entry = entries[i];
+            let j = i - 1;
+            while (j >= 0 && entries[j].left > entry.left) {
+                entries[j + 1] = entries[j];
+                j--;
+            }
+            entries[j + 1] = entry;
+        }
+    }
+
+    /**
+     * Find the first entry whose left edge is at or after a position
+     * @param {Object[]} entries - Entries sorted by left edge
+     * @param {number} position - The position
+     * @returns {number} Index of the first such entry (entries.length if there is none)
+     */
+    static lowerBound(entries, position) {
+        let low = 0;
+        let high = entries.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (entries[middle].left < position) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+}
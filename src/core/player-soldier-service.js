@@ -298,25 +298,25 @@ export const PlayerSoldierService = {
 
         const props = playerComp.grenadeProperties[grenadeType];
 
-        const grenade = entityManager.createEntity();
+        const grenade = entityManager.createPooledEntity();
 
-        const grenadeTransform = new TransformComponent();
+        const grenadeTransform = entityManager.acquireComponent(TransformComponent);
         grenadeTransform.init({ x: transform.x + 30, y: transform.y });
         grenade.addComponent(grenadeTransform);
 
-        const render = new RenderComponent();
+        const render = entityManager.acquireComponent(RenderComponent);
         render.setAsCircle(props.width / 2, props.color);
         grenade.addComponent(render);
 
-        const movement = new MovementComponent();
+        const movement = entityManager.acquireComponent(MovementComponent);
         movement.init({ type: MovementType.PROJECTILE, speed: props.speed, directionX: 1 });
         grenade.addComponent(movement);
 
-        const collision = new CollisionComponent();
+        const collision = entityManager.acquireComponent(CollisionComponent);
         collision.init({ collisionType: CollisionType.PROJECTILE, width: props.width, height: props.height });
         grenade.addComponent(collision);
 
-        const projectile = new ProjectileComponent();
+        const projectile = entityManager.acquireComponent(ProjectileComponent);
 
         projectile.init({
             damage: props.damage,
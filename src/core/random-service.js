@@ -0,0 +1,179 @@
+/**
+ * Random Service
+ *
+ * Seedable pseudo-random number generator used by all gameplay code.
+ * Gameplay must never call Math.random() directly: drawing every random value
+ * from this service makes two runs with the same seed play out identically,
+ * which is required for bug reports, replays and daily challenges.
+ *
+ * Uses the mulberry32 algorithm (32-bit state, fast and good enough for gameplay).
+ */
+
+export class RandomService {
+    /**
+     * Create a new RandomService instance
+     * @param {number|string} [seed] - Initial seed (a random seed is generated if omitted)
+     */
+    constructor(seed) {
+        this.seed = 0;
+        this.state = 0;
+
+        this.setSeed(seed !== undefined && seed !== null && seed !== '' ? seed : RandomService.generateSeed());
+    }
+
+    /**
+     * Generate a new seed for runs that were not given one
+     * This is the only place allowed to use Math.random()
+     * @returns {number} A 32-bit unsigned seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xffffffff) >>> 0;
+    }
+
+    /**
+     * Convert a seed value to a 32-bit unsigned integer
+     * Numeric strings are parsed as numbers, other strings are hashed
+     * @param {number|string} seed - The seed value
+     * @returns {number} A 32-bit unsigned seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        // FNV-1a hash for text seeds (e.g. "daily-2024-05-01")
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Set the seed and restart the sequence
+     * @param {number|string} seed - The new seed
+     * @returns {RandomService} This service for method chaining
+     */
+    setSeed(seed) {
+        this.seed = RandomService.normalizeSeed(seed);
+        this.state = this.seed;
+
+        console.log(`[RANDOM_SERVICE] Seed set to ${this.seed}`);
+        return this;
+    }
+
+    /**
+     * Get the seed the current sequence was started with
+     * @returns {number} The seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get the current generator state (for saving a run mid-way)
+     * @returns {number} The internal state
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore a previously saved generator state
+     * @param {number} state - The internal state returned by getState()
+     * @returns {RandomService} This service for method chaining
+     */
+    setState(state) {
+        this.state = state >>> 0;
+        return this;
+    }
+
+    /**
+     * Get the next random number
+     * @returns {number} A float in the range [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random float in a range
+     * @param {number} min - Minimum value (inclusive)
+     * @param {number} max - Maximum value (exclusive)
+     * @returns {number} A float in the range [min, max)
+     */
+    nextFloat(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get a random integer in a range
+     * @param {number} min - Minimum value (inclusive)
+     * @param {number} max - Maximum value (inclusive)
+     * @returns {number} An integer in the range [min, max]
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Return true with the given probability
+     * @param {number} probability - Probability between 0 and 1
+     * @returns {boolean} True with the given probability
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} items - The array to pick from
+     * @returns {*} A random element, or undefined if the array is empty
+     */
+    pick(items) {
+        if (!items || items.length === 0) {
+            return undefined;
+        }
+
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Pick a random element from an array using per-item weights
+     * @param {Array} items - The array to pick from
+     * @param {Function} [getWeight] - Returns the weight of an item (defaults to item.weight, or 1)
+     * @returns {*} A random element, or undefined if the array is empty or all weights are zero
+     */
+    weightedPick(items, getWeight = (item) => (item && item.weight !== undefined ? item.weight : 1)) {
+        if (!items || items.length === 0) {
+            return undefined;
+        }
+
+        const totalWeight = items.reduce((sum, item) => sum + Math.max(0, getWeight(item)), 0);
+        if (totalWeight <= 0) {
+            return undefined;
+        }
+
+        let roll = this.next() * totalWeight;
+        for (const item of items) {
+            roll -= Math.max(0, getWeight(item));
+            if (roll < 0) {
+                return item;
+            }
+        }
+
+        return items[items.length - 1];
+    }
+}
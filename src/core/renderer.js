@@ -13,12 +13,19 @@ export class Renderer {
      * @param {HTMLCanvasElement} config.canvas - The canvas element
      * @param {number} config.width - Canvas width
      * @param {number} config.height - Canvas height
+     * @param {boolean} [config.headless=false] - Run without a canvas; drawing calls become no-ops
      */
     constructor(config) {
+        if (config && config.headless) {
+            this._initializeHeadless(config);
+            return;
+        }
+
         if (!config || !config.canvas) {
             throw new Error('Renderer requires a valid configuration with canvas element');
         }
 
+        this.headless = false;
         this.canvas = config.canvas;
         this.ctx = this.canvas.getContext('2d');
 
@@ -38,11 +45,36 @@ export class Renderer {
         this._setupDefaultSettings();
     }
 
+    /**
+     * Set up a renderer that only tracks screen dimensions (no DOM required)
+     * @param {Object} config - Configuration object
+     * @private
+     */
+    _initializeHeadless(config) {
+        this.headless = true;
+        this.canvas = null;
+        this.ctx = null;
+
+        // Store dimensions for reference
+        this.width = config.width || 800;
+        this.height = config.height || 600;
+    }
+
+    /**
+     * Check if the renderer is running without a canvas
+     * @returns {boolean} True if headless, false otherwise
+     */
+    isHeadless() {
+        return this.headless;
+    }
+
     /**
      * Set up default rendering settings
      * @private
      */
     _setupDefaultSettings() {
+        if (this.headless) return;
+
         // Set default font
         this.ctx.font = '16px Arial';
 
@@ -58,6 +90,8 @@ export class Renderer {
      * Clear the entire canvas
      */
     clear() {
+        if (this.headless) return;
+
         this.ctx.clearRect(0, 0, this.width, this.height);
 
         // Add text to show the canvas is working
@@ -72,6 +106,8 @@ export class Renderer {
      * @param {string} color - CSS color string
      */
     fillBackground(color = '#000000') {
+        if (this.headless) return;
+
         if (typeof window.debugLog === 'function') {
             window.debugLog(`Filling background with color: ${color}`);
         } else {
@@ -104,6 +140,8 @@ export class Renderer {
      * @param {string} color - Fill color
      */
     drawRect(x, y, width, height, color = '#FFFFFF', offsetX = 0, offsetY = 0) {
+        if (this.headless) return;
+
         const posX = x + offsetX;
         const posY = y + offsetY;
         this.ctx.fillStyle = color;
@@ -125,6 +163,8 @@ export class Renderer {
      * @param {number} lineWidth - Width of the outline
      */
     drawRectOutline(x, y, width, height, color = '#FFFFFF', lineWidth = 1) {
+        if (this.headless) return;
+
         this.ctx.strokeStyle = color;
         this.ctx.lineWidth = lineWidth;
         this.ctx.strokeRect(x, y, width, height);
@@ -138,6 +178,8 @@ export class Renderer {
      * @param {string} color - Fill color
      */
     drawCircle(x, y, radius, color = '#FFFFFF') {
+        if (this.headless) return;
+
         this.ctx.fillStyle = color;
         this.ctx.beginPath();
         this.ctx.arc(x, y, radius, 0, Math.PI * 2);
@@ -153,6 +195,8 @@ export class Renderer {
      * @param {number} lineWidth - Width of the outline
      */
     drawCircleOutline(x, y, radius, color = '#FFFFFF', lineWidth = 1) {
+        if (this.headless) return;
+
         this.ctx.strokeStyle = color;
         this.ctx.lineWidth = lineWidth;
         this.ctx.beginPath();
@@ -170,6 +214,8 @@ export class Renderer {
      * @param {number} lineWidth - Width of the line
      */
     drawLine(x1, y1, x2, y2, color = '#FFFFFF', lineWidth = 1) {
+        if (this.headless) return;
+
         this.ctx.strokeStyle = color;
         this.ctx.lineWidth = lineWidth;
         this.ctx.beginPath();
@@ -187,6 +233,8 @@ export class Renderer {
      * @param {string} font - CSS font string
      */
     drawText(text, x, y, color = '#FFFFFF', font = '16px Arial') {
+        if (this.headless) return;
+
         this.ctx.font = font;
         this.ctx.fillStyle = color;
         this.ctx.fillText(text, x, y);
@@ -201,6 +249,8 @@ export class Renderer {
      * @param {number} height - Image height (optional, defaults to image's natural height)
      */
     drawImage(image, x, y, width = null, height = null) {
+        if (this.headless) return;
+
         if (!image) {
             console.warn('Attempted to draw null or undefined image');
             return;
@@ -240,6 +290,8 @@ export class Renderer {
         destWidth = sourceWidth,
         destHeight = sourceHeight
     ) {
+        if (this.headless) return;
+
         if (!spritesheet) {
             console.warn('Attempted to draw from null or undefined spritesheet');
             return;
@@ -266,6 +318,8 @@ export class Renderer {
      * Save the current rendering state
      */
     save() {
+        if (this.headless) return;
+
         this.ctx.save();
     }
 
@@ -273,6 +327,8 @@ export class Renderer {
      * Restore the previously saved rendering state
      */
     restore() {
+        if (this.headless) return;
+
         this.ctx.restore();
     }
 
@@ -281,6 +337,8 @@ export class Renderer {
      * @param {number} alpha - Alpha value (0-1)
      */
     setAlpha(alpha) {
+        if (this.headless) return;
+
         this.ctx.globalAlpha = Math.max(0, Math.min(1, alpha));
     }
 
@@ -288,6 +346,8 @@ export class Renderer {
      * Reset global alpha to 1 (fully opaque)
      */
     resetAlpha() {
+        if (this.headless) return;
+
         this.ctx.globalAlpha = 1;
     }
 
@@ -305,6 +365,12 @@ export class Renderer {
      * @param {number} height - New height
      */
     resize(width, height) {
+        if (this.headless) {
+            this.width = width;
+            this.height = height;
+            return;
+        }
+
         this.canvas.width = width;
         this.canvas.height = height;
         this.width = width;
@@ -0,0 +1,313 @@
+/**
+ * Replay Service
+ *
+ * Records player actions per fixed-step frame and plays them back.
+ * Player input is never applied directly: it is queued and applied at the start
+ * of the next game frame (on the 'frameStarted' event). While recording, every
+ * applied action is stored with its frame number; during playback the stored
+ * actions are applied on exactly the same frames. Together with the map, the
+ * random seed and the loadout the level started with this reproduces a run exactly.
+ */
+
+import { ServiceLocator } from './service-locator.js';
+
+// Current replay file format version
+export const REPLAY_VERSION = 1;
+
+// Player actions that can be recorded
+export const ReplayActionType = {
+    MOVE_LANE: 'moveLane',          // data: { direction: -1 (up) | 1 (down) }
+    SPEED_UP: 'speedUp',
+    SPEED_DOWN: 'speedDown',
+    THROW_GRENADE: 'throwGrenade'   // data: { grenadeType: 'standard' | 'sticky' }
+};
+
+// Keys (KeyboardEvent.key) that queue player actions
+export const ReplayKeyBindings = {
+    ArrowUp: { type: ReplayActionType.MOVE_LANE, direction: -1 },
+    ArrowDown: { type: ReplayActionType.MOVE_LANE, direction: 1 },
+    ArrowRight: { type: ReplayActionType.SPEED_UP },
+    ';': { type: ReplayActionType.SPEED_UP },
+    ArrowLeft: { type: ReplayActionType.SPEED_DOWN },
+    k: { type: ReplayActionType.SPEED_DOWN },
+    K: { type: ReplayActionType.SPEED_DOWN },
+    z: { type: ReplayActionType.THROW_GRENADE, grenadeType: 'standard' },
+    Z: { type: ReplayActionType.THROW_GRENADE, grenadeType: 'standard' },
+    x: { type: ReplayActionType.THROW_GRENADE, grenadeType: 'sticky' },
+    X: { type: ReplayActionType.THROW_GRENADE, grenadeType: 'sticky' }
+};
+
+// Replay service modes
+export const ReplayMode = {
+    LIVE: 'live',           // Actions are applied but not stored
+    RECORDING: 'recording', // Actions are applied and stored
+    PLAYBACK: 'playback'    // Stored actions are applied, new input is ignored
+};
+
+export class ReplayService {
+    /**
+     * Create a new ReplayService instance
+     */
+    constructor() {
+        this.mode = ReplayMode.LIVE;
+
+        // Actions waiting for the next frame
+        this.pendingActions = [];
+
+        // Recorded actions ({ frame, type, ...data }) in frame order
+        this.actions = [];
+
+        // Index of the next action to apply during playback
+        this.playbackIndex = 0;
+
+        // Replay being played back
+        this.replay = null;
+
+        // Last frame that was started
+        this.currentFrame = 0;
+
+        // Number of frames started since recording or playback began
+        this.framesStarted = 0;
+
+        this.eventBus = null;
+    }
+
+    /**
+     * Initialize the service
+     */
+    initialize() {
+        this.eventBus = ServiceLocator.getService('eventBus');
+        if (!this.eventBus) {
+            console.error('[REPLAY_SERVICE] Event bus not found');
+            return;
+        }
+
+        this.eventBus.subscribe('frameStarted', this.handleFrameStarted.bind(this), { owner: this });
+        console.log('[REPLAY_SERVICE] Initialized');
+    }
+
+    /**
+     * Start recording player actions (clears any previous recording)
+     */
+    startRecording() {
+        this.mode = ReplayMode.RECORDING;
+        this.actions = [];
+        this.pendingActions = [];
+        this.replay = null;
+        this.framesStarted = 0;
+        console.log('[REPLAY_SERVICE] Recording started');
+    }
+
+    /**
+     * Continue a recording that was saved with the game (e.g. when resuming a saved run)
+     * @param {Object[]} actions - Actions recorded before the game was saved
+     */
+    resumeRecording(actions) {
+        this.mode = ReplayMode.RECORDING;
+        this.actions = actions.map(action => ({ ...action }));
+        this.pendingActions = [];
+        this.replay = null;
+        this.framesStarted = 0;
+        console.log(`[REPLAY_SERVICE] Recording resumed (${this.actions.length} actions)`);
+    }
+
+    /**
+     * Load a replay and switch to playback mode
+     * @param {Object} replay - Replay data created by createReplay()
+     */
+    startPlayback(replay) {
+        ReplayService.validateReplay(replay);
+
+        this.mode = ReplayMode.PLAYBACK;
+        this.replay = replay;
+        this.actions = replay.actions;
+        this.playbackIndex = 0;
+        this.pendingActions = [];
+        this.framesStarted = 0;
+        console.log(`[REPLAY_SERVICE] Playback started (${replay.actions.length} actions, ${replay.frameCount} frames)`);
+    }
+
+    /**
+     * Check if a replay is being played back
+     * @returns {boolean} True during playback
+     */
+    isPlayingBack() {
+        return this.mode === ReplayMode.PLAYBACK;
+    }
+
+    /**
+     * Check if playback has applied every recorded frame
+     * @returns {boolean} True if the replay is finished
+     */
+    isPlaybackFinished() {
+        return this.isPlayingBack() && this.framesStarted >= this.replay.frameCount;
+    }
+
+    /**
+     * Queue a player action to be applied at the start of the next frame
+     * Ignored during playback so live input cannot change the replayed run
+     * @param {string} type - Action type (see ReplayActionType)
+     * @param {Object} [data] - Action data
+     * @returns {boolean} True if the action was queued
+     */
+    queueAction(type, data = {}) {
+        if (this.isPlayingBack()) {
+            return false;
+        }
+
+        if (!Object.values(ReplayActionType).includes(type)) {
+            console.warn(`[REPLAY_SERVICE] Unknown action type: ${type}`);
+            return false;
+        }
+
+        this.pendingActions.push({ type, ...data });
+        return true;
+    }
+
+    /**
+     * Queue the player action bound to a key (see ReplayKeyBindings)
+     * @param {string} key - The pressed key (KeyboardEvent.key)
+     * @returns {boolean} True if the key is bound and its action was queued
+     */
+    queueKeyAction(key) {
+        if (!Object.prototype.hasOwnProperty.call(ReplayKeyBindings, key)) {
+            return false;
+        }
+
+        const { type, ...data } = ReplayKeyBindings[key];
+        return this.queueAction(type, data);
+    }
+
+    /**
+     * Handle the start of a game frame: apply queued or recorded actions
+     * @param {Object} event - Event data
+     * @param {number} event.frame - The frame number being started
+     */
+    handleFrameStarted(event) {
+        const { frame } = event;
+        this.currentFrame = frame;
+        this.framesStarted++;
+
+        if (this.isPlayingBack()) {
+            while (this.playbackIndex < this.actions.length && this.actions[this.playbackIndex].frame <= frame) {
+                const { frame: actionFrame, ...action } = this.actions[this.playbackIndex];
+                this.applyAction(action);
+                this.playbackIndex++;
+            }
+            return;
+        }
+
+        const actions = this.pendingActions;
+        this.pendingActions = [];
+
+        for (const action of actions) {
+            if (this.mode === ReplayMode.RECORDING) {
+                this.actions.push({ frame, ...action });
+            }
+            this.applyAction(action);
+        }
+    }
+
+    /**
+     * Apply a player action to the player entity
+     * @param {Object} action - The action ({ type, ...data })
+     */
+    applyAction(action) {
+        const entityManager = ServiceLocator.getService('entityManager');
+        const player = entityManager.getEntitiesWithTag('player')[0];
+        if (!player) {
+            console.warn('[REPLAY_SERVICE] No player to apply action to');
+            return;
+        }
+
+        const playerSoldierService = ServiceLocator.getService('playerSoldierService');
+        const speedController = ServiceLocator.getService('speedController');
+        let result = null;
+
+        switch (action.type) {
+            case ReplayActionType.MOVE_LANE: {
+                const lane = player.getComponent('lane');
+                if (!lane) break;
+
+                const laneSystem = ServiceLocator.getService('laneSystem');
+                const maxLane = laneSystem ? laneSystem.laneCount - 1 : 8;
+                const newLaneIndex = Math.max(0, Math.min(maxLane, lane.laneIndex + action.direction));
+
+                if (newLaneIndex !== lane.laneIndex) {
+                    result = playerSoldierService.moveToLane(player, newLaneIndex);
+                }
+                break;
+            }
+            case ReplayActionType.SPEED_UP:
+                result = speedController.increasePlayerSpeed();
+                break;
+            case ReplayActionType.SPEED_DOWN:
+                result = speedController.decreasePlayerSpeed();
+                break;
+            case ReplayActionType.THROW_GRENADE:
+                result = playerSoldierService.throwGrenade(entityManager, player, action.grenadeType);
+                break;
+            default:
+                console.warn(`[REPLAY_SERVICE] Unknown action type: ${action.type}`);
+                return;
+        }
+
+        if (this.eventBus) {
+            this.eventBus.publish('playerActionApplied', { action, result, frame: this.currentFrame });
+        }
+    }
+
+    /**
+     * Create a replay from the current recording
+     * @param {Object} options - Replay options
+     * @param {Object} options.map - The map that was played (as loaded, before the game mutated it)
+     * @param {number} options.seed - The random seed of the run
+     * @param {number} options.frameCount - Number of frames that were simulated
+     * @param {Object} [options.loadout=null] - Soldiers and grenades the level started with
+     * @returns {Object} Replay data that can be saved as JSON
+     */
+    createReplay({ map, seed, frameCount, loadout = null }) {
+        return {
+            version: REPLAY_VERSION,
+            map,
+            seed,
+            frameCount,
+            loadout: loadout ? JSON.parse(JSON.stringify(loadout)) : null,
+            actions: this.actions.map(action => ({ ...action })),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Validate replay data
+     * @param {Object} replay - The replay data
+     * @throws {Error} If the replay is invalid
+     */
+    static validateReplay(replay) {
+        if (!replay || typeof replay !== 'object') {
+            throw new Error('Replay must be an object');
+        }
+
+        if (replay.version !== REPLAY_VERSION) {
+            throw new Error(`Unsupported replay version: ${replay.version}`);
+        }
+
+        if (!replay.map || !Array.isArray(replay.actions) || replay.seed === undefined) {
+            throw new Error('Replay must contain a map, a seed and actions');
+        }
+    }
+
+    /**
+     * Clean up resources when the service is destroyed
+     */
+    destroy() {
+        if (this.eventBus) {
+            this.eventBus.unsubscribeOwner(this);
+        }
+
+        this.eventBus = null;
+        this.pendingActions = [];
+        this.actions = [];
+        this.replay = null;
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * Score Service
+ *
+ * Keeps the score of the current level. Killed zombies are worth their variant's
+ * pointValue (e.g. 75 for a Tank giant, see assets/archetypes/zombies.json), multiplied
+ * by the combo multiplier: kills that follow each other within ScoreRules.COMBO_WINDOW seconds build
+ * a combo, and every ScoreRules.COMBO_STEP kills of a combo raise the multiplier. Grenades
+ * that kill several zombies at once, collected bonuses and the time left on the clock at
+ * the finish line add points; escaped zombies cost points and break the combo.
+ *
+ * Every change is published as 'scoreChanged' ({ score, points, reason, multiplier, combo }).
+ */
+
+import { ServiceLocator } from './service-locator.js';
+import { GameResult } from './game.js';
+
+// Scoring rules
+export const ScoreRules = {
+    COMBO_WINDOW: 2,                // Seconds between kills that keep a combo going
+    COMBO_STEP: 5,                  // Kills in a combo needed to raise the multiplier
+    COMBO_MULTIPLIER_STEP: 0.5,     // Multiplier added every COMBO_STEP kills
+    MAX_MULTIPLIER: 3,              // Highest combo multiplier
+    GRENADE_MULTI_KILL_POINTS: 25,  // Points per zombie after the first killed by one grenade
+    BONUS_POINTS: 50,               // Points per collected bonus
+    ESCAPE_PENALTY: 50,             // Points lost per escaped zombie
+    TIME_POINTS_PER_SECOND: 10      // Points per second left when the finish line is reached
+};
+
+// What points were scored for
+export const ScoreReason = {
+    KILL: 'kill',
+    GRENADE_MULTI_KILL: 'grenadeMultiKill',
+    BONUS: 'bonus',
+    ESCAPE: 'escape',
+    TIME_REMAINING: 'timeRemaining'
+};
+
+export class ScoreService {
+    /**
+     * Create a new ScoreService instance
+     */
+    constructor() {
+        this.score = 0;
+
+        // Points scored per reason (see ScoreReason)
+        this.breakdown = ScoreService.createBreakdown();
+
+        // Kills in the current combo and the game time of the last one
+        this.combo = 0;
+        this.lastKillTime = null;
+
+        this.eventBus = null;
+        this.timer = null;
+    }
+
+    /**
+     * Create an empty score breakdown
+     * @returns {Object} Points per reason, all zero
+     * @private
+     */
+    static createBreakdown() {
+        const breakdown = {};
+        for (const reason of Object.values(ScoreReason)) {
+            breakdown[reason] = 0;
+        }
+        return breakdown;
+    }
+
+    /**
+     * Initialize the service
+     */
+    initialize() {
+        this.eventBus = ServiceLocator.getService('eventBus');
+        if (!this.eventBus) {
+            console.error('[SCORE_SERVICE] Event bus not found');
+            return;
+        }
+
+        // Combos are timed in game time so replays and restored games score the same
+        this.timer = ServiceLocator.getService('timer');
+
+        const handlers = {
+            enemyKilled: this.handleEnemyKilled,
+            enemyEscaped: this.handleEnemyEscaped,
+            grenadeExploded: this.handleGrenadeKills,
+            stickyAreaCreated: this.handleGrenadeKills,
+            bonusCollectedAnnouncement: this.handleBonusCollected,
+            gameFinished: this.handleGameFinished
+        };
+        for (const [eventType, handler] of Object.entries(handlers)) {
+            this.eventBus.subscribe(eventType, handler.bind(this), { owner: this });
+        }
+
+        console.log('[SCORE_SERVICE] Initialized');
+    }
+
+    /**
+     * Get the current score
+     * @returns {number} The score
+     */
+    getScore() {
+        return this.score;
+    }
+
+    /**
+     * Get the current combo multiplier
+     * @returns {number} The multiplier applied to kills (1 without a combo)
+     */
+    getMultiplier() {
+        if (this.combo === 0) return 1;
+
+        const steps = Math.floor((this.combo - 1) / ScoreRules.COMBO_STEP);
+        return Math.min(1 + steps * ScoreRules.COMBO_MULTIPLIER_STEP, ScoreRules.MAX_MULTIPLIER);
+    }
+
+    /**
+     * Add points to the score and publish the change (the score never drops below zero)
+     * @param {number} points - Points to add (negative for penalties)
+     * @param {string} reason - What the points were scored for (see ScoreReason)
+     * @returns {number} The points actually added
+     */
+    addPoints(points, reason) {
+        const previousScore = this.score;
+        this.score = Math.max(0, Math.round(this.score + points));
+
+        const added = this.score - previousScore;
+        this.breakdown[reason] = (this.breakdown[reason] || 0) + added;
+
+        if (this.eventBus) {
+            this.eventBus.publish('scoreChanged', {
+                score: this.score,
+                points: added,
+                reason,
+                multiplier: this.getMultiplier(),
+                combo: this.combo
+            });
+        }
+
+        return added;
+    }
+
+    /**
+     * Score a killed zombie and extend the combo
+     * @param {Object} event - Event data
+     * @param {Entity} event.entity - The killed zombie
+     */
+    handleEnemyKilled(event) {
+        const now = this.timer ? this.timer.getTotalTime() : 0;
+
+        if (this.lastKillTime !== null && now - this.lastKillTime <= ScoreRules.COMBO_WINDOW) {
+            this.combo++;
+        } else {
+            this.combo = 1;
+        }
+        this.lastKillTime = now;
+
+        const pointValue = (event.entity && event.entity.pointValue) || 0;
+        this.addPoints(pointValue * this.getMultiplier(), ScoreReason.KILL);
+    }
+
+    /**
+     * Score the zombies killed at once by a grenade
+     * @param {Object} event - Event data
+     * @param {Entity[]} [event.kills] - Zombies killed by the explosion
+     */
+    handleGrenadeKills(event) {
+        const kills = event.kills ? event.kills.length : 0;
+        if (kills < 2) return;
+
+        this.addPoints((kills - 1) * ScoreRules.GRENADE_MULTI_KILL_POINTS, ScoreReason.GRENADE_MULTI_KILL);
+    }
+
+    /**
+     * Score a collected bonus
+     */
+    handleBonusCollected() {
+        this.addPoints(ScoreRules.BONUS_POINTS, ScoreReason.BONUS);
+    }
+
+    /**
+     * Take points for an escaped zombie and break the combo
+     */
+    handleEnemyEscaped() {
+        this.combo = 0;
+        this.lastKillTime = null;
+
+        this.addPoints(-ScoreRules.ESCAPE_PENALTY, ScoreReason.ESCAPE);
+    }
+
+    /**
+     * Score the time left on the clock when the finish line is reached
+     * @param {Object} event - Event data
+     * @param {string} event.result - The result (see GameResult)
+     */
+    handleGameFinished(event) {
+        if (event.result !== GameResult.VICTORY) return;
+
+        const game = ServiceLocator.getService('game');
+        const timeRemaining = game.getTimeRemaining();
+        if (!timeRemaining) return;
+
+        this.addPoints(Math.floor(timeRemaining) * ScoreRules.TIME_POINTS_PER_SECOND, ScoreReason.TIME_REMAINING);
+    }
+
+    /**
+     * Get the score state (JSON-safe, used by game snapshots)
+     * @returns {Object} The score state
+     */
+    getState() {
+        return {
+            score: this.score,
+            breakdown: { ...this.breakdown },
+            combo: this.combo,
+            lastKillTime: this.lastKillTime
+        };
+    }
+
+    /**
+     * Restore a score state saved with getState()
+     * @param {Object} state - The score state
+     */
+    setState(state) {
+        this.score = state.score;
+        this.breakdown = { ...ScoreService.createBreakdown(), ...state.breakdown };
+        this.combo = state.combo;
+        this.lastKillTime = state.lastKillTime;
+    }
+
+    /**
+     * Clean up resources when the service is destroyed
+     */
+    destroy() {
+        if (this.eventBus) {
+            this.eventBus.unsubscribeOwner(this);
+        }
+
+        this.eventBus = null;
+        this.timer = null;
+    }
+}
@@ -53,6 +53,14 @@ class ServiceLocator {
         return ServiceLocator.#services.has(name);
     }
 
+    /**
+     * Get the names of all registered services
+     * @returns {string[]} The service names
+     */
+    static getServiceNames() {
+        return Array.from(ServiceLocator.#services.keys());
+    }
+
     /**
      * Remove a service from the locator
      * @param {string} name - The name of the service to remove
@@ -1,10 +1,25 @@
 /**
  * Timer Class
- * 
+ *
  * Manages game timing, provides methods for tracking elapsed time,
  * creating timers, and scheduling events.
+ *
+ * The timer is updated with the game's fixed time step while the game is playing, so
+ * its timers run on game time: they stop while the game is paused, advance one step at
+ * a time when it is stepped and run faster when it is fast-forwarded.
+ *
+ * Timers can be grouped (e.g. 'gameplay'); a group can be paused, resumed, cancelled or
+ * run at its own time scale. Named timers are saved with serialize() and continue where
+ * they were when a timer with the same name is created after restore().
  */
 
+// Group of timers created without one
+export const DEFAULT_TIMER_GROUP = 'default';
+
+// Remaining time treated as elapsed, so intervals that are a whole number of fixed
+// steps (e.g. 0.5 s at 1/12 s) fire on the expected step despite rounding
+const TIME_EPSILON = 1e-9;
+
 export class Timer {
     /**
      * Create a new Timer instance
@@ -12,13 +27,19 @@ export class Timer {
     constructor() {
         // Total elapsed time since timer creation (in seconds)
         this.totalTime = 0;
-        
+
         // Collection of active timers
         this.timers = new Map();
-        
+
         // Counter for generating unique timer IDs
         this.timerIdCounter = 0;
-        
+
+        // Paused state and time scale of each group that has been changed
+        this.groups = new Map();
+
+        // Saved state of named timers that have not been created again since restore()
+        this.pendingTimers = new Map();
+
         console.log('Timer initialized');
     }
 
@@ -29,7 +50,7 @@ export class Timer {
     update(deltaTime) {
         // Update total elapsed time
         this.totalTime += deltaTime;
-        
+
         // Update and process all active timers
         this._updateTimers(deltaTime);
     }
@@ -40,28 +61,35 @@ export class Timer {
      * @private
      */
     _updateTimers(deltaTime) {
-        // Process each timer
-        for (const [id, timer] of this.timers.entries()) {
+        // Process each timer that existed when the update started, in creation order
+        for (const id of Array.from(this.timers.keys())) {
+            const timer = this.timers.get(id);
+            if (!timer || timer.paused) continue;
+
+            const group = this.groups.get(timer.group);
+            if (group && group.paused) continue;
+
             // Update remaining time
-            timer.remaining -= deltaTime;
-            
-            // Check if timer has completed
-            if (timer.remaining <= 0) {
-                // Execute callback
-                try {
-                    timer.callback();
-                } catch (error) {
-                    console.error(`Error in timer callback (ID: ${id}):`, error);
-                }
-                
+            timer.remaining -= deltaTime * (group ? group.timeScale : 1);
+
+            // Repeating timers fire once for every interval that has elapsed and keep the
+            // time left over, so they don't drift
+            while (timer.remaining <= TIME_EPSILON && this.timers.get(id) === timer) {
                 // Handle repeating timers
                 if (timer.repeat) {
                     // Reset timer
-                    timer.remaining = timer.duration;
+                    timer.remaining += timer.duration;
                 } else {
                     // Remove completed non-repeating timer
                     this.timers.delete(id);
                 }
+
+                // Execute callback
+                try {
+                    timer.callback();
+                } catch (error) {
+                    console.error(`Error in timer callback (ID: ${id}${timer.name ? `, name: ${timer.name}` : ''}):`, error);
+                }
             }
         }
     }
@@ -71,28 +99,53 @@ export class Timer {
      * @param {number} duration - Duration in seconds
      * @param {Function} callback - Function to call when timer completes
      * @param {boolean} repeat - Whether the timer should repeat
+     * @param {Object} [options] - Timer options
+     * @param {string} [options.name] - Unique name, used to save and restore the timer; replaces any timer with the same name
+     * @param {string} [options.group='default'] - Group the timer belongs to
+     * @param {boolean} [options.paused=false] - Whether the timer starts paused
      * @returns {number} Timer ID that can be used to cancel the timer
      */
-    createTimer(duration, callback, repeat = false) {
+    createTimer(duration, callback, repeat = false, options = {}) {
         if (typeof duration !== 'number' || duration <= 0) {
             throw new Error('Timer duration must be a positive number');
         }
-        
+
         if (typeof callback !== 'function') {
             throw new Error('Timer callback must be a function');
         }
-        
+
+        const { name = null, group = DEFAULT_TIMER_GROUP, paused = false } = options;
+
+        // A name identifies a single timer
+        if (name !== null) {
+            const existingId = this.findTimer(name);
+            if (existingId !== null) {
+                this.timers.delete(existingId);
+            }
+        }
+
         // Generate a unique ID for this timer
         const id = this.timerIdCounter++;
-        
+
         // Create and store the timer
-        this.timers.set(id, {
+        const timer = {
             duration: duration,
             remaining: duration,
             callback: callback,
-            repeat: repeat
-        });
-        
+            repeat: repeat,
+            name: name,
+            group: group,
+            paused: paused
+        };
+
+        // Continue where the saved timer with this name was
+        if (name !== null && this.pendingTimers.has(name)) {
+            Timer._applyState(timer, this.pendingTimers.get(name));
+            this.pendingTimers.delete(name);
+        }
+
+        this.timers.set(id, timer);
+
         return id;
     }
 
@@ -124,24 +177,76 @@ export class Timer {
         return timer ? timer.remaining : null;
     }
 
+    /**
+     * Find a timer by name
+     * @param {string} name - The timer name
+     * @returns {number|null} The timer ID, or null if no active timer has the name
+     */
+    findTimer(name) {
+        for (const [id, timer] of this.timers) {
+            if (timer.name === name) {
+                return id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Pause a timer; it keeps its remaining time until resumed
+     * @param {number} id - Timer ID to pause
+     * @returns {boolean} True if the timer was found, false otherwise
+     */
+    pauseTimer(id) {
+        const timer = this.timers.get(id);
+        if (!timer) return false;
+
+        timer.paused = true;
+        return true;
+    }
+
+    /**
+     * Resume a paused timer
+     * @param {number} id - Timer ID to resume
+     * @returns {boolean} True if the timer was found, false otherwise
+     */
+    resumeTimer(id) {
+        const timer = this.timers.get(id);
+        if (!timer) return false;
+
+        timer.paused = false;
+        return true;
+    }
+
+    /**
+     * Check if a timer is paused, on its own or with its group
+     * @param {number} id - Timer ID to check
+     * @returns {boolean} True if the timer is paused, false otherwise (or if not found)
+     */
+    isTimerPaused(id) {
+        const timer = this.timers.get(id);
+        return !!timer && (timer.paused || this.isGroupPaused(timer.group));
+    }
+
     /**
      * Create a one-shot timer (convenience method)
      * @param {number} duration - Duration in seconds
      * @param {Function} callback - Function to call when timer completes
+     * @param {Object} [options] - Timer options (see createTimer)
      * @returns {number} Timer ID that can be used to cancel the timer
      */
-    setTimeout(duration, callback) {
-        return this.createTimer(duration, callback, false);
+    setTimeout(duration, callback, options = {}) {
+        return this.createTimer(duration, callback, false, options);
     }
 
     /**
      * Create a repeating timer (convenience method)
      * @param {number} interval - Interval in seconds
      * @param {Function} callback - Function to call when timer completes
+     * @param {Object} [options] - Timer options (see createTimer)
      * @returns {number} Timer ID that can be used to cancel the timer
      */
-    setInterval(interval, callback) {
-        return this.createTimer(interval, callback, true);
+    setInterval(interval, callback, options = {}) {
+        return this.createTimer(interval, callback, true, options);
     }
 
     /**
@@ -162,6 +267,84 @@ export class Timer {
         return this.cancelTimer(id);
     }
 
+    /**
+     * Pause every timer of a group, including timers added to it later
+     * @param {string} group - The group name
+     */
+    pauseGroup(group) {
+        this._getGroup(group).paused = true;
+    }
+
+    /**
+     * Resume the timers of a paused group
+     * @param {string} group - The group name
+     */
+    resumeGroup(group) {
+        this._getGroup(group).paused = false;
+    }
+
+    /**
+     * Check if a group is paused
+     * @param {string} group - The group name
+     * @returns {boolean} True if the group is paused, false otherwise
+     */
+    isGroupPaused(group) {
+        const state = this.groups.get(group);
+        return !!state && state.paused;
+    }
+
+    /**
+     * Set how fast the timers of a group run compared to game time
+     * @param {string} group - The group name
+     * @param {number} timeScale - Time scale (e.g. 0.5 for half speed)
+     */
+    setGroupTimeScale(group, timeScale) {
+        if (typeof timeScale !== 'number' || !Number.isFinite(timeScale) || timeScale < 0) {
+            throw new Error('Time scale must be a positive number or 0');
+        }
+
+        this._getGroup(group).timeScale = timeScale;
+    }
+
+    /**
+     * Get the time scale of a group
+     * @param {string} group - The group name
+     * @returns {number} The time scale (1 unless changed)
+     */
+    getGroupTimeScale(group) {
+        const state = this.groups.get(group);
+        return state ? state.timeScale : 1;
+    }
+
+    /**
+     * Cancel every timer of a group
+     * @param {string} group - The group name
+     * @returns {number} The number of timers cancelled
+     */
+    cancelGroup(group) {
+        let cancelled = 0;
+        for (const [id, timer] of Array.from(this.timers)) {
+            if (timer.group === group) {
+                this.timers.delete(id);
+                cancelled++;
+            }
+        }
+        return cancelled;
+    }
+
+    /**
+     * Get the state of a group, creating it if needed
+     * @param {string} group - The group name
+     * @returns {Object} The group state: { paused, timeScale }
+     * @private
+     */
+    _getGroup(group) {
+        if (!this.groups.has(group)) {
+            this.groups.set(group, { paused: false, timeScale: 1 });
+        }
+        return this.groups.get(group);
+    }
+
     /**
      * Get the total elapsed time since timer creation
      * @returns {number} Total elapsed time in seconds
@@ -193,11 +376,81 @@ export class Timer {
         console.log('All timers cancelled');
     }
 
+    /**
+     * Save the total time, the groups and the named timers as JSON-safe data.
+     * Unnamed timers are not saved, since their callbacks can't be.
+     * @returns {Object} The timer state
+     */
+    serialize() {
+        const timers = [];
+        for (const timer of this.timers.values()) {
+            if (timer.name === null) continue;
+
+            timers.push({
+                name: timer.name,
+                group: timer.group,
+                duration: timer.duration,
+                remaining: timer.remaining,
+                repeat: timer.repeat,
+                paused: timer.paused
+            });
+        }
+
+        // Saved timers that were not created again yet are kept as they are
+        for (const state of this.pendingTimers.values()) {
+            timers.push({ ...state });
+        }
+
+        const groups = {};
+        for (const [group, state] of this.groups) {
+            groups[group] = { ...state };
+        }
+
+        return { totalTime: this.totalTime, groups, timers };
+    }
+
+    /**
+     * Restore a state saved with serialize(). Named timers that already exist continue
+     * from their saved state; the others do when a timer with their name is created.
+     * @param {Object} state - The timer state
+     */
+    restore(state) {
+        this.totalTime = state.totalTime || 0;
+
+        this.groups.clear();
+        for (const [group, groupState] of Object.entries(state.groups || {})) {
+            this.groups.set(group, { ...groupState });
+        }
+
+        this.pendingTimers.clear();
+        for (const timerState of state.timers || []) {
+            const id = this.findTimer(timerState.name);
+            if (id !== null) {
+                Timer._applyState(this.timers.get(id), timerState);
+            } else {
+                this.pendingTimers.set(timerState.name, { ...timerState });
+            }
+        }
+    }
+
+    /**
+     * Continue a timer from a saved state
+     * @param {Object} timer - The timer
+     * @param {Object} state - The saved state of a timer with the same name
+     * @private
+     */
+    static _applyState(timer, state) {
+        timer.remaining = state.remaining;
+        timer.paused = state.paused;
+    }
+
     /**
      * Clean up resources when the timer is destroyed
      */
     destroy() {
         this.cancelAllTimers();
+        this.groups.clear();
+        this.pendingTimers.clear();
         console.log('Timer destroyed');
     }
-}
\ No newline at end of file
+}
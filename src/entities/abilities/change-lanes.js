@@ -0,0 +1,148 @@
+/**
+ * Change Lanes Ability
+ *
+ * The enemy looks at the combat lanes next to its own every interval and moves to a
+ * better one, sliding across over a short transition. What makes a lane better depends
+ * on the strategy:
+ *
+ *   avoid    - leave the lane only when an obstacle or hazard blocks the way ahead
+ *   flank    - also move away from the lanes the soldiers cover
+ *   converge - also move towards the covered lane with the fewest soldiers
+ *
+ * Every strategy avoids blocked lanes. The enemy only moves when a neighbouring lane is
+ * strictly better, preferring the lane above on a tie, so the choice is deterministic.
+ */
+
+import { abilityRegistry } from '../../core/ability-registry.js';
+import { ServiceLocator } from '../../core/service-locator.js';
+import { LaneComponent } from '../components/lane.js';
+
+// Cost of a lane with an obstacle or hazard ahead, above any strategy's preference
+const BLOCKED_COST = 1000;
+
+// Cost, for converging enemies, of a lane no soldier covers, plus one for each lane
+// between it and the soldiers
+const UNCOVERED_COST = 100;
+
+/**
+ * Check if an obstacle or hazard blocks an enemy's way in a lane
+ * @param {Entity} entity - The enemy
+ * @param {number} laneIndex - The lane to check
+ * @param {number} lookAhead - Distance ahead of the enemy to check, in pixels
+ * @param {LaneSystem} laneSystem - The lane system
+ * @returns {boolean} True if the lane is blocked
+ */
+function isLaneBlocked(entity, laneIndex, lookAhead, laneSystem) {
+    const x = entity.getComponent('transform').x;
+    const collision = entity.getComponent('collision');
+
+    return laneSystem.getEntitiesInLane(laneIndex).some(other => {
+        if (other === entity || !other.hasTag('obstacle')) return false;
+        if (collision && collision.isCollidingWith(other)) return true;
+
+        const transform = other.getComponent('transform');
+        const distance = transform ? x - transform.x : -1;
+        return distance >= 0 && distance <= lookAhead;
+    });
+}
+
+/**
+ * Count the soldiers and the player in each lane
+ * @param {EntityManager} entityManager - The entity manager
+ * @returns {Map<number, number>} The number of soldiers by lane index
+ */
+function countSoldiersByLane(entityManager) {
+    const counts = new Map();
+    const soldiers = entityManager.getEntitiesWithTag('soldier').concat(entityManager.getEntitiesWithTag('player'));
+
+    for (const soldier of soldiers) {
+        const lane = soldier.getComponent('lane');
+        if (!lane) continue;
+        counts.set(lane.laneIndex, (counts.get(lane.laneIndex) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Get the number of lanes between a set of lanes and the nearest lane with soldiers
+ * @param {number[]} lanes - The lanes
+ * @param {Map<number, number>} soldiersByLane - The number of soldiers by lane index
+ * @returns {number} The distance in lanes, or 0 if there are no soldiers
+ */
+function getDistanceToSoldiers(lanes, soldiersByLane) {
+    let distance = Infinity;
+    for (const [laneIndex, count] of soldiersByLane) {
+        if (count === 0) continue;
+        for (const index of lanes) {
+            distance = Math.min(distance, Math.abs(index - laneIndex));
+        }
+    }
+    return distance === Infinity ? 0 : distance;
+}
+
+/**
+ * Get the cost of a lane for an enemy; the lower the better
+ * @param {Object} ability - The ability state
+ * @param {number[]} lanes - The lanes the enemy would cover
+ * @param {boolean} blocked - Whether an obstacle or hazard blocks the lane
+ * @param {Map<number, number>} soldiersByLane - The number of soldiers by lane index
+ * @returns {number} The cost of the lane
+ */
+function getLaneCost(ability, lanes, blocked, soldiersByLane) {
+    const cost = blocked ? BLOCKED_COST : 0;
+    const soldiers = lanes.reduce((count, index) => count + (soldiersByLane.get(index) || 0), 0);
+
+    switch (ability.strategy) {
+        case 'flank':
+            return cost + soldiers;
+        case 'converge':
+            return cost + (soldiers > 0 ? soldiers : UNCOVERED_COST + getDistanceToSoldiers(lanes, soldiersByLane));
+        default:
+            return cost;
+    }
+}
+
+abilityRegistry.register('changeLanes', {
+    defaults: {
+        interval: 1,                // Seconds between two looks at the neighbouring lanes
+        strategy: 'avoid',          // 'avoid', 'flank' or 'converge'
+        lookAhead: 150,             // Distance ahead at which an obstacle or hazard blocks a lane
+        transitionDuration: 0.6     // Seconds the move to another lane takes
+    },
+
+    attach(entity, ability, system) {
+        system.schedule(entity, ability, ability.interval, true);
+    },
+
+    // Move to the best neighbouring lane
+    onTimer(entity, ability, system) {
+        const lane = entity.getComponent('lane');
+        const movement = entity.getComponent('movement');
+        if (!lane || !entity.hasComponent('transform') || lane.isChangingLane()) return;
+
+        // An enemy stopped to attack holds its lane
+        if (movement && !movement.enabled) return;
+
+        const laneSystem = ServiceLocator.getService('laneSystem');
+        const laneCount = laneSystem.getLaneCount();
+        const soldiersByLane = countSoldiersByLane(system.entityManager);
+
+        let bestLane = lane.laneIndex;
+        let bestCost = Infinity;
+        for (const candidate of [lane.laneIndex, lane.laneIndex - 1, lane.laneIndex + 1]) {
+            if (LaneComponent.clampLaneIndex(candidate, lane.laneSpan, laneCount) !== candidate) continue;
+
+            const lanes = LaneComponent.getSpanLanes(candidate, lane.laneSpan);
+            const blocked = lanes.some(index => isLaneBlocked(entity, index, ability.lookAhead, laneSystem));
+            const cost = getLaneCost(ability, lanes, blocked, soldiersByLane);
+            if (cost < bestCost) {
+                bestLane = candidate;
+                bestCost = cost;
+            }
+        }
+
+        if (bestLane !== lane.laneIndex) {
+            laneSystem.changeLane(entity, bestLane, ability.transitionDuration);
+        }
+    }
+});
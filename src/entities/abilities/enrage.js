@@ -0,0 +1,29 @@
+/**
+ * Enrage Ability
+ *
+ * The enemy enrages once its health drops below a threshold: for the rest of its life
+ * it moves and hits harder.
+ */
+
+import { abilityRegistry } from '../../core/ability-registry.js';
+
+abilityRegistry.register('enrage', {
+    defaults: {
+        healthThreshold: 0.5,   // Share of the maximum health below which the enemy enrages
+        speedMultiplier: 1.5,   // Speed while enraged, relative to the normal speed
+        damageMultiplier: 2     // Attack damage while enraged, relative to the normal damage
+    },
+
+    onDamaged(entity, ability, system) {
+        const health = entity.getComponent('health');
+        if (ability.active || !health || health.getHealthPercentage() >= ability.healthThreshold) {
+            return;
+        }
+
+        const damage = entity.getComponent('damage');
+        if (damage) {
+            damage.damageAmount *= ability.damageMultiplier;
+        }
+        system.setActive(entity, ability, true);
+    }
+});
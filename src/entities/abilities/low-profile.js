@@ -0,0 +1,24 @@
+/**
+ * Low Profile Ability
+ *
+ * The enemy stays so low that most bullets fly over it: only the bullet types listed
+ * can hit it. Grenades always do.
+ */
+
+import { abilityRegistry } from '../../core/ability-registry.js';
+import { contentRegistry, ContentCategory } from '../../core/content-registry.js';
+
+abilityRegistry.register('lowProfile', {
+    defaults: {
+        hitBy: ['shotgun', 'sniper']    // Bullet types that can hit the enemy (see assets/archetypes/guns.json)
+    },
+
+    canBeHitBy(entity, ability, source) {
+        if (source.isGrenade || !source.gunType) {
+            return true;
+        }
+
+        const gun = contentRegistry.getConfig(ContentCategory.GUN, source.gunType);
+        return !!gun && ability.hitBy.includes(gun.bulletType);
+    }
+});
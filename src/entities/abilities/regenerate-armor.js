@@ -0,0 +1,39 @@
+/**
+ * Regenerate Armor Ability
+ *
+ * Every hit the enemy takes chips off some of its armor, and the armor grows back over
+ * time, up to what the enemy started with.
+ */
+
+import { abilityRegistry } from '../../core/ability-registry.js';
+
+abilityRegistry.register('regenerateArmor', {
+    defaults: {
+        interval: 3,        // Seconds between two regenerations
+        amount: 1,          // Armor regained each time
+        armorPerHit: 1,     // Armor lost to each hit
+        maxArmor: null      // Most armor the enemy can regain (defaults to its starting armor)
+    },
+
+    attach(entity, ability, system) {
+        const health = entity.getComponent('health');
+        if (ability.maxArmor === null) {
+            ability.maxArmor = health ? health.armor : 0;
+        }
+        system.schedule(entity, ability, ability.interval, true);
+    },
+
+    onTimer(entity, ability) {
+        const health = entity.getComponent('health');
+        if (health && health.armor < ability.maxArmor) {
+            health.setArmor(Math.min(ability.maxArmor, health.armor + ability.amount));
+        }
+    },
+
+    onDamaged(entity, ability) {
+        const health = entity.getComponent('health');
+        if (health) {
+            health.setArmor(health.armor - ability.armorPerHit);
+        }
+    }
+});
@@ -0,0 +1,85 @@
+/**
+ * Spit Acid Ability
+ *
+ * The enemy fights from a distance: once it is within range of the player it stops and
+ * lobs acid projectiles leftward along its lane every interval. The acid hits the first
+ * soldier in its way, or lands where the player stands, and leaves a puddle that burns
+ * the soldiers in it for a short time. Bullets can shoot the acid down on its way.
+ */
+
+import { abilityRegistry } from '../../core/ability-registry.js';
+import { createEnemyProjectileEntity } from '../enemy-projectile.js';
+
+/**
+ * Get the x position of the player
+ * @param {EntityManager} entityManager - The entity manager
+ * @returns {number|null} The player's x position, or null if there is no player
+ */
+function getPlayerX(entityManager) {
+    const player = entityManager.getEntitiesWithTag('player')[0];
+    const transform = player && player.getComponent('transform');
+    return transform ? transform.x : null;
+}
+
+/**
+ * Lob an acid projectile towards the player's line
+ * @param {Entity} entity - The spitting enemy
+ * @param {Object} ability - The ability state
+ * @param {AbilitySystem} system - The ability system
+ */
+function spit(entity, ability, system) {
+    const transform = entity.getComponent('transform');
+    if (!transform) return;
+
+    createEnemyProjectileEntity(system.entityManager, {
+        x: transform.x,
+        y: transform.y,
+        speed: ability.projectileSpeed,
+        damage: ability.damage,
+        affectedEntities: ability.affectedEntities,
+        areaWidth: ability.areaWidth,
+        areaHeight: ability.areaHeight,
+        areaLifetime: ability.areaLifetime,
+        landingX: getPlayerX(system.entityManager),
+        sourceEntity: entity
+    });
+}
+
+abilityRegistry.register('spitAcid', {
+    defaults: {
+        range: 350,             // Distance from the player at which the enemy stops to spit
+        interval: 2,            // Seconds between two spits
+        damage: 1,              // Damage the acid deals to each soldier
+        projectileSpeed: 250,   // Speed of the acid in pixels per second
+        areaWidth: 40,          // Width of the acid puddle
+        areaHeight: 30,         // Height of the acid puddle
+        areaLifetime: 1.5,      // Seconds the acid puddle lasts
+        affectedEntities: 3     // Soldiers the acid puddle can burn
+    },
+
+    // A spitter restored from a snapshot while spitting keeps spitting
+    attach(entity, ability, system) {
+        if (ability.active) {
+            system.schedule(entity, ability, ability.interval, true);
+        }
+    },
+
+    // Stop and start spitting once within range of the player
+    onUpdate(entity, ability, system) {
+        if (ability.active) return;
+
+        const transform = entity.getComponent('transform');
+        const playerX = getPlayerX(system.entityManager);
+        if (!transform || playerX === null || transform.x - playerX > ability.range) return;
+
+        system.setActive(entity, ability, true);
+        system.eventBus.publish('entityStoppedForAttack', { entity });
+
+        spit(entity, ability, system);
+        system.schedule(entity, ability, ability.interval, true);
+    },
+
+    onTimer(entity, ability, system) {
+        spit(entity, ability, system);
+    }
+});
@@ -0,0 +1,26 @@
+/**
+ * Sprint Ability
+ *
+ * The enemy runs in bursts: every interval it sprints at a multiple of its speed for a
+ * short time, then walks again.
+ */
+
+import { abilityRegistry } from '../../core/ability-registry.js';
+
+abilityRegistry.register('sprint', {
+    defaults: {
+        interval: 3,        // Seconds of walking between sprints
+        duration: 1,        // Seconds a sprint lasts
+        speedMultiplier: 2  // Speed while sprinting, relative to the walking speed
+    },
+
+    attach(entity, ability, system) {
+        system.schedule(entity, ability, ability.active ? ability.duration : ability.interval);
+    },
+
+    // Alternate between walking and sprinting
+    onTimer(entity, ability, system) {
+        system.setActive(entity, ability, !ability.active);
+        system.schedule(entity, ability, ability.active ? ability.duration : ability.interval);
+    }
+});
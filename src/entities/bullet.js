@@ -20,14 +20,14 @@ export function createBulletEntity(entityManager, config) {
     }
 
     // Create the entity
-    const entity = entityManager.createEntity();
+    const entity = entityManager.createPooledEntity();
     
     if (!entity) {
         throw new Error('Failed to create bullet entity');
     }
 
     // Add transform component
-    const transform = new TransformComponent();
+    const transform = entityManager.acquireComponent(TransformComponent);
     transform.init({
         x: config.x || 0,
         y: config.y || 0,
@@ -38,7 +38,7 @@ export function createBulletEntity(entityManager, config) {
     entity.addComponent(transform);
 
     // Add render component
-    const render = new RenderComponent();
+    const render = entityManager.acquireComponent(RenderComponent);
     render.setAsRectangle(
         config.width || 5,
         config.height || 3,
@@ -47,7 +47,7 @@ export function createBulletEntity(entityManager, config) {
     entity.addComponent(render);
 
     // Add movement component
-    const movement = new MovementComponent();
+    const movement = entityManager.acquireComponent(MovementComponent);
     movement.init({
         movementType: MovementType.PROJECTILE,
         speed: config.speed || 400,
@@ -56,7 +56,7 @@ export function createBulletEntity(entityManager, config) {
     entity.addComponent(movement);
 
     // Add collision component
-    const collision = new CollisionComponent();
+    const collision = entityManager.acquireComponent(CollisionComponent);
     collision.init({
         collisionType: CollisionType.PROJECTILE,
         width: config.width || 5,
@@ -65,7 +65,7 @@ export function createBulletEntity(entityManager, config) {
     entity.addComponent(collision);
 
     // Add projectile component
-    const projectile = new ProjectileComponent();
+    const projectile = entityManager.acquireComponent(ProjectileComponent);
     projectile.init({
         damage: config.damage || 1,
         affectedEntities: config.affectedEntities || 1,
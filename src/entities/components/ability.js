@@ -0,0 +1,89 @@
+/**
+ * Ability Component
+ *
+ * Stores the special abilities of an enemy variant (see src/core/ability-registry.js).
+ * Each ability is a JSON-safe state object: its type, its parameters and the values its
+ * hooks keep (e.g. whether a sprint is active). The AbilitySystem runs them.
+ */
+
+import { Component } from '../component.js';
+
+export class AbilityComponent extends Component {
+    /**
+     * Create a new AbilityComponent instance
+     */
+    constructor() {
+        super('abilities');
+
+        // Ability states, in declaration order
+        this.abilities = [];
+    }
+
+    /**
+     * Initialize the component with data
+     * @param {Object} data - Data to initialize the component with
+     * @param {Object[]} [data.abilities=[]] - Ability states (see AbilityRegistry.createAbilities)
+     * @returns {AbilityComponent} This component for method chaining
+     */
+    init(data = {}) {
+        this.abilities = data.abilities ? data.abilities.map(ability => ({ ...ability })) : [];
+
+        return this;
+    }
+
+    /**
+     * Reset the component to its default state
+     * @returns {AbilityComponent} This component for method chaining
+     */
+    reset() {
+        for (const ability of this.abilities) {
+            ability.active = false;
+        }
+
+        return this;
+    }
+
+    /**
+     * Get the first ability of a type
+     * @param {string} type - The ability type
+     * @returns {Object|null} The ability state, or null if the entity doesn't have the ability
+     */
+    getAbility(type) {
+        return this.abilities.find(ability => ability.type === type) || null;
+    }
+
+    /**
+     * Check if the entity has an ability
+     * @param {string} type - The ability type
+     * @returns {boolean} True if the entity has the ability
+     */
+    hasAbility(type) {
+        return this.getAbility(type) !== null;
+    }
+
+    /**
+     * Get the speed multiplier of the active abilities
+     * @returns {number} The product of the active abilities' speed multipliers (1 if none)
+     */
+    getSpeedMultiplier() {
+        let multiplier = 1;
+        for (const ability of this.abilities) {
+            if (ability.active && typeof ability.speedMultiplier === 'number') {
+                multiplier *= ability.speedMultiplier;
+            }
+        }
+        return multiplier;
+    }
+
+    /**
+     * Clone the component
+     * @returns {AbilityComponent} A new component instance with the same properties
+     */
+    clone() {
+        const clone = new AbilityComponent();
+
+        clone.abilities = this.abilities.map(ability => ({ ...ability }));
+
+        return clone;
+    }
+}
@@ -6,6 +6,39 @@
  */
 
 import { Component } from '../component.js';
+import { contentRegistry, ContentCategory } from '../../core/content-registry.js';
+import { SpriteConfig } from '../../config/sprite-config.js';
+
+// Register the built-in bonus types with the content registry. apply() gives the
+// bonus to the player when it is collected; color is used when there is no sprite.
+contentRegistry.register(ContentCategory.BONUS, 'soldier', {
+    displayName: 'Soldier',
+    variants: { standard: { displayName: 'Standard' } },
+    spriteConfig: SpriteConfig.lane_bonus.soldier,
+    color: '#00ff00',
+    sound: 'bonusSoldierCollected',
+    apply: (bonusService, player) => bonusService.applySoldierBonus(player)
+});
+
+contentRegistry.register(ContentCategory.BONUS, 'gun', {
+    displayName: 'Gun',
+    variantCategory: ContentCategory.GUN, // Every registered gun can be a bonus
+    color: '#0000ff',
+    sound: 'bonusGunCollected',
+    apply: (bonusService, player, variant) => bonusService.applyGunBonus(player, variant)
+});
+
+contentRegistry.register(ContentCategory.BONUS, 'grenade', {
+    displayName: 'Grenade',
+    variants: {
+        standard: { displayName: 'Standard' },
+        sticky: { displayName: 'Sticky' }
+    },
+    spriteConfig: SpriteConfig.lane_bonus.grenade,
+    color: '#ffff00',
+    sound: 'bonusGrenadeCollected',
+    apply: (bonusService, player, variant) => bonusService.applyGrenadeBonus(player, variant)
+});
 
 export class BonusComponent extends Component {
     /**
@@ -0,0 +1,116 @@
+/**
+ * Boss Component
+ *
+ * Stores the phases of a boss and the one it is in. Each phase starts once the boss's
+ * health falls to its healthThreshold (a fraction of its maximum health) and sets how
+ * the boss fights until the next one (see src/systems/boss-system.js):
+ *
+ *   { "healthThreshold": 0.33, "speedMultiplier": 2,
+ *     "summon": { "type": "normal", "variant": "Runner", "count": 2, "interval": 8 },
+ *     "sweep": { "interval": 4, "warning": 1, "damage": 2 } }
+ */
+
+import { Component } from '../component.js';
+
+export class BossComponent extends Component {
+    /**
+     * Create a new BossComponent instance
+     */
+    constructor() {
+        super('boss');
+
+        // Zombie type and variant of the boss, for its name in the HUD
+        this.type = null;
+        this.variant = null;
+
+        // Phases, from the first (highest health threshold) to the last
+        this.phases = [];
+
+        // Index of the current phase
+        this.phase = 0;
+
+        // Lane the boss is about to sweep, or null while no sweep is announced
+        this.sweepLane = null;
+    }
+
+    /**
+     * Initialize the component with data
+     * @param {Object} data - Data to initialize the component with
+     * @param {string} [data.type=null] - Zombie type of the boss
+     * @param {string} [data.variant=null] - Zombie variant of the boss
+     * @param {Object[]} [data.phases=[]] - Phases, in any order
+     * @param {number} [data.phase=0] - Index of the current phase
+     * @param {number} [data.sweepLane=null] - Lane about to be swept
+     * @returns {BossComponent} This component for method chaining
+     */
+    init(data = {}) {
+        this.type = data.type || null;
+        this.variant = data.variant || null;
+        this.phases = data.phases
+            ? data.phases.map(phase => ({ ...phase })).sort((a, b) => b.healthThreshold - a.healthThreshold)
+            : [];
+        this.phase = data.phase || 0;
+        this.sweepLane = data.sweepLane !== undefined ? data.sweepLane : null;
+
+        return this;
+    }
+
+    /**
+     * Reset the component to its default state
+     * @returns {BossComponent} This component for method chaining
+     */
+    reset() {
+        this.phase = 0;
+        this.sweepLane = null;
+
+        return this;
+    }
+
+    /**
+     * Get the current phase
+     * @returns {Object|null} The phase, or null if the boss has no phases
+     */
+    getPhase() {
+        return this.phases[this.phase] || null;
+    }
+
+    /**
+     * Get the speed multiplier of the current phase
+     * @returns {number} The phase's speed multiplier (1 if it sets none)
+     */
+    getSpeedMultiplier() {
+        const phase = this.getPhase();
+        return phase && typeof phase.speedMultiplier === 'number' ? phase.speedMultiplier : 1;
+    }
+
+    /**
+     * Get the phase a boss with some health should be in
+     * @param {number} healthFraction - Current health divided by maximum health
+     * @returns {number} Index of the last phase whose threshold has been reached
+     */
+    getPhaseForHealth(healthFraction) {
+        let index = 0;
+        this.phases.forEach((phase, i) => {
+            if (healthFraction <= phase.healthThreshold) {
+                index = i;
+            }
+        });
+        return index;
+    }
+
+    /**
+     * Clone the component
+     * @returns {BossComponent} A new component instance with the same properties
+     */
+    clone() {
+        const clone = new BossComponent();
+
+        clone.type = this.type;
+        clone.variant = this.variant;
+        clone.phases = this.phases.map(phase => ({ ...phase }));
+        clone.phase = this.phase;
+        clone.sweepLane = this.sweepLane;
+
+        return clone;
+    }
+}
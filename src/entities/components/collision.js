@@ -15,6 +15,7 @@ export const CollisionType = {
     ENEMY: 'enemy',         // Enemy (zombie)
     OBSTACLE: 'obstacle',   // Obstacle
     PROJECTILE: 'projectile', // Bullet or grenade
+    ENEMY_PROJECTILE: 'enemyProjectile', // Projectile fired by an enemy (e.g. acid)
     BONUS: 'bonus',         // Bonus item
     HAZARD: 'hazard',       // Impassable hazard
     EFFECT_AREA: 'effectArea' // Area that applies effects (like sticky area)
@@ -96,6 +97,7 @@ export class CollisionComponent extends Component {
     reset() {
         this.enabled = true;
         this.collidingEntities.clear();
+        this.occupiedLanes = [];
 
         return this;
     }
@@ -318,7 +320,7 @@ export class CollisionComponent extends Component {
         // First check if entity has a lane component with a valid laneIndex
         const laneComponent = this.entity.getComponent('lane');
         if (laneComponent && typeof laneComponent.laneIndex === 'number') {
-            this.occupiedLanes = [laneComponent.laneIndex];
+            this.occupiedLanes = laneComponent.getLanes().filter(i => i >= 0);
             return this.occupiedLanes;
         }
 
@@ -41,6 +41,10 @@ export class DamageAreaComponent extends Component {
 
         // Whether the damage area is a grenade
         this.isGrenade = false;
+
+        // Whether the damage area is an acid puddle, which keeps damaging the soldiers
+        // that move into it until it expires
+        this.isAcid = false;
     }
 
     /**
@@ -63,10 +67,19 @@ export class DamageAreaComponent extends Component {
         this.damagedEntityIds.clear();
         this.gunType = data.gunType || null;
         this.isGrenade = data.isGrenade || false;
+        this.isAcid = data.isAcid || false;
         
         return this;
     }
 
+    /**
+     * Reset the component to its default state
+     * @returns {DamageAreaComponent} This component for method chaining
+     */
+    reset() {
+        return this.init();
+    }
+
     /**
      * Update the damage area
      * @param {number} deltaTime - Time elapsed since last update in seconds
@@ -42,6 +42,14 @@ export class EffectComponent extends Component {
         return this;
     }
 
+    /**
+     * Reset the component to its default state
+     * @returns {EffectComponent} This component for method chaining
+     */
+    reset() {
+        return this.init();
+    }
+
     /**
      * Clean up resources when the component is destroyed
      */
@@ -6,6 +6,8 @@
  */
 
 import { Component } from '../component.js';
+import { contentRegistry, ContentCategory } from '../../core/content-registry.js';
+import { SpriteConfig } from '../../config/sprite-config.js';
 
 // Gun types
 export const GunType = {
@@ -17,82 +19,25 @@ export const GunType = {
     BARRETT_XM109: 'barrett_xm109'
 };
 
-// Default gun configurations
-export const GunConfigs = {
-    [GunType.NONE]: {
-        bulletType: 'none',
-        loadSpeed: 0,
-        damage: 0,
-        bulletSpeed: 0,
-        bulletWidth: 0,
-        bulletHeight: 0,
-        affectedEntities: 0,
-        areaWidth: 0,
-        areaHeight: 0,
-        color: '#ffffff'
-    },
-    [GunType.GLOCK_17]: {
-        bulletType: 'small',
-        loadSpeed: 0.5, // 2 bullets per second
-        damage: 1,
-        bulletSpeed: 400,
-        bulletWidth: 5,
-        bulletHeight: 2,
-        affectedEntities: 1,
-        areaWidth: 32,  // Small area effect
-        areaHeight: 16,
-        color: '#ffff00' // Yellow
-    },
-    [GunType.DESERT_EAGLE]: {
-        bulletType: 'medium',
-        loadSpeed: 0.8, // 1.25 bullets per second
-        damage: 2,
-        bulletSpeed: 500,
-        bulletWidth: 8,
-        bulletHeight: 4,
-        affectedEntities: 2,
-        areaWidth: 40,  // Medium area effect
-        areaHeight: 16,
-        color: '#ffa500' // Orange
-    },
-    [GunType.BENELLI_M4]: {
-        bulletType: 'shotgun',
-        loadSpeed: 1.0, // 1 bullet per second
-        damage: 1,
-        bulletSpeed: 350,
-        bulletWidth: 10,
-        bulletHeight: 10,
-        affectedEntities: 4, // Can hit multiple enemies
-        areaWidth: 40,  // Large area effect (shotgun spread)
-        areaHeight: 84,
-        color: '#ff0000' // Red
-    },
-    [GunType.AK47]: {
-        bulletType: 'rifle',
-        loadSpeed: 0.2, // 5 bullets per second
-        damage: 1,
-        bulletSpeed: 600,
-        bulletWidth: 6,
-        bulletHeight: 3,
-        affectedEntities: 2,
-        areaWidth: 40,  // Small-medium area effect
-        areaHeight: 16,
-        color: '#00ff00' // Green
-    },
-    [GunType.BARRETT_XM109]: {
-        bulletType: 'sniper',
-        loadSpeed: 1.5, // 0.67 bullets per second
-        damage: 5,
-        bulletSpeed: 800,
-        bulletWidth: 12,
-        bulletHeight: 5,
-        affectedEntities: 5, // Can penetrate and hit multiple enemies
-        areaWidth: 80,  // Medium-large area effect
-        areaHeight: 16,
-        color: '#0000ff' // Blue
-    }
+// Names, shot sounds and bonus sprites of the built-in guns
+const GunContent = {
+    [GunType.NONE]: { displayName: 'None', bonus: false, editor: { hidden: true } },
+    [GunType.GLOCK_17]: { displayName: 'Glock 17', sound: 'bulletGlock17', editor: { hidden: true } }, // Everyone starts with it
+    [GunType.DESERT_EAGLE]: { displayName: 'Desert Eagle', sound: 'bulletDesertEagle' },
+    [GunType.BENELLI_M4]: { displayName: 'Benelli M4', sound: 'bulletBenelliM4' },
+    [GunType.AK47]: { displayName: 'AK-47', sound: 'bulletAk47' },
+    [GunType.BARRETT_XM109]: { displayName: 'Barrett XM109', sound: 'bulletBarrettXm109' }
 };
 
+// Register the built-in guns with the content registry; their stats come from
+// their archetypes (assets/archetypes/guns.json)
+for (const [gunType, content] of Object.entries(GunContent)) {
+    contentRegistry.register(ContentCategory.GUN, gunType, {
+        spriteConfig: SpriteConfig.lane_bonus.gun[gunType],
+        ...content
+    });
+}
+
 export class GunComponent extends Component {
     /**
      * Create a new GunComponent instance
@@ -103,21 +48,18 @@ export class GunComponent extends Component {
         // Gun type
         this.gunType = GunType.GLOCK_17; // Default gun
         
-        // Load speed (time between shots in seconds)
-        this.loadSpeed = GunConfigs[GunType.GLOCK_17].loadSpeed;
-        
-        // Bullet type
-        this.bulletType = GunConfigs[GunType.GLOCK_17].bulletType;
-        
-        // Bullet properties
-        this.bulletDamage = GunConfigs[GunType.GLOCK_17].damage;
-        this.bulletSpeed = GunConfigs[GunType.GLOCK_17].bulletSpeed;
-        this.bulletWidth = GunConfigs[GunType.GLOCK_17].bulletWidth;
-        this.bulletHeight = GunConfigs[GunType.GLOCK_17].bulletHeight;
-        this.affectedEntities = GunConfigs[GunType.GLOCK_17].affectedEntities;
-        this.areaWidth = GunConfigs[GunType.GLOCK_17].areaWidth;
-        this.areaHeight = GunConfigs[GunType.GLOCK_17].areaHeight;
-        this.bulletColor = GunConfigs[GunType.GLOCK_17].color;
+        // Gun stats (set from the gun type's archetype by setGunType)
+        this.loadSpeed = 0; // Time between shots in seconds
+        this.bulletType = 'none';
+        this.bulletDamage = 0;
+        this.bulletSpeed = 0;
+        this.bulletWidth = 0;
+        this.bulletHeight = 0;
+        this.affectedEntities = 0;
+        this.areaWidth = 0;
+        this.areaHeight = 0;
+        this.bulletColor = '#ffffff';
+        this.setGunType(GunType.GLOCK_17);
         
         // Cooldown timer
         this.cooldown = 0;
@@ -145,13 +87,18 @@ export class GunComponent extends Component {
      * @returns {GunComponent} This component for method chaining
      */
     setGunType(gunType) {
-        if (!GunConfigs[gunType]) {
+        if (!contentRegistry.has(ContentCategory.GUN, gunType)) {
             console.warn(`Unknown gun type: ${gunType}, defaulting to GLOCK_17`);
             gunType = GunType.GLOCK_17;
         }
         
         this.gunType = gunType;
-        const config = GunConfigs[gunType];
+        const config = contentRegistry.getConfig(ContentCategory.GUN, gunType);
+        
+        // Keep the current stats until the gun archetypes are loaded
+        if (config.loadSpeed === undefined) {
+            return this;
+        }
         
         this.loadSpeed = config.loadSpeed;
         this.bulletType = config.bulletType;
@@ -25,6 +25,16 @@ export class LaneComponent extends Component {
         
         // Lane height in pixels
         this.laneHeight = 0;
+
+        // Number of lanes the entity covers, centred on laneIndex (e.g. 3 for a boss)
+        this.laneSpan = 1;
+
+        // Lane the entity is moving away from while it changes lanes, null otherwise
+        this.fromLaneIndex = null;
+
+        // Seconds the lane change takes, and seconds of it already done
+        this.transitionDuration = 0;
+        this.transitionTime = 0;
     }
 
     /**
@@ -34,6 +44,7 @@ export class LaneComponent extends Component {
      * @param {number} [data.position=0] - Horizontal position within the lane
      * @param {number} [data.laneWidth=0] - Lane width in pixels
      * @param {number} [data.laneHeight=0] - Lane height in pixels
+     * @param {number} [data.laneSpan=1] - Number of lanes the entity covers
      * @returns {LaneComponent} This component for method chaining
      */
     init(data = {}) {
@@ -41,6 +52,10 @@ export class LaneComponent extends Component {
         this.position = data.position !== undefined ? data.position : 0;
         this.laneWidth = data.laneWidth !== undefined ? data.laneWidth : 0;
         this.laneHeight = data.laneHeight !== undefined ? data.laneHeight : 0;
+        this.laneSpan = data.laneSpan !== undefined ? data.laneSpan : 1;
+        this.fromLaneIndex = null;
+        this.transitionDuration = 0;
+        this.transitionTime = 0;
         
         return this;
     }
@@ -54,6 +69,10 @@ export class LaneComponent extends Component {
         this.position = 0;
         this.laneWidth = 0;
         this.laneHeight = 0;
+        this.laneSpan = 1;
+        this.fromLaneIndex = null;
+        this.transitionDuration = 0;
+        this.transitionTime = 0;
         
         return this;
     }
@@ -93,6 +112,98 @@ export class LaneComponent extends Component {
         return this;
     }
 
+    /**
+     * Start moving the entity to another lane. The laneIndex changes right away; until
+     * the move is over the entity also covers the lane it is leaving.
+     * @param {number} laneIndex - Lane to move to
+     * @param {number} duration - Seconds the move takes
+     * @returns {LaneComponent} This component for method chaining
+     */
+    startLaneChange(laneIndex, duration) {
+        this.fromLaneIndex = this.laneIndex;
+        this.laneIndex = laneIndex;
+        this.transitionDuration = duration;
+        this.transitionTime = 0;
+
+        return this;
+    }
+
+    /**
+     * End the lane change in progress
+     * @returns {LaneComponent} This component for method chaining
+     */
+    endLaneChange() {
+        this.fromLaneIndex = null;
+        this.transitionDuration = 0;
+        this.transitionTime = 0;
+
+        return this;
+    }
+
+    /**
+     * Check if the entity is moving to another lane
+     * @returns {boolean} True while a lane change is in progress
+     */
+    isChangingLane() {
+        return this.fromLaneIndex !== null;
+    }
+
+    /**
+     * Get how far the lane change in progress has got
+     * @returns {number} 0 when the move starts, 1 when it is over (1 if no move is in progress)
+     */
+    getTransitionProgress() {
+        if (!this.isChangingLane() || this.transitionDuration <= 0) return 1;
+        return Math.min(1, this.transitionTime / this.transitionDuration);
+    }
+
+    /**
+     * Get the lanes the entity covers. An entity spanning several lanes is centred on
+     * its laneIndex; with an even span the extra lane is below it. While changing lanes
+     * the entity covers the lanes of both the lane it left and the lane it moves to.
+     * @returns {number[]} The lane indices, from top to bottom
+     */
+    getLanes() {
+        const lanes = LaneComponent.getSpanLanes(this.laneIndex, this.laneSpan);
+        if (this.isChangingLane()) {
+            for (const lane of LaneComponent.getSpanLanes(this.fromLaneIndex, this.laneSpan)) {
+                if (!lanes.includes(lane)) lanes.push(lane);
+            }
+            lanes.sort((a, b) => a - b);
+        }
+        return lanes;
+    }
+
+    /**
+     * Get the lanes covered by an entity centred on a lane
+     * @param {number} laneIndex - Lane index the entity is centred on
+     * @param {number} laneSpan - Number of lanes the entity covers
+     * @returns {number[]} The lane indices, from top to bottom
+     */
+    static getSpanLanes(laneIndex, laneSpan) {
+        const firstLane = laneIndex - Math.floor((laneSpan - 1) / 2);
+        const lanes = [];
+        for (let i = 0; i < Math.max(1, laneSpan); i++) {
+            lanes.push(firstLane + i);
+        }
+        return lanes;
+    }
+
+    /**
+     * Move a lane index so that every lane an entity spans is a combat lane
+     * @param {number} laneIndex - Lane index the entity is centred on
+     * @param {number} laneSpan - Number of lanes the entity covers
+     * @param {number} laneCount - Number of lanes, including the bonus lane
+     * @returns {number} The closest lane index whose span fits in the combat lanes
+     */
+    static clampLaneIndex(laneIndex, laneSpan, laneCount) {
+        const above = Math.floor((Math.max(1, laneSpan) - 1) / 2);
+        const below = Math.max(1, laneSpan) - 1 - above;
+        const minLane = 1 + above;
+        const maxLane = Math.max(minLane, laneCount - 1 - below);
+        return Math.min(Math.max(laneIndex, minLane), maxLane);
+    }
+
     /**
      * Check if the entity is in the bonus lane
      * @returns {boolean} True if the entity is in the bonus lane, false otherwise
@@ -120,6 +231,10 @@ export class LaneComponent extends Component {
         clone.position = this.position;
         clone.laneWidth = this.laneWidth;
         clone.laneHeight = this.laneHeight;
+        clone.laneSpan = this.laneSpan;
+        clone.fromLaneIndex = this.fromLaneIndex;
+        clone.transitionDuration = this.transitionDuration;
+        clone.transitionTime = this.transitionTime;
         
         return clone;
     }
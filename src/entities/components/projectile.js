@@ -34,6 +34,11 @@ export class ProjectileComponent extends Component {
         this.slowDuration = 0;
 
         this.gunType = null;
+
+        // enemy projectile properties: where a lobbed projectile lands if it hits
+        // nothing, and how long the damage area it leaves lasts
+        this.landingX = null;
+        this.areaLifetime = 0;
     }
 
     /**
@@ -44,6 +49,8 @@ export class ProjectileComponent extends Component {
      * @param {number} [data.areaWidth=10] - Width of the area effect
      * @param {number} [data.areaHeight=10] - Height of the area effect
      * @param {Entity} [data.sourceEntity=null] - Entity that fired this projectile
+     * @param {number} [data.landingX=null] - X position where an enemy projectile lands if it hits nothing
+     * @param {number} [data.areaLifetime=0] - Lifetime of the damage area an enemy projectile leaves, in seconds
      * @returns {ProjectileComponent} This component for method chaining
      */
     init(data = {}) {
@@ -57,10 +64,20 @@ export class ProjectileComponent extends Component {
         this.slowFactor = data.slowFactor || 0;
         this.slowDuration = data.slowDuration || 0;
         this.gunType = data.gunType || null;
+        this.landingX = data.landingX !== undefined ? data.landingX : null;
+        this.areaLifetime = data.areaLifetime || 0;
         
         return this;
     }
 
+    /**
+     * Reset the component to its default state
+     * @returns {ProjectileComponent} This component for method chaining
+     */
+    reset() {
+        return this.init();
+    }
+
     /**
      * Clone the component
      * @returns {ProjectileComponent} A new component instance with the same properties
@@ -79,6 +96,8 @@ export class ProjectileComponent extends Component {
         clone.slowFactor = this.slowFactor;
         clone.slowDuration = this.slowDuration;
         clone.gunType = this.gunType;
+        clone.landingX = this.landingX;
+        clone.areaLifetime = this.areaLifetime;
         
         return clone;
     }
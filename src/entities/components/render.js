@@ -1,5 +1,13 @@
 import { Component } from '../component.js';
 import { SpriteConfig } from '../../config/sprite-config.js';
+import { contentRegistry, ContentCategory } from '../../core/content-registry.js';
+
+// Content categories of the render entity types whose subtypes come from the content registry
+const SpriteContentCategories = {
+  zombie: ContentCategory.ENEMY,
+  obstacle: ContentCategory.OBSTACLE,
+  lane_bonus: ContentCategory.BONUS
+};
 
 /**
  * Render Component
@@ -50,6 +58,43 @@ export class RenderComponent extends Component {
     }
   }
 
+  /**
+   * Reset the component to its default state
+   * @returns {RenderComponent} This component for method chaining
+   */
+  reset() {
+    this.shapeType = 'rect';
+    this.color = '#ffffff';
+    this.width = 32;
+    this.height = 32;
+    this.radius = 0;
+    this.visible = true;
+    this.alpha = 1;
+    this.layer = 0;
+    this.offsetX = 0;
+    this.offsetY = 0;
+
+    this.image = null;
+    this.sourceX = 0;
+    this.sourceY = 0;
+    this.sourceWidth = 0;
+    this.sourceHeight = 0;
+
+    this.entityType = null;
+    this.entitySubtype = null;
+    this.entityVariant = null;
+    this.entityState = null;
+    this.spriteConfig = null;
+
+    this.frameIndex = 0;
+    this.frameTimer = 0;
+    this.frameDuration = 0.2;
+    this.frameCount = 1;
+    this.loop = false;
+
+    return this;
+  }
+
   /**
    * Set this component to render as a rectangle
    * @param {number} width - Width of the rectangle
@@ -122,7 +167,10 @@ export class RenderComponent extends Component {
     let config = SpriteConfig[this.entityType];
     
     if (config && this.entitySubtype) {
-      config = config[this.entitySubtype] || config;
+      // Registered types bring their own sprite config
+      const category = SpriteContentCategories[this.entityType];
+      const registered = category ? contentRegistry.getSpriteConfig(category, this.entitySubtype) : null;
+      config = registered || config[this.entitySubtype] || config;
     }
     
     if (config && this.entityState) {
@@ -22,20 +22,20 @@ export function createDamageArea(entityManager, config = {}) {
     }
 
     // Create the damage area entity
-    const entity = entityManager.createEntity();
+    const entity = entityManager.createPooledEntity();
 
     // Add damage area tag
     entity.addTag('damageArea');
 
     // Add transform component
-    const transform = new TransformComponent();
+    const transform = entityManager.acquireComponent(TransformComponent);
     transform.init({
         x: config.x || 0,
         y: config.y || 0
     });
     entity.addComponent(transform);
     // Add render component
-    const render = new RenderComponent();
+    const render = entityManager.acquireComponent(RenderComponent);
 
     // Determine the appropriate sprite configuration based on damage type
     if (config.isGrenade) {
@@ -43,6 +43,20 @@ export function createDamageArea(entityManager, config = {}) {
         render.entityType = 'damageArea';
         render.entitySubtype = 'grenade';
         render.initSpriteConfig();
+    } else if (config.isAcid) {
+        // Acid puddle left by an enemy projectile
+        render.setAsRectangle(
+            config.width || 40,
+            config.height || 30,
+            config.color || 'rgba(124, 252, 0, 0.4)');
+        render.shapeType = 'rectangle';
+    } else if (config.isLaneSweep) {
+        // Lane swept by a boss
+        render.setAsRectangle(
+            config.width || 800,
+            config.height || 60,
+            config.color || 'rgba(192, 57, 43, 0.4)');
+        render.shapeType = 'rectangle';
     } else if (config.gunType) {
         // Set up gun damage area sprite
         render.entityType = 'damageArea';
@@ -53,7 +67,7 @@ export function createDamageArea(entityManager, config = {}) {
         // Determine zombie type from source entity if available
         let zombieType = 'normal';
         if (config.sourceEntity && config.sourceEntity.hasTag('enemy')) {
-            if (config.sourceEntity.hasTag('giantZombie')) {
+            if (config.sourceEntity.hasTag('giantZombie') || config.sourceEntity.hasTag('bossZombie')) {
                 zombieType = 'giant';
             } else if (config.sourceEntity.hasTag('armoredZombie')) {
                 zombieType = 'armored';
@@ -64,6 +78,12 @@ export function createDamageArea(entityManager, config = {}) {
             render.entitySubtype = 'zombie';
             render.entityVariant = zombieType;
             render.initSpriteConfig();
+
+            // A boss reaches across all the lanes it spans
+            if (config.sourceEntity.hasTag('bossZombie')) {
+                render.width = config.width || render.width;
+                render.height = config.height || render.height;
+            }
         } else if (config.sourceEntity && config.sourceEntity.hasTag('obstacle')) {
             render.entityType = 'damageArea';
             render.entitySubtype = 'obstacle';
@@ -82,7 +102,7 @@ export function createDamageArea(entityManager, config = {}) {
     const renderComponent = entity.getComponent('render');
 
     // Add damage area component
-    const damageArea = new DamageAreaComponent();
+    const damageArea = entityManager.acquireComponent(DamageAreaComponent);
     damageArea.init({
         damageType: config.damageType || DamageType.ENEMY_TO_SOLDIER,
         damageAmount: config.damageAmount || 1,
@@ -90,7 +110,8 @@ export function createDamageArea(entityManager, config = {}) {
         sourceEntity: config.sourceEntity || null,
         lifetime: config.lifetime || 0.2,
         gunType: config.gunType || null,
-        isGrenade: config.isGrenade || false
+        isGrenade: config.isGrenade || false,
+        isAcid: config.isAcid || false
     });
     entity.addComponent(damageArea);
 
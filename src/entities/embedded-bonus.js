@@ -1,6 +1,7 @@
 import { TransformComponent } from './components/transform.js';
 import { RenderComponent } from './components/render.js';
 import { BonusComponent } from './components/bonus-component.js';
+import { contentRegistry, ContentCategory } from '../core/content-registry.js';
 
 /**
  * Creates an embedded bonus entity
@@ -58,16 +59,6 @@ export function createEmbeddedBonus(entityManager, config) {
  * @returns {string} The color for this bonus type
  */
 function getBonusColor(bonusType) {
-    switch (bonusType) {
-        case 'soldier':
-            return '#00ff00';
-        case 'weapon':
-            return '#ff0000';
-        case 'grenade':
-            return '#ffff00';
-        case 'gun':
-            return '#0000ff';
-        default:
-            return '#ffffff';
-    }
-} 
\ No newline at end of file
+    const definition = contentRegistry.get(ContentCategory.BONUS, bonusType);
+    return (definition && definition.color) || '#ffffff';
+}
@@ -0,0 +1,100 @@
+/**
+ * Enemy projectile entity creation and configuration
+ * Represents a projectile fired by an enemy (e.g. a spitter's acid) using pure ECS pattern.
+ * Enemy projectiles fly left along their lane and hit soldiers rather than enemies; player
+ * bullets can shoot them down. A lobbed projectile lands where the soldiers stand if it
+ * hits nothing on the way, and leaves a damage area where it hits or lands.
+ */
+import { TransformComponent } from './components/transform.js';
+import { RenderComponent } from './components/render.js';
+import { MovementComponent, MovementType } from './components/movement.js';
+import { CollisionComponent, CollisionType } from './components/collision.js';
+import { ProjectileComponent } from './components/projectile.js';
+
+/**
+ * Creates an enemy projectile entity with all required components
+ * @param {EntityManager} entityManager - The entity manager
+ * @param {Object} config - Projectile configuration
+ * @param {number} config.x - Starting x position
+ * @param {number} config.y - Starting y position
+ * @param {number} [config.speed=250] - Speed in pixels per second
+ * @param {number} [config.damage=1] - Damage dealt to each soldier hit
+ * @param {number} [config.affectedEntities=1] - Number of soldiers the damage area can damage
+ * @param {number} [config.areaWidth=40] - Width of the damage area left behind
+ * @param {number} [config.areaHeight=30] - Height of the damage area left behind
+ * @param {number} [config.areaLifetime=1] - Lifetime of the damage area left behind, in seconds
+ * @param {number} [config.landingX=null] - X position where the projectile lands if it hits nothing
+ * @param {Entity} [config.sourceEntity=null] - The enemy that fired the projectile
+ * @returns {Entity} The created enemy projectile entity
+ */
+export function createEnemyProjectileEntity(entityManager, config) {
+    if (!entityManager) {
+        throw new Error('Entity manager is required');
+    }
+
+    // Create the entity
+    const entity = entityManager.createPooledEntity();
+
+    if (!entity) {
+        throw new Error('Failed to create enemy projectile entity');
+    }
+
+    // Add transform component
+    const transform = entityManager.acquireComponent(TransformComponent);
+    transform.init({
+        x: config.x || 0,
+        y: config.y || 0,
+        rotation: 0,
+        scaleX: 1,
+        scaleY: 1
+    });
+    entity.addComponent(transform);
+
+    // Add render component
+    const render = entityManager.acquireComponent(RenderComponent);
+    render.setAsRectangle(
+        config.width || 8,
+        config.height || 8,
+        config.color || '#7cfc00'
+    );
+    entity.addComponent(render);
+
+    // Add movement component
+    const movement = entityManager.acquireComponent(MovementComponent);
+    movement.init({
+        movementType: MovementType.PROJECTILE,
+        speed: config.speed || 250,
+        directionX: -1 // Left direction, towards the soldiers
+    });
+    entity.addComponent(movement);
+
+    // Add collision component
+    const collision = entityManager.acquireComponent(CollisionComponent);
+    collision.init({
+        collisionType: CollisionType.ENEMY_PROJECTILE,
+        width: config.width || 8,
+        height: config.height || 8
+    });
+    entity.addComponent(collision);
+
+    // Add projectile component
+    const projectile = entityManager.acquireComponent(ProjectileComponent);
+    projectile.init({
+        damage: config.damage || 1,
+        affectedEntities: config.affectedEntities || 1,
+        areaWidth: config.areaWidth || 40,
+        areaHeight: config.areaHeight || 30,
+        areaLifetime: config.areaLifetime || 1,
+        landingX: config.landingX !== undefined ? config.landingX : null,
+        sourceEntity: config.sourceEntity || null
+    });
+    entity.addComponent(projectile);
+
+    // Add enemy projectile tag
+    entity.addTag('enemyProjectile');
+
+    // Notify entity manager that the entity is fully initialized
+    entityManager.notifyEntityAdded(entity);
+
+    return entity;
+}
@@ -12,6 +12,9 @@ import { MovementComponent, MovementType } from './components/movement.js';
 import { CollisionComponent, CollisionType } from './components/collision.js';
 import { HealthComponent } from './components/health.js';
 import { DamageComponent, DamageType, AttackBehavior } from './components/damage.js';
+import { AbilityComponent } from './components/ability.js';
+import { BossComponent } from './components/boss.js';
+import { abilityRegistry } from '../core/ability-registry.js';
 import { Entity } from './entity.js';
 
 /**
@@ -29,6 +32,9 @@ export function createEnemy(entityManager, config = {}) {
     const entity = entityManager.createEntity();
     entity.addTag('enemy');
 
+    // Points scored for killing the enemy (see ScoreService)
+    entity.pointValue = config.pointValue || 0;
+
     // Add transform component
     const transform = new TransformComponent();
     transform.init({
@@ -40,7 +46,8 @@ export function createEnemy(entityManager, config = {}) {
     // Add lane component
     const lane = new LaneComponent();
     lane.init({
-        laneIndex: config.laneIndex || 1
+        laneIndex: config.laneIndex || 1,
+        laneSpan: config.laneSpan || 1
     });
     entity.addComponent(lane);
 
@@ -84,6 +91,7 @@ export function createEnemy(entityManager, config = {}) {
     health.init({
         maxHealth: config.health || 1,
         currentHealth: config.health || 1,
+        armor: config.armor || 0,
         deathTimer: config.deathTimer || 0.5
     });
     entity.addComponent(health);
@@ -102,6 +110,20 @@ export function createEnemy(entityManager, config = {}) {
     damage.init(damageConfig);
     entity.addComponent(damage);
 
+    // Add the special abilities the variant declares (see AbilityRegistry)
+    if (config.abilities && config.abilities.length > 0) {
+        const abilities = new AbilityComponent();
+        abilities.init({ abilities: abilityRegistry.createAbilities(config.abilities) });
+        entity.addComponent(abilities);
+    }
+
+    // Add the phases of a boss (see BossSystem)
+    if (config.phases && config.phases.length > 0) {
+        const boss = new BossComponent();
+        boss.init({ phases: config.phases, type: config.type, variant: config.variant });
+        entity.addComponent(boss);
+    }
+
     // Notify that the entity is fully initialized with all components
     entityManager.notifyEntityAdded(entity);
 
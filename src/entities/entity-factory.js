@@ -4,17 +4,17 @@
  * Provides static methods for creating different types of game entities.
  */
 
-import { NormalZombieVariants } from './zombie-types/normal-zombie.js';
-import { ArmoredZombieVariants } from './zombie-types/armored-zombie.js';
-import { GiantZombieVariants } from './zombie-types/giant-zombie.js';
-import { SmallObstacleVariants, createSmallObstacleEntity } from './obstacle-types/small-obstacle.js';
-import { MediumObstacleVariants, createMediumObstacleEntity } from './obstacle-types/medium-obstacle.js';
-import { LargeObstacleVariants, createLargeObstacleEntity } from './obstacle-types/large-obstacle.js';
-import { ImpassableHazardVariants, createImpassableHazardEntity } from './obstacle-types/impassable-hazard.js';
-import { createEmbeddedBonus } from './embedded-bonus.js';
-import { createNormalZombieEntity } from './zombie-types/normal-zombie.js';
-import { createArmoredZombieEntity } from './zombie-types/armored-zombie.js';
-import { createGiantZombieEntity } from './zombie-types/giant-zombie.js';
+// The built-in zombie and obstacle types register themselves with the content registry
+import './zombie-types/normal-zombie.js';
+import './zombie-types/armored-zombie.js';
+import './zombie-types/giant-zombie.js';
+import './zombie-types/spitter-zombie.js';
+import './zombie-types/boss-zombie.js';
+import './obstacle-types/small-obstacle.js';
+import './obstacle-types/medium-obstacle.js';
+import './obstacle-types/large-obstacle.js';
+import './obstacle-types/impassable-hazard.js';
+import { contentRegistry, ContentCategory } from '../core/content-registry.js';
 import { createPlayerEntity } from './player.js';
 import { createSoldierEntity } from './soldier.js';
 import { PlayerSoldierService } from '../core/player-soldier-service.js';
@@ -48,28 +48,18 @@ export class EntityFactory {
     }
 
     /**
-     * Create a zombie entity
+     * Create a zombie entity of any type registered with the content registry
      * @param {EntityManager} entityManager - The entity manager
-     * @param {string} type - Zombie type ('normal', 'armored', 'giant')
+     * @param {string} type - Zombie type ('normal', 'armored', 'giant', 'spitter', 'boss', or a mod type)
      * @param {string} variant - Zombie variant
      * @param {Object} config - Additional configuration
-     * @returns {Enemy} The zombie instance
+     * @returns {Entity} The zombie entity
      */
     static createZombie(entityManager, type, variant, config = {}) {
-        switch (type) {
-            case 'normal':
-                return EntityFactory.createNormalZombie(entityManager, variant, config);
-            case 'armored':
-                return EntityFactory.createArmoredZombie(entityManager, variant, config);
-            case 'giant':
-                return EntityFactory.createGiantZombie(entityManager, variant, config);
-            default:
-                console.warn(`Unknown zombie type: ${type}, defaulting to normal`);
-                return EntityFactory.createNormalZombie(entityManager, variant, config);
-        }
+        // Unknown types fall back to normal zombies, and are reported by the registry
+        type = contentRegistry.resolveType(ContentCategory.ENEMY, type, 'normal');
+        return contentRegistry.create(ContentCategory.ENEMY, type, entityManager, variant, config);
     }
-    
-
 
     /**
      * Create a normal zombie
@@ -79,13 +69,7 @@ export class EntityFactory {
      * @returns {Entity} The normal zombie instance
      */
     static createNormalZombie(entityManager, variant, config = {}) {
-        // Get variant configuration
-        const variantConfig = NormalZombieVariants[variant] || NormalZombieVariants.Standard;
-
-        // Merge variant config with provided config
-        const zombieConfig = { ...variantConfig, ...config };
-
-        return createNormalZombieEntity(entityManager, zombieConfig);
+        return EntityFactory.createZombie(entityManager, 'normal', variant, config);
     }
 
     /**
@@ -96,13 +80,7 @@ export class EntityFactory {
      * @returns {Entity} The armored zombie instance
      */
     static createArmoredZombie(entityManager, variant, config = {}) {
-        // Get variant configuration
-        const variantConfig = ArmoredZombieVariants[variant] || ArmoredZombieVariants.Standard;
-
-        // Merge variant config with provided config
-        const zombieConfig = { ...variantConfig, ...config };
-
-        return createArmoredZombieEntity(entityManager, zombieConfig);
+        return EntityFactory.createZombie(entityManager, 'armored', variant, config);
     }
 
     /**
@@ -113,37 +91,43 @@ export class EntityFactory {
      * @returns {Entity} The giant zombie instance
      */
     static createGiantZombie(entityManager, variant, config = {}) {
-        // Get variant configuration
-        const variantConfig = GiantZombieVariants[variant] || GiantZombieVariants.Standard;
+        return EntityFactory.createZombie(entityManager, 'giant', variant, config);
+    }
 
-        // Merge variant config with provided config
-        const zombieConfig = { ...variantConfig, ...config };
+    /**
+     * Create a spitter zombie
+     * @param {EntityManager} entityManager - The entity manager
+     * @param {string} variant - Zombie variant
+     * @param {Object} config - Additional configuration
+     * @returns {Entity} The spitter zombie instance
+     */
+    static createSpitterZombie(entityManager, variant, config = {}) {
+        return EntityFactory.createZombie(entityManager, 'spitter', variant, config);
+    }
 
-        return createGiantZombieEntity(entityManager, zombieConfig);
+    /**
+     * Create a boss zombie
+     * @param {EntityManager} entityManager - The entity manager
+     * @param {string} variant - Zombie variant
+     * @param {Object} config - Additional configuration
+     * @returns {Entity} The boss zombie instance
+     */
+    static createBossZombie(entityManager, variant, config = {}) {
+        return EntityFactory.createZombie(entityManager, 'boss', variant, config);
     }
 
     /**
-     * Create an obstacle entity
+     * Create an obstacle entity of any type registered with the content registry
      * @param {EntityManager} entityManager - The entity manager
-     * @param {string} type - Obstacle type ('small', 'medium', 'large', 'hazard')
+     * @param {string} type - Obstacle type ('small', 'medium', 'large', 'hazard', or a mod type)
      * @param {string} variant - Obstacle variant
      * @param {Object} config - Additional configuration
-     * @returns {Obstacle} The obstacle instance
+     * @returns {Entity} The obstacle entity
      */
     static createObstacle(entityManager, type, variant, config = {}) {
-        switch (type) {
-            case 'small':
-                return EntityFactory.createSmallObstacle(entityManager, variant, config);
-            case 'medium':
-                return EntityFactory.createMediumObstacle(entityManager, variant, config);
-            case 'large':
-                return EntityFactory.createLargeObstacle(entityManager, variant, config);
-            case 'hazard':
-                return EntityFactory.createImpassableHazard(entityManager, variant, config);
-            default:
-                console.warn(`Unknown obstacle type: ${type}, defaulting to small`);
-                return EntityFactory.createSmallObstacle(entityManager, variant, config);
-        }
+        // Unknown types fall back to small obstacles, and are reported by the registry
+        type = contentRegistry.resolveType(ContentCategory.OBSTACLE, type, 'small');
+        return contentRegistry.create(ContentCategory.OBSTACLE, type, entityManager, variant, config);
     }
 
     /**
@@ -154,9 +138,7 @@ export class EntityFactory {
      * @returns {Entity} The small obstacle entity
      */
     static createSmallObstacle(entityManager, variant, config = {}) {
-        const variantConfig = SmallObstacleVariants[variant] || SmallObstacleVariants.Standard;
-        const obstacleConfig = { ...variantConfig, ...config };
-        return createSmallObstacleEntity(entityManager, obstacleConfig);
+        return EntityFactory.createObstacle(entityManager, 'small', variant, config);
     }
 
     /**
@@ -167,9 +149,7 @@ export class EntityFactory {
      * @returns {Entity} The medium obstacle entity
      */
     static createMediumObstacle(entityManager, variant, config = {}) {
-        const variantConfig = MediumObstacleVariants[variant] || MediumObstacleVariants.Standard;
-        const obstacleConfig = { ...variantConfig, ...config };
-        return createMediumObstacleEntity(entityManager, obstacleConfig);
+        return EntityFactory.createObstacle(entityManager, 'medium', variant, config);
     }
 
     /**
@@ -180,9 +160,7 @@ export class EntityFactory {
      * @returns {Entity} The large obstacle entity
      */
     static createLargeObstacle(entityManager, variant, config = {}) {
-        const variantConfig = LargeObstacleVariants[variant] || LargeObstacleVariants.Standard;
-        const obstacleConfig = { ...variantConfig, ...config };
-        return createLargeObstacleEntity(entityManager, obstacleConfig);
+        return EntityFactory.createObstacle(entityManager, 'large', variant, config);
     }
 
     /**
@@ -193,16 +171,31 @@ export class EntityFactory {
      * @returns {Entity} The impassable hazard entity
      */
     static createImpassableHazard(entityManager, variant, config = {}) {
-        const variantConfig = ImpassableHazardVariants[variant] || ImpassableHazardVariants.Hole;
-        const hazardConfig = { ...variantConfig, ...config };
-        return createImpassableHazardEntity(entityManager, hazardConfig);
+        return EntityFactory.createObstacle(entityManager, 'hazard', variant, config);
+    }
+
+    /**
+     * Resolve a bonus type and variant from map data to their registered ids.
+     * Unknown types fall back to soldier bonuses; unknown variants to the type's
+     * default variant (gun bonuses keep the unknown gun). Both are reported by the registry.
+     * @param {string} bonusType - The bonus type
+     * @param {string} bonusVariant - The bonus variant
+     * @returns {{bonusType: string, bonusVariant: string}} The resolved type and variant
+     */
+    static resolveBonus(bonusType, bonusVariant) {
+        const type = contentRegistry.resolveType(ContentCategory.BONUS, bonusType || 'soldier', 'soldier');
+        const variant = contentRegistry.resolveVariant(ContentCategory.BONUS, type, bonusVariant);
+        return { bonusType: type, bonusVariant: variant || bonusVariant };
     }
 
     /**
      * Create generic lane bonus
      */
     static createLaneBonus(entityManager, config) {
-        return createLaneBonusEntity(entityManager, config);
+        return createLaneBonusEntity(entityManager, {
+            ...config,
+            ...EntityFactory.resolveBonus(config.bonusType, config.bonusVariant)
+        });
     }
 
     /**
@@ -227,8 +220,13 @@ export class EntityFactory {
             case 'obstacle':
                 return EntityFactory.createObstacle(entityManager, objectType, variant, config);
             case 'bonus':
-                // Bonus entities will be implemented later
-                return null;
+                return EntityFactory.createLaneBonus(entityManager, {
+                    speed: config.speed || 0,
+                    bonusType: objectType,
+                    bonusVariant: variant,
+                    laneIndex: config.laneIndex,
+                    x: config.x
+                });
             default:
                 console.warn(`Unknown entity type: ${type}`);
                 return null;
@@ -27,6 +27,21 @@ export class Entity {
 
         // Tags for quick filtering (Set of strings)
         this.tags = new Set();
+
+        // Entity manager to tell about component and tag changes, so its queries stay up to date
+        this.manager = null;
+    }
+
+    /**
+     * Tell the entity manager that a component type or tag was added or removed
+     * @param {string} [componentType] - The component type that changed
+     * @param {string} [tag] - The tag that changed
+     * @private
+     */
+    _notifyChanged(componentType, tag) {
+        if (this.manager) {
+            this.manager.onEntityChanged(this, componentType, tag);
+        }
     }
 
     /**
@@ -51,6 +66,11 @@ export class Entity {
             component.setEntity(this);
         }
 
+        // Only the first component of a type changes which queries match
+        if (components.length === 1) {
+            this._notifyChanged(component.type, null);
+        }
+
         return this;
     }
 
@@ -75,7 +95,9 @@ export class Entity {
         }
 
         // Remove the component type
-        return this.components.delete(componentType);
+        this.components.delete(componentType);
+        this._notifyChanged(componentType, null);
+        return true;
     }
 
     /**
@@ -163,7 +185,10 @@ export class Entity {
             throw new Error('Tag must be a non-empty string');
         }
 
-        this.tags.add(tag);
+        if (!this.tags.has(tag)) {
+            this.tags.add(tag);
+            this._notifyChanged(null, tag);
+        }
         return this;
     }
 
@@ -173,7 +198,11 @@ export class Entity {
      * @returns {boolean} True if the tag was removed, false if it didn't exist
      */
     removeTag(tag) {
-        return this.tags.delete(tag);
+        if (!this.tags.delete(tag)) {
+            return false;
+        }
+        this._notifyChanged(null, tag);
+        return true;
     }
 
     /**
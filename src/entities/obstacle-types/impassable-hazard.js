@@ -7,6 +7,8 @@
 
 import { createObstacleEntity } from '../obstacle.js';
 import { CollisionType } from '../components/collision.js';
+import { contentRegistry, ContentCategory } from '../../core/content-registry.js';
+import { SpriteConfig } from '../../config/sprite-config.js';
 
 /**
  * Factory function to create a new impassable hazard entity
@@ -15,18 +17,11 @@ import { CollisionType } from '../components/collision.js';
  * @returns {Entity} The created impassable hazard entity
  */
 export function createImpassableHazardEntity(entityManager, config = {}) {
-    // Set default properties for impassable hazards
+    // Stats come from the hazard archetype (assets/archetypes/obstacles.json)
     const hazardConfig = {
         ...config,
         type: 'hazard',
-        variant: config.variant || 'standard',
-        health: 999999,
-        speed: config.speed !== undefined ? config.speed : 0,
-        width: config.width || 40,
-        height: config.height || 40,
-        color: config.color || '#000000',
-        impassable: true,
-        projectilesPassThrough: true
+        variant: config.variant || 'standard'
     };
     const entity = createObstacleEntity(entityManager, hazardConfig);
     entity.addTag('hazard');
@@ -40,44 +35,10 @@ export function createImpassableHazardEntity(entityManager, config = {}) {
     return entity;
 }
 
-// Impassable hazard variants
-export const ImpassableHazardVariants = {
-    // Standard
-    Standard: {
-        variant: 'standard',
-        speed: 0,
-        color: '#000000',
-        weight: 9999 // Extremely high weight as it's impassable
-    },
-    // Hole in the ground
-    Hole: {
-        variant: 'hole',
-        speed: 0,
-        color: '#000000',
-        weight: 9999 // Extremely high weight as it's impassable
-    },
-
-    // Spike pit
-    Spikes: {
-        variant: 'spikes',
-        speed: 0,
-        color: '#7f8c8d',
-        weight: 9999 // Extremely high weight as it's impassable
-    },
-
-    // Fire
-    Fire: {
-        variant: 'fire',
-        speed: 0,
-        color: '#e74c3c',
-        weight: 9999 // Extremely high weight as it's impassable
-    },
-
-    // Toxic waste
-    Toxic: {
-        variant: 'toxic',
-        speed: 0,
-        color: '#2ecc71',
-        weight: 9999 // Extremely high weight as it's impassable
-    }
-};
+// Register the impassable hazard type with the content registry
+contentRegistry.register(ContentCategory.OBSTACLE, 'hazard', {
+    create: createImpassableHazardEntity,
+    spriteConfig: SpriteConfig.obstacle.hazard,
+    displayName: 'Impassable Hazard',
+    editor: { label: 'impassable hazard' }
+});
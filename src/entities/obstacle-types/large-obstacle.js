@@ -6,6 +6,8 @@
  */
 
 import { createObstacleEntity } from '../obstacle.js';
+import { contentRegistry, ContentCategory } from '../../core/content-registry.js';
+import { SpriteConfig } from '../../config/sprite-config.js';
 
 /**
  * Factory function to create a new large obstacle entity
@@ -14,17 +16,11 @@ import { createObstacleEntity } from '../obstacle.js';
  * @returns {Entity} The created large obstacle entity
  */
 export function createLargeObstacleEntity(entityManager, config = {}) {
-    // Set default properties for large obstacles
+    // Stats come from the large archetype (assets/archetypes/obstacles.json)
     const largeObstacleConfig = {
         ...config,
         type: 'large',
-        variant: config.variant || 'standard',
-        health: config.health || 6,
-        speed: config.speed || 20,
-        width: config.width || 60,
-        height: config.height || 60,
-        color: config.color || '#2c3e50',
-        impassable: false
+        variant: config.variant || 'standard'
     };
     const entity = createObstacleEntity(entityManager, largeObstacleConfig);
     entity.addTag('largeObstacle');
@@ -32,47 +28,10 @@ export function createLargeObstacleEntity(entityManager, config = {}) {
     return entity;
 }
 
-// Large obstacle variants
-export const LargeObstacleVariants = {
-    // Standard large obstacle
-    Standard: {
-        variant: 'standard',
-        health: 6,
-        speed: 20,
-        color: '#2c3e50',
-        weight: 10 // Standard weight for large obstacles
-    },
-
-    // Bus - very high health
-    Bus: {
-        variant: 'bus',
-        health: 8,
-        speed: 15,
-        width: 80,
-        height: 60,
-        color: '#f1c40f',
-        weight: 14 // Heavier due to more health and size
-    },
-
-    // Truck - can contain bonuses
-    Truck: {
-        variant: 'truck',
-        health: 6,
-        speed: 20,
-        width: 70,
-        height: 50,
-        color: '#e74c3c',
-        weight: 10 // Standard weight
-    },
-
-    // Wall - very high health but very slow
-    Wall: {
-        variant: 'wall',
-        health: 10,
-        speed: 10,
-        width: 50,
-        height: 70,
-        color: '#95a5a6',
-        weight: 18 // Very heavy due to very high health
-    }
-};
+// Register the large obstacle type with the content registry
+contentRegistry.register(ContentCategory.OBSTACLE, 'large', {
+    create: createLargeObstacleEntity,
+    spriteConfig: SpriteConfig.obstacle.large,
+    displayName: 'Large Obstacle',
+    editor: { label: 'large obstacle' }
+});
@@ -6,6 +6,8 @@
  */
 
 import { createObstacleEntity } from '../obstacle.js';
+import { contentRegistry, ContentCategory } from '../../core/content-registry.js';
+import { SpriteConfig } from '../../config/sprite-config.js';
 
 /**
  * Factory function to create a new small obstacle entity
@@ -14,17 +16,11 @@ import { createObstacleEntity } from '../obstacle.js';
  * @returns {Entity} The created small obstacle entity
  */
 export function createSmallObstacleEntity(entityManager, config = {}) {
-    // Set default properties for small obstacles
+    // Stats come from the small archetype (assets/archetypes/obstacles.json)
     const smallObstacleConfig = {
         ...config,
         type: 'small',
-        variant: config.variant || 'standard',
-        health: config.health || 1,
-        speed: config.speed || 40,
-        width: config.width || 30,
-        height: config.height || 30,
-        color: config.color || '#7f8c8d',
-        impassable: false
+        variant: config.variant || 'standard'
     };
     const entity = createObstacleEntity(entityManager, smallObstacleConfig);
     entity.addTag('smallObstacle');
@@ -32,41 +28,10 @@ export function createSmallObstacleEntity(entityManager, config = {}) {
     return entity;
 }
 
-// Small obstacle variants
-export const SmallObstacleVariants = {
-    // Standard small obstacle
-    Standard: {
-        variant: 'standard',
-        health: 1,
-        speed: 40,
-        color: '#7f8c8d',
-        weight: 3 // Standard weight for small obstacles
-    },
-
-    // Barricade - slightly more health
-    Barricade: {
-        variant: 'barricade',
-        health: 2,
-        speed: 40,
-        color: '#95a5a6',
-        weight: 4 // Slightly heavier due to more health
-    },
-
-    // Crate - can contain bonuses
-    Crate: {
-        variant: 'crate',
-        health: 1,
-        speed: 40,
-        color: '#d35400',
-        weight: 3 // Standard weight
-    },
-
-    // Trash Can - faster but less health
-    TrashCan: {
-        variant: 'trashCan',
-        health: 1,
-        speed: 50,
-        color: '#16a085',
-        weight: 2 // Lighter due to faster speed
-    }
-};
+// Register the small obstacle type with the content registry
+contentRegistry.register(ContentCategory.OBSTACLE, 'small', {
+    create: createSmallObstacleEntity,
+    spriteConfig: SpriteConfig.obstacle.small,
+    displayName: 'Small Obstacle',
+    editor: { label: 'small obstacle' }
+});
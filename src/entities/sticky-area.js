@@ -23,13 +23,13 @@ export function createStickyArea(entityManager, config = {}) {
     }
 
     // Create the sticky area entity
-    const entity = entityManager.createEntity();
+    const entity = entityManager.createPooledEntity();
 
     // Add sticky area tag
     entity.addTag('stickyArea');
 
     // Add transform component
-    const transform = new TransformComponent();
+    const transform = entityManager.acquireComponent(TransformComponent);
     transform.init({
         x: config.x || 0,
         y: config.y || 0
@@ -37,13 +37,13 @@ export function createStickyArea(entityManager, config = {}) {
     entity.addComponent(transform);
 
     // Add render component
-    const render = new RenderComponent();
+    const render = entityManager.acquireComponent(RenderComponent);
     render.entityType = 'stickyArea';
     render.initSpriteConfig();
     entity.addComponent(render);
 
     // Add movement component with zero speed (will move with game speed)
-    const movement = new MovementComponent();
+    const movement = entityManager.acquireComponent(MovementComponent);
     movement.init({
         type: MovementType.OBSTACLE, // Use obstacle movement type to move with game speed
         speed: 0, // Zero innate speed
@@ -53,7 +53,7 @@ export function createStickyArea(entityManager, config = {}) {
     entity.addComponent(movement);
 
     // Add collision component
-    const collision = new CollisionComponent();
+    const collision = entityManager.acquireComponent(CollisionComponent);
     collision.init({
         width: config.width || 100,
         height: config.height || 100
@@ -68,7 +68,7 @@ export function createStickyArea(entityManager, config = {}) {
     entity.addComponent(collision);
 
     // Add effect component
-    const effect = new EffectComponent();
+    const effect = entityManager.acquireComponent(EffectComponent);
     effect.init({
         effectType: EffectType.SLOW,
         strength: config.slowFactor || 0.5, // Slow to 50% speed by default
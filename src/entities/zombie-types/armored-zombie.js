@@ -7,6 +7,8 @@
 
 import { createEnemy } from '../enemy.js';
 import { Entity } from '../entity.js';
+import { contentRegistry, ContentCategory } from '../../core/content-registry.js';
+import { SpriteConfig } from '../../config/sprite-config.js';
 /**
  * Factory function to create a new armored zombie entity
  * @param {EntityManager} entityManager - The entity manager
@@ -14,69 +16,21 @@ import { Entity } from '../entity.js';
  * @returns {Entity} The created armored zombie entity
  */
 export function createArmoredZombieEntity(entityManager, config = {}) {
-    // Set default properties for armored zombies
+    // Stats come from the armored archetype (assets/archetypes/zombies.json)
     const armoredZombieConfig = {
         ...config,
         type: 'armored',
-        variant: config.variant || 'standard',
-        health: config.health || 3,
-        speed: config.speed || 40,
-        attackDamage: config.attackDamage || 1,
-        attackRate: config.attackRate || 0.8,
-        pointValue: config.pointValue || 25,
-        width: config.width || 30,
-        height: config.height || 30,
-        color: config.color || '#34495e',
-        armor: config.armor || 1
+        variant: config.variant || 'standard'
     };
     const entity = createEnemy(entityManager, armoredZombieConfig);
     entity.addTag('armoredZombie');
-    // Set armor value on health component
-    const health = entity.getComponent('health');
-    if (health) {
-        health.setArmor(armoredZombieConfig.armor);
-    }
     return entity;
 }
 
-// Armored zombie variants
-export const ArmoredZombieVariants = {
-    // Standard armored zombie
-    Standard: {
-        variant: 'standard',
-        health: 3,
-        armor: 1,
-        speed: 40,
-        attackDamage: 1,
-        attackRate: 0.8,
-        pointValue: 25,
-        color: '#34495e',
-        weight: 4 // Standard weight for armored zombies
-    },
-
-    // Heavy armor - more health and armor but slower
-    HeavyArmor: {
-        variant: 'heavyArmor',
-        health: 5,
-        armor: 2,
-        speed: 30,
-        attackDamage: 1,
-        attackRate: 0.6,
-        pointValue: 35,
-        color: '#2c3e50',
-        weight: 6 // Heavier due to more armor and health
-    },
-
-    // Partial armor - less armor but faster
-    PartialArmor: {
-        variant: 'partialArmor',
-        health: 2,
-        armor: 1,
-        speed: 50,
-        attackDamage: 1,
-        attackRate: 1,
-        pointValue: 20,
-        color: '#7f8c8d',
-        weight: 3 // Lighter due to less armor
-    }
-};
+// Register the armored zombie type with the content registry
+contentRegistry.register(ContentCategory.ENEMY, 'armored', {
+    create: createArmoredZombieEntity,
+    spriteConfig: SpriteConfig.zombie.armored,
+    displayName: 'Armored Zombie',
+    editor: { label: 'armored zombie' }
+});
@@ -0,0 +1,53 @@
+/**
+ * Boss Zombie Class
+ *
+ * Represents a boss zombie enemy in the game.
+ * Spans several lanes and fights in phases set by its health (see the BossSystem).
+ */
+
+import { createEnemy } from '../enemy.js';
+import { LaneComponent } from '../components/lane.js';
+import { ServiceLocator } from '../../core/service-locator.js';
+import { contentRegistry, ContentCategory } from '../../core/content-registry.js';
+import { SpriteConfig } from '../../config/sprite-config.js';
+
+/**
+ * Factory function to create a new boss zombie entity
+ * @param {EntityManager} entityManager - The entity manager
+ * @param {Object} config - Zombie configuration
+ * @returns {Entity} The created boss zombie entity
+ */
+export function createBossZombieEntity(entityManager, config = {}) {
+    // Stats, lane span and phases come from the boss archetype (assets/archetypes/zombies.json)
+    const bossZombieConfig = {
+        ...config,
+        type: 'boss',
+        variant: config.variant || 'standard'
+    };
+
+    // Every lane the boss spans must be a combat lane
+    if (ServiceLocator.hasService('laneSystem')) {
+        bossZombieConfig.laneIndex = LaneComponent.clampLaneIndex(
+            bossZombieConfig.laneIndex || 1,
+            bossZombieConfig.laneSpan || 1,
+            ServiceLocator.getService('laneSystem').getLaneCount());
+    }
+
+    const entity = createEnemy(entityManager, bossZombieConfig);
+    entity.addTag('bossZombie');
+
+    // The giant sprite is stretched over the lanes the boss spans
+    const render = entity.getComponent('render');
+    render.width = bossZombieConfig.width || render.width;
+    render.height = bossZombieConfig.height || render.height;
+
+    return entity;
+}
+
+// Register the boss zombie type with the content registry
+contentRegistry.register(ContentCategory.ENEMY, 'boss', {
+    create: createBossZombieEntity,
+    spriteConfig: SpriteConfig.zombie.giant,
+    displayName: 'Boss Zombie',
+    editor: { label: 'boss zombie' }
+});
@@ -0,0 +1,35 @@
+/**
+ * Spitter Zombie Class
+ * 
+ * Represents a ranged zombie enemy in the game.
+ * Stops at a distance from the player and lobs acid at the soldiers (see the spitAcid ability).
+ */
+
+import { createEnemy } from '../enemy.js';
+import { contentRegistry, ContentCategory } from '../../core/content-registry.js';
+import { SpriteConfig } from '../../config/sprite-config.js';
+/**
+ * Factory function to create a new spitter zombie entity
+ * @param {EntityManager} entityManager - The entity manager
+ * @param {Object} config - Zombie configuration
+ * @returns {Entity} The created spitter zombie entity
+ */
+export function createSpitterZombieEntity(entityManager, config = {}) {
+    // Stats and the spitAcid ability come from the spitter archetype (assets/archetypes/zombies.json)
+    const spitterZombieConfig = {
+        ...config,
+        type: 'spitter',
+        variant: config.variant || 'standard'
+    };
+    const entity = createEnemy(entityManager, spitterZombieConfig);
+    entity.addTag('spitterZombie');
+    return entity;
+}
+
+// Register the spitter zombie type with the content registry
+contentRegistry.register(ContentCategory.ENEMY, 'spitter', {
+    create: createSpitterZombieEntity,
+    spriteConfig: SpriteConfig.zombie.normal,
+    displayName: 'Spitter Zombie',
+    editor: { label: 'spitter zombie' }
+});
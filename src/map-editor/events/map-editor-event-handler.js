@@ -119,6 +119,7 @@ export class MapEditorEventHandler {
                 this.editor.currentMap = this.editor.maps[clickedIndex];
                 this.editor.mode = 'edit';
                 this.editor.viewportOffset = 0;
+                this.editor.ui.updateContentWarnings();
                 this.editor.render();
                 return;
             }
@@ -232,6 +233,11 @@ export class MapEditorEventHandler {
             // Update lane
             this.editor.draggedEntity.lane = lane;
         }
+
+        // Keep enemies spanning several lanes within the combat lanes
+        if (this.editor.draggedEntity.type === 'enemy') {
+            this.editor.draggedEntity.lane = this.editor.clampLane(this.editor.draggedEntity, this.editor.draggedEntity.lane);
+        }
         
         // Update position
         this.editor.draggedEntity.position = position;
@@ -7,6 +7,7 @@ import { LaneComponent } from '../entities/components/lane.js';
 import { TransformComponent } from '../entities/components/transform.js';
 import { RenderComponent } from '../entities/components/render.js';
 import { EntityFactory } from '../entities/entity-factory.js';
+import { contentRegistry, ContentCategory } from '../core/content-registry.js';
 import { MapEditorUI } from './ui/map-editor-ui.js';
 import { MapEditorRenderer } from './rendering/map-editor-renderer.js';
 import { MapEditorEventHandler } from './events/map-editor-event-handler.js';
@@ -80,11 +81,12 @@ export class MapEditor {
     }
     
     // Create a new map
-    createMap(name, length, extendedLength) {
+    createMap(name, length, extendedLength, timeLimit) {
         const newMap = {
             name,
             length,
             extendedLength: extendedLength || length, // Default to regular length if not specified
+            timeLimit: timeLimit || 0, // Seconds to reach the finish line (0 = no limit)
             objects: [],
             spawnZones: []
         };
@@ -115,6 +117,11 @@ export class MapEditor {
             lane = 1;
         }
 
+        // Enemies spanning several lanes must fit in the combat lanes
+        if (type === 'enemy') {
+            lane = this.clampLane({ type, objectType, variant }, lane);
+        }
+
         // Check if position is within extended map bounds
         if (position < 0 || position > this.currentMap.extendedLength) {
             alert(`Position must be between 0 and ${this.currentMap.extendedLength}`);
@@ -144,6 +151,19 @@ export class MapEditor {
         this.ui.updateEntityList();
         this.render();
     }
+
+    // Get the number of lanes a map entity covers (e.g. 3 for a boss)
+    getLaneSpan(entity) {
+        if (entity.type !== 'enemy') return 1;
+
+        const config = contentRegistry.getConfig(ContentCategory.ENEMY, entity.objectType, entity.variant);
+        return (config && config.laneSpan) || 1;
+    }
+
+    // Move a map entity's lane so that every lane it covers is a combat lane
+    clampLane(entity, lane) {
+        return LaneComponent.clampLaneIndex(lane, this.getLaneSpan(entity), this.laneCount);
+    }
     
     // Delete selected entity
     deleteSelectedEntity() {
@@ -204,7 +224,14 @@ export class MapEditor {
             return;
         }
 
-        this.createMap(name, length, extendedLength);
+        const timeLimitInput = prompt('Enter time limit (in seconds) to reach the finish line - Leave empty for no limit:', '');
+        const timeLimit = timeLimitInput ? parseInt(timeLimitInput) : 0;
+        if (isNaN(timeLimit) || timeLimit < 0) {
+            alert('Time limit must be a positive number of seconds');
+            return;
+        }
+
+        this.createMap(name, length, extendedLength, timeLimit);
     }
     
     // Play the current map
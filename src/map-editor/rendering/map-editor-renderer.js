@@ -169,6 +169,7 @@ export class MapEditorRenderer {
             this.ctx.fillText(`Viewport: ${this.editor.viewportOffset} - ${this.editor.viewportOffset + this.editor.gameWidth}`, 10, 40);
             this.ctx.fillText(`Finish Line: ${this.editor.currentMap.length}px`, 10, 60);
             this.ctx.fillText(`Extended Length: ${this.editor.currentMap.extendedLength}px`, 10, 80);
+            this.ctx.fillText(`Time Limit: ${this.editor.currentMap.timeLimit ? `${this.editor.currentMap.timeLimit}s` : 'none'}`, 10, 100);
         }
     }
     
@@ -180,7 +181,13 @@ export class MapEditorRenderer {
         // Draw different shapes based on entity type
         this.ctx.beginPath();
 
-        if (entity.type === 'enemy') {
+        const laneSpan = this.editor.getLaneSpan(entity);
+        if (entity.type === 'enemy' && laneSpan > 1) {
+            // Draw an enemy spanning several lanes (a boss) as a rectangle over its lanes
+            this.ctx.fillStyle = '#c0392b'; // Dark red
+            const top = (entity.lane - Math.floor((laneSpan - 1) / 2)) * this.editor.laneHeight + 5;
+            this.ctx.rect(x - 20, top, 40, laneSpan * this.editor.laneHeight - 10);
+        } else if (entity.type === 'enemy') {
             // Draw enemy as a circle with different colors based on type
             if (entity.objectType === 'Normal') {
                 this.ctx.fillStyle = '#e74c3c'; // Red
@@ -2,6 +2,8 @@
  * Map Editor UI
  * Handles UI elements for the map editor
  */
+import { contentRegistry, ContentCategory } from '../../core/content-registry.js';
+
 export class MapEditorUI {
     constructor(editor) {
         this.editor = editor;
@@ -17,6 +19,7 @@ export class MapEditorUI {
         this.controlsContainer = null;
         this.propertiesFormContainer = null;
         this.mapListControlsContainer = null; // New container for map list controls
+        this.contentWarningsElement = null;
     }
     
     // Create external UI elements
@@ -331,9 +334,7 @@ export class MapEditorUI {
 
         const bonusTypes = [
             { value: 'random', text: 'Random' },
-            { value: 'soldier', text: 'Soldier' },
-            { value: 'gun', text: 'Gun' },
-            { value: 'grenade', text: 'Grenade' }
+            ...contentRegistry.getTypes(ContentCategory.BONUS).map(type => ({ value: type.id, text: type.displayName }))
         ];
 
         bonusTypes.forEach(type => {
@@ -437,10 +438,64 @@ export class MapEditorUI {
             this.entityListContainer.style.display = this.editor.showEntityList ? 'block' : 'none';
         });
         this.controlsContainer.appendChild(toggleEntityListButton);
+        
+        // Create content warnings list (hidden while every object's type and variant is known)
+        this.contentWarningsElement = document.createElement('div');
+        this.contentWarningsElement.id = 'content-warnings';
+        this.contentWarningsElement.style.display = 'none';
+        this.contentWarningsElement.style.padding = '8px';
+        this.contentWarningsElement.style.marginBottom = '10px';
+        this.contentWarningsElement.style.backgroundColor = '#7f6000';
+        this.contentWarningsElement.style.color = '#f1c40f';
+        this.contentWarningsElement.style.borderRadius = '3px';
+        this.contentWarningsElement.style.fontSize = '12px';
+        this.controlsContainer.appendChild(this.contentWarningsElement);
+    }
+    
+    // List the map objects whose type or variant isn't registered, so they aren't silently
+    // replaced by the default type or variant when the map is played
+    updateContentWarnings() {
+        if (!this.contentWarningsElement) return;
+        
+        const warnings = [];
+        const objects = this.editor.currentMap ? this.editor.currentMap.objects : [];
+        for (const object of objects) {
+            const objectWarnings = contentRegistry.checkContent(object.type, object.objectType, object.variant);
+            
+            // Random embedded bonuses are picked from the registered ones
+            const embeddedBonus = object.embeddedBonus;
+            if (embeddedBonus && embeddedBonus.type !== 'random') {
+                objectWarnings.push(...contentRegistry.checkContent(ContentCategory.BONUS, embeddedBonus.type, embeddedBonus.variant)
+                    .map(warning => `embedded bonus: ${warning}`));
+            }
+            
+            for (const warning of objectWarnings) {
+                warnings.push(`ID ${object.id} (lane ${object.lane}, position ${object.position}): ${warning}`);
+            }
+        }
+        
+        this.contentWarningsElement.innerHTML = '';
+        this.contentWarningsElement.style.display = warnings.length ? 'block' : 'none';
+        if (!warnings.length) return;
+        
+        const title = document.createElement('div');
+        title.textContent = `Content warnings (${warnings.length})`;
+        title.style.fontWeight = 'bold';
+        title.style.marginBottom = '5px';
+        this.contentWarningsElement.appendChild(title);
+        
+        for (const warning of warnings) {
+            const warningItem = document.createElement('div');
+            warningItem.textContent = warning;
+            warningItem.style.marginBottom = '3px';
+            this.contentWarningsElement.appendChild(warningItem);
+        }
     }
     
     // Update the entity list in the UI
     updateEntityList() {
+        this.updateContentWarnings();
+        
         if (!this.entityListElement) return;
         
         // Clear the list
@@ -501,32 +556,8 @@ export class MapEditorUI {
         console.log(`[UI] Populating object types for entity type: ${entityType}`);
         selectElement.innerHTML = ''; // Clear existing options
         
-        let options = [];
-        
-        switch (entityType) {
-            case 'enemy':
-                options = [
-                    { value: 'normal', text: 'normal zombie' },
-                    { value: 'armored', text: 'armored zombie' },
-                    { value: 'giant', text: 'giant zombie' }
-                ];
-                break;
-            case 'obstacle':
-                options = [
-                    { value: 'small', text: 'small obstacle' },
-                    { value: 'medium', text: 'medium obstacle' },
-                    { value: 'large', text: 'large obstacle' },
-                    { value: 'hazard', text: 'impassible hazard' }
-                ];
-                break;
-            case 'bonus':
-                options = [
-                    { value: 'soldier', text: 'soldier' },
-                    { value: 'gun', text: 'gun' },
-                    { value: 'grenade', text: 'grenade' }
-                ];
-                break;
-        }
+        // Types registered with the content registry for this entity type
+        const options = contentRegistry.getEditorTypeOptions(entityType);
         
         console.log(`[UI] Available object types: ${options.map(o => o.value).join(', ')}`);
         
@@ -558,94 +589,10 @@ export class MapEditorUI {
         console.log(`[UI] Populating variants for entity type: ${entityType}, object type: ${objectType}`);
         selectElement.innerHTML = ''; // Clear existing options
         
-        let options = [];
-        
-        // Convert to lowercase for consistent comparison
-        const entityTypeLower = entityType.toLowerCase();
-        const objectTypeLower = objectType ? objectType.toLowerCase() : '';
-        
-        if (entityTypeLower === 'enemy') {
-            switch (objectTypeLower) {
-                case 'normal':
-                    options = [
-                        { value: 'standard', text: 'standard' },
-                        { value: 'crawler', text: 'crawler' },
-                        { value: 'runner', text: 'runner' }
-                    ];
-                    break;
-                case 'armored':
-                    options = [
-                        { value: 'standard', text: 'standard' },
-                        { value: 'heavy', text: 'heavy' }
-                    ];
-                    break;
-                case 'giant':
-                    options = [
-                        { value: 'standard', text: 'standard' },
-                        { value: 'tank', text: 'tank' },
-                        { value: 'berserker', text: 'berserker' }
-                    ];
-                    break;
-            }
-        } else if (entityTypeLower === 'obstacle') {
-            switch (objectTypeLower) {
-                case 'small':
-                    options = [
-                        {value: 'standard', text: 'standard'},
-                        {value: 'barricade', text: 'barricade'},
-                        {value: 'crate', text: 'crate'},
-                        {value: 'trashCan', text: 'trashCan'}
-                    ];
-                    break;
-                case 'medium':
-                    options = [
-                        {value: 'standard', text: 'standard'},
-                        {value: 'car', text: 'car'},
-                        {value: 'dumpster', text: 'dumpster'},
-                        {value: 'fence', text: 'fence'}
-                    ];
-                    break;
-                case 'large':
-                    options = [
-                        {value: 'standard', text: 'standard'},
-                        {value: 'bus', text: 'bus'},
-                        {value: 'truck', text: 'truck'},
-                        {value: 'wall', text: 'wall'}
-                    ];
-                    break;
-                case 'hazard':
-                    options = [
-                        { value: 'standard', text: 'standard' },
-                        { value: 'hole', text: 'hole' },
-                        { value: 'spikes', text: 'spikes' },
-                        { value: 'fire', text: 'fire' },
-                        { value: 'toxic', text: 'toxic' }
-                    ];
-                    break;
-            }
-        } else if (entityTypeLower === 'bonus') {
-            switch (objectTypeLower) {
-                case 'soldier':
-                    options = [
-                        { value: 'standard', text: 'standard' }
-                    ];
-                    break;
-                case 'gun':
-                    options = [
-                        { value: 'desert_eagle', text: 'Desert Eagle' },
-                        { value: 'benelli_m4', text: 'Benelli M4' },
-                        { value: 'ak47', text: 'AK-47' },
-                        { value: 'barrett_xm109', text: 'Barrett XM109' }
-                    ];
-                    break;
-                case 'grenade':
-                    options = [
-                        { value: 'standard', text: 'standard' },
-                        { value: 'sticky', text: 'sticky' }
-                    ];
-                    break;
-            }
-        }
+        // Variants registered with the content registry for this type (older maps may capitalize the type)
+        const category = entityType.toLowerCase();
+        const typeId = contentRegistry.findType(category, objectType);
+        const options = contentRegistry.getEditorVariantOptions(category, typeId);
         
         console.log(`[UI] Available variants: ${options.map(o => o.value).join(', ')}`);
         
@@ -902,6 +849,11 @@ export class MapEditorUI {
             entity.variant = document.getElementById('variant').value;
             entity.lane = newLane;
             entity.position = parseInt(document.getElementById('position').value);
+
+            // Enemies spanning several lanes must fit in the combat lanes
+            if (entity.type === 'enemy') {
+                entity.lane = this.editor.clampLane(entity, entity.lane);
+            }
             
             this.propertiesFormContainer.style.display = 'none';
             this.updateEntityList();
@@ -918,29 +870,7 @@ export class MapEditorUI {
     populateEmbedBonusVariants(selectElement, bonusType) {
         selectElement.innerHTML = ''; // Clear existing options
         
-        let options = [];
-        
-        switch (bonusType) {
-            case 'soldier':
-                options = [
-                    { value: 'standard', text: 'Standard' }
-                ];
-                break;
-            case 'gun':
-                options = [
-                    { value: 'ak47', text: 'AK-47' },
-                    { value: 'desert_eagle', text: 'Desert Eagle' },
-                    { value: 'benelli_m4', text: 'Benelli M4' },
-                    { value: 'barrett_xm109', text: 'Barrett XM109' }
-                ];
-                break;
-            case 'grenade':
-                options = [
-                    { value: 'standard', text: 'Standard' },
-                    { value: 'sticky', text: 'Sticky' }
-                ];
-                break;
-        }
+        const options = contentRegistry.getEditorVariantOptions(ContentCategory.BONUS, bonusType);
         
         options.forEach(option => {
             const optionElement = document.createElement('option');
@@ -1058,6 +988,7 @@ export class MapEditorUI {
         } else if (this.editor.mode === 'edit') {
             this.uiContainer.style.display = 'block';
             this.mapListControlsContainer.style.display = 'none';
+            this.updateContentWarnings();
         }
     }
 }
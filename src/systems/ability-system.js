@@ -0,0 +1,216 @@
+/**
+ * Ability System
+ *
+ * Runs the special abilities of enemy variants (see src/core/ability-registry.js).
+ * Abilities are driven by the event bus and the timer: the system attaches them when
+ * their entity is added, passes on the damage the entity takes, and fires the timers
+ * they schedule. Abilities that watch the battlefield are also called every update. Ability timers are named after their entity and ability, so they are
+ * saved with the timer and continue where they were when a snapshot is restored.
+ */
+
+import { System } from './system.js';
+import { ServiceLocator } from '../core/service-locator.js';
+import { abilityRegistry } from '../core/ability-registry.js';
+import { MovementSystem } from './movement-system.js';
+
+// The built-in abilities register themselves with the ability registry
+import '../entities/abilities/sprint.js';
+import '../entities/abilities/enrage.js';
+import '../entities/abilities/low-profile.js';
+import '../entities/abilities/regenerate-armor.js';
+import '../entities/abilities/spit-acid.js';
+import '../entities/abilities/change-lanes.js';
+
+// Timer group of the ability timers
+export const ABILITY_TIMER_GROUP = 'abilities';
+
+export class AbilitySystem extends System {
+    /**
+     * Create a new AbilitySystem instance
+     */
+    constructor() {
+        super('abilitySystem');
+
+        // Event bus reference
+        this.eventBus = null;
+
+        // Timer reference
+        this.timer = null;
+
+        // Entity manager reference
+        this.entityManager = null;
+    }
+
+    /**
+     * Initialize the system
+     */
+    initialize() {
+        this.eventBus = ServiceLocator.getService('eventBus');
+        this.timer = ServiceLocator.getService('timer');
+        this.entityManager = ServiceLocator.getService('entityManager');
+        if (!this.eventBus || !this.timer || !this.entityManager) {
+            console.error('[ABILITY_SYSTEM] Event bus, timer or entity manager not found');
+            return;
+        }
+
+        this.eventBus.subscribe('entityAdded', this.handleEntityAdded.bind(this), { owner: this });
+        this.eventBus.subscribe('entityRemoved', this.handleEntityRemoved.bind(this), { owner: this });
+        this.eventBus.subscribe('entityDamaged', this.handleEntityDamaged.bind(this), { owner: this });
+
+        console.log('[ABILITY_SYSTEM] Initialized');
+    }
+
+    /**
+     * Call the onUpdate hook of the abilities of the living entities
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.entityManager) return;
+
+        for (const entity of this.entityManager.getEntitiesWithAllComponents(['abilities'])) {
+            // Dead enemies no longer use their abilities
+            const health = entity.getComponent('health');
+            if (health && health.isDead) continue;
+
+            for (const ability of entity.getComponent('abilities').abilities) {
+                const definition = abilityRegistry.get(ability.type);
+                if (definition && definition.onUpdate) {
+                    definition.onUpdate(entity, ability, this, deltaTime);
+                }
+            }
+        }
+    }
+
+    /**
+     * Attach the abilities of an entity that entered the game
+     * @param {Object} event - Event data: { entity }
+     */
+    handleEntityAdded({ entity }) {
+        const abilities = entity.getComponent('abilities');
+        if (!abilities) return;
+
+        for (const ability of abilities.abilities) {
+            const definition = abilityRegistry.get(ability.type);
+            if (definition && definition.attach) {
+                definition.attach(entity, ability, this);
+            }
+        }
+
+        // Abilities active in a restored snapshot keep their effect on speed
+        MovementSystem.updateSpeedMultiplier(entity);
+    }
+
+    /**
+     * Cancel the timers of an entity that left the game
+     * @param {Object} event - Event data: { entity }
+     */
+    handleEntityRemoved({ entity }) {
+        const abilities = entity.getComponent('abilities');
+        if (!abilities) return;
+
+        abilities.abilities.forEach((ability, index) => {
+            const id = this.timer.findTimer(AbilitySystem.getTimerName(entity, index));
+            if (id !== null) {
+                this.timer.cancelTimer(id);
+            }
+        });
+    }
+
+    /**
+     * Pass the damage an entity took on to its abilities
+     * @param {Object} event - Event data: { entity, amount, source }
+     */
+    handleEntityDamaged(event) {
+        const abilities = event.entity.getComponent('abilities');
+        if (!abilities) return;
+
+        for (const ability of abilities.abilities) {
+            const definition = abilityRegistry.get(ability.type);
+            if (definition && definition.onDamaged) {
+                definition.onDamaged(event.entity, ability, this, event);
+            }
+        }
+    }
+
+    /**
+     * Start a timer that calls the ability's onTimer hook. An ability has one timer;
+     * scheduling again replaces it.
+     * @param {Entity} entity - The entity
+     * @param {Object} ability - The ability state
+     * @param {number} duration - Seconds until the timer fires
+     * @param {boolean} [repeat=false] - Whether the timer fires every duration
+     * @returns {number} The timer ID
+     */
+    schedule(entity, ability, duration, repeat = false) {
+        const index = entity.getComponent('abilities').abilities.indexOf(ability);
+        const entityId = entity.id;
+
+        return this.timer.createTimer(duration, () => this.handleTimer(entityId, index), repeat, {
+            name: AbilitySystem.getTimerName(entity, index),
+            group: ABILITY_TIMER_GROUP
+        });
+    }
+
+    /**
+     * Call the onTimer hook of an ability whose timer fired
+     * @param {number} entityId - The entity ID
+     * @param {number} index - The index of the ability
+     * @private
+     */
+    handleTimer(entityId, index) {
+        const entity = this.entityManager.getEntity(entityId);
+        const abilities = entity && entity.getComponent('abilities');
+        const ability = abilities && abilities.abilities[index];
+        if (!ability) return;
+
+        // Dead enemies no longer use their abilities
+        const health = entity.getComponent('health');
+        if (health && health.isDead) return;
+
+        const definition = abilityRegistry.get(ability.type);
+        if (definition && definition.onTimer) {
+            definition.onTimer(entity, ability, this);
+        }
+    }
+
+    /**
+     * Activate or end an ability, apply its speed multiplier and publish
+     * 'abilityActivated' or 'abilityEnded'
+     * @param {Entity} entity - The entity
+     * @param {Object} ability - The ability state
+     * @param {boolean} active - Whether the ability is active
+     */
+    setActive(entity, ability, active) {
+        if (ability.active === active) return;
+
+        ability.active = active;
+        MovementSystem.updateSpeedMultiplier(entity);
+
+        this.eventBus.publish(active ? 'abilityActivated' : 'abilityEnded', { entity, ability: ability.type });
+    }
+
+    /**
+     * Get the name of an ability's timer
+     * @param {Entity} entity - The entity
+     * @param {number} index - The index of the ability
+     * @returns {string} The timer name
+     */
+    static getTimerName(entity, index) {
+        return `ability:${entity.id}:${index}`;
+    }
+
+    /**
+     * Clean up resources when the system is destroyed
+     */
+    destroy() {
+        if (this.eventBus) {
+            this.eventBus.unsubscribeOwner(this);
+        }
+        if (this.timer) {
+            this.timer.cancelGroup(ABILITY_TIMER_GROUP);
+        }
+        this.eventBus = null;
+        this.timer = null;
+        this.entityManager = null;
+    }
+}
@@ -41,7 +41,7 @@ export class BonusSystem extends EntitySystem {
         }
 
         // Subscribe to bonus collected event
-        this.eventBus.subscribe('bonusCollected', this.handleBonusCollected.bind(this));
+        this.eventBus.subscribe('bonusCollected', this.handleBonusCollected.bind(this), { owner: this });
 
         console.log('[BONUS_SYSTEM] Initialized');
     }
@@ -107,7 +107,7 @@ export class BonusSystem extends EntitySystem {
     destroy() {
         // Unsubscribe from events
         if (this.eventBus) {
-            this.eventBus.unsubscribe('bonusCollected', this.handleBonusCollected);
+            this.eventBus.unsubscribeOwner(this);
         }
 
         this.entityManager = null;
@@ -0,0 +1,343 @@
+/**
+ * Boss System
+ *
+ * Runs the phases of boss zombies (see src/entities/components/boss.js). A boss enters
+ * its next phase when the damage it takes brings its health down to the phase's
+ * threshold. Each phase can change the boss's speed, summon zombies in the lanes next to
+ * it, and sweep the player's lane after a warning. Phase timers are named after their
+ * boss, so they are saved with the timer and continue where they were when a snapshot
+ * is restored.
+ *
+ * Published events:
+ * - bossSpawned: { entity, type, variant, phase, phaseCount }
+ * - bossPhaseChanged: { entity, phase, previousPhase }
+ * - bossSummoned: { entity, minions }
+ * - bossSweepWarning: { entity, laneIndex, delay }
+ * - bossLaneSweep: { entity, laneIndex, damage }
+ * - bossDefeated: { entity, type, variant }
+ */
+
+import { System } from './system.js';
+import { ServiceLocator } from '../core/service-locator.js';
+import { MovementSystem } from './movement-system.js';
+import { EntityFactory } from '../entities/entity-factory.js';
+
+// Timer group of the boss timers
+export const BOSS_TIMER_GROUP = 'boss';
+
+// Names of the timers a boss can have
+const BOSS_TIMERS = ['summon', 'sweep', 'strike'];
+
+export class BossSystem extends System {
+    /**
+     * Create a new BossSystem instance
+     */
+    constructor() {
+        super('bossSystem');
+
+        // Event bus reference
+        this.eventBus = null;
+
+        // Timer reference
+        this.timer = null;
+
+        // Entity manager reference
+        this.entityManager = null;
+    }
+
+    /**
+     * Initialize the system
+     */
+    initialize() {
+        this.eventBus = ServiceLocator.getService('eventBus');
+        this.timer = ServiceLocator.getService('timer');
+        this.entityManager = ServiceLocator.getService('entityManager');
+        if (!this.eventBus || !this.timer || !this.entityManager) {
+            console.error('[BOSS_SYSTEM] Event bus, timer or entity manager not found');
+            return;
+        }
+
+        this.eventBus.subscribe('entityAdded', this.handleEntityAdded.bind(this), { owner: this });
+        this.eventBus.subscribe('entityRemoved', this.handleEntityRemoved.bind(this), { owner: this });
+        this.eventBus.subscribe('entityDamaged', this.handleEntityDamaged.bind(this), { owner: this });
+        this.eventBus.subscribe('enemyKilled', this.handleEnemyKilled.bind(this), { owner: this });
+
+        console.log('[BOSS_SYSTEM] Initialized');
+    }
+
+    /**
+     * Start the current phase of a boss that entered the game
+     * @param {Object} event - Event data: { entity }
+     */
+    handleEntityAdded({ entity }) {
+        const boss = entity.getComponent('boss');
+        if (!boss) return;
+
+        this.startPhase(entity);
+
+        // A sweep announced in a restored snapshot still strikes
+        if (boss.sweepLane !== null) {
+            this.scheduleStrike(entity, boss.getPhase().sweep);
+        }
+
+        this.eventBus.publish('bossSpawned', {
+            entity,
+            type: boss.type,
+            variant: boss.variant,
+            phase: boss.phase,
+            phaseCount: boss.phases.length
+        });
+    }
+
+    /**
+     * Cancel the timers of a boss that left the game
+     * @param {Object} event - Event data: { entity }
+     */
+    handleEntityRemoved({ entity }) {
+        if (entity.getComponent('boss')) {
+            this.cancelTimers(entity);
+        }
+    }
+
+    /**
+     * Move a boss to the phase its health has reached
+     * @param {Object} event - Event data: { entity, amount, source }
+     */
+    handleEntityDamaged({ entity }) {
+        const boss = entity.getComponent('boss');
+        const health = entity.getComponent('health');
+        if (!boss || !health || health.isDead) return;
+
+        const phase = boss.getPhaseForHealth(health.currentHealth / health.maxHealth);
+        if (phase > boss.phase) {
+            this.enterPhase(entity, phase);
+        }
+    }
+
+    /**
+     * Stop a killed boss and publish 'bossDefeated'
+     * @param {Object} event - Event data: { entity }
+     */
+    handleEnemyKilled({ entity }) {
+        const boss = entity.getComponent('boss');
+        if (!boss) return;
+
+        this.cancelTimers(entity);
+        boss.sweepLane = null;
+
+        // The dying sprite is stretched over the boss's lanes like the walking one
+        const render = entity.getComponent('render');
+        const collision = entity.getComponent('collision');
+        if (render && collision) {
+            render.width = collision.width;
+            render.height = collision.height;
+        }
+
+        this.eventBus.publish('bossDefeated', { entity, type: boss.type, variant: boss.variant });
+    }
+
+    /**
+     * Move a boss to a phase and publish 'bossPhaseChanged'
+     * @param {Entity} entity - The boss
+     * @param {number} phase - Index of the phase
+     */
+    enterPhase(entity, phase) {
+        const boss = entity.getComponent('boss');
+        const previousPhase = boss.phase;
+
+        this.cancelTimers(entity);
+        boss.phase = phase;
+        boss.sweepLane = null;
+        this.startPhase(entity);
+
+        this.eventBus.publish('bossPhaseChanged', { entity, phase, previousPhase });
+    }
+
+    /**
+     * Apply the speed of a boss's current phase and schedule its attacks
+     * @param {Entity} entity - The boss
+     * @private
+     */
+    startPhase(entity) {
+        const phase = entity.getComponent('boss').getPhase();
+        if (!phase) return;
+
+        MovementSystem.updateSpeedMultiplier(entity);
+
+        if (phase.summon) {
+            this.schedule(entity, 'summon', phase.summon.interval || 6, true);
+        }
+        if (phase.sweep) {
+            this.schedule(entity, 'sweep', phase.sweep.interval || 4, true);
+        }
+    }
+
+    /**
+     * Start a named timer of a boss. Scheduling a timer again replaces it.
+     * @param {Entity} entity - The boss
+     * @param {string} action - 'summon', 'sweep' or 'strike'
+     * @param {number} duration - Seconds until the timer fires
+     * @param {boolean} [repeat=false] - Whether the timer fires every duration
+     * @returns {number} The timer ID
+     * @private
+     */
+    schedule(entity, action, duration, repeat = false) {
+        const entityId = entity.id;
+        return this.timer.createTimer(duration, () => this.handleTimer(entityId, action), repeat, {
+            name: BossSystem.getTimerName(entity, action),
+            group: BOSS_TIMER_GROUP
+        });
+    }
+
+    /**
+     * Cancel the timers of a boss
+     * @param {Entity} entity - The boss
+     * @private
+     */
+    cancelTimers(entity) {
+        for (const action of BOSS_TIMERS) {
+            const id = this.timer.findTimer(BossSystem.getTimerName(entity, action));
+            if (id !== null) {
+                this.timer.cancelTimer(id);
+            }
+        }
+    }
+
+    /**
+     * Run the action of a boss timer that fired
+     * @param {number} entityId - The boss's entity ID
+     * @param {string} action - 'summon', 'sweep' or 'strike'
+     * @private
+     */
+    handleTimer(entityId, action) {
+        const entity = this.entityManager.getEntity(entityId);
+        const boss = entity && entity.getComponent('boss');
+        const phase = boss && boss.getPhase();
+        if (!phase) return;
+
+        // Dead bosses no longer attack
+        const health = entity.getComponent('health');
+        if (health && health.isDead) return;
+
+        if (action === 'summon' && phase.summon) {
+            this.summon(entity, phase.summon);
+        } else if (action === 'sweep' && phase.sweep) {
+            this.announceSweep(entity, phase.sweep);
+        } else if (action === 'strike' && boss.sweepLane !== null) {
+            this.strike(entity, phase.sweep);
+        }
+    }
+
+    /**
+     * Summon zombies in the combat lanes just above and below a boss, and publish 'bossSummoned'
+     * @param {Entity} entity - The boss
+     * @param {Object} summon - The phase's summon: { type, variant, count }
+     * @private
+     */
+    summon(entity, summon) {
+        const lanes = entity.getComponent('lane').getLanes();
+        const laneCount = this.getLaneCount();
+        const summonLanes = [lanes[0] - 1, lanes[lanes.length - 1] + 1]
+            .filter(laneIndex => laneIndex >= 1 && laneIndex < laneCount);
+        if (summonLanes.length === 0) return;
+
+        const x = entity.getComponent('transform').x;
+        const minions = [];
+        for (let i = 0; i < (summon.count || 1); i++) {
+            minions.push(EntityFactory.createZombie(this.entityManager, summon.type || 'normal', summon.variant, {
+                laneIndex: summonLanes[i % summonLanes.length],
+                x
+            }));
+        }
+
+        this.eventBus.publish('bossSummoned', { entity, minions });
+    }
+
+    /**
+     * Announce a sweep of the player's lane with 'bossSweepWarning' and schedule the strike
+     * @param {Entity} entity - The boss
+     * @param {Object} sweep - The phase's sweep: { warning, damage }
+     * @private
+     */
+    announceSweep(entity, sweep) {
+        const boss = entity.getComponent('boss');
+        if (boss.sweepLane !== null) return;
+
+        const player = this.entityManager.getEntitiesWithTag('player')[0];
+        const playerLane = player && player.getComponent('lane');
+        if (!playerLane) return;
+
+        boss.sweepLane = playerLane.laneIndex;
+        this.scheduleStrike(entity, sweep);
+
+        this.eventBus.publish('bossSweepWarning', {
+            entity,
+            laneIndex: boss.sweepLane,
+            delay: sweep.warning || 1
+        });
+    }
+
+    /**
+     * Schedule the strike of an announced sweep
+     * @param {Entity} entity - The boss
+     * @param {Object} sweep - The phase's sweep: { warning }
+     * @private
+     */
+    scheduleStrike(entity, sweep) {
+        this.schedule(entity, 'strike', (sweep && sweep.warning) || 1);
+    }
+
+    /**
+     * Sweep the announced lane, publishing 'bossLaneSweep' for the damage system
+     * @param {Entity} entity - The boss
+     * @param {Object} sweep - The phase's sweep: { damage }
+     * @private
+     */
+    strike(entity, sweep) {
+        const boss = entity.getComponent('boss');
+        const laneIndex = boss.sweepLane;
+        boss.sweepLane = null;
+
+        this.eventBus.publish('bossLaneSweep', {
+            entity,
+            laneIndex,
+            damage: (sweep && sweep.damage) || 1
+        });
+    }
+
+    /**
+     * Get the number of lanes, including the bonus lane
+     * @returns {number} The lane count
+     * @private
+     */
+    getLaneCount() {
+        return ServiceLocator.hasService('laneSystem')
+            ? ServiceLocator.getService('laneSystem').getLaneCount()
+            : 0;
+    }
+
+    /**
+     * Get the name of a boss timer
+     * @param {Entity} entity - The boss
+     * @param {string} action - 'summon', 'sweep' or 'strike'
+     * @returns {string} The timer name
+     */
+    static getTimerName(entity, action) {
+        return `boss:${entity.id}:${action}`;
+    }
+
+    /**
+     * Clean up resources when the system is destroyed
+     */
+    destroy() {
+        if (this.eventBus) {
+            this.eventBus.unsubscribeOwner(this);
+        }
+        if (this.timer) {
+            this.timer.cancelGroup(BOSS_TIMER_GROUP);
+        }
+        this.eventBus = null;
+        this.timer = null;
+        this.entityManager = null;
+    }
+}
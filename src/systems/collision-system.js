@@ -9,6 +9,8 @@ import { EntitySystem } from './entity-system.js';
 import { ServiceLocator } from '../core/service-locator.js';
 import { CollisionType, CollisionComponent } from '../entities/components/collision.js';
 import { CollisionGroupManager } from '../core/collision-group-manager.js';
+import { LaneBroadphase } from '../core/lane-broadphase.js';
+import { abilityRegistry } from '../core/ability-registry.js';
 
 export class CollisionSystem extends EntitySystem {
     /**
@@ -38,6 +40,10 @@ export class CollisionSystem extends EntitySystem {
 
         // How often to recalculate collision groups (in frames)
         this.recalculationInterval = 5; // Every 5 frames
+
+        // Positions of projectiles and right side entities at the end of the last update,
+        // used to sweep projectiles along the path they travelled during the tick
+        this.previousPositions = new Map();
     }
 
     /**
@@ -55,11 +61,11 @@ export class CollisionSystem extends EntitySystem {
         this.initializeLaneCollisionArrays();
         
         // Subscribe to entity added/removed events
-        this.eventBus.subscribe('entityAdded', this.onEntityAdded.bind(this));
-        this.eventBus.subscribe('entityRemoved', this.onEntityRemoved.bind(this));
+        this.eventBus.subscribe('entityAdded', this.onEntityAdded.bind(this), { owner: this });
+        this.eventBus.subscribe('entityRemoved', this.onEntityRemoved.bind(this), { owner: this });
         
         // Subscribe to entity position changed events
-        this.eventBus.subscribe('entityPositionChanged', this.onEntityPositionChanged.bind(this));
+        this.eventBus.subscribe('entityPositionChanged', this.onEntityPositionChanged.bind(this), { owner: this });
     }
 
     /**
@@ -81,20 +87,30 @@ export class CollisionSystem extends EntitySystem {
         const entityManager = ServiceLocator.getService('entityManager');
         if (!entityManager) return;
 
+        // Sort the right side entities of each lane for the broadphase
+        this.broadphase.update(this.rightSideEntitiesByLane, entityManager);
+        this.maxTravel = this._getMaxTravel(entityManager);
+
         // 1. Check collisions between right side entities in the same lane
         this._checkRightSideCollisions(entityManager);
 
         // 2. Check collisions between projectiles and right side entities in the same lane
         this._checkProjectileCollisions(entityManager);
 
-        // 3. Check collisions between effect areas and right side entities
+        // 3. Check collisions between enemy projectiles and soldiers/players
+        this._checkEnemyProjectileCollisions(entityManager);
+
+        // 4. Check collisions between effect areas and right side entities
         this._checkEffectAreaCollisions(entityManager);
 
-        // 4. Check collisions between soldiers/players and right side entities
+        // 5. Check collisions between soldiers/players and right side entities
         this._checkSoldierCollisions(entityManager);
 
-        // 5. Check collisions between player and lane bonuses
+        // 6. Check collisions between player and lane bonuses
         this._checkBonusCollisions(entityManager);
+
+        // Remember where everything ended up for the next sweep
+        this._recordPreviousPositions(entityManager);
     }
     /**
      * Check collision between two entities
@@ -236,18 +252,47 @@ export class CollisionSystem extends EntitySystem {
     /**
      * Handle projectile collision
      * @param {Entity} projectile - Projectile entity
-     * @param {Entity} target - Target entity
+     * @param {Entity} target - Target entity (the first one hit)
+     * @param {Entity[]} [targets] - Every target hit, in order along the projectile's path
      */
-    handleProjectileCollision(projectile, target) {
-        const transform = projectile.getComponent('transform');
+    handleProjectileCollision(projectile, target, targets = [target]) {
         if (this.eventBus) {
             this.eventBus.publish('projectileTargetCollision', {
+                projectile,
+                target,
+                targets
+            });
+        }
+    }
+
+    /**
+     * Handle an enemy projectile hitting a soldier, or landing
+     * @param {Entity} projectile - Enemy projectile entity
+     * @param {Entity|null} target - The soldier or player hit, or null if the projectile landed
+     */
+    handleEnemyProjectileCollision(projectile, target) {
+        if (this.eventBus) {
+            this.eventBus.publish('enemyProjectileCollision', {
                 projectile,
                 target
             });
         }
     }
 
+    /**
+     * Handle a bullet shooting down an enemy projectile
+     * @param {Entity} projectile - The bullet
+     * @param {Entity} enemyProjectile - The enemy projectile
+     */
+    handleEnemyProjectileShotDown(projectile, enemyProjectile) {
+        if (this.eventBus) {
+            this.eventBus.publish('enemyProjectileShotDown', {
+                projectile,
+                enemyProjectile
+            });
+        }
+    }
+
     /**
      * Handle effect area collision
      * @param effect area
@@ -395,6 +440,7 @@ export class CollisionSystem extends EntitySystem {
         // Arrays for entities by lane
         this.rightSideEntitiesByLane = []; // Enemies and obstacles by lane
         this.projectilesByLane = [];       // Projectiles by lane
+        this.enemyProjectilesByLane = [];  // Enemy projectiles by lane
         
         // Get lane system to determine lane count
         const laneSystem = ServiceLocator.getService('laneSystem');
@@ -404,8 +450,15 @@ export class CollisionSystem extends EntitySystem {
         for (let i = 0; i < laneCount; i++) {
             this.rightSideEntitiesByLane[i] = new Set();
             this.projectilesByLane[i] = new Set();
+            this.enemyProjectilesByLane[i] = new Set();
         }
         
+        // Broadphase keeping the right side entities of each lane sorted by x
+        this.broadphase = new LaneBroadphase(laneCount);
+
+        // Furthest a right side entity moved during the tick, used to widen projectile queries
+        this.maxTravel = 0;
+
         // Single arrays for special entities
         this.effectAreaEntities = new Set();
         this.laneBonusEntities = new Set();
@@ -421,6 +474,12 @@ export class CollisionSystem extends EntitySystem {
         const { entity } = event;
         if (entity && entity.hasComponent('collision')) {
             this.registerEntity(entity);
+
+            // Projectiles are swept from where they were fired
+            const collisionType = entity.getComponent('collision').collisionType;
+            if (collisionType === CollisionType.PROJECTILE || collisionType === CollisionType.ENEMY_PROJECTILE) {
+                this._recordPreviousPosition(entity);
+            }
         }
     }
 
@@ -432,6 +491,7 @@ export class CollisionSystem extends EntitySystem {
         const { entity } = event;
         if (entity) {
             this.unregisterEntity(entity);
+            this.previousPositions.delete(entity.id);
         }
     }
 
@@ -465,6 +525,43 @@ export class CollisionSystem extends EntitySystem {
         
         // Re-register with updated lanes
         this.registerEntity(entity);
+
+        // Entities in lanes the entity has left are no longer checked against it
+        this._releaseContactsOutsideLanes(entity);
+    }
+
+    /**
+     * Drop the contacts an entity has with entities that no longer share a lane with it,
+     * and take it out of its collision group once it touches none of the group
+     * @param {Entity} entity - The entity whose lanes changed
+     * @private
+     */
+    _releaseContactsOutsideLanes(entity) {
+        const collision = entity.getComponent('collision');
+        if (!collision) return;
+
+        const entityManager = ServiceLocator.getService('entityManager');
+
+        const occupiedLanes = collision.getOccupiedLanes();
+        for (const otherId of collision.getCollidingEntities()) {
+            const other = entityManager.getEntity(otherId);
+            const otherCollision = other ? other.getComponent('collision') : null;
+            if (!otherCollision || otherCollision.getOccupiedLanes().some(lane => occupiedLanes.includes(lane))) {
+                continue;
+            }
+
+            collision.removeCollidingEntity(other);
+            otherCollision.removeCollidingEntity(entity);
+            this.collidingPairs.delete(this.getPairId(entity.id, other.id));
+        }
+
+        const movement = entity.getComponent('movement');
+        if (!movement || movement.collisionGroupId === null || !this.collisionGroupManager) return;
+
+        const group = this.collisionGroupManager.getEntitiesInGroup(movement.collisionGroupId);
+        if (!group.some(member => member !== entity && collision.isCollidingWith(member))) {
+            this.collisionGroupManager.removeEntityFromGroup(entity);
+        }
     }
 
     /**
@@ -513,6 +610,13 @@ export class CollisionSystem extends EntitySystem {
                     }
                 });
                 break;
+            case CollisionType.ENEMY_PROJECTILE:
+                occupiedLanes.forEach(index => {
+                    if (index >= 0 && index < this.enemyProjectilesByLane.length) {
+                        this.enemyProjectilesByLane[index].add(entity.id);
+                    }
+                });
+                break;
             case CollisionType.EFFECT_AREA:
                 this.effectAreaEntities.add(entity.id);
                 // Also register in each lane it occupies
@@ -567,6 +671,13 @@ export class CollisionSystem extends EntitySystem {
                     }
                 });
                 break;
+            case CollisionType.ENEMY_PROJECTILE:
+                occupiedLanes.forEach(index => {
+                    if (index >= 0 && index < this.enemyProjectilesByLane.length) {
+                        this.enemyProjectilesByLane[index].delete(entityId);
+                    }
+                });
+                break;
             case CollisionType.EFFECT_AREA:
                 this.effectAreaEntities.delete(entityId);
                 // Also remove from each lane it occupies
@@ -589,86 +700,388 @@ export class CollisionSystem extends EntitySystem {
     }
 
     /**
-     * Check collisions between right side entities in the same lane
+     * Check collisions between right side entities sharing a lane
      * @param {EntityManager} entityManager - The entity manager
      * @private
      */
     _checkRightSideCollisions(entityManager) {
-        // For each lane, check collisions between right side entities
-        for (let laneIndex = 0; laneIndex < this.rightSideEntitiesByLane.length; laneIndex++) {
-            const entitiesInLane = this.rightSideEntitiesByLane[laneIndex];
-            const entityIds = Array.from(entitiesInLane);
-            
-            // Check each pair of entities
-            for (let i = 0; i < entityIds.length; i++) {
-                const entityA = entityManager.getEntity(entityIds[i]);
-                if (!entityA) continue;
-                
-                for (let j = i + 1; j < entityIds.length; j++) {
-                    const entityB = entityManager.getEntity(entityIds[j]);
-                    if (!entityB) continue;
-                    
-                    // Skip if collision is disabled for either entity
-                    const collisionA = entityA.getComponent('collision');
-                    const collisionB = entityB.getComponent('collision');
-                    if (!collisionA || !collisionB || !collisionA.enabled || !collisionB.enabled) continue;
-                    if (collisionA.canStack && collisionB.canStack) continue;
-                    
-                    // Check for collision
-                    if (this.checkCollision(entityA, entityB)) {
-                        // Handle collision
-                        this.handleSpecificCollision(entityA, entityB);
-                    }
-                }
+        // Only pairs whose hitboxes overlap on x in a shared lane can collide
+        for (const [idA, idB] of this.broadphase.getOverlappingPairs()) {
+            const entityA = entityManager.getEntity(idA);
+            const entityB = entityManager.getEntity(idB);
+            if (!entityA || !entityB) continue;
+
+            // Skip if collision is disabled for either entity
+            const collisionA = entityA.getComponent('collision');
+            const collisionB = entityB.getComponent('collision');
+            if (!collisionA || !collisionB || !collisionA.enabled || !collisionB.enabled) continue;
+            if (collisionA.canStack && collisionB.canStack) continue;
+
+            // Check for collision
+            if (this.checkCollision(entityA, entityB)) {
+                // Handle collision
+                this.handleSpecificCollision(entityA, entityB);
             }
         }
     }
 
     /**
-     * Check collisions between projectiles and right side entities in the same lane
+     * Check collisions between projectiles and right side entities along the path
+     * each projectile travelled during the tick
      * @param {EntityManager} entityManager - The entity manager
      * @private
      */
     _checkProjectileCollisions(entityManager) {
-        // For each lane, check collisions between projectiles and right side entities
-        for (let laneIndex = 0; laneIndex < this.projectilesByLane.length; laneIndex++) {
-            const projectilesInLane = this.projectilesByLane[laneIndex];
+        // Projectiles can occupy several lanes, so resolve each one only once
+        const checkedProjectiles = new Set();
+
+        for (const projectilesInLane of this.projectilesByLane) {
+            for (const projectileId of projectilesInLane) {
+                if (checkedProjectiles.has(projectileId)) continue;
+                checkedProjectiles.add(projectileId);
+
+                const projectile = entityManager.getEntity(projectileId);
+                if (!projectile) continue;
+
+                const projectileCollision = projectile.getComponent('collision');
+                if (!projectileCollision || !projectileCollision.enabled) continue;
+
+                this._resolveProjectilePath(entityManager, projectile);
+            }
+        }
+    }
+
+    /**
+     * Sweep a projectile along the path it travelled during the tick and resolve its hits
+     * in order along that path. Bullets pass through up to their gun's affectedEntities
+     * targets, unless they reach an enemy projectile first and shoot it down; grenades
+     * burst on the first target they reach.
+     * @param {EntityManager} entityManager - The entity manager
+     * @param {Entity} projectile - The projectile entity
+     * @private
+     */
+    _resolveProjectilePath(entityManager, projectile) {
+        const transform = projectile.getComponent('transform');
+        const collision = projectile.getComponent('collision');
+        const projectileComponent = projectile.getComponent('projectile');
+        if (!transform) return;
+
+        const bounds = collision.getHitboxBounds(transform);
+        const displacement = this._getDisplacement(projectile);
+        const pathBounds = CollisionSystem.getSweptBounds(bounds, displacement);
+        const isBullet = projectileComponent && !projectileComponent.isGrenade;
+
+        // Find every target the projectile reached and when along its path. Targets move
+        // during the tick too, so widen the query by the furthest any of them travelled.
+        const hits = [];
+        const checkedTargets = new Set();
+        const queryLeft = pathBounds.left - this.maxTravel;
+        const queryRight = pathBounds.right + this.maxTravel;
+        for (const laneIndex of this._getLanesInBounds(pathBounds)) {
+            for (const entityId of this.broadphase.query(laneIndex, queryLeft, queryRight)) {
+                if (checkedTargets.has(entityId)) continue;
+                checkedTargets.add(entityId);
+
+                const entity = entityManager.getEntity(entityId);
+                if (!entity) continue;
+
+                const entityCollision = entity.getComponent('collision');
+                if (!entityCollision || !entityCollision.enabled) continue;
+
+                // Skip if entity is not an enemy or obstacle
+                if (entityCollision.collisionType !== CollisionType.ENEMY &&
+                    entityCollision.collisionType !== CollisionType.OBSTACLE) continue;
 
-            const rightSideEntitiesInLane = this.rightSideEntitiesByLane[laneIndex];
+                // Skip if projectiles pass through this entity
+                if (entityCollision.projectilesPassThrough) continue;
+
+                // Skip if the entity's abilities avoid this projectile (e.g. bullets fly over crawlers)
+                if (!abilityRegistry.canBeHitBy(entity, projectileComponent)) continue;
+
+                // Targets move too, so sweep the projectile's motion relative to the target
+                const entityBounds = entityCollision.getHitboxBounds(entity.getComponent('transform'));
+                const entityDisplacement = this._getDisplacement(entity);
+                const time = CollisionSystem.getTimeOfImpact(bounds, {
+                    x: displacement.x - entityDisplacement.x,
+                    y: displacement.y - entityDisplacement.y
+                }, entityBounds);
+
+                if (time !== null) {
+                    hits.push({ target: entity, time });
+                }
+            }
+
+            // Bullets can shoot down the enemy projectiles flying towards them
+            if (!isBullet) continue;
+            for (const enemyProjectileId of this.enemyProjectilesByLane[laneIndex]) {
+                if (checkedTargets.has(enemyProjectileId)) continue;
+                checkedTargets.add(enemyProjectileId);
+
+                const enemyProjectile = entityManager.getEntity(enemyProjectileId);
+                if (!enemyProjectile) continue;
+
+                const enemyProjectileCollision = enemyProjectile.getComponent('collision');
+                if (!enemyProjectileCollision || !enemyProjectileCollision.enabled) continue;
+
+                const enemyProjectileBounds = enemyProjectileCollision.getHitboxBounds(enemyProjectile.getComponent('transform'));
+                const enemyProjectileDisplacement = this._getDisplacement(enemyProjectile);
+                const time = CollisionSystem.getTimeOfImpact(bounds, {
+                    x: displacement.x - enemyProjectileDisplacement.x,
+                    y: displacement.y - enemyProjectileDisplacement.y
+                }, enemyProjectileBounds);
+
+                if (time !== null) {
+                    hits.push({ target: enemyProjectile, time, isEnemyProjectile: true });
+                }
+            }
+        }
+
+        if (hits.length === 0) return;
+
+        hits.sort((a, b) => a.time - b.time || a.target.id - b.target.id);
+
+        // A bullet that reaches an enemy projectile before any target is stopped by it
+        if (hits[0].isEnemyProjectile) {
+            this.handleEnemyProjectileShotDown(projectile, hits[0].target);
+            return;
+        }
+
+        // Grenades burst on the first target, bullets penetrate up to affectedEntities targets
+        const targetHits = hits.filter(hit => !hit.isEnemyProjectile);
+        const penetration = isBullet ? Math.max(1, projectileComponent.affectedEntities) : 1;
+        const targets = targetHits.slice(0, penetration).map(hit => hit.target);
+
+        for (const target of targets) {
+            this.collidingPairs.add(this.getPairId(projectile.id, target.id));
+            collision.addCollidingEntity(target);
+            target.getComponent('collision').addCollidingEntity(projectile);
+        }
+
+        // Move the projectile back to where it struck the first target, so its
+        // damage area or explosion is centred on the impact
+        const remaining = 1 - hits[0].time;
+        transform.x -= displacement.x * remaining;
+        transform.y -= displacement.y * remaining;
+
+        this.handleProjectileCollision(projectile, targets[0], targets);
+    }
+
+    /**
+     * Check collisions between enemy projectiles and soldiers/players
+     * @param {EntityManager} entityManager - The entity manager
+     * @private
+     */
+    _checkEnemyProjectileCollisions(entityManager) {
+        // Enemy projectiles can occupy several lanes, so resolve each one only once
+        const checkedProjectiles = new Set();
+        const soldierEntities = [...this.playerEntities, ...this.soldierEntities];
 
-            // For each projectile in the lane
+        for (const projectilesInLane of this.enemyProjectilesByLane) {
             for (const projectileId of projectilesInLane) {
+                if (checkedProjectiles.has(projectileId)) continue;
+                checkedProjectiles.add(projectileId);
+
                 const projectile = entityManager.getEntity(projectileId);
                 if (!projectile) continue;
-                
+
                 const projectileCollision = projectile.getComponent('collision');
                 if (!projectileCollision || !projectileCollision.enabled) continue;
-                
-                // Check against each right side entity in the lane
-                for (const entityId of rightSideEntitiesInLane) {
+
+                this._resolveEnemyProjectilePath(entityManager, projectile, soldierEntities);
+            }
+        }
+    }
+
+    /**
+     * Sweep an enemy projectile along the path it travelled during the tick. It strikes
+     * the first soldier or player it reaches; a lobbed projectile that reaches its landing
+     * point without hitting anyone lands there.
+     * @param {EntityManager} entityManager - The entity manager
+     * @param {Entity} projectile - The enemy projectile entity
+     * @param {number[]} soldierEntities - IDs of the soldiers and players
+     * @private
+     */
+    _resolveEnemyProjectilePath(entityManager, projectile, soldierEntities) {
+        const transform = projectile.getComponent('transform');
+        const collision = projectile.getComponent('collision');
+        const projectileComponent = projectile.getComponent('projectile');
+        if (!transform) return;
+
+        const bounds = collision.getHitboxBounds(transform);
+        const displacement = this._getDisplacement(projectile);
+
+        // Soldiers hold their position, so only the projectile's motion is swept
+        let firstHit = null;
+        for (const soldierId of soldierEntities) {
+            const soldier = entityManager.getEntity(soldierId);
+            if (!soldier) continue;
+
+            const soldierCollision = soldier.getComponent('collision');
+            if (!soldierCollision || !soldierCollision.enabled) continue;
+
+            const time = CollisionSystem.getTimeOfImpact(bounds, displacement,
+                soldierCollision.getHitboxBounds(soldier.getComponent('transform')));
+
+            if (time !== null && (!firstHit || time < firstHit.time ||
+                (time === firstHit.time && soldier.id < firstHit.target.id))) {
+                firstHit = { target: soldier, time };
+            }
+        }
+
+        if (firstHit) {
+            this.collidingPairs.add(this.getPairId(projectile.id, firstHit.target.id));
+
+            // Move the projectile back to where it struck, so its damage area is centred on the impact
+            const remaining = 1 - firstHit.time;
+            transform.x -= displacement.x * remaining;
+            transform.y -= displacement.y * remaining;
+
+            this.handleEnemyProjectileCollision(projectile, firstHit.target);
+            return;
+        }
+
+        if (projectileComponent && projectileComponent.landingX !== null && transform.x <= projectileComponent.landingX) {
+            transform.x = projectileComponent.landingX;
+            this.handleEnemyProjectileCollision(projectile, null);
+        }
+    }
+
+    /**
+     * Get how far an entity moved since the last update
+     * @param {Entity} entity - The entity
+     * @returns {{x: number, y: number}} The displacement (zero if the entity was not tracked)
+     * @private
+     */
+    _getDisplacement(entity) {
+        const transform = entity.getComponent('transform');
+        const previous = this.previousPositions.get(entity.id);
+        if (!transform || !previous) {
+            return { x: 0, y: 0 };
+        }
+
+        return { x: transform.x - previous.x, y: transform.y - previous.y };
+    }
+
+    /**
+     * Get the furthest any right side entity moved horizontally since the last update
+     * @param {EntityManager} entityManager - The entity manager
+     * @returns {number} The distance
+     * @private
+     */
+    _getMaxTravel(entityManager) {
+        let maxTravel = 0;
+        for (const entityIds of this.rightSideEntitiesByLane) {
+            for (const entityId of entityIds) {
+                const entity = entityManager.getEntity(entityId);
+                if (entity) {
+                    maxTravel = Math.max(maxTravel, Math.abs(this._getDisplacement(entity).x));
+                }
+            }
+        }
+        return maxTravel;
+    }
+
+    /**
+     * Remember an entity's current position for the next sweep
+     * @param {Entity} entity - The entity
+     * @private
+     */
+    _recordPreviousPosition(entity) {
+        const transform = entity.getComponent('transform');
+        if (transform) {
+            this.previousPositions.set(entity.id, { x: transform.x, y: transform.y });
+        }
+    }
+
+    /**
+     * Remember the positions of all projectiles, enemy projectiles and right side entities
+     * @param {EntityManager} entityManager - The entity manager
+     * @private
+     */
+    _recordPreviousPositions(entityManager) {
+        for (const lanes of [this.projectilesByLane, this.enemyProjectilesByLane, this.rightSideEntitiesByLane]) {
+            for (const entityIds of lanes) {
+                for (const entityId of entityIds) {
                     const entity = entityManager.getEntity(entityId);
-                    if (!entity) continue;
-                    
-                    const entityCollision = entity.getComponent('collision');
-                    if (!entityCollision || !entityCollision.enabled) continue;
-                    
-                    // Skip if entity is not an enemy or obstacle
-                    if (entityCollision.collisionType !== CollisionType.ENEMY && 
-                        entityCollision.collisionType !== CollisionType.OBSTACLE) continue;
-                    
-                    // Skip if projectiles pass through this entity
-                    if (entityCollision.projectilesPassThrough) continue;
-                    
-                    // Check for collision
-                    if (this.checkCollision(projectile, entity)) {
-                        // Handle projectile collision
-                        this.handleProjectileCollision(projectile, entity);
+                    if (entity) {
+                        this._recordPreviousPosition(entity);
                     }
                 }
             }
         }
     }
 
+    /**
+     * Get the indices of the lanes covered by some bounds
+     * @param {Object} bounds - The bounds
+     * @returns {number[]} The lane indices
+     * @private
+     */
+    _getLanesInBounds(bounds) {
+        const lastLane = this.rightSideEntitiesByLane.length - 1;
+        const topLane = Math.max(0, Math.floor(bounds.top / this.laneHeight));
+        const bottomLane = Math.min(lastLane, Math.floor(bounds.bottom / this.laneHeight));
+
+        const lanes = [];
+        for (let i = topLane; i <= bottomLane; i++) {
+            lanes.push(i);
+        }
+        return lanes;
+    }
+
+    /**
+     * Get the bounds covering a hitbox over the whole of a movement
+     * @param {Object} bounds - Hitbox bounds at the end of the movement
+     * @param {{x: number, y: number}} displacement - The movement
+     * @returns {Object} The swept bounds
+     */
+    static getSweptBounds(bounds, displacement) {
+        const left = Math.min(bounds.left, bounds.left - displacement.x);
+        const top = Math.min(bounds.top, bounds.top - displacement.y);
+        const right = Math.max(bounds.right, bounds.right - displacement.x);
+        const bottom = Math.max(bounds.bottom, bounds.bottom - displacement.y);
+
+        return { left, top, right, bottom, width: right - left, height: bottom - top };
+    }
+
+    /**
+     * Find when a moving hitbox first touches a still one during a movement
+     * @param {Object} bounds - Hitbox bounds of the moving entity at the end of the movement
+     * @param {{x: number, y: number}} displacement - The movement
+     * @param {Object} targetBounds - Hitbox bounds of the still entity
+     * @returns {number|null} Fraction of the movement (0 to 1) at first contact, or null if they never touch
+     */
+    static getTimeOfImpact(bounds, displacement, targetBounds) {
+        let entry = -Infinity;
+        let exit = Infinity;
+
+        const axes = [
+            [bounds.left, bounds.right, targetBounds.left, targetBounds.right, displacement.x],
+            [bounds.top, bounds.bottom, targetBounds.top, targetBounds.bottom, displacement.y]
+        ];
+
+        for (const [min, max, targetMin, targetMax, delta] of axes) {
+            // Where the hitbox was at the start of the movement
+            const startMin = min - delta;
+            const startMax = max - delta;
+
+            if (delta === 0) {
+                // No movement on this axis: it has to overlap the whole time
+                if (startMax < targetMin || startMin > targetMax) return null;
+                continue;
+            }
+
+            const first = (targetMin - startMax) / delta;
+            const second = (targetMax - startMin) / delta;
+            entry = Math.max(entry, Math.min(first, second));
+            exit = Math.min(exit, Math.max(first, second));
+        }
+
+        if (entry > exit || entry > 1 || exit < 0) return null;
+
+        return Math.max(0, entry);
+    }
+
     /**
      * Check collisions between effect areas and right side entities
      * @param {EntityManager} entityManager - The entity manager
@@ -685,14 +1098,13 @@ export class CollisionSystem extends EntitySystem {
             
             // Get the lanes this effect area occupies
             const occupiedLanes = effectAreaCollision.getOccupiedLanes();
+            const bounds = effectAreaCollision.getHitboxBounds(effectArea.getComponent('transform'));
             
-            // Check against right side entities in those lanes
+            // Check against right side entities overlapping it in those lanes
             for (const laneIndex of occupiedLanes) {
                 if (laneIndex < 0 || laneIndex >= this.rightSideEntitiesByLane.length) continue;
                 
-                const entitiesInLane = this.rightSideEntitiesByLane[laneIndex];
-                
-                for (const entityId of entitiesInLane) {
+                for (const entityId of this.broadphase.query(laneIndex, bounds.left, bounds.right)) {
                     // Skip if this is the effect area itself
                     if (entityId === effectAreaId) continue;
                     
@@ -734,14 +1146,13 @@ export class CollisionSystem extends EntitySystem {
             
             // Get the lanes this soldier occupies
             const occupiedLanes = soldierCollision.getOccupiedLanes();
+            const bounds = soldierCollision.getHitboxBounds(soldier.getComponent('transform'));
             
-            // Check against right side entities in those lanes
+            // Check against right side entities overlapping it in those lanes
             for (const laneIndex of occupiedLanes) {
                 if (laneIndex < 0 || laneIndex >= this.rightSideEntitiesByLane.length) continue;
-                
-                const entitiesInLane = this.rightSideEntitiesByLane[laneIndex];
 
-                for (const entityId of entitiesInLane) {
+                for (const entityId of this.broadphase.query(laneIndex, bounds.left, bounds.right)) {
                     const entity = entityManager.getEntity(entityId);
                     if (!entity) continue;
                     
@@ -792,4 +1203,19 @@ export class CollisionSystem extends EntitySystem {
             }
         }
     }
+
+    /**
+     * Clean up resources when the system is destroyed
+     */
+    destroy() {
+        // Unsubscribe from events
+        if (this.eventBus) {
+            this.eventBus.unsubscribeOwner(this);
+        }
+
+        this.collidingPairs.clear();
+        this.previousPositions.clear();
+        this.eventBus = null;
+        this.laneSystem = null;
+    }
 }
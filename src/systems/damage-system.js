@@ -46,8 +46,11 @@ export class DamageSystem extends EntitySystem {
         }
 
         // Subscribe to events
-        this.eventBus.subscribe('enemySoldierCollision', this.handleEnemySoldierCollision.bind(this));
-        this.eventBus.subscribe('projectileTargetCollision', this.handleProjectileTargetCollision.bind(this));
+        this.eventBus.subscribe('enemySoldierCollision', this.handleEnemySoldierCollision.bind(this), { owner: this });
+        this.eventBus.subscribe('projectileTargetCollision', this.handleProjectileTargetCollision.bind(this), { owner: this });
+        this.eventBus.subscribe('enemyProjectileCollision', this.handleEnemyProjectileCollision.bind(this), { owner: this });
+        this.eventBus.subscribe('enemyProjectileShotDown', this.handleEnemyProjectileShotDown.bind(this), { owner: this });
+        this.eventBus.subscribe('bossLaneSweep', this.handleBossLaneSweep.bind(this), { owner: this });
     }
 
     /**
@@ -84,7 +87,8 @@ export class DamageSystem extends EntitySystem {
                 // Mark as dying to prevent repeated processing
                 entity.addTag('dying');
 
-                this.eventBus.publish('enemyKilled', { entity });
+                // Deferred so subscribers don't change the entities being processed
+                this.eventBus.publishDeferred('enemyKilled', { entity });
 
                 // Remove movement and collision components
                 const movement = entity.getComponent('movement');
@@ -102,6 +106,11 @@ export class DamageSystem extends EntitySystem {
             
             // For non-zombies or zombies that finished dying animation
             if (!entity.hasTag('enemy') || health.deathTimer <= 0) {
+                // Let the game check whether the team has been eliminated
+                if (entity.hasTag('soldier')) {
+                    this.eventBus.publishDeferred('soldierKilled', { entity });
+                }
+
                 // Remove entity
                 const entityManager = ServiceLocator.getService('entityManager');
                 if (entityManager) {
@@ -175,10 +184,43 @@ export class DamageSystem extends EntitySystem {
      * @param {Object} event - Collision event data
      */
     handleProjectileTargetCollision(event) {
+        const { projectile, target, targets } = event;
+
+        // Delegate to damage service
+        this.damageService.handleProjectileTargetCollision(projectile, target, targets);
+    }
+
+    /**
+     * Handle an enemy projectile hitting a soldier or landing
+     * @param {Object} event - Collision event data
+     */
+    handleEnemyProjectileCollision(event) {
         const { projectile, target } = event;
 
         // Delegate to damage service
-        this.damageService.handleProjectileTargetCollision(projectile, target);
+        this.damageService.handleEnemyProjectileCollision(projectile, target);
+    }
+
+    /**
+     * Handle a bullet shooting down an enemy projectile
+     * @param {Object} event - Collision event data
+     */
+    handleEnemyProjectileShotDown(event) {
+        const { projectile, enemyProjectile } = event;
+
+        // Delegate to damage service
+        this.damageService.handleEnemyProjectileShotDown(projectile, enemyProjectile);
+    }
+
+    /**
+     * Handle a boss sweeping a lane
+     * @param {Object} event - Sweep event data
+     */
+    handleBossLaneSweep(event) {
+        const { entity, laneIndex, damage } = event;
+
+        // Delegate to damage service
+        this.damageService.handleLaneSweep(entity, laneIndex, damage);
     }
 
     /**
@@ -192,8 +234,7 @@ export class DamageSystem extends EntitySystem {
 
         // Unsubscribe from events
         if (this.eventBus) {
-            this.eventBus.unsubscribe('enemySoldierCollision', this.handleEnemySoldierCollision);
-            this.eventBus.unsubscribe('handleProjectileTargetCollision',this.handleProjectileTargetCollision);
+            this.eventBus.unsubscribeOwner(this);
         }
 
         this.damageService = null;
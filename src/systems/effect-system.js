@@ -42,7 +42,7 @@ export class EffectSystem extends System {
         }
         
         // Subscribe to events
-        this.eventBus.subscribe('entityCollidedWithEffectArea', this.handleCollidedWithEffectArea.bind(this));
+        this.eventBus.subscribe('entityCollidedWithEffectArea', this.handleCollidedWithEffectArea.bind(this), { owner: this });
         
         console.log('[EFFECT_SYSTEM] Initialized');
     }
@@ -100,7 +100,7 @@ export class EffectSystem extends System {
      */
     destroy(){
         if (this.eventBus) {
-            this.eventBus.unsubscribe('entityCollidedWithStickyArea', this.handleEntityStickyAreaCollision);
+            this.eventBus.unsubscribeOwner(this);
         }
         this.eventBus = null;
         this.effectService = null;
@@ -23,6 +23,10 @@ export class EntitySystem extends System {
 
         // Component types required by this system
         this.requiredComponents = requiredComponents;
+
+        // Query registered under the system name, and the entity manager it belongs to
+        this.query = null;
+        this.queryEntityManager = null;
     }
 
     /**
@@ -39,9 +43,12 @@ export class EntitySystem extends System {
             return entities;
         }
 
-        // Otherwise, return entities with all required components
-        const entities = entityManager.getEntitiesWithAllComponents(this.requiredComponents);
-        return entities;
+        // Otherwise, read the system's query of entities with all required components
+        if (this.queryEntityManager !== entityManager) {
+            this.query = entityManager.registerQuery(this.name, { components: this.requiredComponents });
+            this.queryEntityManager = entityManager;
+        }
+        return this.query.getEntities();
     }
 
     /**
@@ -100,9 +100,47 @@ export class LaneSystem extends EntitySystem {
         const lane = entity.getComponent('lane');
         const transform = entity.getComponent('transform');
 
+        // Finish a lane change once its transition is over
+        if (lane.isChangingLane()) {
+            lane.transitionTime += deltaTime;
+            if (lane.getTransitionProgress() >= 1) {
+                const fromLane = lane.fromLaneIndex;
+                lane.endLaneChange();
+                this.publish('entityPositionChanged', { entity });
+                this.publish('entityLaneChanged', { entity, fromLane, toLane: lane.laneIndex });
+            }
+        }
+
         // If entity has a transform component, update its Y position based on lane
         if (transform) {
-            transform.y = lane.laneIndex * this.laneHeight + this.laneHeight / 2;
+            transform.y = this.getLaneY(lane);
+        }
+    }
+
+    /**
+     * Get the Y position of an entity's lane, part way between two lanes while it
+     * changes lanes
+     * @param {LaneComponent} lane - The entity's lane component
+     * @returns {number} The Y position in pixels
+     * @private
+     */
+    getLaneY(lane) {
+        const toY = lane.laneIndex * this.laneHeight + this.laneHeight / 2;
+        if (!lane.isChangingLane()) return toY;
+
+        const fromY = lane.fromLaneIndex * this.laneHeight + this.laneHeight / 2;
+        return fromY + (toY - fromY) * lane.getTransitionProgress();
+    }
+
+    /**
+     * Publish an event if the event bus is available
+     * @param {string} eventType - The event type
+     * @param {Object} data - The event data
+     * @private
+     */
+    publish(eventType, data) {
+        if (ServiceLocator.hasService('eventBus')) {
+            ServiceLocator.getService('eventBus').publish(eventType, data);
         }
     }
 
@@ -192,6 +230,34 @@ export class LaneSystem extends EntitySystem {
         return true;
     }
 
+    /**
+     * Move an entity to another combat lane over time. The entity covers both lanes
+     * until the move is over, so it keeps colliding in the lane it is leaving.
+     * @param {Entity} entity - The entity to move
+     * @param {number} laneIndex - The target lane index
+     * @param {number} duration - Seconds the move takes
+     * @returns {boolean} True if the move started, false otherwise
+     */
+    changeLane(entity, laneIndex, duration) {
+        const lane = entity.getComponent('lane');
+        if (!lane || lane.isChangingLane() || laneIndex === lane.laneIndex) {
+            return false;
+        }
+
+        // Every lane the entity spans must stay a combat lane
+        if (LaneComponent.clampLaneIndex(laneIndex, lane.laneSpan, this.laneCount) !== laneIndex) {
+            return false;
+        }
+
+        const fromLane = lane.laneIndex;
+        lane.startLaneChange(laneIndex, duration);
+
+        this.publish('entityPositionChanged', { entity });
+        this.publish('entityLaneChangeStarted', { entity, fromLane, toLane: laneIndex });
+
+        return true;
+    }
+
     /**
      * Get all entities in a specific lane
      * @param {number} laneIndex - The lane index
@@ -208,7 +274,7 @@ export class LaneSystem extends EntitySystem {
         return entities.filter(entity => {
             if (entity.hasTag('lane')) return false; // Skip lane background entities
             const lane = entity.getComponent('lane');
-            return lane.laneIndex === laneIndex;
+            return lane.getLanes().includes(laneIndex);
         });
     }
 
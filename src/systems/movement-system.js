@@ -46,9 +46,9 @@ export class MovementSystem extends EntitySystem {
         this.eventBus = ServiceLocator.getService('eventBus');
         if (this.eventBus) {
             // Subscribe to events
-            this.eventBus.subscribe('entityStoppedForAttack', this.handleEntityStoppedForAttack.bind(this));
-            this.eventBus.subscribe('entityResumedFromAttack', this.handleEntityResumedFromAttack.bind(this));
-            this.eventBus.subscribe('entityRemoved', this.handleEntityRemoved.bind(this));
+            this.eventBus.subscribe('entityStoppedForAttack', this.handleEntityStoppedForAttack.bind(this), { owner: this });
+            this.eventBus.subscribe('entityResumedFromAttack', this.handleEntityResumedFromAttack.bind(this), { owner: this });
+            this.eventBus.subscribe('entityRemoved', this.handleEntityRemoved.bind(this), { owner: this });
         } else {
             console.error('[MOVEMENT_SYSTEM] Event bus not found');
         }
@@ -175,31 +175,8 @@ export class MovementSystem extends EntitySystem {
      * @private
      */
     _processPlayerMovement(entity, transform, movement, delta, deltaTime) {
-        // Player is fixed at the left side of the screen
-        // We don't move the player horizontally, but instead adjust the speed modifier
-
-        // Get input handler
-        const inputHandler = ServiceLocator.getService('input');
-
-        // Check for speed modifier adjustments with K and ; keys
-        if (inputHandler && inputHandler.wasKeyJustPressed) {
-            if (inputHandler.wasKeyJustPressed('Semicolon')) { // Forward - increase speed
-                const newSpeed = this.speedController.increasePlayerSpeed();
-                // Update speed display if it exists
-                const speedDisplay = document.getElementById('speed-display');
-                if (speedDisplay) {
-                    speedDisplay.textContent = newSpeed;
-                }
-            } else if (inputHandler.wasKeyJustPressed('KeyK')) { // Backward - decrease speed
-                const newSpeed = this.speedController.decreasePlayerSpeed();
-
-                // Update speed display if it exists
-                const speedDisplay = document.getElementById('speed-display');
-                if (speedDisplay) {
-                    speedDisplay.textContent = newSpeed;
-                }
-            }
-        }
+        // Player is fixed at the left side of the screen. Its speed modifier is changed by
+        // player actions (see ReplayService), so speed changes are recorded in replays
 
         // Fix player position at left side of screen
         transform.x = 100; // Fixed position
@@ -237,8 +214,8 @@ export class MovementSystem extends EntitySystem {
             // Use the group speed instead of individual speed
             effectiveSpeed = movement.groupSpeed + (baseSpeed * speedModifier);
         } else {
-            // Use individual speed as before
-            effectiveSpeed = movement.speed + (baseSpeed * speedModifier);
+            // Use individual speed, changed by abilities such as sprints
+            effectiveSpeed = movement.speed * movement.speedMultiplier + (baseSpeed * speedModifier);
         }
         const moveAmount = effectiveSpeed * deltaTime;
 
@@ -308,14 +285,30 @@ export class MovementSystem extends EntitySystem {
         }
     }
 
+    /**
+     * Apply every speed multiplier of an entity to its movement: those of its active
+     * abilities and of its boss phase. Each source changes speed through this method,
+     * so one source does not undo another.
+     * @param {Entity} entity - The entity
+     */
+    static updateSpeedMultiplier(entity) {
+        const movement = entity.getComponent('movement');
+        if (!movement) return;
+
+        const abilities = entity.getComponent('abilities');
+        const boss = entity.getComponent('boss');
+        movement.setSpeedMultiplier(
+            (abilities ? abilities.getSpeedMultiplier() : 1) * (boss ? boss.getSpeedMultiplier() : 1)
+        );
+    }
+
     /**
      * Clean up resources when the system is destroyed
      */
     destroy() {
         // Unsubscribe from events
         if (this.eventBus) {
-            this.eventBus.unsubscribe('entityStoppedForAttack', this.handleEntityStoppedForAttack);
-            this.eventBus.unsubscribe('entityResumedFromAttack', this.handleEntityResumedFromAttack);
+            this.eventBus.unsubscribeOwner(this);
         }
 
         this.eventBus = null;
@@ -7,6 +7,11 @@
 
 import { EntitySystem } from './entity-system.js';
 import { ServiceLocator } from '../core/service-locator.js';
+import { GameState } from '../core/game-state.js';
+import { contentRegistry } from '../core/content-registry.js';
+
+// Number of content warnings listed in the debug overlay before they are summarized
+const MAX_CONTENT_WARNINGS = 5;
 
 export class RenderSystem extends EntitySystem {
     /**
@@ -53,6 +58,12 @@ export class RenderSystem extends EntitySystem {
             }
         }
 
+        // Nothing to draw when running headless; animation and embedded bonus
+        // positions above are still kept up to date
+        if (this.renderer.isHeadless && this.renderer.isHeadless()) {
+            return;
+        }
+
         // Sort entities by render layer
         renderEntries.sort((a, b) => {
             const renderA = a[1];
@@ -65,6 +76,10 @@ export class RenderSystem extends EntitySystem {
             this.renderComponent(entity, render);
         }
         this._drawFinishLine();
+        this._drawTimeRemaining();
+        this._drawScore();
+        this._drawCountdown();
+        this._drawContentWarnings();
     }
 
 
@@ -268,6 +283,99 @@ export class RenderSystem extends EntitySystem {
         }
     }
 
+    /**
+     * Draw the level countdown if the level has a time limit
+     * @private
+     */
+    _drawTimeRemaining() {
+        const game = ServiceLocator.getService('game');
+        if (!game) return;
+
+        const timeRemaining = game.getTimeRemaining();
+        if (timeRemaining === null) return;
+
+        // Round up so the countdown shows 0:00 only once time has run out
+        const totalSeconds = Math.ceil(timeRemaining);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        const text = `${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
+
+        // Turn red during the last 10 seconds
+        const ctx = this.renderer.getContext();
+        ctx.fillStyle = totalSeconds <= 10 ? '#ff0000' : '#ffffff';
+        ctx.font = '24px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(text, this.renderer.width / 2, 30);
+        ctx.textAlign = 'start';
+    }
+
+    /**
+     * Draw the score, and the combo multiplier while a combo is running, at the top right of the screen
+     * @private
+     */
+    _drawScore() {
+        if (!ServiceLocator.hasService('scoreService')) return;
+
+        const scoreService = ServiceLocator.getService('scoreService');
+        const multiplier = scoreService.getMultiplier();
+
+        const ctx = this.renderer.getContext();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '20px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(`Score: ${scoreService.getScore()}`, this.renderer.width - 10, 28);
+
+        if (multiplier > 1) {
+            ctx.fillStyle = '#f1c40f';
+            ctx.font = '16px Arial';
+            ctx.fillText(`Combo x${multiplier}`, this.renderer.width - 10, 50);
+        }
+        ctx.textAlign = 'start';
+    }
+
+    /**
+     * Draw the seconds left before play starts while the game is counting down
+     * @private
+     */
+    _drawCountdown() {
+        const game = ServiceLocator.getService('game');
+        if (!game || game.state !== GameState.COUNTDOWN) return;
+
+        const ctx = this.renderer.getContext();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '96px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${Math.ceil(game.countdownRemaining)}`, this.renderer.width / 2, this.renderer.height / 2);
+        ctx.textAlign = 'start';
+    }
+
+    /**
+     * Draw the unknown types and variants the level asked for, in debug mode, so level
+     * designers see when the content played is not what they placed
+     * @private
+     */
+    _drawContentWarnings() {
+        const game = ServiceLocator.getService('game');
+        if (!game || !game.debugMode) return;
+
+        const misses = contentRegistry.getMisses();
+        if (misses.length === 0) return;
+
+        const ctx = this.renderer.getContext();
+        ctx.fillStyle = '#f1c40f';
+        ctx.font = '14px Arial';
+
+        const shown = misses.slice(0, MAX_CONTENT_WARNINGS);
+        shown.forEach((miss, index) => {
+            const count = miss.count > 1 ? ` (x${miss.count})` : '';
+            ctx.fillText(`${miss.message}${count}`, 10, 60 + index * 18);
+        });
+
+        if (misses.length > shown.length) {
+            ctx.fillText(`+${misses.length - shown.length} more content warnings`, 10, 60 + shown.length * 18);
+        }
+    }
+
     /**
      * Destroy the system
      */
@@ -8,6 +8,7 @@
 import { EntitySystem } from './entity-system.js';
 import { ServiceLocator } from '../core/service-locator.js';
 import { createBullet } from '../entities/bullet.js';
+import { contentRegistry, ContentCategory } from '../core/content-registry.js';
 
 export class ShootingSystem extends EntitySystem {
     /**
@@ -117,28 +118,9 @@ export class ShootingSystem extends EntitySystem {
             // Play gun sound based on gun type
             const audioManager = ServiceLocator.getService('audioManager');
             if (audioManager) {
-                // Play appropriate gun sound based on gun type
-                switch (gun.gunType) {
-                    case 'ak47':
-                        audioManager.playSound('bulletAk47');
-                        break;
-                    case 'benelliM4':
-                        audioManager.playSound('bulletBenelliM4');
-                        break;
-                    case 'desertEagle':
-                        audioManager.playSound('bulletDesertEagle');
-                        break;
-                    case 'glock17':
-                        audioManager.playSound('bulletGlock17');
-                        break;
-                    case 'barrettXm109':
-                        audioManager.playSound('bulletBarrettXm109');
-                        break;
-                    default:
-                        // Default gun sound
-                        audioManager.playSound('bulletGlock17');
-                        break;
-                }
+                // Play the gun's sound from the content registry
+                const gunDefinition = contentRegistry.get(ContentCategory.GUN, gun.gunType);
+                audioManager.playSound(gunDefinition && gunDefinition.sound ? gunDefinition.sound : 'bulletGlock17');
             }
         }
 
@@ -0,0 +1,202 @@
+/**
+ * Spawn System
+ *
+ * Spawns entities from the spawn zones of a map while the player travels through them.
+ * A zone becomes active when playerWorldPosition reaches its startPosition and spawns one
+ * entity every spawnFrequency seconds until spawnCount entities have been spawned or the
+ * player has passed its endPosition. Each spawn picks one of the zone's lanes and one of
+ * its possibleEntities (by weight) with the seeded random service, so runs are reproducible.
+ *
+ * Spawn zone format (see the map editor and the game design document):
+ * {
+ *   type: 'enemy',                 // 'enemy', 'obstacle' or 'bonus'
+ *   startPosition: 6000,           // World position where the zone activates
+ *   endPosition: 10000,            // World position where the zone stops spawning
+ *   lanes: [1, 2, 3, 4],           // Lanes to spawn in
+ *   spawnFrequency: 3,             // Seconds between spawns
+ *   spawnCount: 15,                // Maximum number of entities spawned by the zone
+ *   possibleEntities: [            // Entities to pick from, by weight
+ *     { objectType: 'Normal', variant: 'Standard', weight: 70 }
+ *   ]
+ * }
+ */
+
+import { System } from './system.js';
+import { ServiceLocator } from '../core/service-locator.js';
+import { EntityFactory } from '../entities/entity-factory.js';
+
+// Spawn zone states
+export const SpawnZoneState = {
+    PENDING: 'pending',     // Player has not reached the zone yet
+    ACTIVE: 'active',       // Zone is spawning entities
+    COMPLETED: 'completed'  // Zone has spawned all its entities or has been passed
+};
+
+// Distance right of the screen edge where zone entities appear
+const SPAWN_MARGIN = 50;
+
+export class SpawnSystem extends System {
+    /**
+     * Create a new SpawnSystem instance
+     */
+    constructor() {
+        super('spawnSystem');
+
+        // Run after the lane system and before movement and collisions
+        this.setPriority(8);
+
+        // Runtime state of each zone of the current map
+        this.zones = [];
+
+        this.eventBus = null;
+        this.entityManager = null;
+        this.random = null;
+    }
+
+    /**
+     * Initialize the system
+     */
+    initialize() {
+        this.eventBus = ServiceLocator.getService('eventBus');
+        this.entityManager = ServiceLocator.getService('entityManager');
+        this.random = ServiceLocator.getService('random');
+
+        console.log('[SPAWN_SYSTEM] Initialized');
+    }
+
+    /**
+     * Load the spawn zones of a map (replaces any zones loaded before)
+     * @param {Object[]} [spawnZones=[]] - The map's spawnZones
+     */
+    loadZones(spawnZones = []) {
+        this.zones = spawnZones.map(zone => ({
+            zone,
+            state: SpawnZoneState.PENDING,
+            spawned: 0,
+            timeUntilNextSpawn: 0
+        }));
+
+        console.log(`[SPAWN_SYSTEM] Loaded ${this.zones.length} spawn zones`);
+    }
+
+    /**
+     * Update the system
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    update(deltaTime) {
+        if (this.zones.length === 0) return;
+
+        const game = ServiceLocator.getService('game');
+        const playerWorldPosition = game.playerWorldPosition;
+
+        this.zones.forEach((zoneState, zoneIndex) => {
+            const { zone } = zoneState;
+
+            if (zoneState.state === SpawnZoneState.PENDING && playerWorldPosition >= zone.startPosition) {
+                zoneState.state = SpawnZoneState.ACTIVE;
+                this.eventBus.publish('spawnZoneActivated', { zone, zoneIndex });
+            }
+
+            if (zoneState.state !== SpawnZoneState.ACTIVE) return;
+
+            // Stop once the player has left the zone
+            if (playerWorldPosition > zone.endPosition) {
+                this.completeZone(zoneState, zoneIndex);
+                return;
+            }
+
+            // The first entity spawns as soon as the zone activates
+            zoneState.timeUntilNextSpawn -= deltaTime;
+            if (zoneState.timeUntilNextSpawn > 0) return;
+
+            this.spawnFromZone(zoneState, zoneIndex);
+            zoneState.timeUntilNextSpawn += Math.max(zone.spawnFrequency || 0, 0);
+
+            if (zoneState.spawned >= zone.spawnCount) {
+                this.completeZone(zoneState, zoneIndex);
+            }
+        });
+    }
+
+    /**
+     * Spawn one entity from a zone
+     * @param {Object} zoneState - Runtime state of the zone
+     * @param {number} zoneIndex - Index of the zone in the map
+     * @returns {Entity|null} The spawned entity, or null if nothing could be spawned
+     */
+    spawnFromZone(zoneState, zoneIndex) {
+        const { zone } = zoneState;
+        zoneState.spawned++;
+
+        const lane = this.random.pick(zone.lanes);
+        const choice = this.random.weightedPick(zone.possibleEntities);
+        if (lane === undefined || !choice) {
+            console.warn(`[SPAWN_SYSTEM] Spawn zone ${zoneIndex} has no lanes or entities to spawn`);
+            return null;
+        }
+
+        const renderer = ServiceLocator.getService('renderer');
+        const type = zone.type || 'enemy';
+
+        // Map object types are lower case; the editor's spawn zone dialog writes capitalized names
+        const objectType = String(choice.objectType).toLowerCase();
+
+        const entity = EntityFactory.createFromMapData(this.entityManager, {
+            type,
+            objectType,
+            variant: choice.variant,
+            lane,
+            position: renderer.width + SPAWN_MARGIN
+        });
+
+        if (entity) {
+            this.eventBus.publish('entitySpawned', {
+                entity,
+                zoneIndex,
+                type,
+                objectType,
+                variant: choice.variant,
+                lane
+            });
+        }
+
+        return entity;
+    }
+
+    /**
+     * Mark a zone as completed
+     * @param {Object} zoneState - Runtime state of the zone
+     * @param {number} zoneIndex - Index of the zone in the map
+     * @private
+     */
+    completeZone(zoneState, zoneIndex) {
+        zoneState.state = SpawnZoneState.COMPLETED;
+        this.eventBus.publish('spawnZoneCompleted', { zone: zoneState.zone, zoneIndex, spawned: zoneState.spawned });
+    }
+
+    /**
+     * Get the zones and their runtime state (JSON-safe, used by game snapshots)
+     * @returns {Object[]} The zone states
+     */
+    getState() {
+        return this.zones.map(zoneState => ({ ...zoneState }));
+    }
+
+    /**
+     * Restore zones and their runtime state saved with getState()
+     * @param {Object[]} zones - The zone states
+     */
+    setState(zones) {
+        this.zones = zones.map(zoneState => ({ ...zoneState }));
+    }
+
+    /**
+     * Clean up resources when the system is destroyed
+     */
+    destroy() {
+        this.zones = [];
+        this.eventBus = null;
+        this.entityManager = null;
+        this.random = null;
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Campaign Manager
+ * Handles the ordered campaign levels, the levels each user has unlocked,
+ * and the soldiers and grenades carried from one level to the next
+ */
+import { CampaignConfig, CarryOverRule } from '../config/campaign-config.js';
+
+export class CampaignManager {
+    constructor(campaign = CampaignConfig) {
+        this.campaign = campaign;
+        this.localStorageKey = 'zombieLaneDefense_campaignProgress';
+    }
+
+    // Get the campaign levels in order
+    getLevels() {
+        return this.campaign.levels;
+    }
+
+    // Get a campaign level by its index (null if there is no such level)
+    getLevel(levelIndex) {
+        return this.campaign.levels[levelIndex] || null;
+    }
+
+    // Get the map of a level from the given maps, with the level's time limit, number and message applied
+    getLevelMap(levelIndex, maps) {
+        const level = this.getLevel(levelIndex);
+        if (!level) return null;
+
+        const map = (maps || []).find(candidate => candidate.id === level.mapId);
+        if (!map) {
+            console.error(`[CAMPAIGN] Map ${level.mapId} of level ${level.level} not found`);
+            return null;
+        }
+
+        const levelMap = { ...map, level: level.level, message: level.message };
+        if (level.timeLimit !== undefined) {
+            levelMap.timeLimit = level.timeLimit;
+        }
+        return levelMap;
+    }
+
+    // Get the progress of all users (by username, then by campaign id)
+    getAllProgress() {
+        const progressJson = localStorage.getItem(this.localStorageKey);
+        return progressJson ? JSON.parse(progressJson) : {};
+    }
+
+    // Get a user's progress in this campaign
+    getProgress(username) {
+        const userProgress = this.getAllProgress()[username] || {};
+        return userProgress[this.campaign.id] || {
+            unlockedLevel: 0,
+            completedLevels: [],
+            carry: null
+        };
+    }
+
+    // Save a user's progress in this campaign
+    saveProgress(username, progress) {
+        const allProgress = this.getAllProgress();
+        allProgress[username] = { ...allProgress[username], [this.campaign.id]: progress };
+        localStorage.setItem(this.localStorageKey, JSON.stringify(allProgress));
+    }
+
+    // Check if a user has unlocked a level (the first level is always unlocked)
+    isUnlocked(username, levelIndex) {
+        if (!this.getLevel(levelIndex)) return false;
+
+        return levelIndex <= this.getProgress(username).unlockedLevel;
+    }
+
+    // Record a completed level: unlock the next one and remember what the player finished with.
+    // Returns the index of the next level, or null when the campaign is complete.
+    completeLevel(username, levelIndex, { soldiers, grenades }) {
+        const progress = this.getProgress(username);
+        const nextLevelIndex = this.getLevel(levelIndex + 1) ? levelIndex + 1 : null;
+
+        if (!progress.completedLevels.includes(levelIndex)) {
+            progress.completedLevels.push(levelIndex);
+        }
+        if (nextLevelIndex !== null) {
+            progress.unlockedLevel = Math.max(progress.unlockedLevel, nextLevelIndex);
+        }
+        progress.carry = { levelIndex, soldiers, grenades: { ...grenades } };
+
+        this.saveProgress(username, progress);
+        return nextLevelIndex;
+    }
+
+    // Get what the player starts a level with: the level's loadout, or for soldiers and grenades
+    // with the 'carry' rule what the player had at the end of the previous level
+    getStartingLoadout(username, levelIndex) {
+        const level = this.getLevel(levelIndex);
+        if (!level) return null;
+
+        const loadout = {
+            soldiers: level.loadout.soldiers,
+            grenades: { ...level.loadout.grenades }
+        };
+
+        // Only carry over straight from the previous level
+        const carry = this.getProgress(username).carry;
+        if (!carry || carry.levelIndex !== levelIndex - 1) {
+            return loadout;
+        }
+
+        const carryOver = level.carryOver || {};
+        if (carryOver.soldiers === CarryOverRule.CARRY) {
+            loadout.soldiers = Math.max(1, carry.soldiers);
+        }
+        if (carryOver.grenades === CarryOverRule.CARRY) {
+            loadout.grenades = { ...carry.grenades };
+        }
+
+        return loadout;
+    }
+}
@@ -1,17 +1,24 @@
-import { Game } from '../core/game.js';
+import { Game, GameFinishReason, TimeScaleSource, MIN_TIME_SCALE, MAX_TIME_SCALE, GAMEPLAY_TIMER_GROUP } from '../core/game.js';
 import { ServiceLocator } from '../core/service-locator.js';
-import { EntityFactory } from '../entities/entity-factory.js';
-import { EntityAdapter } from './entity-adapter.js';
 import { PlayerAdapter } from './player-adapter.js';
 import { MapStorage } from '../map-editor/storage/map-storage.js';
+import { ReplayService, ReplayActionType, ReplayKeyBindings } from '../core/replay-service.js';
+import { GameSnapshot } from '../core/game-snapshot.js';
+import { GameState } from '../core/game-state.js';
+import { CampaignManager } from './campaign-manager.js';
+import { contentRegistry, ContentCategory } from '../core/content-registry.js';
+import { ModFiles } from '../config/mods-config.js';
+import { AssetLoader } from '../core/asset-loader.js';
 // import { AudioManager } from '../core/audio-manager.js';
 
 // Initialize managers
 const mapStorage = new MapStorage();
+const campaignManager = new CampaignManager();
 
 // DOM elements
 const canvas = document.getElementById('gameCanvas');
 const mapNameElement = document.getElementById('mapName');
+const seedElement = document.getElementById('seedDisplay');
 const playerInfoElement = document.getElementById('playerInfo');
 const standardGrenadesElement = document.getElementById('standardGrenades');
 const stickyGrenadesElement = document.getElementById('stickyGrenades');
@@ -20,6 +27,34 @@ const resumeButton = document.getElementById('resumeButton');
 const restartButton = document.getElementById('restartButton');
 const exitButton = document.getElementById('exitButton');
 const bonusHistoryElement = document.getElementById('bonusHistory');
+const replayStatusElement = document.getElementById('replayStatus');
+const playbackControlsElement = document.getElementById('playbackControls');
+const levelIntroElement = document.getElementById('levelIntro');
+const levelIntroTitleElement = document.getElementById('levelIntroTitle');
+const levelIntroMessageElement = document.getElementById('levelIntroMessage');
+const levelIntroLoadoutElement = document.getElementById('levelIntroLoadout');
+const bossHealthBarElement = document.getElementById('bossHealthBar');
+const bossNameElement = document.getElementById('bossName');
+const bossHealthFillElement = document.getElementById('bossHealthFill');
+
+// Seconds of countdown before a level starts
+const LEVEL_COUNTDOWN_SECONDS = 3;
+
+// localStorage key of the run saved with "Save & Quit"
+const SAVED_GAME_KEY = 'zombieLaneDefense_savedGame';
+
+// What the player starts a level with outside the campaign
+const DEFAULT_LOADOUT = { soldiers: 3 };
+
+// Owner of this page's event bus subscriptions, released before each level is loaded
+const EVENT_OWNER = 'gameplay';
+
+// Messages shown when the game is lost
+const DEFEAT_MESSAGES = {
+    [GameFinishReason.TEAM_ELIMINATED]: 'Your whole team was eliminated.',
+    [GameFinishReason.ZOMBIE_CROSSED_FINISH_LINE]: 'A zombie crossed the finish line.',
+    [GameFinishReason.TIME_LIMIT_EXPIRED]: 'You ran out of time.'
+};
 
 // Game state
 let game;
@@ -29,32 +64,49 @@ let playerSpeedModifier = 1.0;
 let enemyKillCount = 0;
 let enemyEscapeCount = 0;
 let timePassed = 0;
-let timerInterval;
+let replayService;
+let originalMap;      // Map as loaded, before the game adds runtime state to it
+let playbackReplay;   // Replay being watched, null when playing live
+let savedGame;        // Saved run being continued, null for a new run
+let bonusHistory = []; // Collected bonuses, oldest first
+let gameState = GameState.LOADING; // Last state published by the game
+let campaignLevelIndex = null; // Index of the campaign level being played, null outside the campaign
+let currentLoadout = DEFAULT_LOADOUT; // Soldiers and grenades the current level starts with
+let bossEntity = null; // Boss shown in the boss health bar, null when no boss is on the field
+let bossName = ''; // Name of the boss shown in the boss health bar
 
 // Initialize the game
 function initGame() {
-    // Reset game state
-    enemyKillCount = 0;
-    enemyEscapeCount = 0;
-    timePassed = 0;
-    playerSpeedModifier = 1.0;
-    
-    // Load map data from localStorage
-    const mapData = localStorage.getItem('currentPlayMap');
+    // Load the replay to watch, if the page was opened in replay mode
+    playbackReplay = loadPlaybackReplay();
+
+    // Load the saved run to continue, if the page was opened in resume mode
+    savedGame = playbackReplay ? null : loadSavedGame();
+
+    // Campaign level being played, if the page was opened from the campaign (or the saved run was a campaign level)
+    if (savedGame) {
+        const { campaignLevelIndex: savedLevelIndex } = savedGame.session;
+        campaignLevelIndex = savedLevelIndex !== undefined ? savedLevelIndex : null;
+    } else {
+        campaignLevelIndex = playbackReplay ? null : loadCampaignLevelIndex();
+    }
+
+    // Load map data from localStorage (or from the replay or saved run)
+    let mapData = localStorage.getItem('currentPlayMap');
+    if (playbackReplay) {
+        mapData = JSON.stringify(playbackReplay.map);
+    } else if (savedGame) {
+        mapData = JSON.stringify(savedGame.session.map);
+    }
     if (!mapData) {
         alert('No map data found. Please select a map in the editor first.');
         window.location.href = 'home-screen.html';
         return;
     }
     
+    let map;
     try {
-        currentMap = JSON.parse(mapData);
-        mapNameElement.textContent = `Map: ${currentMap.name || 'Unnamed Map'}`;
-        
-        // Initialize createdObjectIds if it doesn't exist
-        if (!currentMap.createdObjectIds) {
-            currentMap.createdObjectIds = new Set();
-        }
+        map = JSON.parse(mapData);
     } catch (e) {
         console.error('Error parsing map data:', e);
         alert('Error loading map data. Returning to editor.');
@@ -62,77 +114,288 @@ function initGame() {
         return;
     }
     
-    // Create the game with canvas configuration
+    // Create the game with canvas configuration; each level is loaded into it with startLevel()
     game = new Game({
         canvas: canvas,
         width: canvas.width,
         height: canvas.height,
-        debugMode: false,
-        finishLine: {
-            position: currentMap.length || 6000,
-            enabled: true
-        }
+        // Open the page with ?debug=1 to show entity ids and content warnings
+        debugMode: new URLSearchParams(window.location.search).get('debug') === '1'
     });
 
     // Register the game instance with the service locator
     ServiceLocator.registerService('game', game);
 
+    startLevel(map);
+}
+
+// Load a map into the game and start playing it (also used to retry or move to the next level)
+function startLevel(map) {
+    // Reset game state
+    enemyKillCount = 0;
+    enemyEscapeCount = 0;
+    timePassed = 0;
+    playerSpeedModifier = 1.0;
+    bonusHistory = [];
+    bonusHistoryElement.innerHTML = '';
+    gameState = GameState.LOADING;
+    hideBossHealthBar();
+
+    // Only report the unknown content of this level
+    contentRegistry.clearMisses();
+
+    // Release the previous level's subscriptions so they aren't added twice
+    releaseEventSubscriptions();
+
+    originalMap = map;
+    mapNameElement.textContent = `Map: ${map.name || 'Unnamed Map'}`;
+
+    // Campaign levels start with their loadout (or what was carried over from the previous level);
+    // a replay starts with the loadout it was recorded with
+    if (playbackReplay) {
+        currentLoadout = playbackReplay.loadout || DEFAULT_LOADOUT;
+    } else {
+        currentLoadout = campaignLevelIndex !== null
+            ? campaignManager.getStartingLoadout(getUsername(), campaignLevelIndex) || DEFAULT_LOADOUT
+            : DEFAULT_LOADOUT;
+    }
+
+    // Rebuild the level: entities, services and subscriptions start from scratch
+    game.loadLevel(map, {
+        seed: playbackReplay ? playbackReplay.seed : (savedGame ? savedGame.seed : resolveSeed(map)),
+        countdown: playbackReplay ? 0 : LEVEL_COUNTDOWN_SECONDS,
+        initialSoldiers: currentLoadout.soldiers,
+        grenades: currentLoadout.grenades,
+        createPlayer: !savedGame
+    });
+    currentMap = game.map;
+
+    // Show the seed so the run can be reproduced
+    if (seedElement) {
+        seedElement.textContent = `Seed: ${game.getSeed()}`;
+    }
+
     // Get event bus and subscribe to game result event
     const eventBus = ServiceLocator.getService('eventBus');
     if (eventBus) {
-        eventBus.subscribe('gameFinished', handleGameFinished);
-        eventBus.subscribe('enemyKilled', handleEnemyKilled);
-        eventBus.subscribe('enemyEscaped', handleEnemyEscaped);
-        eventBus.subscribe('bonusCollectedAnnouncement', handleBonusCollected);
+        const options = { owner: EVENT_OWNER };
+        eventBus.subscribe('gameStateChanged', handleGameStateChanged, options);
+        eventBus.subscribe('gameFinished', handleGameFinished, options);
+        eventBus.subscribe('enemyKilled', handleEnemyKilled, options);
+        eventBus.subscribe('enemyEscaped', handleEnemyEscaped, options);
+        eventBus.subscribe('bonusCollectedAnnouncement', handleBonusCollected, options);
+        eventBus.subscribe('playerActionApplied', handlePlayerActionApplied, options);
+        eventBus.subscribe('scoreChanged', updateGrenadeStats, options);
+        eventBus.subscribe('timeScaleChanged', updateReplayStatus, options);
+        eventBus.subscribe('bossSpawned', handleBossSpawned, options);
+        eventBus.subscribe('bossPhaseChanged', handleBossChanged, options);
+        eventBus.subscribe('entityDamaged', handleBossChanged, options);
+        eventBus.subscribe('bossDefeated', handleBossGone, options);
+        eventBus.subscribe('entityRemoved', handleBossGone, options);
     }
 
-    // Create player and load initial entities
-    const entityManager = ServiceLocator.getService('entityManager');
-    player = EntityFactory.createPlayer(entityManager, 3);
-    loadMapEntities();
-    
-    // Set up periodic entity spawning
-    setupEntitySpawning();
+    // Record this run, or play back the loaded replay
+    replayService = ServiceLocator.getService('replay');
+    if (playbackReplay) {
+        replayService.startPlayback(playbackReplay);
+    } else {
+        replayService.startRecording();
+    }
+    updateReplayStatus();
+
+    if (savedGame) {
+        // Continue the saved run
+        restoreSavedGame(savedGame);
+        savedGame = null;
+    } else {
+        player = game.player;
+    }
 
-    // Start the game
+    // Run the level clock on game time (the game spawns the map's objects itself)
+    startLevelClocks();
+
+    // Start the game (the level clock starts once the countdown is over)
     game.start();
-    
-    // Start the timer
-    startGameTimer();
 
     // Update player info display
     updatePlayerInfo();
     
-    // Play background music
+    // Play background music, unless it is still playing from the previous attempt
     const audioManager = ServiceLocator.getService('audioManager');
-    if (audioManager) {
+    if (audioManager && !audioManager.music) {
         audioManager.playBackgroundMusic('backgroundMusicAdventure', 0.3, true);
     }
 }
 
-// Load entities from the map data
-function loadMapEntities() {
-    if (!currentMap) return;
-    
-    // Get player world position from the game
-    const game = ServiceLocator.getService('game');
-    const playerWorldPosition = game ? game.playerWorldPosition : 100;
-    
-    // Use the EntityAdapter to create entities from map data
-    EntityAdapter.createEntitiesFromMap(currentMap, playerWorldPosition);
+// Play the current level again from the start
+function restartLevel() {
+    startLevel(originalMap);
 }
 
-// Start the game timer
-function startGameTimer() {
-    // Clear any existing timer
-    if (timerInterval) clearInterval(timerInterval);
-    
-    timerInterval = setInterval(() => {
-        if (game && !game.isPaused) {
-            timePassed++;
-            updatePlayerInfo();
+// Find the map that follows the current one: the next campaign level, or the next map
+// in its list (default maps first, then custom maps)
+function getNextMap() {
+    if (campaignLevelIndex !== null) {
+        return getCampaignLevelMap(campaignLevelIndex + 1);
+    }
+
+    const assetLoader = ServiceLocator.getService('assetLoader');
+    const mapLists = [
+        (assetLoader.maps && assetLoader.maps.defaultMaps) || [],
+        mapStorage.loadMaps()
+    ];
+
+    for (const maps of mapLists) {
+        const index = maps.findIndex(map => originalMap.id !== undefined ? map.id === originalMap.id : map.name === originalMap.name);
+        if (index !== -1) {
+            return maps[index + 1] || null;
         }
-    }, 1000);
+    }
+
+    return null;
+}
+
+// Load the replay from localStorage when the page was opened with ?replay=1
+function loadPlaybackReplay() {
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('replay') !== '1') {
+        return null;
+    }
+
+    try {
+        const replay = JSON.parse(localStorage.getItem('currentReplay'));
+        ReplayService.validateReplay(replay);
+        return replay;
+    } catch (e) {
+        console.error('[GAMEPLAY] Error loading replay:', e);
+        alert(`Error loading replay: ${e.message}`);
+        return null;
+    }
+}
+
+// Load the saved run from localStorage when the page was opened with ?resume=1
+function loadSavedGame() {
+    const params = new URLSearchParams(window.location.search);
+    const savedData = localStorage.getItem(SAVED_GAME_KEY);
+    if (params.get('resume') !== '1' || !savedData) {
+        return null;
+    }
+
+    try {
+        const snapshot = JSON.parse(savedData);
+        GameSnapshot.validate(snapshot);
+        return snapshot;
+    } catch (e) {
+        console.error('[GAMEPLAY] Error loading saved game:', e);
+        alert(`Error loading saved game: ${e.message}`);
+        return null;
+    }
+}
+
+// Restore the world and the sidebar counters of a saved run
+function restoreSavedGame(snapshot) {
+    game.restoreSnapshot(snapshot);
+    player = game.player;
+
+    const { createdObjectIds, stats, bonuses } = snapshot.session;
+    if (snapshot.session.loadout) {
+        currentLoadout = snapshot.session.loadout;
+    }
+    currentMap.createdObjectIds = new Set(createdObjectIds);
+    enemyKillCount = stats.enemyKillCount;
+    enemyEscapeCount = stats.enemyEscapeCount;
+    timePassed = stats.timePassed;
+    bonuses.forEach(bonus => addBonusToHistory(bonus.bonusType, bonus.bonusVariant));
+
+    // A save can only be continued once; restarting replays the same map from the start
+    localStorage.removeItem(SAVED_GAME_KEY);
+    localStorage.setItem('currentPlayMap', JSON.stringify(snapshot.session.map));
+}
+
+// Save the run and return to the menu
+function saveAndQuit() {
+    if (!game || playbackReplay) return;
+
+    // Make sure nothing changes while the snapshot is taken
+    game.pause();
+
+    const snapshot = game.createSnapshot({
+        map: originalMap,
+        createdObjectIds: Array.from(currentMap.createdObjectIds),
+        stats: {
+            enemyKillCount,
+            enemyEscapeCount,
+            timePassed
+        },
+        bonuses: bonusHistory,
+        campaignLevelIndex,
+        loadout: currentLoadout
+    });
+
+    try {
+        localStorage.setItem(SAVED_GAME_KEY, JSON.stringify(snapshot));
+    } catch (e) {
+        console.error('[GAMEPLAY] Error saving game:', e);
+        alert(`Error saving game: ${e.message}`);
+        return;
+    }
+
+    const audioManager = ServiceLocator.getService('audioManager');
+    if (audioManager) {
+        audioManager.stopBackgroundMusic();
+    }
+    window.location.href = 'home-screen.html';
+}
+
+// Resolve the seed for this run: the ?seed= launch option wins over the map's seed
+function resolveSeed(map) {
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('seed') && params.get('seed') !== '') {
+        return params.get('seed');
+    }
+
+    if (map && map.seed !== undefined && map.seed !== null) {
+        return map.seed;
+    }
+
+    // No seed given, the random service will generate one
+    return undefined;
+}
+
+// React to the game moving to a new state
+function handleGameStateChanged(event) {
+    gameState = event.to;
+
+    // The level intro is shown while counting down
+    if (gameState === GameState.COUNTDOWN) {
+        showLevelIntro();
+    } else {
+        hideLevelIntro();
+    }
+
+    if (gameState === GameState.RESULTS) {
+        showResults(event);
+    }
+}
+
+// Show the level intro card: level name, the level message and the starting loadout
+function showLevelIntro() {
+    if (!levelIntroElement || (!currentMap.message && campaignLevelIndex === null)) return;
+
+    levelIntroTitleElement.textContent = currentMap.level ? `Level ${currentMap.level}: ${currentMap.name}` : currentMap.name;
+    levelIntroMessageElement.textContent = currentMap.message || '';
+
+    const grenades = currentLoadout.grenades || {};
+    levelIntroLoadoutElement.textContent = `Soldiers: ${currentLoadout.soldiers} | Grenades: ${grenades.standard || 0} standard, ${grenades.sticky || 0} sticky`;
+
+    levelIntroElement.classList.remove('hidden');
+}
+
+// Hide the level intro card
+function hideLevelIntro() {
+    if (levelIntroElement) {
+        levelIntroElement.classList.add('hidden');
+    }
 }
 
 // Update grenade stats display
@@ -145,8 +408,17 @@ function updateGrenadeStats() {
     standardGrenadesElement.textContent = `Standard Grenades: ${playerComponent.grenades.standard}`;
     stickyGrenadesElement.textContent = `Sticky Grenades: ${playerComponent.grenades.sticky}`;
     
-    // Add kill count, escape count and time display
+    // Add score, kill count, escape count and time display
     const statsContainer = document.getElementById('grenadeStats');
+
+    // Create or update score element
+    let scoreElement = document.getElementById('score');
+    if (!scoreElement) {
+        scoreElement = document.createElement('div');
+        scoreElement.id = 'score';
+        statsContainer.appendChild(scoreElement);
+    }
+    scoreElement.textContent = `Score: ${getScore()}`;
     
     // Create or update kill count element
     let killCountElement = document.getElementById('killCount');
@@ -179,6 +451,11 @@ function updateGrenadeStats() {
     timeElement.textContent = `Time: ${minutes}:${seconds < 10 ? '0' : ''}${seconds}`;
 }
 
+// Get the score of the current level
+function getScore() {
+    return ServiceLocator.hasService('scoreService') ? ServiceLocator.getService('scoreService').getScore() : 0;
+}
+
 // Update player info display
 function updatePlayerInfo() {
     if (!player) return;
@@ -201,21 +478,36 @@ function handleGameFinished(eventData) {
     const { result, reason } = eventData;
     
     console.log(`Game finished with result: ${result}, reason: ${reason}`);
-    
+
+    // Watching a replay: no high score or campaign progress
+    if (!playbackReplay) {
+        saveHighScore();
+
+        if (result === 'victory' && campaignLevelIndex !== null) {
+            completeCampaignLevel();
+        }
+    }
+
+    // Give the last frame and the finish sound a moment before showing the results
+    setTimeout(() => {
+        game.showResults();
+    }, 500);
+}
+
+// Save a high score entry for the finished run
+function saveHighScore() {
     // Calculate finish time
     const finishTime = timePassed;
     
-    // Get user data
-    const userData = localStorage.getItem('zombieLaneDefense_userData');
-    const username = userData ? JSON.parse(userData).username : 'Unknown';
-    
     // Create high score entry
     const highScore = {
         mapName: currentMap.name,
-        username: username,
+        username: getUsername(),
         finishTime: finishTime,
+        score: getScore(),
         enemiesKilled: enemyKillCount,
         enemiesEscaped: enemyEscapeCount,
+        seed: game.getSeed(),
         timestamp: new Date().toISOString()
     };
     
@@ -223,33 +515,176 @@ function handleGameFinished(eventData) {
     const highScores = JSON.parse(localStorage.getItem('zombieLaneDefense_highScores') || '[]');
     highScores.push(highScore);
     localStorage.setItem('zombieLaneDefense_highScores', JSON.stringify(highScores));
-    
-    const audioManager = ServiceLocator.getService('audioManager');
-    
-    if (result === 'victory') {
-        // Stop background music
-        if (audioManager) {
-            audioManager.stopBackgroundMusic();
-            // Play finish game sound
-            audioManager.playSound('finishGame');
+}
+
+// Get the name of the player from the user data saved by the home screen
+function getUsername() {
+    const userData = localStorage.getItem('zombieLaneDefense_userData');
+    return userData ? JSON.parse(userData).username : 'Unknown';
+}
+
+// Read the campaign level from the ?campaignLevel= launch option
+function loadCampaignLevelIndex() {
+    const params = new URLSearchParams(window.location.search);
+    if (!params.has('campaignLevel')) {
+        return null;
+    }
+
+    const levelIndex = parseInt(params.get('campaignLevel'), 10);
+    return campaignManager.getLevel(levelIndex) ? levelIndex : null;
+}
+
+// Get the map of a campaign level from the default maps
+function getCampaignLevelMap(levelIndex) {
+    const assetLoader = ServiceLocator.getService('assetLoader');
+    const defaultMaps = (assetLoader.maps && assetLoader.maps.defaultMaps) || [];
+    return campaignManager.getLevelMap(levelIndex, defaultMaps);
+}
+
+// Unlock the next campaign level and remember the soldiers and grenades the player finished with
+function completeCampaignLevel() {
+    const entityManager = ServiceLocator.getService('entityManager');
+    const soldiers = entityManager.getEntitiesWithTag('soldier').filter(soldier => {
+        const health = soldier.getComponent('health');
+        return !(health && health.isDead);
+    });
+    const playerComponent = player ? player.getComponent('player') : null;
+
+    campaignManager.completeLevel(getUsername(), campaignLevelIndex, {
+        soldiers: soldiers.length,
+        grenades: playerComponent ? { ...playerComponent.grenades } : {}
+    });
+}
+
+// Show the results of the finished run and return to the menu
+function showResults(event) {
+    const { result, reason } = event;
+
+    // Watching a replay: just report the result
+    if (playbackReplay) {
+        alert(`Replay finished: ${result} (${reason})`);
+        if (confirm('Watch the replay again?')) {
+            restartLevel();
         }
-        
-        // Show victory message
-        setTimeout(() => {
-            alert('Level completed! You reached the finish line.');
-            window.location.href = 'home-screen.html';
-        }, 500);
-    } else if (result === 'defeat') {
-        // Stop background music
-        if (audioManager) {
-            audioManager.stopBackgroundMusic();
+        return;
+    }
+
+    if (result === 'victory') {
+        alert(`Level completed! You reached the finish line.\nScore: ${getScore()}`);
+    } else {
+        alert(`Game over! ${DEFEAT_MESSAGES[reason] || reason}\nScore: ${getScore()}`);
+    }
+
+    offerReplaySave();
+
+    // Move on without reloading the page: next level, retry, or back to the menu
+    const nextMap = result === 'victory' ? getNextMap() : null;
+    if (result === 'victory' && !nextMap && campaignLevelIndex !== null) {
+        alert('Campaign complete! You survived every level.');
+    }
+
+    if (nextMap && confirm(`Continue to the next level: ${nextMap.name}?`)) {
+        if (campaignLevelIndex !== null) {
+            campaignLevelIndex++;
+            history.replaceState(null, '', `?campaignLevel=${campaignLevelIndex}`);
         }
-        
-        // Show defeat message
-        setTimeout(() => {
-            alert(`Game over! ${reason}`);
-            window.location.href = 'home-screen.html';
-        }, 500);
+        localStorage.setItem('currentPlayMap', JSON.stringify(nextMap));
+        startLevel(nextMap);
+    } else if (confirm('Play this level again?')) {
+        restartLevel();
+    } else {
+        window.location.href = 'home-screen.html';
+    }
+}
+
+// Handle a queued or replayed player action being applied
+function handlePlayerActionApplied(event) {
+    const { action } = event;
+
+    if (action.type === ReplayActionType.THROW_GRENADE) {
+        updateGrenadeStats();
+    } else {
+        updatePlayerInfo();
+    }
+}
+
+// Create a replay of the run so far
+function createReplay() {
+    return replayService.createReplay({
+        map: originalMap,
+        seed: game.getSeed(),
+        frameCount: game.frameCount,
+        loadout: currentLoadout
+    });
+}
+
+// Download the replay of the run so far as a JSON file
+function saveReplayToFile() {
+    if (!game || !replayService) return;
+
+    const replay = createReplay();
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+
+    const downloadLink = document.createElement('a');
+    downloadLink.href = URL.createObjectURL(blob);
+    downloadLink.download = `${(originalMap.name || 'map').replace(/\s+/g, '-')}-replay-${replay.seed}.json`;
+
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+}
+
+// Ask whether to keep a replay of a finished run
+function offerReplaySave() {
+    if (confirm('Save a replay of this run?')) {
+        saveReplayToFile();
+    }
+}
+
+// Pick a replay file and reload the page to watch it
+function loadReplayFromFile() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json';
+
+    fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const replay = JSON.parse(event.target.result);
+                ReplayService.validateReplay(replay);
+
+                localStorage.setItem('currentReplay', JSON.stringify(replay));
+                window.location.href = 'gameplay.html?replay=1';
+            } catch (error) {
+                alert(`Invalid replay file: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+    });
+
+    fileInput.click();
+}
+
+// Check if a watched replay has reached the end of its recording
+function isReplayOver() {
+    return !!playbackReplay && replayService.isPlaybackFinished();
+}
+
+// Update the replay status display and playback controls
+function updateReplayStatus() {
+    if (replayStatusElement) {
+        const timeScale = game.getTimeScale();
+        replayStatusElement.textContent = (playbackReplay
+            ? `Watching replay | Speed: ${game.playbackSpeed}x | Frame: ${game.frameCount}/${playbackReplay.frameCount}`
+            : 'Recording') + (timeScale !== game.playbackSpeed ? ` | Time scale: ${timeScale}x` : '');
+    }
+
+    if (playbackControlsElement) {
+        playbackControlsElement.classList.toggle('hidden', !playbackReplay);
     }
 }
 
@@ -271,6 +706,51 @@ function handleEnemyEscaped() {
     }
 }
 
+// Show the boss health bar for a boss that entered the field
+function handleBossSpawned(event) {
+    bossEntity = event.entity;
+
+    const type = contentRegistry.getDisplayName(ContentCategory.ENEMY, event.type);
+    const variant = contentRegistry.getVariantDisplayName(ContentCategory.ENEMY, event.type, event.variant);
+    bossName = `${type}: ${variant}`;
+
+    updateBossHealthBar();
+    bossHealthBarElement.classList.remove('hidden');
+}
+
+// Follow the damage the boss takes and the phase it is in
+function handleBossChanged(event) {
+    if (event.entity === bossEntity) {
+        updateBossHealthBar();
+    }
+}
+
+// Hide the boss health bar once the boss is defeated or leaves the field
+function handleBossGone(event) {
+    if (event.entity === bossEntity) {
+        hideBossHealthBar();
+    }
+}
+
+// Update the boss health bar with the boss's health and phase
+function updateBossHealthBar() {
+    const health = bossEntity.getComponent('health');
+    const boss = bossEntity.getComponent('boss');
+
+    bossHealthFillElement.style.width = `${Math.max(0, health.currentHealth / health.maxHealth) * 100}%`;
+    bossNameElement.textContent = boss.phases.length > 1
+        ? `${bossName} (phase ${boss.phase + 1}/${boss.phases.length})`
+        : bossName;
+}
+
+// Hide the boss health bar
+function hideBossHealthBar() {
+    bossEntity = null;
+    if (bossHealthBarElement) {
+        bossHealthBarElement.classList.add('hidden');
+    }
+}
+
 // Handle bonus collected event
 function handleBonusCollected(event) {
     console.log('[gameplay] Bonus collected', event);
@@ -282,6 +762,8 @@ function handleBonusCollected(event) {
 
 // Add a bonus to the history display
 function addBonusToHistory(bonusType, bonusVariant) {
+    bonusHistory.push({ bonusType, bonusVariant });
+
     // Create bonus item element
     const bonusItem = document.createElement('div');
     bonusItem.className = 'bonus-item';
@@ -304,40 +786,24 @@ function addBonusToHistory(bonusType, bonusVariant) {
     }
 }
 
-// Format bonus name for display
+// Format bonus name for display, with the names registered for the bonus type and variant
 function formatBonusName(bonusType, bonusVariant) {
-    const typeMap = {
-        'gun': 'Gun',
-        'grenade': 'Grenade',
-        'soldier': 'Soldier'
-    };
-    
-    const variantMap = {
-        'standard': 'Standard',
-        'sticky': 'Sticky',
-        'glock_17': 'Glock 17',
-        'mp5': 'MP5',
-        'ak47': 'AK-47',
-        'shotgun': 'Shotgun',
-        'm16': 'M16'
-    };
-    
-    const type = typeMap[bonusType] || bonusType;
-    const variant = variantMap[bonusVariant] || bonusVariant;
+    const type = contentRegistry.getDisplayName(ContentCategory.BONUS, bonusType);
+    const variant = contentRegistry.getVariantDisplayName(ContentCategory.BONUS, bonusType, bonusVariant);
     
     return `${type}: ${variant}`;
 }
 
+// Release this page's event bus subscriptions
+function releaseEventSubscriptions() {
+    if (ServiceLocator.hasService('eventBus')) {
+        ServiceLocator.getService('eventBus').unsubscribeOwner(EVENT_OWNER);
+    }
+}
+
 // Clean up event listeners when leaving the page
 window.addEventListener('beforeunload', () => {
-    const eventBus = ServiceLocator.getService('eventBus');
-    if (eventBus) {
-        eventBus.unsubscribe('gameFinished', handleGameFinished);
-        eventBus.unsubscribe('enemyKilled', handleEnemyKilled);
-        eventBus.unsubscribe('enemyEscaped', handleEnemyEscaped);
-        eventBus.unsubscribe('bonusCollected', handleBonusCollected);
-        eventBus.unsubscribe('embeddedBonusCollected', handleBonusCollected);
-    }
+    releaseEventSubscriptions();
     
     // Stop background music when leaving the page
     const audioManager = ServiceLocator.getService('audioManager');
@@ -346,18 +812,27 @@ window.addEventListener('beforeunload', () => {
     }
 });
 
-// Set up periodic entity spawning
-function setupEntitySpawning() {
-    // Check for new entities to spawn every 500ms
-    const spawnInterval = setInterval(() => {
-        console.log('[Spawning] Checking for new entities to spawn...');
-        if (game && !game.isPaused) {
-            loadMapEntities();
-        }
-    }, 500);
-    
-    // Store the interval ID for cleanup
-    return spawnInterval;
+// Run the level clock on the game timer, in the same group as the game's map spawning, so
+// it stops while the game is paused and follows stepping and fast-forward. The timer is
+// named so a saved run continues it where it was.
+function startLevelClocks() {
+    const timer = ServiceLocator.getService('timer');
+    const options = { group: GAMEPLAY_TIMER_GROUP };
+
+    timer.setInterval(1, () => {
+        timePassed++;
+        updatePlayerInfo();
+    }, { ...options, name: 'levelClock' });
+
+    // Stop at the end of the recording when watching a replay
+    if (playbackReplay) {
+        ServiceLocator.getService('eventBus').subscribe('frameStarted', () => {
+            if (replayService.isPlaybackFinished()) {
+                game.pause();
+            }
+            updateReplayStatus();
+        }, { owner: EVENT_OWNER });
+    }
 }
 
 // Add button event listeners for game controls only
@@ -367,21 +842,20 @@ function setupButtonControls() {
     const resumeButton = document.getElementById('resumeButton');
     const restartButton = document.getElementById('restartButton');
     const exitButton = document.getElementById('exitButton');
+    const saveQuitButton = document.getElementById('saveQuitButton');
     
     if (pauseButton) {
         pauseButton.addEventListener('click', () => {
             if (game) {
                 game.pause();
-                handleGamePauseResume(true);
             }
         });
     }
     
     if (resumeButton) {
         resumeButton.addEventListener('click', () => {
-            if (game) {
+            if (game && !isReplayOver()) {
                 game.resume();
-                handleGamePauseResume(false);
             }
         });
     }
@@ -389,11 +863,54 @@ function setupButtonControls() {
     if (restartButton) {
         restartButton.addEventListener('click', () => {
             if (confirm('Are you sure you want to restart the game?')) {
-                window.location.reload();
+                restartLevel();
             }
         });
     }
     
+    if (saveQuitButton) {
+        saveQuitButton.addEventListener('click', () => {
+            saveAndQuit();
+        });
+    }
+    
+    // Replay controls
+    const saveReplayButton = document.getElementById('saveReplayButton');
+    const loadReplayButton = document.getElementById('loadReplayButton');
+    const stepFrameButton = document.getElementById('stepFrameButton');
+    const playbackSpeedButtons = document.querySelectorAll('[data-playback-speed]');
+
+    if (saveReplayButton) {
+        saveReplayButton.addEventListener('click', () => {
+            saveReplayToFile();
+        });
+    }
+
+    if (loadReplayButton) {
+        loadReplayButton.addEventListener('click', () => {
+            loadReplayFromFile();
+        });
+    }
+
+    if (stepFrameButton) {
+        stepFrameButton.addEventListener('click', () => {
+            // Frame stepping only works while paused and before the end of the recording
+            if (game && gameState === GameState.PAUSED && !isReplayOver()) {
+                game.step();
+                updateReplayStatus();
+            }
+        });
+    }
+
+    playbackSpeedButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            if (game) {
+                game.setPlaybackSpeed(parseFloat(button.dataset.playbackSpeed));
+                updateReplayStatus();
+            }
+        });
+    });
+    
     if (exitButton) {
         exitButton.addEventListener('click', () => {
             if (confirm('Are you sure you want to exit to the menu? Your progress will be lost.')) {
@@ -425,133 +942,46 @@ function handleKeyDown(e) {
     }
     
     // Prevent default for our shortcuts
-    if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'z', 'Z', 'x', 'X', ' '].includes(e.key)) {
+    if (e.key === ' ' || Object.prototype.hasOwnProperty.call(ReplayKeyBindings, e.key)) {
         e.preventDefault();
     }
     
-    // Space: Toggle pause/resume
+    // Space: Toggle pause/resume (only while playing or paused, never after the game is over)
     if (e.key === ' ') {
-        if (game) {
-            if (game.isPaused) {
-                game.resume();
-                handleGamePauseResume(false);
-                console.log('[GAMEPLAY] Game resumed');
-            } else {
-                game.pause();
-                handleGamePauseResume(true);
-                console.log('[GAMEPLAY] Game paused');
-            }
+        if (gameState === GameState.PAUSED && !isReplayOver()) {
+            game.resume();
+            console.log('[GAMEPLAY] Game resumed');
+        } else if (gameState === GameState.PLAYING) {
+            game.pause();
+            console.log('[GAMEPLAY] Game paused');
         }
     }
     
-    // Only process other controls if game is not paused
-    if (game && game.isPaused) {
-        return;
-    }
-
-    // Arrow Up: Move lane up
-    if (e.key === 'ArrowUp') {
-        if (!player) return;
-        
-        const laneComponent = player.getComponent('lane');
-        if (!laneComponent) return;
-        
-        const newLaneIndex = Math.max(0, laneComponent.laneIndex - 1);
-        if (newLaneIndex !== laneComponent.laneIndex) {
-            const playerSoldierService = ServiceLocator.getService('playerSoldierService');
-            if (playerSoldierService) {
-                playerSoldierService.moveToLane(player, newLaneIndex);
-                updatePlayerInfo();
-            }
+    // [ and ]: Halve or double the simulation time scale (testers, debug mode only)
+    if (game && game.debugMode && (e.key === '[' || e.key === ']')) {
+        const current = game.timeScales.get(TimeScaleSource.TESTER) || 1;
+        const scale = e.key === ']' ? current * 2 : current / 2;
+        if (scale >= MIN_TIME_SCALE && scale <= MAX_TIME_SCALE) {
+            game.setTimeScale(scale, TimeScaleSource.TESTER);
+            console.log(`[GAMEPLAY] Time scale: ${game.getTimeScale()}x`);
         }
     }
-    
-    // Arrow Down: Move lane down
-    if (e.key === 'ArrowDown') {
-        if (!player) return;
-        
-        const laneComponent = player.getComponent('lane');
-        if (!laneComponent) return;
-        
-        const laneSystem = ServiceLocator.getService('laneSystem');
-        const maxLane = laneSystem ? laneSystem.laneCount - 1 : 8;
-        
-        const newLaneIndex = Math.min(maxLane, laneComponent.laneIndex + 1);
-        if (newLaneIndex !== laneComponent.laneIndex) {
-            const playerSoldierService = ServiceLocator.getService('playerSoldierService');
-            if (playerSoldierService) {
-                playerSoldierService.moveToLane(player, newLaneIndex);
-                updatePlayerInfo();
 
-            }
-        }
-    }
-    
-    // Arrow Right: Speed up
-    if (e.key === 'ArrowRight') {
-        const speedController = ServiceLocator.getService('speedController');
-        if (speedController) {
-            speedController.increasePlayerSpeed();
-            updatePlayerInfo();
-        }
-    }
-    
-    // Arrow Left: Speed down
-    if (e.key === 'ArrowLeft') {
-        const speedController = ServiceLocator.getService('speedController');
-        if (speedController) {
-            speedController.decreasePlayerSpeed();
-            updatePlayerInfo();
-        }
-    }
-    
-    // Z: Throw standard grenade
-    if (e.key === 'z' || e.key === 'Z') {
-        if (!player) return;
-        
-        const entityManager = ServiceLocator.getService('entityManager');
-        const playerSoldierService = ServiceLocator.getService('playerSoldierService');
-        
-        if (entityManager && playerSoldierService) {
-            const grenade = playerSoldierService.throwGrenade(entityManager, player, 'standard');
-            if (grenade) {
-                updateGrenadeStats();
-            }
-        }
-    }
-    
-    // X: Throw sticky grenade
-    if (e.key === 'x' || e.key === 'X') {
-        if (!player) return;
-        
-        const entityManager = ServiceLocator.getService('entityManager');
-        const playerSoldierService = ServiceLocator.getService('playerSoldierService');
-        
-        if (entityManager && playerSoldierService) {
-            const grenade = playerSoldierService.throwGrenade(entityManager, player, 'sticky');
-            if (grenade) {
-                updateGrenadeStats();
-            }
-        }
+    // Only process other controls while playing
+    if (gameState !== GameState.PLAYING) {
+        return;
     }
-}
 
-// Add a function to handle game paused/resumed events
-function handleGamePauseResume(isPaused) {
-    const audioManager = ServiceLocator.getService('audioManager');
-    if (!audioManager || !audioManager.music) return;
-    
-    if (isPaused) {
-        // Don't stop the music, just pause it
-        audioManager.music.pause();
-    } else {
-        // Resume the music
-        audioManager.music.play().catch(err => console.error('Error resuming background music:', err));
-    }
+    // Player actions are queued and applied at the start of the next game frame,
+    // so they can be recorded per frame and replayed exactly
+    if (!replayService) return;
+
+    // Arrows: move lane and change speed (also ; and K), Z and X: throw a standard or sticky grenade
+    replayService.queueKeyAction(e.key);
 }
 
 // Initialize the game when the page loads
-window.addEventListener('load', () => {
+window.addEventListener('load', async () => {
 
     // Check if required DOM elements exist
     if (!canvas) {
@@ -559,6 +989,14 @@ window.addEventListener('load', () => {
         return;
     }
     
+    // Let mods register their content before the map is loaded
+    await contentRegistry.loadMods(ModFiles);
+    
+    // Load the assets first: the map's entities are built from the archetypes
+    const assetLoader = new AssetLoader();
+    ServiceLocator.registerService('assetLoader', assetLoader);
+    await assetLoader.loadAssets();
+    
     initGame();
     setupButtonControls(); // Only sets up game control buttons now
     setupKeyboardControls();
@@ -37,8 +37,8 @@ export class HighScoreManager {
         // Add new score
         scores.push(score);
         
-        // Sort scores by finish time (ascending)
-        scores.sort((a, b) => a.finishTime - b.finishTime);
+        // Sort scores by rank
+        scores.sort(HighScoreManager.compareHighScores);
         
         // Keep only the top scores per map
         const mapScores = {};
@@ -66,6 +66,12 @@ export class HighScoreManager {
     getMapHighScores(mapName) {
         const scores = this.getHighScores();
         return scores.filter(score => score.mapName === mapName)
-            .sort((a, b) => a.finishTime - b.finishTime);
+            .sort(HighScoreManager.compareHighScores);
+    }
+
+    // Rank by score (highest first), then by finish time (fastest first).
+    // Entries saved before scores were recorded count as a score of 0.
+    static compareHighScores(a, b) {
+        return (b.score || 0) - (a.score || 0) || a.finishTime - b.finishTime;
     }
 }
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { MapStorage } from '../map-editor/storage/map-storage.js';
 import { HighScoreManager } from './high-score-manager.js';
+import { CampaignManager } from './campaign-manager.js';
 import { ServiceLocator } from '../core/service-locator.js';
 import { AudioManager } from '../core/audio-manager.js';
 import { AssetLoader } from '../core/asset-loader.js';
@@ -7,6 +8,7 @@ import { AssetLoader } from '../core/asset-loader.js';
 // Initialize managers
 const mapStorage = new MapStorage();
 const highScoreManager = new HighScoreManager();
+const campaignManager = new CampaignManager();
 
 // DOM elements
 const mainMenu = document.getElementById('main-menu');
@@ -19,6 +21,7 @@ const masterVolumeValue = document.getElementById('master-volume-value');
 const toggleMuteButton = document.getElementById('toggle-mute');
 const backFromSoundButton = document.getElementById('back-from-sound');
 
+const continueButton = document.getElementById('continue-button');
 const playButton = document.getElementById('play-button');
 const editButton = document.getElementById('edit-button');
 const highscoreButton = document.getElementById('highscore-button');
@@ -26,6 +29,7 @@ const highscoreButton = document.getElementById('highscore-button');
 const usernameInput = document.getElementById('username');
 const defaultMapList = document.getElementById('default-map-list');
 const customMapList = document.getElementById('custom-map-list');
+const campaignLevelList = document.getElementById('campaign-level-list');
 const playSelectedMapButton = document.getElementById('play-selected-map');
 
 const tabButtons = document.querySelectorAll('.tab-button');
@@ -34,9 +38,13 @@ const tabContents = document.querySelectorAll('.tab-content');
 const backFromPlayButton = document.getElementById('back-from-play');
 const backFromHighscoreButton = document.getElementById('back-from-highscore');
 
+// localStorage key of the run saved with "Save & Quit" during gameplay
+const SAVED_GAME_KEY = 'zombieLaneDefense_savedGame';
+
 // State variables
 let selectedMap = null;
 let selectedMapType = 'default';
+let selectedCampaignLevel = null;
 
 // Initialize the application
 async function init() {
@@ -47,9 +55,13 @@ async function init() {
         // Load user data from localStorage
         loadUserData();
         
+        // Offer to continue a saved run
+        updateContinueButton();
+        
         // Load maps
         await loadDefaultMaps();
         loadCustomMaps();
+        loadCampaignLevels();
         
         // Set up event listeners
         setupEventListeners();
@@ -96,6 +108,25 @@ async function initializeServices() {
     }
 }
 
+// Show the continue button if a saved run exists
+function updateContinueButton() {
+    const savedData = localStorage.getItem(SAVED_GAME_KEY);
+    if (!savedData) {
+        continueButton.classList.add('hidden');
+        return;
+    }
+
+    try {
+        const savedGame = JSON.parse(savedData);
+        const mapName = savedGame.session && savedGame.session.map ? savedGame.session.map.name : null;
+        continueButton.textContent = mapName ? `Continue: ${mapName}` : 'Continue';
+        continueButton.classList.remove('hidden');
+    } catch (e) {
+        console.error('Error reading saved game:', e);
+        continueButton.classList.add('hidden');
+    }
+}
+
 // Load user data from localStorage
 function loadUserData() {
     const userData = localStorage.getItem('zombieLaneDefense_userData');
@@ -176,6 +207,40 @@ function loadCustomMaps() {
     renderMapList(customMaps, customMapList, 'custom');
 }
 
+// Load the campaign levels, locked or unlocked for the current username
+function loadCampaignLevels() {
+    const assetLoader = ServiceLocator.getService('assetLoader');
+    const defaultMaps = (assetLoader.maps && assetLoader.maps.defaultMaps) || [];
+    const username = usernameInput.value;
+
+    campaignLevelList.innerHTML = '';
+    campaignManager.getLevels().forEach((level, levelIndex) => {
+        const map = campaignManager.getLevelMap(levelIndex, defaultMaps);
+        const unlocked = map && campaignManager.isUnlocked(username, levelIndex);
+
+        const levelItem = document.createElement('div');
+        levelItem.className = unlocked ? 'map-item' : 'map-item locked';
+        levelItem.textContent = `Level ${level.level}: ${map ? map.name : level.mapId}${unlocked ? '' : ' (locked)'}`;
+
+        if (unlocked) {
+            levelItem.addEventListener('click', () => {
+                // Deselect all maps
+                document.querySelectorAll('.map-item').forEach(item => {
+                    item.classList.remove('selected');
+                });
+
+                // Select this level
+                levelItem.classList.add('selected');
+                selectedMap = map;
+                selectedMapType = 'campaign';
+                selectedCampaignLevel = levelIndex;
+            });
+        }
+
+        campaignLevelList.appendChild(levelItem);
+    });
+}
+
 // Render map list
 function renderMapList(maps, container, type) {
     container.innerHTML = '';
@@ -211,6 +276,10 @@ function renderMapList(maps, container, type) {
 // Set up event listeners
 function setupEventListeners() {
     // Main menu buttons
+    continueButton.addEventListener('click', () => {
+        window.location.href = 'gameplay.html?resume=1';
+    });
+    
     playButton.addEventListener('click', () => {
         showScreen(playScreen);
     });
@@ -260,8 +329,20 @@ function setupEventListeners() {
         // Save selected map to localStorage for gameplay.js to use
         mapStorage.saveMapToLocalStorage(selectedMap, 'currentPlayMap');
         
-        // Navigate to gameplay page
-        window.location.href = 'gameplay.html';
+        // Navigate to gameplay page (campaign levels also pass their level)
+        if (selectedMapType === 'campaign') {
+            window.location.href = `gameplay.html?campaignLevel=${selectedCampaignLevel}`;
+        } else {
+            window.location.href = 'gameplay.html';
+        }
+    });
+
+    // Unlocked campaign levels belong to the username
+    usernameInput.addEventListener('change', () => {
+        if (selectedMapType === 'campaign') {
+            selectedMap = null;
+        }
+        loadCampaignLevels();
     });
 
     // Sound settings button
@@ -337,13 +418,13 @@ function renderHighScores(highScores) {
     
     if (!highScores || highScores.length === 0) {
         const row = document.createElement('tr');
-        row.innerHTML = '<td colspan="6">No high scores available</td>';
+        row.innerHTML = '<td colspan="7">No high scores available</td>';
         tbody.appendChild(row);
         return;
     }
     
-    // Sort by finish time (ascending)
-    highScores.sort((a, b) => a.finishTime - b.finishTime);
+    // Sort by score, then by finish time
+    highScores.sort(HighScoreManager.compareHighScores);
     
     highScores.forEach(score => {
         const row = document.createElement('tr');
@@ -361,6 +442,7 @@ function renderHighScores(highScores) {
         row.innerHTML = `
             <td>${score.mapName}</td>
             <td>${score.username}</td>
+            <td>${score.score || 0}</td>
             <td>${score.finishTime}</td>
             <td>${score.enemiesKilled}</td>
             <td>${score.enemiesEscaped}</td>
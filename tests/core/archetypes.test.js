@@ -0,0 +1,155 @@
+/**
+ * Archetypes Unit Tests
+ *
+ * Tests for the Archetypes class and the archetype files to ensure archetypes are
+ * validated, inherit from the archetype they extend, build the entities the factories
+ * create, and can be overridden by a map.
+ */
+
+import { Archetypes } from '../../src/core/archetypes.js';
+import { AssetLoader } from '../../src/core/asset-loader.js';
+import { contentRegistry } from '../../src/core/content-registry.js';
+import { Game } from '../../src/core/game.js';
+import { ServiceLocator } from '../../src/core/service-locator.js';
+import { EntityManager } from '../../src/core/entity-manager.js';
+import { EntityFactory } from '../../src/entities/entity-factory.js';
+import { GunComponent } from '../../src/entities/components/gun.js';
+
+// Define the test suite for Archetypes
+suite('Archetypes', () => {
+    let entityManager;
+
+    const assetLoader = new AssetLoader();
+
+    // A small zombie archetype file
+    const zombieFile = () => ({
+        category: 'enemy',
+        archetypes: {
+            zombie: { abstract: true, health: 1, speed: 50, attackDamage: 1, attackRate: 1, pointValue: 10, width: 30, height: 30, color: '#e74c3c', weight: 2 },
+            brute: {
+                extends: 'zombie',
+                health: 4,
+                defaultVariant: 'Standard',
+                variants: {
+                    Standard: { variant: 'standard' },
+                    Fast: { variant: 'fast', speed: 90 }
+                }
+            },
+            elite: { extends: 'brute', pointValue: 40 }
+        }
+    });
+
+    // Set up before each test
+    beforeEach(async () => {
+        await assetLoader.loadArchetypes();
+        entityManager = new EntityManager();
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        contentRegistry.setOverrides(null);
+        entityManager.destroy();
+        ServiceLocator.clearServices();
+    });
+
+    // Test the built-in files
+    test('the built-in archetype files should load and be valid', async (assert) => {
+        const loaded = await assetLoader.loadArchetypes();
+
+        assert.deepEqual(loaded, ['enemy', 'obstacle', 'gun'], 'Every archetype file should be loaded');
+        for (const category of loaded) {
+            assert.deepEqual(Archetypes.validate(category, assetLoader.archetypes[category]), [], `${category} archetypes should be valid`);
+        }
+    });
+
+    // Test inheritance
+    test('resolve should apply the values of the archetype extended, then its own, then the variant\'s', (assert) => {
+        const resolved = Archetypes.resolve(zombieFile());
+
+        assert.isUndefined(resolved.zombie, 'Abstract archetypes should not be resolved');
+        assert.equal(resolved.brute.values.health, 4, 'Own values should replace inherited ones');
+        assert.equal(resolved.brute.values.speed, 50, 'Values should be inherited');
+        assert.equal(resolved.brute.variants.Fast.speed, 90, 'Variant values should replace the archetype\'s');
+        assert.equal(resolved.brute.variants.Fast.health, 4, 'Variants should get the archetype\'s values');
+        assert.equal(resolved.elite.variants.Standard.pointValue, 40, 'Inherited variants should get the archetype\'s values');
+        assert.equal(resolved.elite.defaultVariant, 'Standard', 'The default variant should be inherited');
+    });
+
+    // Test validation
+    test('validate should report unknown fields, wrong types, bad inheritance and missing stats', (assert) => {
+        assert.deepEqual(Archetypes.validate('enemy', zombieFile()), [], 'A valid file should have no errors');
+
+        const typo = zombieFile();
+        typo.archetypes.brute.variants.Fast.sped = 90;
+        typo.archetypes.brute.health = '4';
+        assert.deepEqual(Archetypes.validate('enemy', typo), [
+            'brute.health must be a number',
+            'brute.variants.Fast.sped is not a known enemy field'
+        ], 'Unknown fields and wrong types should be reported');
+
+        const orphan = zombieFile();
+        orphan.archetypes.elite.extends = 'boss';
+        assert.deepEqual(Archetypes.validate('enemy', orphan), ['elite extends unknown archetype "boss"'], 'Unknown parents should be reported');
+
+        const loop = zombieFile();
+        loop.archetypes.zombie.extends = 'elite';
+        assert.equal(Archetypes.validate('enemy', loop).length, 3, 'Circular inheritance should be reported');
+
+        const incomplete = zombieFile();
+        delete incomplete.archetypes.zombie.health;
+        incomplete.archetypes.brute = { extends: 'zombie', defaultVariant: 'Huge' };
+        assert.deepEqual(Archetypes.validate('enemy', incomplete), [
+            'brute.defaultVariant "Huge" is not one of its variants',
+            'brute is missing health',
+            'elite.defaultVariant "Huge" is not one of its variants',
+            'elite is missing health'
+        ], 'Missing stats and unknown default variants should be reported');
+
+        assert.equal(Archetypes.validate('gun', zombieFile()).length, 1, 'A file for another category should be rejected');
+    });
+
+    // Test the factories
+    test('factories should build entities from the archetypes', (assert) => {
+        const tank = EntityFactory.createZombie(entityManager, 'giant', 'Tank', { laneIndex: 1 });
+        const bus = EntityFactory.createObstacle(entityManager, 'large', 'Bus', { laneIndex: 1 });
+        const gun = new GunComponent().init({ gunType: 'ak47' });
+
+        assert.equal(tank.getComponent('health').maxHealth, 12, 'Variant values should be used');
+        assert.equal(tank.getComponent('collision').width, 50, 'Archetype values should be used');
+        assert.equal(tank.getComponent('damage').reachWidth, 30, 'Values should be used by the base enemy factory');
+        assert.equal(bus.getComponent('collision').width, 80, 'Obstacle variants should be used');
+        assert.equal(gun.loadSpeed, 0.2, 'Gun stats should come from the gun archetypes');
+        assert.equal(gun.areaHeight, 16, 'Gun stats should be inherited from the base gun');
+    });
+
+    // Test map overrides
+    test('a map should override archetype values for itself', (assert) => {
+        const game = new Game({ headless: true, width: 800, height: 600 });
+        const map = {
+            name: 'Overrides',
+            length: 3000,
+            objects: [],
+            archetypes: {
+                enemy: { Giant: { health: 10, variants: { tank: { health: 20 } } } },
+                gun: { glock_17: { damage: 3 } }
+            }
+        };
+
+        game.loadLevel(map, { seed: 1 });
+        const em = ServiceLocator.getService('entityManager');
+        assert.equal(EntityFactory.createZombie(em, 'giant', 'Berserker').getComponent('health').maxHealth, 10, 'Type overrides should apply to every variant');
+        assert.equal(EntityFactory.createZombie(em, 'giant', 'Tank').getComponent('health').maxHealth, 20, 'Variant overrides should apply to their variant');
+        assert.equal(game.player.getComponent('gun').bulletDamage, 3, 'Gun overrides should apply to the player\'s gun');
+
+        game.loadLevel({ name: 'Plain', length: 3000, objects: [] }, { seed: 1 });
+        const plainEm = ServiceLocator.getService('entityManager');
+        assert.equal(EntityFactory.createZombie(plainEm, 'giant', 'Tank').getComponent('health').maxHealth, 12, 'Overrides should not outlive their map');
+
+        assert.deepEqual(contentRegistry.setOverrides({ enemy: { giant: { extends: 'normal' }, dragon: { health: 1 } } }),
+            ['enemy.giant.extends can\'t be overridden'], 'Invalid overrides should be reported');
+        assert.deepEqual(contentRegistry.setOverrides({ enemy: { dragon: { health: 1 } } }), ['Unknown enemy type "dragon"'], 'Overrides of unknown types should be reported');
+        assert.deepEqual(contentRegistry.overrides, {}, 'Invalid overrides should be ignored');
+
+        game.destroy();
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * ContentRegistry Unit Tests
+ *
+ * Tests for the ContentRegistry class to ensure types register their factory,
+ * variants, names and editor metadata, and that the game creates registered
+ * types (including mod types) without knowing about them.
+ */
+
+import { ContentRegistry, ContentCategory, contentRegistry } from '../../src/core/content-registry.js';
+import { EntityManager } from '../../src/core/entity-manager.js';
+import { EntityFactory } from '../../src/entities/entity-factory.js';
+import { createEnemy } from '../../src/entities/enemy.js';
+import '../../src/entities/components/bonus-component.js';
+import '../../src/entities/components/gun.js';
+import { AssetLoader } from '../../src/core/asset-loader.js';
+
+// Define the test suite for ContentRegistry
+suite('ContentRegistry', () => {
+    let registry;
+    let entityManager;
+
+    // Built-in stats come from the archetype files
+    const assetLoader = new AssetLoader();
+
+    // Set up before each test
+    beforeEach(async () => {
+        await assetLoader.loadArchetypes();
+        registry = new ContentRegistry();
+        entityManager = new EntityManager();
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        contentRegistry.unregister(ContentCategory.ENEMY, 'toxic');
+        contentRegistry.clearMisses();
+        contentRegistry.setOverrides(null);
+        entityManager.destroy();
+    });
+
+    // A mod zombie type
+    const toxicZombie = {
+        create: (entityManager, config) => createEnemy(entityManager, { ...config, type: 'toxic' }),
+        variants: {
+            Standard: { variant: 'standard', health: 3 },
+            Bloated: { variant: 'bloated', health: 6, displayName: 'Bloated', editor: { label: 'bloated (slow)' } }
+        },
+        displayName: 'Toxic Zombie',
+        editor: { label: 'toxic zombie' }
+    };
+
+    // Test registration
+    test('register should store types with their variants, names and editor metadata', (assert) => {
+        registry.register(ContentCategory.ENEMY, 'toxic', toxicZombie);
+
+        assert.isTrue(registry.has(ContentCategory.ENEMY, 'toxic'), 'Type should be registered');
+        assert.equal(registry.getVariant(ContentCategory.ENEMY, 'toxic', 'Bloated').health, 6, 'Variant should be found');
+        assert.equal(registry.getVariant(ContentCategory.ENEMY, 'toxic', 'Unknown').health, 3, 'Unknown variants should use the default variant');
+        assert.equal(registry.getDisplayName(ContentCategory.ENEMY, 'toxic'), 'Toxic Zombie', 'Display name should be registered');
+        assert.deepEqual(registry.getEditorTypeOptions(ContentCategory.ENEMY), [{ value: 'toxic', text: 'toxic zombie' }], 'Editor should list the type');
+        assert.deepEqual(registry.getEditorVariantOptions(ContentCategory.ENEMY, 'toxic').map(option => option.text), ['standard', 'bloated (slow)'], 'Editor should list the variants');
+    });
+
+    // Test validation
+    test('register should reject unknown categories and entity types without a factory', (assert) => {
+        assert.throws(() => registry.register('vehicle', 'tank', {}), /Unknown content category/, 'Unknown categories should throw');
+        assert.throws(() => registry.register(ContentCategory.ENEMY, 'toxic', { variants: {} }), /create\(\)/, 'Enemies need a factory');
+        assert.isNull(registry.create(ContentCategory.ENEMY, 'missing', entityManager, 'Standard'), 'Unknown types should not be created');
+    });
+
+    // Test built-in content
+    test('built-in zombies, obstacles, bonuses and guns should be registered', (assert) => {
+        assert.deepEqual(contentRegistry.getEditorTypeOptions(ContentCategory.ENEMY).map(option => option.value), ['normal', 'armored', 'giant', 'spitter', 'boss'], 'Zombie types should be registered');
+        assert.deepEqual(contentRegistry.getEditorTypeOptions(ContentCategory.OBSTACLE).map(option => option.value), ['small', 'medium', 'large', 'hazard'], 'Obstacle types should be registered');
+        assert.deepEqual(contentRegistry.getVariantIds(ContentCategory.BONUS, 'gun'), ['glock_17', 'desert_eagle', 'benelli_m4', 'ak47', 'barrett_xm109'], 'Every gun but none should be a gun bonus');
+        assert.isFalse(contentRegistry.getEditorVariantOptions(ContentCategory.BONUS, 'gun').some(option => option.value === 'glock_17'), 'Starting gun should be hidden from the editor');
+        assert.equal(contentRegistry.getVariantDisplayName(ContentCategory.BONUS, 'gun', 'ak47'), 'AK-47', 'Gun bonus variants should use the gun names');
+        assert.equal(contentRegistry.getVariantDisplayName(ContentCategory.BONUS, 'grenade', 'sticky'), 'Sticky', 'Grenade variants should have names');
+    });
+
+    // Test creating registered types
+    test('EntityFactory should create zombie types registered on the shared registry', (assert) => {
+        contentRegistry.register(ContentCategory.ENEMY, 'toxic', toxicZombie);
+
+        const zombie = EntityFactory.createZombie(entityManager, 'toxic', 'Bloated', { laneIndex: 2, x: 500 });
+
+        assert.isTrue(zombie.hasTag('enemy'), 'Zombie should be created by its factory');
+        assert.equal(zombie.getComponent('health').maxHealth, 6, 'Variant configuration should be applied');
+        assert.equal(zombie.getComponent('transform').x, 500, 'Map configuration should override the variant');
+        assert.isTrue(EntityFactory.createZombie(entityManager, 'unknown', 'Standard').hasTag('normalZombie'), 'Unknown types should fall back to normal zombies');
+    });
+
+    // Test variant resolution
+    test('types and variants should resolve regardless of case or format', (assert) => {
+        registry.register(ContentCategory.ENEMY, 'toxic', toxicZombie);
+
+        assert.equal(registry.resolveType(ContentCategory.ENEMY, 'Toxic'), 'toxic', 'Type ids should ignore case');
+        assert.equal(registry.resolveVariant(ContentCategory.ENEMY, 'toxic', 'BLOATED'), 'Bloated', 'Variant names should ignore case');
+        assert.equal(registry.resolveVariant(ContentCategory.ENEMY, 'toxic', 'bloated'), 'Bloated', 'Variant ids should match their variant');
+        assert.equal(contentRegistry.resolveVariant(ContentCategory.BONUS, 'gun', 'Desert-Eagle'), 'desert_eagle', 'Gun bonus variants should match gun ids');
+        assert.equal(registry.resolveVariant(ContentCategory.ENEMY, 'toxic', undefined), 'Standard', 'Missing variants should use the default variant');
+        assert.equal(registry.getMisses().length, 0, 'Known content and missing variants should not be reported');
+
+        const tank = EntityFactory.createZombie(entityManager, 'giant', 'tank', { laneIndex: 1, x: 500 });
+        assert.equal(tank.getComponent('health').maxHealth, 12, 'A tank giant placed on a map should get the Tank variant');
+    });
+
+    // Test miss reporting
+    test('unknown types and variants should be recorded once with a hit count', (assert) => {
+        registry.register(ContentCategory.ENEMY, 'toxic', toxicZombie);
+
+        assert.equal(registry.resolveVariant(ContentCategory.ENEMY, 'toxic', 'Tankk'), 'Standard', 'Unknown variants should use the default variant');
+        registry.resolveVariant(ContentCategory.ENEMY, 'toxic', 'Tankk');
+        assert.equal(registry.resolveType(ContentCategory.ENEMY, 'ghost', 'toxic'), 'toxic', 'Unknown types should use the fallback');
+
+        const misses = registry.getMisses();
+        assert.equal(misses.length, 2, 'Each unknown type and variant should be recorded once');
+        assert.equal(misses[0].count, 2, 'Repeated misses should be counted');
+        assert.equal(misses[0].message, 'Unknown enemy "toxic" variant "Tankk", using "Standard"', 'Variant misses should say what is used instead');
+        assert.equal(misses[1].message, 'Unknown enemy type "ghost", using "toxic"', 'Type misses should say what is used instead');
+        assert.deepEqual(registry.checkContent(ContentCategory.ENEMY, 'TOXIC', 'nope'), ['Unknown enemy "toxic" variant "nope", using "Standard"'], 'checkContent should report unknown variants');
+        assert.deepEqual(registry.checkContent(ContentCategory.ENEMY, 'toxic', 'bloated'), [], 'checkContent should accept known content');
+
+        registry.clearMisses();
+        assert.equal(registry.getMisses().length, 0, 'Misses should be cleared');
+    });
+
+    // Test mods
+    test('loadMods should register content from mod files and skip broken mods', async (assert) => {
+        const mod = 'data:text/javascript,export function register(registry) { registry.register("gun", "flamethrower", { displayName: "Flamethrower", config: {} }); }';
+        const brokenMod = 'data:text/javascript,export const nothing = 1;';
+
+        const loaded = await registry.loadMods([mod, brokenMod]);
+
+        assert.deepEqual(loaded, [mod], 'Only the working mod should be loaded');
+        assert.equal(registry.getDisplayName(ContentCategory.GUN, 'flamethrower'), 'Flamethrower', 'Mod content should be registered');
+    });
+});
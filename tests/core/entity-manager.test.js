@@ -7,6 +7,8 @@
 
 import { EntityManager } from '../../src/core/entity-manager.js';
 import { Component } from '../../src/entities/component.js';
+import { TransformComponent } from '../../src/entities/components/transform.js';
+import { CollisionComponent } from '../../src/entities/components/collision.js';
 
 // Define the test suite for EntityManager
 suite('EntityManager', () => {
@@ -300,4 +302,102 @@ suite('EntityManager', () => {
         
         assert.equal(entityManager.getEntityCount(), 0, 'Should have no entities after removing all');
     });
+
+    // Test entity pooling
+    test('removed pooled entities should be reused with a new id', (assert) => {
+        const bullet = entityManager.createPooledEntity();
+        bullet.addTag('bullet');
+        bullet.pointValue = 5;
+        const bulletId = bullet.id;
+        entityManager.removeEntity(bullet);
+
+        const reused = entityManager.createPooledEntity();
+        assert.equal(reused, bullet, 'Entity object should be reused');
+        assert.notEqual(reused.id, bulletId, 'Reused entity should get a new id');
+        assert.isTrue(reused.isActive(), 'Reused entity should be active');
+        assert.equal(reused.getComponentCount(), 0, 'Reused entity should have no components');
+        assert.isFalse(reused.hasTag('bullet'), 'Reused entity should have no tags');
+        assert.isUndefined(reused.pointValue, 'Reused entity should not keep extra properties');
+        assert.isNull(entityManager.getEntity(bulletId), 'Old id should not find the entity');
+
+        const plain = entityManager.createEntity();
+        entityManager.removeEntity(plain);
+        assert.notEqual(entityManager.createPooledEntity(), plain, 'Entities not created as pooled should not be reused');
+    });
+
+    // Test component pooling
+    test('components of removed pooled entities should be reset and reused', (assert) => {
+        class PlainComponent extends Component {
+            constructor() {
+                super('plain');
+            }
+        }
+
+        const entity = entityManager.createPooledEntity();
+        const transform = entityManager.acquireComponent(TransformComponent).init({ x: 40, y: 90 });
+        const collision = entityManager.acquireComponent(CollisionComponent).init({ width: 10, height: 10 });
+        const plain = entityManager.acquireComponent(PlainComponent);
+        entity.addComponent(transform).addComponent(collision).addComponent(plain);
+        collision.calculateOccupiedLanes(transform, 60);
+        entityManager.removeEntity(entity);
+
+        const reusedTransform = entityManager.acquireComponent(TransformComponent);
+        const reusedCollision = entityManager.acquireComponent(CollisionComponent);
+        assert.equal(reusedTransform, transform, 'Transform should be reused');
+        assert.equal(reusedTransform.x, 0, 'Reused transform should be reset');
+        assert.isNull(reusedTransform.entity, 'Reused component should be detached');
+        assert.equal(reusedCollision.getOccupiedLanes().length, 0, 'Reused collision should have no lanes');
+        assert.notEqual(entityManager.acquireComponent(PlainComponent), plain, 'Components without reset() should not be pooled');
+
+        const stats = entityManager.getPoolStats();
+        assert.equal(stats.componentsReused, 2, 'Reuses should be counted');
+    });
+
+    // Test cached queries
+    test('cached queries should follow component, tag and entity changes', (assert) => {
+        const query = entityManager.getQuery({ components: ['transform'], tags: ['enemy'] });
+
+        const entity = entityManager.createEntity();
+        entity.addComponent(new TransformComponent());
+        assert.equal(query.getEntities().length, 0, 'Entity without the tag should not match');
+
+        entity.addTag('enemy');
+        assert.deepEqual(query.getEntities(), [entity], 'Entity should match once it has the tag');
+
+        entity.removeComponent('transform');
+        assert.equal(query.getEntities().length, 0, 'Entity should leave the query when it loses a component');
+
+        entity.addComponent(new TransformComponent());
+        entity.removeTag('enemy');
+        assert.equal(query.getEntities().length, 0, 'Entity should leave the query when it loses a tag');
+
+        entity.addTag('enemy');
+        entityManager.removeEntity(entity);
+        assert.equal(query.getSize(), 0, 'Removed entity should leave the query');
+        assert.equal(entityManager.getQuery({ tags: ['enemy'], components: ['transform'] }), query, 'Same definition should reuse the query');
+    });
+
+    // Test query order
+    test('queries should return entities in id order', (assert) => {
+        const entities = [0, 1, 2].map(() => entityManager.createEntity());
+        entities[2].addTag('dying');
+        entities[0].addTag('dying');
+        entities[1].addTag('dying');
+
+        assert.deepEqual(entityManager.getEntitiesWithTag('dying').map(entity => entity.id), entities.map(entity => entity.id), 'Entities should be in id order whatever order they matched in');
+    });
+
+    // Test named queries
+    test('named queries should be registered once and reused', (assert) => {
+        const entity = entityManager.createEntity();
+        entity.addComponent(new TransformComponent());
+
+        const query = entityManager.registerQuery('positioned', { components: ['transform'] });
+        assert.equal(entityManager.getNamedQuery('positioned'), query, 'Query should be found by name');
+        assert.equal(entityManager.registerQuery('positioned', { components: ['transform'] }), query, 'Registering again should return the same query');
+        assert.deepEqual(entityManager.queryEntities('positioned'), [entity], 'Existing entities should be in a new query');
+        assert.throws(() => entityManager.registerQuery('positioned', { tags: ['enemy'] }), /already registered/, 'A name should not be reused for another definition');
+        assert.throws(() => entityManager.queryEntities('unknown'), /not registered/, 'Unknown names should throw');
+        assert.isNull(entityManager.getNamedQuery('unknown'), 'Unknown names should have no query');
+    });
 });
@@ -152,4 +152,155 @@ suite('EventBus', () => {
         assert.isFalse(eventBus.hasSubscribers('event1'), 'Event1 should have no subscribers after clear all');
         assert.isFalse(eventBus.hasSubscribers('event2'), 'Event2 should have no subscribers after clear all');
     });
+
+    // Test priority
+    test('subscribers should be called by priority, then in subscription order', (assert) => {
+        const calls = [];
+        eventBus.subscribe('test-event', () => calls.push('default'));
+        eventBus.subscribe('test-event', () => calls.push('low'), { priority: -1 });
+        eventBus.subscribe('test-event', () => calls.push('high'), { priority: 10 });
+        eventBus.subscribe('test-event', () => calls.push('default 2'));
+        eventBus.subscribe('test-*', () => calls.push('pattern'), { priority: 5 });
+
+        eventBus.publish('test-event');
+
+        assert.deepEqual(calls, ['high', 'pattern', 'default', 'default 2', 'low'], 'Subscribers should be called in priority order');
+        assert.throws(() => eventBus.subscribe('test-event', () => {}, { priority: 'high' }), /Priority must be a finite number/, 'Should throw error for invalid priority');
+    });
+
+    // Test once
+    test('once should call the subscriber for the next event only', (assert) => {
+        let callCount = 0;
+        eventBus.once('test-event', () => {
+            callCount++;
+            eventBus.publish('test-event');
+        });
+
+        eventBus.publish('test-event');
+        eventBus.publish('test-event');
+
+        assert.equal(callCount, 1, 'Subscriber should be called once, even when the event is published again by the subscriber');
+        assert.isFalse(eventBus.hasSubscribers('test-event'), 'Subscriber should be removed after the event');
+
+        const id = eventBus.once('test-event', () => callCount++);
+        assert.isTrue(eventBus.unsubscribe('test-event', id), 'Once subscriptions should be removable before the event');
+        eventBus.publish('test-event');
+        assert.equal(callCount, 1, 'Removed subscriber should not be called');
+    });
+
+    // Test patterns
+    test('patterns should match event types with any characters in place of *', (assert) => {
+        const received = [];
+        eventBus.subscribe('enemy:*', (data, event) => received.push(event.type));
+        eventBus.subscribe('enemy*', (data, event) => received.push(`camel ${event.type}`));
+        eventBus.subscribe('*', () => received.push('all'));
+
+        eventBus.publish('enemy:killed');
+        eventBus.publish('enemyEscaped');
+        eventBus.publish('soldier:killed');
+        eventBus.publish('enemy.killed');
+
+        assert.deepEqual(received, ['enemy:killed', 'camel enemy:killed', 'all', 'camel enemyEscaped', 'all', 'all', 'camel enemy.killed', 'all'],
+            'Patterns should match the whole event type');
+
+        eventBus.clearEventSubscribers('*');
+        eventBus.publish('soldier:killed');
+        assert.equal(received.length, 8, 'Cleared patterns should not match');
+    });
+
+    // Test deferred events
+    test('publishDeferred should queue events until flush', (assert) => {
+        const received = [];
+        eventBus.subscribe('first', (data) => {
+            received.push(data.value);
+            eventBus.publishDeferred('second', { value: data.value + 1 });
+        });
+        eventBus.subscribe('second', (data) => received.push(data.value));
+
+        eventBus.publishDeferred('first', { value: 1 });
+        eventBus.publishDeferred('first', { value: 10 });
+
+        assert.deepEqual(received, [], 'Deferred events should not be published right away');
+        assert.equal(eventBus.getQueuedCount(), 2, 'Deferred events should be queued');
+        assert.equal(eventBus.flush(), 4, 'Flush should publish queued events and the events they queue');
+        assert.deepEqual(received, [1, 10, 2, 11], 'Deferred events should be published in the order they were queued');
+        assert.equal(eventBus.getQueuedCount(), 0, 'Queue should be empty after flush');
+
+        eventBus.publishDeferred('first', { value: 1 });
+        eventBus.clearQueue();
+        assert.equal(eventBus.flush(), 0, 'Cleared events should not be published');
+    });
+
+    // Test frame numbers
+    test('events should carry the frame they were published in', (assert) => {
+        const events = [];
+        eventBus.subscribe('test-event', (data, event) => events.push(event));
+
+        eventBus.setFrame(7);
+        eventBus.publish('test-event');
+        eventBus.publishDeferred('test-event');
+        eventBus.setFrame(8);
+        eventBus.flush();
+
+        assert.deepEqual(events, [
+            { type: 'test-event', frame: 7, deferred: false },
+            { type: 'test-event', frame: 7, deferred: true }
+        ], 'Events should carry their type, frame and whether they were deferred');
+    });
+
+    // Test owners
+    test('unsubscribeOwner should release every subscription of an owner', (assert) => {
+        const owner = { name: 'owner' };
+        let callCount = 0;
+        eventBus.subscribe('event1', () => callCount++, { owner });
+        eventBus.subscribe('event2', () => callCount++, { owner });
+        eventBus.subscribe('event*', () => callCount++, { owner });
+        eventBus.subscribe('event1', () => callCount++, { owner: 'other' });
+        eventBus.subscribe('event1', () => callCount++);
+
+        assert.equal(eventBus.unsubscribeOwner(owner), 3, 'Every subscription of the owner should be removed');
+        assert.equal(eventBus.unsubscribeOwner(undefined), 0, 'Subscriptions without an owner should not be released as a group');
+
+        eventBus.publish('event1');
+        eventBus.publish('event2');
+        assert.equal(callCount, 2, 'Only the other subscribers should be called');
+    });
+
+    // Test subscription reports
+    test('unsubscribeAllExcept should keep the given owners and report what was removed', (assert) => {
+        class Service {}
+        const kept = new Service();
+        eventBus.subscribe('event1', () => {}, { owner: kept });
+        eventBus.subscribe('event1', () => {}, { owner: new Service() });
+        eventBus.subscribe('event1', () => {});
+        eventBus.subscribe('event2', () => {}, { owner: 'screen' });
+        eventBus.subscribe('event2', () => {}, { owner: 'screen' });
+
+        assert.deepEqual(eventBus.getSubscriptionReport(), {
+            event1: { Service: 2, '(no owner)': 1 },
+            event2: { screen: 2 }
+        }, 'Subscriptions should be counted by event type and owner name');
+
+        const removed = eventBus.unsubscribeAllExcept([kept]);
+        assert.deepEqual(removed, { event1: { Service: 1, '(no owner)': 1 }, event2: { screen: 2 } }, 'Removed subscriptions should be reported');
+        assert.deepEqual(eventBus.getSubscriptionReport(), { event1: { Service: 1 } }, 'Subscriptions of the kept owners should remain');
+    });
+
+    // Test unsubscribing with a callback
+    test('unsubscribe should not remove anything when given a callback instead of an ID', (assert) => {
+        const callback = () => {};
+        eventBus.subscribe('test-event', callback);
+
+        const originalWarn = console.warn;
+        let warned = false;
+        console.warn = () => { warned = true; };
+        try {
+            assert.isFalse(eventBus.unsubscribe('test-event', callback), 'Unsubscribe should return false for a callback');
+        } finally {
+            console.warn = originalWarn;
+        }
+
+        assert.isTrue(warned, 'A warning should be logged');
+        assert.equal(eventBus.getSubscriberCount('test-event'), 1, 'The subscriber should be kept');
+    });
 });
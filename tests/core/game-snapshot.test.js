@@ -0,0 +1,183 @@
+/**
+ * GameSnapshot Unit Tests
+ *
+ * Tests for the GameSnapshot class to ensure a game can be saved
+ * to JSON mid-level and continued from exactly the same state.
+ */
+
+import { Game } from '../../src/core/game.js';
+import { ServiceLocator } from '../../src/core/service-locator.js';
+import { GameSnapshot, SNAPSHOT_VERSION } from '../../src/core/game-snapshot.js';
+import { EntityFactory } from '../../src/entities/entity-factory.js';
+import { createBulletEntity } from '../../src/entities/bullet.js';
+
+// Create a headless game with a fixed seed
+function createGame(seed = 7) {
+    ServiceLocator.clearServices();
+
+    const game = new Game({
+        headless: true,
+        width: 800,
+        height: 600,
+        finishLine: { enabled: true, position: 5000 },
+        seed
+    });
+
+    return game;
+}
+
+// Populate a game with a player and a few zombies
+function populate(game) {
+    game.initializeGame({ createPlayer: true, initialSoldiers: 3 });
+
+    const entityManager = ServiceLocator.getService('entityManager');
+    EntityFactory.createZombie(entityManager, 'normal', 'Standard', { laneIndex: 4, x: 600 });
+    EntityFactory.createZombie(entityManager, 'armored', 'Standard', { laneIndex: 3, x: 700 });
+    EntityFactory.createZombie(entityManager, 'giant', 'Standard', { laneIndex: 5, x: 780 });
+}
+
+// Summarize the world so two games can be compared
+function describeWorld() {
+    const entityManager = ServiceLocator.getService('entityManager');
+    return entityManager.getAllEntities().map(entity => {
+        const transform = entity.getComponent('transform');
+        const health = entity.getComponent('health');
+        return [
+            entity.id,
+            entity.getAllTags().join('+'),
+            transform ? transform.x.toFixed(3) : '-',
+            health ? health.currentHealth : '-'
+        ].join(':');
+    }).join('|');
+}
+
+// Define the test suite for GameSnapshot
+suite('GameSnapshot', () => {
+    let game;
+
+    // Set up before each test
+    beforeEach(() => {
+        game = createGame();
+        populate(game);
+        game.start();
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        if (game) {
+            game.destroy();
+            game = null;
+        }
+
+        // Clear services
+        ServiceLocator.clearServices();
+    });
+
+    // Test snapshot format
+    test('createSnapshot should produce a versioned JSON-safe snapshot', (assert) => {
+        game.tick(10);
+
+        const snapshot = game.createSnapshot({ map: { name: 'Test' } });
+        const parsed = JSON.parse(JSON.stringify(snapshot));
+
+        assert.equal(parsed.version, SNAPSHOT_VERSION, 'Snapshot should have the current version');
+        assert.equal(parsed.seed, 7, 'Snapshot should store the seed');
+        assert.equal(parsed.game.frameCount, 10, 'Snapshot should store the frame count');
+        assert.equal(parsed.session.map.name, 'Test', 'Snapshot should keep the session data');
+        assert.isTrue(parsed.entities.some(entity => entity.tags.includes('player')), 'Snapshot should contain the player');
+        assert.isFalse(parsed.entities.some(entity => entity.tags.includes('background')), 'Lane backgrounds should not be stored');
+    });
+
+    // Test restoring entities
+    test('restoreSnapshot should rebuild every entity with its components', (assert) => {
+        game.tick(5);
+        const expectedWorld = describeWorld();
+        const snapshot = JSON.parse(JSON.stringify(game.createSnapshot()));
+
+        game.destroy();
+        game = createGame(999);
+        game.restoreSnapshot(snapshot);
+
+        assert.equal(describeWorld(), expectedWorld, 'Entities should be restored with the same ids, tags and state');
+        assert.isDefined(game.player, 'Game should know the restored player');
+        assert.equal(game.getSeed(), 7, 'The saved seed should be restored');
+
+        const gun = game.player.getComponent('gun');
+        assert.equal(gun.entity, game.player, 'Components should be attached to their entity');
+        assert.isTrue(game.player.getComponent('render').spriteConfig !== undefined, 'Sprite configuration should be rebuilt');
+    });
+
+    // Test sets and entity references
+    test('restoreSnapshot should restore sets and references to other entities', (assert) => {
+        const entityManager = ServiceLocator.getService('entityManager');
+        const bullet = createBulletEntity(entityManager, { x: 200, y: 100, sourceEntity: game.player });
+        game.player.getComponent('collision').collidingEntities.add(bullet.id);
+
+        const snapshot = JSON.parse(JSON.stringify(game.createSnapshot()));
+
+        game.destroy();
+        game = createGame();
+        game.restoreSnapshot(snapshot);
+
+        const restoredManager = ServiceLocator.getService('entityManager');
+        const restoredBullet = restoredManager.getEntity(bullet.id);
+        const projectile = restoredBullet.getComponent('projectile');
+        const collision = game.player.getComponent('collision');
+
+        assert.equal(projectile.sourceEntity, game.player, 'Entity references should point to the restored entity');
+        assert.isTrue(collision.collidingEntities instanceof Set, 'Sets should be restored as sets');
+        assert.isTrue(collision.collidingEntities.has(bullet.id), 'Set contents should be restored');
+    });
+
+    // Test continuing a restored game
+    test('a restored game should continue exactly like the original', (assert) => {
+        game.tick(30);
+        const snapshot = JSON.parse(JSON.stringify(game.createSnapshot()));
+
+        game.tick(60);
+        const expectedWorld = describeWorld();
+        const expectedPosition = game.playerWorldPosition;
+
+        game.destroy();
+        game = createGame(999);
+        game.restoreSnapshot(snapshot);
+        game.start();
+
+        assert.equal(game.frameCount, 30, 'Restored game should continue from the saved frame');
+
+        game.tick(60);
+        assert.equal(game.frameCount, 90, 'Frame count should keep counting');
+        assert.equal(game.playerWorldPosition, expectedPosition, 'World position should match the original run');
+        assert.equal(describeWorld(), expectedWorld, 'World should match the original run');
+    });
+
+    // Test timers
+    test('named timers should continue where they were in a restored game', (assert) => {
+        let ticks = 0;
+        ServiceLocator.getService('timer').setInterval(1, () => ticks++, { name: 'levelClock', group: 'gameplay' });
+        game.tick(18);
+        const snapshot = JSON.parse(JSON.stringify(game.createSnapshot()));
+
+        game.destroy();
+        game = createGame();
+        game.restoreSnapshot(snapshot);
+        const timer = ServiceLocator.getService('timer');
+        let restoredTicks = 0;
+        const id = timer.setInterval(1, () => restoredTicks++, { name: 'levelClock', group: 'gameplay' });
+        game.start();
+
+        assert.equal(ticks, 1, 'The clock should have ticked once before the snapshot');
+        assert.approximately(timer.getTimerRemaining(id), 0.5, 1e-9, 'The recreated timer should continue from its saved time');
+        game.tick(6);
+        assert.equal(restoredTicks, 1, 'The restored clock should tick after the time it had left');
+    });
+
+    // Test validation
+    test('restoreSnapshot should reject invalid snapshots and running games', (assert) => {
+        const snapshot = game.createSnapshot();
+
+        assert.throws(() => game.restoreSnapshot(snapshot), 'Cannot restore a snapshot into a running game', 'Running game should be rejected');
+        assert.throws(() => GameSnapshot.validate({ ...snapshot, version: 999 }), /Unsupported snapshot version/, 'Unknown version should be rejected');
+        assert.throws(() => GameSnapshot.validate(null), 'Snapshot must be an object', 'Null snapshot should be rejected');
+    });
+});
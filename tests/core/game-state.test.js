@@ -0,0 +1,165 @@
+/**
+ * GameStateMachine Unit Tests
+ *
+ * Tests for the GameStateMachine class and the game flow it drives,
+ * to ensure only valid transitions happen and each one is published.
+ */
+
+import { Game, GameFinishReason } from '../../src/core/game.js';
+import { ServiceLocator } from '../../src/core/service-locator.js';
+import { EventBus } from '../../src/core/event-bus.js';
+import { GameState, GameStateMachine } from '../../src/core/game-state.js';
+
+// Define the test suite for GameStateMachine
+suite('GameStateMachine', () => {
+    let eventBus;
+    let stateMachine;
+    let transitions;
+
+    // Set up before each test
+    beforeEach(() => {
+        eventBus = new EventBus();
+        stateMachine = new GameStateMachine(eventBus);
+
+        transitions = [];
+        eventBus.subscribe('gameStateChanged', (event) => {
+            transitions.push(event);
+        });
+    });
+
+    // Test initial state
+    test('state machine should start in the loading state', (assert) => {
+        assert.equal(stateMachine.getState(), GameState.LOADING, 'Initial state should be loading');
+        assert.isFalse(stateMachine.isFinished(), 'Loading should not be a finished state');
+    });
+
+    // Test publishing
+    test('transition should change the state and publish the change', (assert) => {
+        stateMachine.transition(GameState.PLAYING);
+        stateMachine.transition(GameState.DEFEAT, { reason: 'test' });
+
+        assert.equal(stateMachine.getState(), GameState.DEFEAT, 'State should be defeat');
+        assert.equal(stateMachine.previousState, GameState.PLAYING, 'Previous state should be playing');
+        assert.isTrue(stateMachine.isFinished(), 'Defeat should be a finished state');
+        assert.deepEqual(transitions, [
+            { from: GameState.LOADING, to: GameState.PLAYING },
+            { reason: 'test', from: GameState.PLAYING, to: GameState.DEFEAT }
+        ], 'Each transition should be published with its data');
+    });
+
+    // Test invalid transitions
+    test('transition should reject transitions that are not allowed', (assert) => {
+        stateMachine.transition(GameState.PLAYING);
+        stateMachine.transition(GameState.VICTORY);
+
+        assert.isFalse(stateMachine.canTransition(GameState.PLAYING), 'Victory should not go back to playing');
+        assert.throws(() => stateMachine.transition(GameState.PAUSED), /Invalid game state transition: victory -> paused/, 'Invalid transition should throw');
+        assert.equal(stateMachine.getState(), GameState.VICTORY, 'State should not change');
+        assert.equal(transitions.length, 2, 'Invalid transition should not be published');
+    });
+});
+
+// Define the test suite for the game flow driven by the state machine
+suite('GameStateMachine (game flow)', () => {
+    let game;
+    let transitions;
+
+    // Create a headless game and record every state change
+    function createGame(config = {}) {
+        game = new Game({
+            headless: true,
+            width: 800,
+            height: 600,
+            finishLine: { enabled: true, position: 100000 },
+            ...config
+        });
+
+        transitions = [];
+        game.eventBus.subscribe('gameStateChanged', (event) => {
+            transitions.push(`${event.from}->${event.to}`);
+        });
+
+        game.initializeGame({ createPlayer: true, initialSoldiers: 1 });
+    }
+
+    // Set up before each test
+    beforeEach(() => {
+        // Clear any existing services
+        ServiceLocator.clearServices();
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        if (game) {
+            game.destroy();
+            game = null;
+        }
+
+        // Clear services
+        ServiceLocator.clearServices();
+    });
+
+    // Test pause and resume
+    test('pause and resume should move between playing and paused', (assert) => {
+        createGame();
+        assert.equal(game.state, GameState.LOADING, 'Game should be loading before start');
+
+        game.start();
+        game.pause();
+        assert.isTrue(game.isPaused, 'isPaused should follow the paused state');
+        assert.equal(game.tick(5), 0, 'Nothing should be simulated while paused');
+
+        game.resume();
+        assert.equal(game.tick(5), 5, 'Simulation should continue after resuming');
+        assert.deepEqual(transitions, ['loading->playing', 'playing->paused', 'paused->playing'], 'Transitions should be published in order');
+    });
+
+    // Test countdown
+    test('countdown should delay the simulation and then start playing', (assert) => {
+        createGame({ countdown: 1 });
+
+        const ticks = [];
+        game.eventBus.subscribe('countdownTick', (event) => ticks.push(event.seconds));
+
+        game.start();
+        assert.equal(game.state, GameState.COUNTDOWN, 'Game should start with the countdown');
+
+        const simulated = game.tick(12);
+        assert.equal(simulated, 0, 'Countdown steps should not be simulated');
+        assert.equal(game.frameCount, 0, 'Frame count should not advance during the countdown');
+        assert.equal(game.state, GameState.PLAYING, 'Game should be playing after the countdown');
+
+        assert.equal(game.tick(3), 3, 'Simulation should run after the countdown');
+        assert.deepEqual(transitions, ['loading->countdown', 'countdown->playing'], 'Countdown transitions should be published');
+        assert.deepEqual(ticks, [], 'A one second countdown should not tick');
+    });
+
+    // Test victory and results
+    test('finishing the game should lock out pause and resume until the results', (assert) => {
+        createGame({ timeLimit: 1 });
+        game.start();
+        game.tick(100);
+
+        assert.equal(game.state, GameState.DEFEAT, 'Game should be lost when time runs out');
+
+        game.resume();
+        game.pause();
+        assert.equal(game.state, GameState.DEFEAT, 'Pause and resume should be ignored after the game is over');
+
+        game.showResults();
+        assert.equal(game.state, GameState.RESULTS, 'Game should move on to the results');
+        assert.deepEqual(transitions.slice(-2), ['playing->defeat', 'defeat->results'], 'Finish transitions should be published');
+        assert.equal(game.finishResult.reason, GameFinishReason.TIME_LIMIT_EXPIRED, 'Finish result should be kept');
+    });
+
+    // Test starting paused
+    test('start should be able to begin in the paused state', (assert) => {
+        createGame({ countdown: 3 });
+
+        game.start(true);
+        assert.equal(game.state, GameState.PAUSED, 'Game should start paused');
+
+        game.step();
+        assert.equal(game.frameCount, 1, 'Paused game should be stepped one frame');
+    });
+});
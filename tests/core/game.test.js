@@ -5,8 +5,11 @@
  * manages the game loop and coordinates game systems.
  */
 
-import { Game } from '../../src/core/game.js';
+import { Game, GameResult, GameFinishReason, TimeScaleSource } from '../../src/core/game.js';
 import { ServiceLocator } from '../../src/core/service-locator.js';
+import { EntityFactory } from '../../src/entities/entity-factory.js';
+import { AssetLoader } from '../../src/core/asset-loader.js';
+import { contentRegistry } from '../../src/core/content-registry.js';
 
 // Define the test suite for Game
 suite('Game', () => {
@@ -40,6 +43,9 @@ suite('Game', () => {
             width: 800,
             height: 600
         });
+
+        // The page registers the game; rendering a frame looks it up
+        ServiceLocator.registerService('game', game);
     });
     
     // Clean up after each test
@@ -256,6 +262,442 @@ suite('Game', () => {
         // Restore original method
         renderer.clear = originalClear;
     });
+
+    // Test the game loop at different time scales
+    test('the time scale should change how many fixed steps run per second of real time', (assert) => {
+        game.start();
+        const runFor = (milliseconds) => {
+            const startFrame = game.frameCount;
+            game._gameLoop(game.lastTimestamp + milliseconds);
+            return game.frameCount - startFrame;
+        };
+
+        assert.equal(runFor(1010), 12, 'The game should run 12 steps per second at 1x');
+
+        game.setTimeScale(0.5, TimeScaleSource.POWER_UP);
+        assert.equal(runFor(1010), 6, 'Slow motion should run fewer steps');
+
+        game.setTimeScale(4);
+        assert.equal(runFor(1010), 24, 'Fast-forward should run more steps');
+    });
+});
+
+// Define the test suite for headless Game
+suite('Game (headless)', () => {
+    let game;
+
+    // Set up before each test
+    beforeEach(() => {
+        // Clear any existing services
+        ServiceLocator.clearServices();
+
+        // Create a headless game instance (no canvas)
+        game = new Game({
+            headless: true,
+            width: 800,
+            height: 600,
+            finishLine: { enabled: true, position: 1000 }
+        });
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        if (game) {
+            game.destroy();
+            game = null;
+        }
+
+        // Clear services
+        ServiceLocator.clearServices();
+    });
+
+    // Test constructor
+    test('constructor should not require a canvas when headless', (assert) => {
+        assert.isDefined(game, 'Headless game instance should be created');
+        assert.isTrue(game.headless, 'Game should be flagged as headless');
+
+        const renderer = ServiceLocator.getService('renderer');
+        assert.isTrue(renderer.isHeadless(), 'Renderer should be headless');
+        assert.isNull(renderer.getContext(), 'Headless renderer should have no context');
+        assert.equal(renderer.width, 800, 'Headless renderer should keep the configured width');
+        assert.equal(renderer.height, 600, 'Headless renderer should keep the configured height');
+        assert.equal(ServiceLocator.getService('game'), game, 'Headless game should register itself');
+    });
+
+    // Test tick before start
+    test('tick should do nothing before the game is started', (assert) => {
+        assert.equal(game.tick(5), 0, 'No steps should be simulated before start');
+        assert.equal(game.frameCount, 0, 'Frame count should not change');
+    });
+
+    // Test tick
+    test('tick should advance all systems at the fixed time step', (assert) => {
+        const mockSystem = {
+            update: function(deltaTime) {
+                mockSystem.updateCalls++;
+                mockSystem.lastDeltaTime = deltaTime;
+            },
+            updateCalls: 0,
+            lastDeltaTime: 0
+        };
+
+        game.addSystem(mockSystem);
+        game.start();
+
+        const simulated = game.tick(3);
+
+        assert.equal(simulated, 3, 'Three steps should be simulated');
+        assert.equal(game.frameCount, 3, 'Frame count should advance once per step');
+        assert.equal(mockSystem.updateCalls, 3, 'System update should be called once per step');
+        assert.approximately(mockSystem.lastDeltaTime, 1 / 12, 0.0001, 'Delta time should be the fixed 1/12 second step');
+    });
+
+    // Test tick stopping on victory
+    test('tick should stop when the finish line is reached', (assert) => {
+        let finishedEvent = null;
+        game.eventBus.subscribe('gameFinished', (data) => {
+            finishedEvent = data;
+        });
+
+        game.initializeGame({ createPlayer: true, initialSoldiers: 1 });
+        game.start();
+
+        const simulated = game.tick(100000);
+
+        assert.isTrue(simulated < 100000, 'Simulation should stop before all steps are used');
+        assert.isTrue(game.isPaused, 'Game should be paused after reaching the finish line');
+        assert.isNotNull(finishedEvent, 'gameFinished should be published');
+        assert.equal(finishedEvent.result, 'victory', 'Result should be victory');
+    });
+});
+
+// Define the test suite for the ways a Game can be lost
+suite('Game (defeat conditions)', () => {
+    let game;
+    let finishedEvents;
+
+    // Create a started headless game and record every gameFinished event
+    function startGame(config = {}, initialSoldiers = 1) {
+        game = new Game({
+            headless: true,
+            width: 800,
+            height: 600,
+            finishLine: { enabled: true, position: 100000 },
+            ...config
+        });
+
+        finishedEvents = [];
+        game.eventBus.subscribe('gameFinished', (data) => {
+            finishedEvents.push(data);
+        });
+
+        game.initializeGame({ createPlayer: true, initialSoldiers });
+        game.start();
+    }
+
+    // Set up before each test
+    beforeEach(() => {
+        // Clear any existing services
+        ServiceLocator.clearServices();
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        if (game) {
+            game.destroy();
+            game = null;
+        }
+
+        // Clear services
+        ServiceLocator.clearServices();
+    });
+
+    // Test team elimination
+    test('losing the last soldier should end the game in defeat', (assert) => {
+        startGame({}, 2);
+
+        const soldiers = ServiceLocator.getService('entityManager').getEntitiesWithTag('soldier');
+        soldiers[0].getComponent('health').takeDamage(100);
+        game.tick(1);
+        assert.equal(finishedEvents.length, 0, 'Game should continue while a soldier is alive');
+
+        soldiers[1].getComponent('health').takeDamage(100);
+        game.tick(1);
+
+        assert.equal(finishedEvents.length, 1, 'gameFinished should be published once');
+        assert.equal(finishedEvents[0].result, GameResult.DEFEAT, 'Result should be defeat');
+        assert.equal(finishedEvents[0].reason, GameFinishReason.TEAM_ELIMINATED, 'Reason should be team eliminated');
+        assert.isTrue(game.isPaused, 'Game should be paused');
+    });
+
+    // Test zombie crossing the finish line
+    test('a zombie crossing the finish line should end the game in defeat', (assert) => {
+        startGame();
+
+        const entityManager = ServiceLocator.getService('entityManager');
+        EntityFactory.createZombie(entityManager, 'normal', 'Standard', { laneIndex: 1, x: -95 });
+
+        const simulated = game.tick(100);
+
+        assert.isTrue(simulated < 100, 'Simulation should stop when the zombie escapes');
+        assert.equal(finishedEvents.length, 1, 'gameFinished should be published once');
+        assert.equal(finishedEvents[0].result, GameResult.DEFEAT, 'Result should be defeat');
+        assert.equal(finishedEvents[0].reason, GameFinishReason.ZOMBIE_CROSSED_FINISH_LINE, 'Reason should be zombie crossed finish line');
+    });
+
+    // Test time limit
+    test('the game should end in defeat when the time limit expires', (assert) => {
+        startGame({ timeLimit: 2 });
+
+        assert.equal(game.getTimeRemaining(), 2, 'Full time should remain at the start');
+
+        game.tick(12);
+        assert.approximately(game.getTimeRemaining(), 1, 0.0001, 'One second should remain after 12 frames');
+
+        const simulated = game.tick(1000);
+
+        assert.equal(game.frameCount, 24, 'Game should stop after two seconds of simulated time');
+        assert.equal(simulated, 12, 'Only the remaining frames should be simulated');
+        assert.equal(game.getTimeRemaining(), 0, 'No time should remain');
+        assert.equal(finishedEvents.length, 1, 'gameFinished should be published once');
+        assert.equal(finishedEvents[0].reason, GameFinishReason.TIME_LIMIT_EXPIRED, 'Reason should be time limit expired');
+    });
+
+    // Test levels without a time limit
+    test('getTimeRemaining should return null without a time limit', (assert) => {
+        startGame();
+
+        game.tick(10);
+
+        assert.isNull(game.getTimeRemaining(), 'There should be no countdown');
+        assert.equal(finishedEvents.length, 0, 'Game should not be finished');
+    });
+});
+
+// Define the test suite for resetting and loading levels
+suite('Game (level lifecycle)', () => {
+    let game;
+
+    // A small level with a zombie that will escape
+    const testMap = {
+        name: 'Test Level',
+        length: 5000,
+        timeLimit: 60,
+        seed: 11,
+        objects: []
+    };
+
+    // A level with an obstacle near the start and one just out of reach of the player
+    const mapWithObjects = {
+        name: 'Obstacle Level',
+        length: 5000,
+        seed: 5,
+        objects: [
+            { id: 1, type: 'obstacle', objectType: 'small', variant: 'Crate', lane: 0, position: 400 },
+            { id: 2, type: 'obstacle', objectType: 'small', variant: 'Crate', lane: 0, position: 1150 }
+        ]
+    };
+
+    // Levels are built from the archetypes
+    const assetLoader = new AssetLoader();
+
+    // Set up before each test
+    beforeEach(async () => {
+        await assetLoader.loadArchetypes();
+
+        // Clear any existing services
+        ServiceLocator.clearServices();
+
+        game = new Game({ headless: true, width: 800, height: 600 });
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        if (game) {
+            game.destroy();
+            game = null;
+        }
+
+        // Clear services
+        ServiceLocator.clearServices();
+    });
+
+    // Play a level until it is finished and describe the outcome
+    function playLevel() {
+        let finished = null;
+        game.eventBus.subscribe('gameFinished', (data) => {
+            finished = data;
+        });
+
+        const entityManager = ServiceLocator.getService('entityManager');
+        EntityFactory.createZombie(entityManager, 'normal', 'Standard', { laneIndex: 1, x: 300 });
+        game.start();
+        game.tick(1000);
+
+        return `${game.frameCount}:${finished && finished.reason}:${game.random.next()}`;
+    }
+
+    // Test loading a level
+    test('loadLevel should configure the game from the map', (assert) => {
+        game.loadLevel(testMap, { initialSoldiers: 2 });
+
+        assert.equal(game.finishLine.currentPosition, 5000, 'Finish line should be at the map length');
+        assert.equal(game.timeLimit, 60, 'Time limit should come from the map');
+        assert.equal(game.getSeed(), 11, 'Seed should come from the map');
+        assert.equal(game.state, 'loading', 'Game should be ready to start');
+        assert.isDefined(game.player, 'Player should be created');
+        assert.equal(ServiceLocator.getService('entityManager').getEntitiesWithTag('soldier').length, 2, 'Player should have the requested soldiers');
+        assert.isTrue(game.map.createdObjectIds instanceof Set, 'Level map should track spawned objects');
+        assert.isTrue(game.map !== testMap && testMap.createdObjectIds === undefined, 'Original map should not be changed');
+    });
+
+    // Test map objects
+    test('loadLevel should spawn the map objects as the player advances', (assert) => {
+        game.loadLevel(mapWithObjects, { countdown: 0 });
+
+        const entityManager = ServiceLocator.getService('entityManager');
+        assert.isTrue(game.map.createdObjectIds.has(1), 'Objects near the player should be created with the level');
+        assert.isFalse(game.map.createdObjectIds.has(2), 'Objects out of reach should not be created yet');
+        assert.equal(entityManager.getEntitiesWithTag('obstacle').length, 1, 'The nearby obstacle should be in the world');
+
+        game.start();
+        while (game.playerWorldPosition < 150 && game.frameCount < 1000) {
+            game.tick(1);
+        }
+        game.tick(6);
+
+        assert.isTrue(game.map.createdObjectIds.has(2), 'Objects should be created once the player comes within reach');
+        assert.equal(entityManager.getEntitiesWithTag('obstacle').length, 2, 'Both obstacles should be in the world');
+    });
+
+    // Test retrying and moving on to the next level
+    test('loadLevel should rebuild the map objects of a retried or next level', (assert) => {
+        game.loadLevel(mapWithObjects);
+        game.loadLevel(mapWithObjects);
+
+        const entityManager = ServiceLocator.getService('entityManager');
+        assert.equal(entityManager.getEntitiesWithTag('obstacle').length, 1, 'A retried level should create its nearby objects again, once');
+        assert.isTrue(game.map.createdObjectIds.has(1), 'A retried level should track its objects from the start');
+
+        game.loadLevel(testMap);
+        assert.equal(ServiceLocator.getService('entityManager').getEntitiesWithTag('obstacle').length, 0, 'The next level should not keep the previous level\'s objects');
+        assert.equal(game.map.createdObjectIds.size, 0, 'The next level should track only its own objects');
+        assert.isTrue(ServiceLocator.getService('timer').findTimer('mapSpawning') !== null, 'The next level should spawn its objects as the player advances');
+    });
+
+    // Test the archetype requirement
+    test('loadLevel should fail if the archetypes are not loaded', (assert) => {
+        const enemyArchetypes = contentRegistry.archetypes.get('enemy');
+        contentRegistry.archetypes.delete('enemy');
+
+        try {
+            assert.throws(() => game.loadLevel(testMap), /archetypes to be loaded \(missing: enemy\)/, 'Loading a level without the enemy archetypes should fail');
+        } finally {
+            contentRegistry.archetypes.set('enemy', enemyArchetypes);
+        }
+    });
+
+    // Test the starting loadout
+    test('loadLevel should give the player the requested grenades', (assert) => {
+        game.loadLevel(testMap, { initialSoldiers: 4, grenades: { standard: 2, sticky: 1 } });
+
+        const playerComponent = game.player.getComponent('player');
+        assert.equal(playerComponent.grenades.standard, 2, 'Player should start with the standard grenades');
+        assert.equal(playerComponent.grenades.sticky, 1, 'Player should start with the sticky grenades');
+        assert.equal(ServiceLocator.getService('entityManager').getEntitiesWithTag('soldier').length, 4, 'Player should start with the soldiers');
+    });
+
+    // Test rebuilding services
+    test('reset should rebuild entities and gameplay services but keep persistent ones', (assert) => {
+        game.loadLevel(testMap);
+        const oldEntityManager = ServiceLocator.getService('entityManager');
+        const renderer = ServiceLocator.getService('renderer');
+        const audioManager = ServiceLocator.getService('audioManager');
+        const eventBus = game.eventBus;
+        game.start();
+        game.tick(5);
+
+        game.reset();
+
+        const entityManager = ServiceLocator.getService('entityManager');
+        assert.isTrue(entityManager !== oldEntityManager, 'Entity manager should be rebuilt');
+        assert.equal(entityManager.getEntitiesWithTag('player').length, 0, 'Old entities should be gone');
+        assert.equal(entityManager.getEntitiesWithTag('lane').length, 9, 'Lane backgrounds should be rebuilt');
+        assert.equal(ServiceLocator.getService('renderer'), renderer, 'Renderer should be kept');
+        assert.equal(ServiceLocator.getService('audioManager'), audioManager, 'Audio manager should be kept');
+        assert.equal(game.eventBus, eventBus, 'Event bus should be kept');
+        assert.isFalse(game.isRunning, 'Game should be stopped');
+        assert.equal(game.frameCount, 0, 'Frame count should start again');
+    });
+
+    // Test subscriptions
+    test('reset should not leave subscriptions from the previous level behind', (assert) => {
+        game.loadLevel(testMap);
+        const subscriberCount = game.eventBus.getSubscriberCount('entityAdded');
+        const stateSubscriberCount = game.eventBus.getSubscriberCount('gameStateChanged');
+
+        game.loadLevel(testMap);
+        game.loadLevel(testMap);
+
+        assert.equal(game.eventBus.getSubscriberCount('entityAdded'), subscriberCount, 'Systems should subscribe only once');
+        assert.equal(game.eventBus.getSubscriberCount('gameStateChanged'), stateSubscriberCount, 'Audio should follow the game state only once');
+    });
+
+    // Test time scales
+    test('setTimeScale should combine the time scales of every source within the allowed range', (assert) => {
+        const events = [];
+        game.eventBus.subscribe('timeScaleChanged', event => events.push(event));
+
+        game.setTimeScale(0.5, TimeScaleSource.POWER_UP);
+        game.setTimeScale(4);
+        assert.equal(game.getTimeScale(), 2, 'Time scales of different sources should be multiplied');
+
+        game.setPlaybackSpeed(8);
+        assert.equal(game.getTimeScale(), 8, 'The combined time scale should be limited to 8x');
+
+        game.clearTimeScale(TimeScaleSource.PLAYBACK);
+        game.clearTimeScale(TimeScaleSource.TESTER);
+        assert.equal(game.getTimeScale(), 0.5, 'Cleared sources should no longer apply');
+        assert.deepEqual(events[0], { timeScale: 0.5, source: TimeScaleSource.POWER_UP, scale: 0.5 }, 'Changes should be published');
+
+        assert.throws(() => game.setTimeScale(0.1), /Time scale must be between 0.25 and 8/, 'Too slow a time scale should be rejected');
+        assert.throws(() => game.setTimeScale(16), /Time scale must be between 0.25 and 8/, 'Too fast a time scale should be rejected');
+        assert.throws(() => game.setTimeScale(NaN), /Time scale must be between 0.25 and 8/, 'Invalid time scales should be rejected');
+
+        game.setTimeScale(2);
+        game.loadLevel(testMap);
+        assert.equal(game.getTimeScale(), 2, 'A power-up\'s time scale should end with its level, others should be kept');
+    });
+
+    // Test leaked subscriptions
+    test('reset should report subscriptions their owner did not release', (assert) => {
+        const reports = [];
+        game.debugMode = true;
+        game._reportLeakedSubscriptions = (reason, report) => reports.push(report);
+
+        game.loadLevel(testMap);
+        game.loadLevel(testMap);
+        assert.deepEqual(reports, [{}, {}, {}, {}], 'Systems and services should release their own subscriptions');
+
+        reports.length = 0;
+        game.eventBus.subscribe('enemyKilled', () => {});
+        game.eventBus.subscribe('enemyKilled', () => {}, { owner: 'screen' });
+        game.loadLevel(testMap);
+
+        assert.deepEqual(reports[0], { enemyKilled: { '(no owner)': 1, screen: 1 } }, 'Subscriptions left by listeners outside the game should be reported by event type and owner');
+        assert.equal(game.eventBus.getSubscriberCount('enemyKilled'), 2, 'Leaked subscriptions should be dropped, leaving those of the score service and the boss system');
+    });
+
+    // Test retrying a level
+    test('a reloaded level should play exactly like the first attempt', (assert) => {
+        game.loadLevel(testMap);
+        const firstAttempt = playLevel();
+
+        game.loadLevel(testMap);
+        const secondAttempt = playLevel();
+
+        assert.equal(secondAttempt, firstAttempt, 'Both attempts should have the same outcome');
+    });
 });
 
 // Helper function to check if a value is a function
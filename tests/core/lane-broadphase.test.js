@@ -0,0 +1,93 @@
+/**
+ * LaneBroadphase Unit Tests
+ *
+ * Tests for the LaneBroadphase class to ensure lanes stay sorted by x and
+ * only entities whose intervals overlap are paired or returned by queries.
+ */
+
+import { EntityManager } from '../../src/core/entity-manager.js';
+import { LaneBroadphase } from '../../src/core/lane-broadphase.js';
+import { TransformComponent } from '../../src/entities/components/transform.js';
+import { CollisionComponent, CollisionType } from '../../src/entities/components/collision.js';
+
+// Define the test suite for LaneBroadphase
+suite('LaneBroadphase', () => {
+    let entityManager;
+    let broadphase;
+    let lanes;
+
+    // Set up before each test
+    beforeEach(() => {
+        entityManager = new EntityManager();
+        broadphase = new LaneBroadphase(3);
+        lanes = [new Set(), new Set(), new Set()];
+    });
+
+    // Create an entity with a hitbox centred on x, listed in the given lanes
+    function createEntity(x, width, laneIndices = [0]) {
+        const entity = entityManager.createEntity();
+        entity.addComponent(new TransformComponent().init({ x, y: 30 }));
+        entity.addComponent(new CollisionComponent().init({
+            collisionType: CollisionType.ENEMY,
+            width,
+            height: 20
+        }));
+        laneIndices.forEach(laneIndex => lanes[laneIndex].add(entity.id));
+        return entity;
+    }
+
+    // Test pairs
+    test('getOverlappingPairs should only pair entities whose intervals overlap', (assert) => {
+        const a = createEntity(100, 40);
+        const b = createEntity(130, 40);
+        const c = createEntity(300, 40);
+        const d = createEntity(110, 40, [1]);
+
+        broadphase.update(lanes, entityManager);
+
+        assert.deepEqual(broadphase.getOverlappingPairs(), [[a.id, b.id]], 'Only neighbours sharing a lane should be paired');
+        assert.isFalse(broadphase.getOverlappingPairs().some(pair => pair.includes(c.id) || pair.includes(d.id)), 'Distant and other-lane entities should not be paired');
+    });
+
+    // Test multi-lane entities
+    test('entities occupying several lanes should be paired once', (assert) => {
+        const giant = createEntity(100, 60, [0, 1]);
+        const zombie = createEntity(120, 20, [0, 1]);
+        const other = createEntity(90, 20, [1]);
+
+        broadphase.update(lanes, entityManager);
+        const pairs = broadphase.getOverlappingPairs();
+
+        assert.equal(pairs.length, 2, 'Every overlapping pair should be reported once');
+        assert.equal(pairs.filter(pair => pair.includes(giant.id) && pair.includes(zombie.id)).length, 1, 'Pair sharing two lanes should not be repeated');
+        assert.isTrue(pairs.some(pair => pair.includes(giant.id) && pair.includes(other.id)), 'Giant should meet entities in its second lane');
+    });
+
+    // Test movement
+    test('update should re-sort lanes as entities move and drop removed entities', (assert) => {
+        const a = createEntity(100, 20);
+        const b = createEntity(200, 20);
+        const c = createEntity(300, 20);
+        broadphase.update(lanes, entityManager);
+        assert.deepEqual(broadphase.lanes[0].map(entry => entry.id), [a.id, b.id, c.id], 'Lane should be sorted by x');
+
+        a.getComponent('transform').x = 250;
+        lanes[0].delete(c.id);
+        broadphase.update(lanes, entityManager);
+
+        assert.deepEqual(broadphase.lanes[0].map(entry => entry.id), [b.id, a.id], 'Moved entity should be re-sorted and removed entity dropped');
+    });
+
+    // Test queries
+    test('query should find every entity overlapping an interval, including wide ones', (assert) => {
+        const giant = createEntity(100, 200);
+        createEntity(400, 20);
+        const near = createEntity(240, 20);
+
+        broadphase.update(lanes, entityManager);
+
+        assert.deepEqual(broadphase.query(0, 180, 235), [giant.id, near.id], 'Wide entity starting before the interval should be found');
+        assert.deepEqual(broadphase.query(0, 500, 600), [], 'Empty interval should find nothing');
+        assert.deepEqual(broadphase.query(5, 0, 1000), [], 'Unknown lane should find nothing');
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * RandomService Unit Tests
+ *
+ * Tests for the RandomService class to ensure it correctly
+ * produces reproducible sequences from a seed.
+ */
+
+import { RandomService } from '../../src/core/random-service.js';
+
+// Define the test suite for RandomService
+suite('RandomService', () => {
+    let random;
+
+    // Set up before each test
+    beforeEach(() => {
+        random = new RandomService(12345);
+    });
+
+    // Test constructor
+    test('constructor should use the given seed', (assert) => {
+        assert.equal(random.getSeed(), 12345, 'Seed should be stored');
+
+        const generated = new RandomService();
+        assert.isNumber(generated.getSeed(), 'A seed should be generated when none is given');
+    });
+
+    // Test determinism
+    test('same seed should produce the same sequence', (assert) => {
+        const other = new RandomService(12345);
+
+        for (let i = 0; i < 20; i++) {
+            assert.equal(random.next(), other.next(), `Value ${i} should match`);
+        }
+    });
+
+    // Test different seeds
+    test('different seeds should produce different sequences', (assert) => {
+        const other = new RandomService(54321);
+
+        const first = [random.next(), random.next(), random.next()];
+        const second = [other.next(), other.next(), other.next()];
+
+        assert.notEqual(first.join(','), second.join(','), 'Sequences should differ');
+    });
+
+    // Test string seeds
+    test('string seeds should be normalized', (assert) => {
+        assert.equal(new RandomService('12345').getSeed(), 12345, 'Numeric strings should be parsed');
+        assert.equal(
+            new RandomService('daily-challenge').getSeed(),
+            new RandomService('daily-challenge').getSeed(),
+            'Text seeds should hash to the same value'
+        );
+    });
+
+    // Test ranges
+    test('next, nextInt and nextFloat should stay in range', (assert) => {
+        for (let i = 0; i < 200; i++) {
+            const value = random.next();
+            assert.isTrue(value >= 0 && value < 1, 'next() should be in [0, 1)');
+
+            const integer = random.nextInt(3, 6);
+            assert.isTrue(integer >= 3 && integer <= 6 && Number.isInteger(integer), 'nextInt() should be in [3, 6]');
+
+            const float = random.nextFloat(-2, 2);
+            assert.isTrue(float >= -2 && float < 2, 'nextFloat() should be in [-2, 2)');
+        }
+    });
+
+    // Test setSeed
+    test('setSeed should restart the sequence', (assert) => {
+        const firstValue = random.next();
+        random.next();
+
+        random.setSeed(12345);
+        assert.equal(random.next(), firstValue, 'Sequence should restart from the beginning');
+    });
+
+    // Test state save/restore
+    test('getState and setState should resume the sequence', (assert) => {
+        random.next();
+        const state = random.getState();
+        const expected = [random.next(), random.next()];
+
+        random.setState(state);
+        assert.deepEqual([random.next(), random.next()], expected, 'Sequence should resume from the saved state');
+    });
+
+    // Test pick
+    test('pick should return an element of the array', (assert) => {
+        const items = ['a', 'b', 'c'];
+
+        for (let i = 0; i < 20; i++) {
+            assert.isTrue(items.includes(random.pick(items)), 'Picked value should be in the array');
+        }
+
+        assert.isUndefined(random.pick([]), 'Empty array should return undefined');
+    });
+
+    // Test weightedPick
+    test('weightedPick should respect weights', (assert) => {
+        const items = [
+            { name: 'never', weight: 0 },
+            { name: 'always', weight: 5 }
+        ];
+
+        for (let i = 0; i < 20; i++) {
+            assert.equal(random.weightedPick(items).name, 'always', 'Zero weight items should never be picked');
+        }
+
+        assert.isUndefined(random.weightedPick([{ weight: 0 }]), 'All zero weights should return undefined');
+    });
+});
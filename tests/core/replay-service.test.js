@@ -0,0 +1,162 @@
+/**
+ * ReplayService Unit Tests
+ *
+ * Tests for the ReplayService class to ensure it correctly
+ * records player actions per frame and plays them back.
+ */
+
+import { Game } from '../../src/core/game.js';
+import { ServiceLocator } from '../../src/core/service-locator.js';
+import { ReplayService, ReplayActionType, ReplayKeyBindings, REPLAY_VERSION } from '../../src/core/replay-service.js';
+
+// Define the test suite for ReplayService
+suite('ReplayService', () => {
+    let game;
+    let replayService;
+    let speedController;
+
+    // Set up before each test
+    beforeEach(() => {
+        // Clear any existing services
+        ServiceLocator.clearServices();
+
+        // A headless game provides every service the replay service needs
+        game = new Game({
+            headless: true,
+            width: 800,
+            height: 600,
+            finishLine: { enabled: false, position: 1000 },
+            seed: 42
+        });
+        game.initializeGame({ createPlayer: true, initialSoldiers: 1 });
+
+        replayService = ServiceLocator.getService('replay');
+        speedController = ServiceLocator.getService('speedController');
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        if (game) {
+            game.destroy();
+            game = null;
+        }
+
+        // Clear services
+        ServiceLocator.clearServices();
+    });
+
+    // Test registration
+    test('game should register the replay service', (assert) => {
+        assert.isTrue(replayService instanceof ReplayService, 'Replay service should be registered');
+        assert.isFalse(replayService.isPlayingBack(), 'Replay service should start in live mode');
+    });
+
+    // Test queued actions
+    test('queued actions should be applied at the start of the next frame', (assert) => {
+        const initialSpeed = speedController.getPlayerSpeedModifier();
+
+        replayService.queueAction(ReplayActionType.SPEED_UP);
+        assert.equal(speedController.getPlayerSpeedModifier(), initialSpeed, 'Action should not be applied immediately');
+
+        game.eventBus.publish('frameStarted', { frame: 1, deltaTime: 1 / 12 });
+        assert.isTrue(speedController.getPlayerSpeedModifier() > initialSpeed, 'Action should be applied on the next frame');
+    });
+
+    // Test key bindings
+    test('speed changes made with the keys should be recorded', (assert) => {
+        const initialSpeed = speedController.getPlayerSpeedModifier();
+        replayService.startRecording();
+
+        assert.isTrue(replayService.queueKeyAction(';'), 'Semicolon should queue an action');
+        game.eventBus.publish('frameStarted', { frame: 2, deltaTime: 1 / 12 });
+        const fasterSpeed = speedController.getPlayerSpeedModifier();
+        assert.isTrue(fasterSpeed > initialSpeed, 'Semicolon should speed the player up');
+
+        assert.isTrue(replayService.queueKeyAction('k'), 'K should queue an action');
+        replayService.queueKeyAction('ArrowRight');
+        game.eventBus.publish('frameStarted', { frame: 5, deltaTime: 1 / 12 });
+        assert.isFalse(replayService.queueKeyAction('q'), 'Unbound keys should not queue an action');
+
+        assert.deepEqual(replayService.actions, [
+            { frame: 2, type: ReplayActionType.SPEED_UP },
+            { frame: 5, type: ReplayActionType.SPEED_DOWN },
+            { frame: 5, type: ReplayActionType.SPEED_UP }
+        ], 'Speed changes made with the keys should be recorded with their frames');
+        assert.equal(speedController.getPlayerSpeedModifier(), fasterSpeed, 'Recorded speed changes should be applied');
+        assert.deepEqual(ReplayKeyBindings.K, ReplayKeyBindings.k, 'K should work with or without shift');
+    });
+
+    // Test recording
+    test('recording should store actions with their frame numbers', (assert) => {
+        replayService.startRecording();
+
+        replayService.queueAction(ReplayActionType.MOVE_LANE, { direction: 1 });
+        game.eventBus.publish('frameStarted', { frame: 3, deltaTime: 1 / 12 });
+
+        replayService.queueAction(ReplayActionType.SPEED_DOWN);
+        game.eventBus.publish('frameStarted', { frame: 7, deltaTime: 1 / 12 });
+
+        const loadout = { soldiers: 5, grenades: { standard: 2, sticky: 1 } };
+        const replay = replayService.createReplay({ map: { name: 'Test' }, seed: 42, frameCount: 7, loadout });
+
+        assert.equal(replay.version, REPLAY_VERSION, 'Replay should have the current version');
+        assert.equal(replay.seed, 42, 'Replay should store the seed');
+        assert.deepEqual(replay.loadout, loadout, 'Replay should store the loadout the level started with');
+        loadout.grenades.standard = 0;
+        assert.equal(replay.loadout.grenades.standard, 2, 'Replay should keep its own copy of the loadout');
+        assert.deepEqual(replay.actions, [
+            { frame: 3, type: ReplayActionType.MOVE_LANE, direction: 1 },
+            { frame: 7, type: ReplayActionType.SPEED_DOWN }
+        ], 'Actions should be recorded with their frames');
+    });
+
+    // Test unknown actions
+    test('queueAction should reject unknown action types', (assert) => {
+        assert.isFalse(replayService.queueAction('teleport'), 'Unknown action should not be queued');
+        assert.equal(replayService.pendingActions.length, 0, 'No action should be pending');
+    });
+
+    // Test playback
+    test('playback should apply actions on their recorded frames and ignore live input', (assert) => {
+        const player = ServiceLocator.getService('entityManager').getEntitiesWithTag('player')[0];
+        const startLane = player.getComponent('lane').laneIndex;
+
+        replayService.startPlayback({
+            version: REPLAY_VERSION,
+            map: { name: 'Test' },
+            seed: 42,
+            frameCount: 5,
+            actions: [{ frame: 2, type: ReplayActionType.MOVE_LANE, direction: 1 }]
+        });
+
+        assert.isFalse(replayService.queueAction(ReplayActionType.SPEED_UP), 'Live input should be ignored during playback');
+
+        game.eventBus.publish('frameStarted', { frame: 1, deltaTime: 1 / 12 });
+        assert.equal(player.getComponent('lane').laneIndex, startLane, 'Action should not be applied before its frame');
+
+        game.eventBus.publish('frameStarted', { frame: 2, deltaTime: 1 / 12 });
+        assert.equal(player.getComponent('lane').laneIndex, startLane + 1, 'Action should be applied on its frame');
+        assert.isFalse(replayService.isPlaybackFinished(), 'Playback should not be finished yet');
+
+        for (let frame = 3; frame <= 5; frame++) {
+            game.eventBus.publish('frameStarted', { frame, deltaTime: 1 / 12 });
+        }
+        assert.isTrue(replayService.isPlaybackFinished(), 'Playback should finish after the recorded frame count');
+    });
+
+    // Test validation
+    test('validateReplay should reject invalid replays', (assert) => {
+        assert.throws(() => ReplayService.validateReplay(null), 'Replay must be an object', 'Null replay should be rejected');
+        assert.throws(() => ReplayService.validateReplay({ version: 999, map: {}, seed: 1, actions: [] }), /Unsupported replay version/, 'Unknown version should be rejected');
+        assert.throws(() => ReplayService.validateReplay({ version: REPLAY_VERSION, seed: 1, actions: [] }), 'Replay must contain a map, a seed and actions', 'Replay without a map should be rejected');
+    });
+
+    // Test game playback speed
+    test('setPlaybackSpeed should reject invalid speeds', (assert) => {
+        game.setPlaybackSpeed(4);
+        assert.equal(game.playbackSpeed, 4, 'Playback speed should be set');
+        assert.throws(() => game.setPlaybackSpeed(0), 'Playback speed must be a positive number', 'Zero speed should be rejected');
+        assert.throws(() => game.setPlaybackSpeed(16), 'Playback speed must be between 0.25 and 8', 'Speeds outside the time scale range should be rejected');
+        assert.equal(game.playbackSpeed, 4, 'A rejected speed should keep the playback speed');
+    });
+});
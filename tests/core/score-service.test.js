@@ -0,0 +1,155 @@
+/**
+ * ScoreService Unit Tests
+ *
+ * Tests for the ScoreService class to ensure kills, combos, grenade
+ * multi-kills, bonuses, escapes and time remaining are scored.
+ */
+
+import { Game } from '../../src/core/game.js';
+import { ServiceLocator } from '../../src/core/service-locator.js';
+import { ScoreRules, ScoreReason } from '../../src/core/score-service.js';
+import { EntityFactory } from '../../src/entities/entity-factory.js';
+import { PlayerSoldierService } from '../../src/core/player-soldier-service.js';
+import { AssetLoader } from '../../src/core/asset-loader.js';
+
+// Define the test suite for ScoreService
+suite('ScoreService', () => {
+    let game;
+    let scoreService;
+    let entityManager;
+
+    // Point values come from the zombie archetypes
+    const assetLoader = new AssetLoader();
+
+    // Set up before each test
+    beforeEach(async () => {
+        await assetLoader.loadArchetypes();
+        ServiceLocator.clearServices();
+
+        game = new Game({ headless: true, width: 800, height: 600 });
+        scoreService = ServiceLocator.getService('scoreService');
+        entityManager = ServiceLocator.getService('entityManager');
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        if (game) {
+            game.destroy();
+            game = null;
+        }
+
+        // Clear services
+        ServiceLocator.clearServices();
+    });
+
+    // Kill a zombie of the given type and variant
+    function kill(type = 'normal', variant = 'Standard') {
+        const zombie = EntityFactory.createZombie(entityManager, type, variant, { laneIndex: 3, x: 500 });
+        game.eventBus.publish('enemyKilled', { entity: zombie });
+        return zombie;
+    }
+
+    // Test kills
+    test('killing a zombie should score its variant pointValue', (assert) => {
+        let changed = null;
+        game.eventBus.subscribe('scoreChanged', (data) => {
+            changed = data;
+        });
+
+        kill('giant', 'Tank');
+
+        assert.equal(scoreService.getScore(), 75, 'Giant Tank should be worth 75 points');
+        assert.equal(changed.points, 75, 'Score change should be published');
+        assert.equal(changed.reason, ScoreReason.KILL, 'Score change should have its reason');
+    });
+
+    // Test combos
+    test('rapid kills should build a combo multiplier', (assert) => {
+        const timer = ServiceLocator.getService('timer');
+
+        for (let i = 0; i < ScoreRules.COMBO_STEP; i++) {
+            kill();
+            timer.totalTime += 0.5;
+        }
+        assert.equal(scoreService.getScore(), 50, 'Kills before the first step should not be multiplied');
+
+        kill();
+        assert.equal(scoreService.getMultiplier(), 1.5, 'Multiplier should rise after COMBO_STEP kills');
+        assert.equal(scoreService.getScore(), 65, 'Next kill should be multiplied');
+
+        timer.totalTime += ScoreRules.COMBO_WINDOW + 1;
+        kill();
+        assert.equal(scoreService.getMultiplier(), 1, 'Combo should end after the combo window');
+        assert.equal(scoreService.getScore(), 75, 'Kill after the combo should not be multiplied');
+    });
+
+    // Test grenade multi-kills
+    test('a grenade killing several zombies should score a multi-kill bonus', (assert) => {
+        game.initializeGame({ createPlayer: true, initialSoldiers: 1 });
+        game.player.getComponent('lane').laneIndex = 3;
+        game.player.getComponent('player').grenades.standard = 1;
+        const grenade = PlayerSoldierService.throwGrenade(entityManager, game.player, 'standard');
+        const position = grenade.getComponent('transform');
+
+        const zombies = [0, 1, 2].map(() => {
+            const zombie = EntityFactory.createZombie(entityManager, 'normal', 'Standard', { laneIndex: 3 });
+            const transform = zombie.getComponent('transform');
+            transform.x = position.x;
+            transform.y = position.y;
+            return zombie;
+        });
+
+        let exploded = null;
+        game.eventBus.subscribe('grenadeExploded', (data) => {
+            exploded = data;
+        });
+        ServiceLocator.getService('damageService').handleProjectileTargetCollision(grenade, zombies[0]);
+
+        assert.equal(exploded.kills.length, 3, 'Explosion should report the zombies it killed');
+        assert.equal(scoreService.breakdown[ScoreReason.GRENADE_MULTI_KILL], 2 * ScoreRules.GRENADE_MULTI_KILL_POINTS, 'Every extra kill should score the multi-kill bonus');
+    });
+
+    // Test bonuses and escapes
+    test('bonuses should add points and escapes should cost points and break the combo', (assert) => {
+        game.eventBus.publish('bonusCollectedAnnouncement', { bonusType: 'gun', bonusVariant: 'mp5' });
+        assert.equal(scoreService.getScore(), ScoreRules.BONUS_POINTS, 'Bonus should be scored');
+
+        kill();
+        game.eventBus.publish('enemyEscaped', { entity: null });
+        assert.equal(scoreService.getScore(), ScoreRules.BONUS_POINTS + 10 - ScoreRules.ESCAPE_PENALTY, 'Escape should cost points');
+        assert.equal(scoreService.combo, 0, 'Escape should break the combo');
+
+        game.eventBus.publish('enemyEscaped', { entity: null });
+        assert.equal(scoreService.getScore(), 0, 'Score should not drop below zero');
+    });
+
+    // Test time remaining
+    test('reaching the finish line should score the time remaining', (assert) => {
+        game.loadLevel({ name: 'Timed', length: 5000, timeLimit: 60, objects: [] }, { createPlayer: false });
+        scoreService = ServiceLocator.getService('scoreService');
+        game.start();
+        game.tick(12);
+
+        game.finishLine.currentPosition = 0;
+        game.tick(1);
+
+        assert.equal(game.finishResult.result, 'victory', 'Game should be won');
+        assert.equal(scoreService.breakdown[ScoreReason.TIME_REMAINING], 59 * ScoreRules.TIME_POINTS_PER_SECOND, 'Whole seconds left should be scored');
+    });
+
+    // Test snapshots
+    test('the score should be saved and restored with game snapshots', (assert) => {
+        kill('armored', 'Standard');
+        kill();
+        const snapshot = JSON.parse(JSON.stringify(game.createSnapshot()));
+
+        game.destroy();
+        ServiceLocator.clearServices();
+        game = new Game({ headless: true, width: 800, height: 600 });
+        game.restoreSnapshot(snapshot);
+
+        const restored = ServiceLocator.getService('scoreService');
+        assert.equal(restored.getScore(), 35, 'Score should be restored');
+        assert.equal(restored.combo, 2, 'Running combo should be restored');
+    });
+});
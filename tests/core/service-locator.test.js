@@ -103,6 +103,14 @@ suite('ServiceLocator', () => {
         assert.isFalse(result, 'removeService should return false for non-existent service');
     });
     
+    // Test listing services
+    test('getServiceNames should list all registered services', (assert) => {
+        ServiceLocator.registerService('test1', { name: 'testService1' });
+        ServiceLocator.registerService('test2', { name: 'testService2' });
+
+        assert.deepEqual(ServiceLocator.getServiceNames(), ['test1', 'test2'], 'Both service names should be listed');
+    });
+
     // Test clearing all services
     test('clearServices should remove all registered services', (assert) => {
         ServiceLocator.registerService('test1', { name: 'testService1' });
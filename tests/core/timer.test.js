@@ -243,4 +243,112 @@ suite('Timer', () => {
         timer.destroy();
         assert.equal(timer.getActiveTimerCount(), 0, 'Should have 0 active timers after destroy');
     });
-});
\ No newline at end of file
+
+    // Test fixed steps
+    test('repeating timers should keep the time left over and not drift', (assert) => {
+        let callCount = 0;
+        timer.setInterval(0.5, () => callCount++);
+
+        for (let step = 0; step < 5; step++) {
+            timer.update(1 / 12);
+        }
+        assert.equal(callCount, 0, 'Interval should not fire before it has elapsed');
+
+        timer.update(1 / 12);
+        assert.equal(callCount, 1, 'Interval should fire on the step it elapses');
+
+        for (let step = 0; step < 114; step++) {
+            timer.update(1 / 12);
+        }
+        assert.equal(callCount, 20, 'Interval should fire once per interval over many steps');
+
+        timer.update(1.5);
+        assert.equal(callCount, 23, 'Interval should fire once for every interval elapsed in a long update');
+    });
+
+    // Test timers created by callbacks
+    test('timers created by a callback should start on the next update', (assert) => {
+        let innerCalled = false;
+        timer.setTimeout(1, () => {
+            timer.setTimeout(1, () => {
+                innerCalled = true;
+            });
+        });
+
+        timer.update(1);
+        assert.isFalse(innerCalled, 'The new timer should not be updated in the same update');
+
+        timer.update(1);
+        assert.isTrue(innerCalled, 'The new timer should run on the following updates');
+    });
+
+    // Test pausing timers
+    test('paused timers and groups should keep their remaining time', (assert) => {
+        const id = timer.setTimeout(2, () => {});
+        const grouped = timer.setTimeout(2, () => {}, { group: 'gameplay' });
+
+        assert.isTrue(timer.pauseTimer(id), 'pauseTimer should return true for an active timer');
+        timer.pauseGroup('gameplay');
+        timer.update(1);
+
+        assert.equal(timer.getTimerRemaining(id), 2, 'Paused timer should not advance');
+        assert.equal(timer.getTimerRemaining(grouped), 2, 'Timers of a paused group should not advance');
+        assert.isTrue(timer.isTimerPaused(grouped), 'Timers of a paused group should be paused');
+
+        timer.resumeTimer(id);
+        timer.resumeGroup('gameplay');
+        timer.update(1);
+
+        assert.equal(timer.getTimerRemaining(id), 1, 'Resumed timer should advance');
+        assert.equal(timer.getTimerRemaining(grouped), 1, 'Timers of a resumed group should advance');
+    });
+
+    // Test group time scales
+    test('setGroupTimeScale should change how fast the timers of a group run', (assert) => {
+        const slow = timer.setTimeout(4, () => {}, { group: 'slow' });
+        const normal = timer.setTimeout(4, () => {});
+
+        timer.setGroupTimeScale('slow', 0.5);
+        timer.update(2);
+
+        assert.equal(timer.getTimerRemaining(slow), 3, 'Scaled timer should advance by the scaled time');
+        assert.equal(timer.getTimerRemaining(normal), 2, 'Other groups should not be scaled');
+        assert.equal(timer.getGroupTimeScale('slow'), 0.5, 'Group time scale should be kept');
+        assert.throws(() => timer.setGroupTimeScale('slow', -1), /Time scale must be a positive number or 0/, 'Negative time scale should be rejected');
+    });
+
+    // Test named timers and groups
+    test('named timers should replace timers with the same name and groups should be cancelled together', (assert) => {
+        const first = timer.setInterval(1, () => {}, { name: 'clock', group: 'gameplay' });
+        const second = timer.setInterval(1, () => {}, { name: 'clock', group: 'gameplay' });
+        timer.setTimeout(1, () => {}, { group: 'gameplay' });
+        timer.setTimeout(1, () => {});
+
+        assert.isFalse(timer.isTimerActive(first), 'A timer with the same name should be replaced');
+        assert.equal(timer.findTimer('clock'), second, 'findTimer should return the timer with the name');
+        assert.equal(timer.cancelGroup('gameplay'), 2, 'cancelGroup should cancel every timer of the group');
+        assert.equal(timer.getActiveTimerCount(), 1, 'Timers of other groups should be kept');
+        assert.isNull(timer.findTimer('clock'), 'findTimer should return null for unknown names');
+    });
+
+    // Test serialization
+    test('restore should continue named timers from a serialized state', (assert) => {
+        timer.setInterval(1, () => {}, { name: 'clock', group: 'gameplay' });
+        timer.setTimeout(1, () => {});
+        timer.setGroupTimeScale('gameplay', 2);
+        timer.update(0.25);
+
+        const state = JSON.parse(JSON.stringify(timer.serialize()));
+        assert.equal(state.timers.length, 1, 'Only named timers should be serialized');
+
+        const restored = new Timer();
+        restored.restore(state);
+        let callCount = 0;
+        const id = restored.setInterval(1, () => callCount++, { name: 'clock', group: 'gameplay' });
+
+        assert.equal(restored.getTotalTime(), 0.25, 'Total time should be restored');
+        assert.equal(restored.getTimerRemaining(id), 0.5, 'A recreated named timer should continue from its saved time');
+        restored.update(0.25);
+        assert.equal(callCount, 1, 'Restored group time scale should apply');
+    });
+});
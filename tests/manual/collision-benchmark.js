@@ -0,0 +1,149 @@
+/**
+ * Collision Benchmark
+ *
+ * Fills the lanes with giant zombies and compares the time spent finding colliding
+ * right side entities with the lane broadphase against testing every pair in each
+ * lane. Runs in the browser (collision-benchmark.html) or headless:
+ *
+ *     node --input-type=module -e "import('./tests/manual/collision-benchmark.js').then(m => console.table(m.runCollisionBenchmark()))"
+ */
+
+import { ServiceLocator } from '../../src/core/service-locator.js';
+import { Game } from '../../src/core/game.js';
+import { EntityFactory } from '../../src/entities/entity-factory.js';
+import { AssetLoader } from '../../src/core/asset-loader.js';
+
+// Giants get their size and speed from their archetype
+await new AssetLoader().loadArchetypes();
+
+/**
+ * Run the benchmark for each giant count
+ * @param {Object} [options] - Benchmark options
+ * @param {number[]} [options.giantCounts] - Numbers of giants to benchmark
+ * @param {number} [options.frames=60] - Updates to time per run
+ * @param {number} [options.mapLength=30000] - Distance the giants are spread over
+ * @returns {Object[]} One result row per giant count
+ */
+export function runCollisionBenchmark({ giantCounts = [100, 250, 500, 1000], frames = 60, mapLength = 30000 } = {}) {
+    return giantCounts.map(giants => benchmarkScene(giants, frames, mapLength));
+}
+
+/**
+ * Benchmark one scene
+ * @param {number} giants - Number of giants
+ * @param {number} frames - Updates to time
+ * @param {number} mapLength - Distance the giants are spread over
+ * @returns {Object} The result row
+ */
+function benchmarkScene(giants, frames, mapLength) {
+    ServiceLocator.clearServices();
+    const game = new Game({ headless: true, width: 800, height: 600 });
+    const entityManager = ServiceLocator.getService('entityManager');
+    const laneSystem = ServiceLocator.getService('laneSystem');
+    const collisionSystem = ServiceLocator.getService('collisionSystem');
+    const random = ServiceLocator.getService('random');
+    random.setSeed(42);
+
+    // Giants scattered over the lanes, walking left at slightly different speeds
+    const laneHeight = laneSystem.getLaneHeight();
+    const walkers = [];
+    for (let i = 0; i < giants; i++) {
+        const laneIndex = random.nextInt(1, laneSystem.getLaneCount() - 1);
+        const giant = EntityFactory.createZombie(entityManager, 'giant', 'Standard', { laneIndex });
+        giant.getComponent('transform').setPosition(random.nextFloat(0, mapLength), laneIndex * laneHeight + laneHeight / 2);
+        walkers.push({ transform: giant.getComponent('transform'), speed: random.nextFloat(20, 40) });
+    }
+
+    const step = () => walkers.forEach(walker => {
+        walker.transform.x -= walker.speed / 12;
+    });
+
+    // Lane broadphase: sort the lanes, then test the overlapping pairs only
+    const broadphaseFrame = () => {
+        let tests = 0;
+        collisionSystem.broadphase.update(collisionSystem.rightSideEntitiesByLane, entityManager);
+        for (const [idA, idB] of collisionSystem.broadphase.getOverlappingPairs()) {
+            collisionSystem.checkCollision(entityManager.getEntity(idA), entityManager.getEntity(idB));
+            tests++;
+        }
+        return tests;
+    };
+
+    // Every pair in each lane, as before the broadphase
+    const allPairsFrame = () => {
+        let tests = 0;
+        for (const entitiesInLane of collisionSystem.rightSideEntitiesByLane) {
+            const entityIds = Array.from(entitiesInLane);
+            for (let i = 0; i < entityIds.length; i++) {
+                for (let j = i + 1; j < entityIds.length; j++) {
+                    collisionSystem.checkCollision(entityManager.getEntity(entityIds[i]), entityManager.getEntity(entityIds[j]));
+                    tests++;
+                }
+            }
+        }
+        return tests;
+    };
+
+    const broadphase = timeFrames(broadphaseFrame, step, frames);
+    const allPairs = timeFrames(allPairsFrame, step, frames);
+
+    game.destroy();
+    ServiceLocator.clearServices();
+
+    return {
+        giants,
+        broadphaseMsPerFrame: +broadphase.msPerFrame.toFixed(3),
+        allPairsMsPerFrame: +allPairs.msPerFrame.toFixed(3),
+        broadphaseTestsPerFrame: broadphase.testsPerFrame,
+        allPairsTestsPerFrame: allPairs.testsPerFrame,
+        speedup: +(allPairs.msPerFrame / broadphase.msPerFrame).toFixed(1)
+    };
+}
+
+/**
+ * Time a collision pass over a number of frames, after a few warm-up frames
+ * @param {Function} pass - Collision pass, returning the number of pairs it tested
+ * @param {Function} step - Moves the scene forward one frame
+ * @param {number} frames - Frames to time
+ * @returns {{msPerFrame: number, testsPerFrame: number}} Average time and pair tests per frame
+ */
+function timeFrames(pass, step, frames) {
+    for (let frame = 0; frame < 10; frame++) {
+        step();
+        pass();
+    }
+
+    let tests = 0;
+    const start = performance.now();
+    for (let frame = 0; frame < frames; frame++) {
+        step();
+        tests += pass();
+    }
+    const time = performance.now() - start;
+
+    return { msPerFrame: time / frames, testsPerFrame: Math.round(tests / frames) };
+}
+
+// Browser page: run on demand and show the results as a table
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const button = document.getElementById('run-benchmark');
+        const results = document.getElementById('benchmark-results');
+
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            results.textContent = 'Running...';
+
+            // Let the page repaint before the benchmark blocks it
+            setTimeout(() => {
+                const rows = runCollisionBenchmark();
+                const columns = Object.keys(rows[0]);
+                results.innerHTML = `<table><tr>${columns.map(column => `<th>${column}</th>`).join('')}</tr>` +
+                    rows.map(row => `<tr>${columns.map(column => `<td>${row[column]}</td>`).join('')}</tr>`).join('') +
+                    '</table>';
+                console.table(rows);
+                button.disabled = false;
+            }, 0);
+        });
+    });
+}
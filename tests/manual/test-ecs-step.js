@@ -40,7 +40,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 console.log('Loading map data for debugging:', map);
                 
                 // Import the EntityAdapter dynamically
-                import('../../src/ui/entity-adapter.js').then(module => {
+                import('../../src/core/entity-adapter.js').then(module => {
                     const EntityAdapter = module.EntityAdapter;
                     
                     // Set a default playerWorldPosition (0 to load all entities)
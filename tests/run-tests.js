@@ -13,11 +13,25 @@ import './core/renderer.test.js';
 import './core/input-handler.test.js';
 import './core/timer.test.js';
 import './core/event-bus.test.js';
+import './core/random-service.test.js';
+import './core/replay-service.test.js';
+import './core/game-snapshot.test.js';
+import './core/game-state.test.js';
+import './core/score-service.test.js';
+import './core/lane-broadphase.test.js';
+import './core/content-registry.test.js';
+import './core/archetypes.test.js';
 import './core/entity-manager.test.js';
 import './entities/entity.test.js';
 import './entities/component.test.js';
 import './systems/system.test.js';
 import './systems/entity-system.test.js';
+import './systems/spawn-system.test.js';
+import './systems/lane-system.test.js';
+import './systems/collision-system.test.js';
+import './systems/ability-system.test.js';
+import './systems/boss-system.test.js';
+import './ui/campaign-manager.test.js';
 
 // Run all tests
 const testRunner = new TestRunner();
@@ -0,0 +1,267 @@
+/**
+ * Ability System Unit Tests
+ *
+ * Tests for the AbilitySystem class and the built-in abilities to ensure enemy variants
+ * get the abilities their archetype declares, and that the abilities are driven by the
+ * timer and the damage the enemies take.
+ */
+
+import { Game } from '../../src/core/game.js';
+import { ServiceLocator } from '../../src/core/service-locator.js';
+import { Archetypes } from '../../src/core/archetypes.js';
+import { AssetLoader } from '../../src/core/asset-loader.js';
+import { abilityRegistry } from '../../src/core/ability-registry.js';
+import { EntityFactory } from '../../src/entities/entity-factory.js';
+import { createDamageArea } from '../../src/entities/damage-area.js';
+import { createEnemyProjectileEntity } from '../../src/entities/enemy-projectile.js';
+import { DamageType } from '../../src/entities/components/damage.js';
+
+// Define the test suite for AbilitySystem
+suite('AbilitySystem', () => {
+    let game;
+    let entityManager;
+    let damageService;
+
+    const assetLoader = new AssetLoader();
+
+    // Set up before each test
+    beforeEach(async () => {
+        // The variants' abilities come from the archetype files
+        await assetLoader.loadArchetypes();
+        ServiceLocator.clearServices();
+
+        game = new Game({ headless: true, width: 800, height: 600 });
+        entityManager = ServiceLocator.getService('entityManager');
+        damageService = ServiceLocator.getService('damageService');
+        game.start();
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        if (game) {
+            game.destroy();
+            game = null;
+        }
+
+        // Clear services
+        ServiceLocator.clearServices();
+    });
+
+    // Create a zombie far enough away that it stays on screen during a test
+    function createZombie(type, variant) {
+        return EntityFactory.createZombie(entityManager, type, variant, { laneIndex: 2, x: 5000 });
+    }
+
+    // Hit an entity with a bullet of a gun, or a grenade
+    function hit(target, { damageAmount = 1, gunType = 'glock_17', isGrenade = false } = {}) {
+        const transform = target.getComponent('transform');
+        const damageArea = createDamageArea(entityManager, {
+            x: transform.x,
+            y: transform.y,
+            width: 10,
+            height: 10,
+            damageType: DamageType.PROJECTILE_TO_ENEMY,
+            damageAmount,
+            affectedEntities: 1,
+            gunType: isGrenade ? null : gunType,
+            isGrenade
+        });
+        return damageService.applyDamage(damageArea, target);
+    }
+
+    // Test the archetypes
+    test('variants should get the abilities their archetype declares, with the defaults of each ability', (assert) => {
+        const runner = createZombie('normal', 'Runner');
+        const sprint = runner.getComponent('abilities').getAbility('sprint');
+        assert.equal(sprint.interval, 3, 'Parameters not declared should keep their default');
+        assert.equal(sprint.speedMultiplier, 2, 'Every default parameter should be applied');
+        assert.equal(createZombie('giant', 'Berserker').getComponent('abilities').getAbility('enrage').healthThreshold, 0.5,
+            'Declared parameters should be used');
+        assert.isNull(createZombie('normal', 'Standard').getComponent('abilities'), 'Variants without abilities should have no ability component');
+
+        const abilities = abilityRegistry.createAbilities([{ type: 'teleport' }, { type: 'sprint', duration: 2 }]);
+        assert.deepEqual(abilities.map(ability => ability.type), ['sprint'], 'Unknown abilities should be skipped');
+        assert.equal(abilities[0].duration, 2, 'Declared parameters should replace the defaults');
+
+        const file = {
+            category: 'enemy',
+            archetypes: {
+                runner: { health: 1, speed: 50, attackDamage: 1, attackRate: 1, pointValue: 10, width: 30, height: 30, color: '#e74c3c', weight: 2, abilities: [{ type: 'sprint' }, 'enrage'] }
+            }
+        };
+        assert.deepEqual(Archetypes.validate('enemy', file), ['runner.abilities[1] must be an object with a string type'],
+            'Abilities should be validated with the archetype');
+    });
+
+    // Test sprint
+    test('a runner should sprint in bursts on the timer', (assert) => {
+        const runner = createZombie('normal', 'Runner');
+        const movement = runner.getComponent('movement');
+        const events = [];
+        game.eventBus.subscribe('ability*', (data, event) => events.push(`${event.type}:${data.ability}`));
+
+        game.tick(35);
+        assert.equal(movement.speedMultiplier, 1, 'The runner should walk until its first sprint');
+        game.tick(1);
+        assert.equal(movement.speedMultiplier, 2, 'The runner should sprint after the interval');
+        game.tick(12);
+        assert.equal(movement.speedMultiplier, 1, 'The sprint should end after its duration');
+        assert.deepEqual(events, ['abilityActivated:sprint', 'abilityEnded:sprint'], 'Sprints should be published');
+
+        entityManager.removeEntity(runner);
+        assert.equal(ServiceLocator.getService('timer').findTimer(`ability:${runner.id}:0`), null, 'Removed enemies should stop using their abilities');
+    });
+
+    // Test enrage
+    test('a berserker should enrage once its health is below half', (assert) => {
+        const berserker = createZombie('giant', 'Berserker');
+        const damage = berserker.getComponent('damage');
+        const attackDamage = damage.damageAmount;
+
+        hit(berserker, { damageAmount: 3 });
+        assert.isFalse(berserker.getComponent('abilities').getAbility('enrage').active, 'Half health should not enrage the berserker');
+        hit(berserker);
+        assert.isTrue(berserker.getComponent('abilities').getAbility('enrage').active, 'Less than half health should enrage the berserker');
+        assert.equal(damage.damageAmount, attackDamage * 2, 'The enraged berserker should hit harder');
+        assert.equal(berserker.getComponent('movement').speedMultiplier, 1.5, 'The enraged berserker should move faster');
+
+        hit(berserker);
+        assert.equal(damage.damageAmount, attackDamage * 2, 'The berserker should only enrage once');
+    });
+
+    // Test low profile
+    test('a crawler should only be hit by low profile bullet types and grenades', (assert) => {
+        const crawler = createZombie('normal', 'Crawler');
+        const health = crawler.getComponent('health');
+
+        assert.isFalse(hit(crawler, { gunType: 'glock_17' }), 'Pistol bullets should fly over the crawler');
+        assert.isFalse(hit(crawler, { gunType: 'ak47' }), 'Rifle bullets should fly over the crawler');
+        assert.equal(health.currentHealth, health.maxHealth, 'The crawler should not be damaged by bullets flying over it');
+        assert.isTrue(hit(crawler, { gunType: 'benelli_m4' }), 'Shotgun pellets should hit the crawler');
+        assert.isTrue(hit(crawler, { isGrenade: true }), 'Grenades should hit the crawler');
+        assert.isTrue(hit(createZombie('normal', 'Standard'), { gunType: 'glock_17' }), 'Other zombies should still be hit by every bullet');
+    });
+
+    // Test armor regeneration
+    test('a tank should lose armor to hits and regenerate it on the timer', (assert) => {
+        const tank = createZombie('giant', 'Tank');
+        const health = tank.getComponent('health');
+        assert.equal(health.armor, 2, 'The tank should start with its armor');
+
+        hit(tank, { damageAmount: 4 });
+        assert.equal(health.currentHealth, health.maxHealth - 2, 'Armor should reduce the damage');
+        hit(tank, { damageAmount: 4 });
+        assert.equal(health.armor, 0, 'Each hit should chip off armor');
+
+        game.tick(36);
+        assert.equal(health.armor, 1, 'Armor should grow back on the timer');
+        game.tick(72);
+        assert.equal(health.armor, 2, 'Armor should not grow back beyond the starting armor');
+    });
+
+    // Test spitting acid
+    test('a spitter should stop within range of the player and spit acid on the timer', (assert) => {
+        game.initializeGame({ createPlayer: true, initialSoldiers: 1 });
+        const spitter = EntityFactory.createZombie(entityManager, 'spitter', 'Standard', { laneIndex: 2, x: 600 });
+        const movement = spitter.getComponent('movement');
+
+        const spits = [];
+        game.eventBus.subscribe('entityAdded', ({ entity }) => {
+            if (entity.hasTag('enemyProjectile')) spits.push(entity);
+        });
+
+        game.tick(1);
+        assert.isTrue(movement.enabled, 'The spitter should walk while out of range');
+        assert.equal(spits.length, 0, 'The spitter should not spit while out of range');
+
+        spitter.getComponent('transform').x = 440;
+        game.tick(1);
+        assert.isFalse(movement.enabled, 'The spitter should stop within range');
+        assert.equal(spits.length, 1, 'The spitter should spit as soon as it is within range');
+        const projectile = spits[0].getComponent('projectile');
+        assert.equal(projectile.sourceEntity, spitter, 'The acid should come from the spitter');
+        assert.equal(projectile.landingX, game.player.getComponent('transform').x, 'The acid should land where the player stands');
+
+        game.tick(25);
+        assert.equal(spits.length, 2, 'The spitter should spit again after the interval');
+    });
+
+    test('an acid puddle should burn the soldiers that move into it until it expires', (assert) => {
+        game.initializeGame({ createPlayer: true, initialSoldiers: 1 });
+        const soldier = entityManager.getEntitiesWithTag('soldier')[0];
+        const soldierTransform = soldier.getComponent('transform');
+        const health = soldier.getComponent('health');
+        const startingHealth = health.currentHealth;
+
+        // Acid lands just ahead of the soldier
+        const acid = createEnemyProjectileEntity(entityManager, {
+            x: soldierTransform.x + 100,
+            y: soldierTransform.y,
+            damage: 1,
+            areaLifetime: 1
+        });
+        damageService.handleEnemyProjectileCollision(acid, null);
+        const puddle = damageService.damageAreas.find(area => area.getComponent('damageArea').isAcid);
+        assert.equal(health.currentHealth, startingHealth, 'The soldier should not be burnt by acid out of reach');
+
+        puddle.getComponent('transform').x = soldierTransform.x;
+        damageService.update(1 / 12);
+        assert.equal(health.currentHealth, startingHealth - 1, 'The soldier should be burnt once it is in the puddle');
+        damageService.update(1 / 12);
+        assert.equal(health.currentHealth, startingHealth - 1, 'The puddle should burn each soldier only once');
+
+        damageService.update(1);
+        assert.isFalse(damageService.damageAreas.includes(puddle), 'The puddle should expire after its lifetime');
+    });
+
+    // Test changing lanes
+    test('lane changers should flank or converge on the soldiers and route around hazards', (assert) => {
+        game.initializeGame({ createPlayer: true, initialSoldiers: 3 });
+        const flanker = EntityFactory.createZombie(entityManager, 'normal', 'Flanker', { laneIndex: 4, x: 5000 });
+        const swarmer = EntityFactory.createZombie(entityManager, 'normal', 'Swarmer', { laneIndex: 7, x: 5000 });
+        const dodger = EntityFactory.createZombie(entityManager, 'normal', 'Flanker', { laneIndex: 7, x: 6000 });
+        EntityFactory.createImpassableHazard(entityManager, 'Standard', { laneIndex: 7, x: 5900 });
+        const moves = [];
+        game.eventBus.subscribe('entityLaneChangeStarted', ({ entity, fromLane, toLane }) => moves.push(`${entity.id}:${fromLane}>${toLane}`));
+
+        game.tick(11);
+        assert.equal(moves.length, 0, 'Lane changers should hold their lane until the interval');
+        game.tick(1);
+        assert.deepEqual(moves, [`${flanker.id}:4>3`, `${swarmer.id}:7>6`, `${dodger.id}:7>6`],
+            'Lane changers should move to the better lane next to theirs');
+
+        const lane = flanker.getComponent('lane');
+        game.tick(3);
+        const y = flanker.getComponent('transform').y;
+        assert.isTrue(lane.isChangingLane() && y > 3 * 60 + 30 && y < 4 * 60 + 30, 'The flanker should slide across the lanes');
+
+        game.tick(6);
+        assert.isFalse(lane.isChangingLane(), 'The move should be over after its transition');
+        assert.equal(flanker.getComponent('transform').y, 3 * 60 + 30, 'The flanker should end in the middle of its new lane');
+
+        game.tick(3);
+        assert.deepEqual(moves.slice(3), [`${flanker.id}:3>2`, `${swarmer.id}:6>5`],
+            'The flanker should leave the covered lanes and the swarmer should join the soldiers');
+        assert.equal(dodger.getComponent('lane').laneIndex, 6, 'A lane changer out of the hazard\'s lane should stay out of it');
+    });
+
+    // Test snapshots
+    test('ability timers and states should continue where they were in a restored game', (assert) => {
+        const runner = createZombie('normal', 'Runner');
+        game.tick(42);
+        const snapshot = JSON.parse(JSON.stringify(game.createSnapshot()));
+
+        game.destroy();
+        ServiceLocator.clearServices();
+        game = new Game({ headless: true, width: 800, height: 600 });
+        game.restoreSnapshot(snapshot);
+        game.start();
+
+        const restored = ServiceLocator.getService('entityManager').getEntity(runner.id);
+        assert.equal(restored.getComponent('movement').speedMultiplier, 2, 'The restored runner should still be sprinting');
+        game.tick(5);
+        assert.equal(restored.getComponent('movement').speedMultiplier, 2, 'The sprint should continue for the time it had left');
+        game.tick(1);
+        assert.equal(restored.getComponent('movement').speedMultiplier, 1, 'The sprint should end on time');
+    });
+});
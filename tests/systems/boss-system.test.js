@@ -0,0 +1,227 @@
+/**
+ * Boss System Unit Tests
+ *
+ * Tests for the BossSystem class and boss zombies to ensure a boss spans several lanes,
+ * moves through its phases as it loses health, summons zombies next to it, sweeps the
+ * player's lane and announces its defeat, and that its phase speed combines with the
+ * speed of its abilities.
+ */
+
+import { Game } from '../../src/core/game.js';
+import { ServiceLocator } from '../../src/core/service-locator.js';
+import { Archetypes } from '../../src/core/archetypes.js';
+import { AssetLoader } from '../../src/core/asset-loader.js';
+import { EntityFactory } from '../../src/entities/entity-factory.js';
+import { LaneComponent } from '../../src/entities/components/lane.js';
+import { AbilityComponent } from '../../src/entities/components/ability.js';
+import { abilityRegistry } from '../../src/core/ability-registry.js';
+import { createDamageArea } from '../../src/entities/damage-area.js';
+import { DamageType } from '../../src/entities/components/damage.js';
+
+// Define the test suite for BossSystem
+suite('BossSystem', () => {
+    let game;
+    let entityManager;
+    let damageService;
+
+    const assetLoader = new AssetLoader();
+
+    // Set up before each test
+    beforeEach(async () => {
+        // The boss's lane span and phases come from the archetype files
+        await assetLoader.loadArchetypes();
+        ServiceLocator.clearServices();
+
+        game = new Game({ headless: true, width: 800, height: 600 });
+        entityManager = ServiceLocator.getService('entityManager');
+        damageService = ServiceLocator.getService('damageService');
+        game.start();
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        if (game) {
+            game.destroy();
+            game = null;
+        }
+
+        // Clear services
+        ServiceLocator.clearServices();
+    });
+
+    // Create a boss far enough away that it stays on screen during a test
+    function createBoss(laneIndex = 4) {
+        return EntityFactory.createZombie(entityManager, 'boss', 'Standard', { laneIndex, x: 5000 });
+    }
+
+    // Hit an entity with a bullet
+    function hit(target, damageAmount) {
+        const transform = target.getComponent('transform');
+        const damageArea = createDamageArea(entityManager, {
+            x: transform.x,
+            y: transform.y,
+            width: 10,
+            height: 10,
+            damageType: DamageType.PROJECTILE_TO_ENEMY,
+            damageAmount,
+            affectedEntities: 1,
+            gunType: 'glock_17'
+        });
+        return damageService.applyDamage(damageArea, target);
+    }
+
+    // Record the boss events
+    function recordEvents() {
+        const events = [];
+        game.eventBus.subscribe('boss*', (data, event) => events.push({ ...data, name: event.type }));
+        return events;
+    }
+
+    // Test lane span
+    test('a boss should span several lanes, all of them combat lanes', (assert) => {
+        const boss = createBoss(4);
+        assert.deepEqual(boss.getComponent('lane').getLanes(), [3, 4, 5], 'The boss should be centred on its lane');
+        assert.deepEqual(boss.getComponent('collision').occupiedLanes, [3, 4, 5], 'The boss should collide in every lane it spans');
+        assert.isTrue(ServiceLocator.getService('laneSystem').getEntitiesInLane(5).includes(boss), 'The boss should be found in the lanes it spans');
+
+        const laneCount = ServiceLocator.getService('laneSystem').getLaneCount();
+        assert.equal(createBoss(1).getComponent('lane').laneIndex, 2, 'A boss should not reach into the bonus lane');
+        assert.equal(createBoss(laneCount - 1).getComponent('lane').laneIndex, laneCount - 2, 'A boss should not reach below the last lane');
+        assert.equal(LaneComponent.clampLaneIndex(0, 1, laneCount), 1, 'Entities in one lane should be kept out of the bonus lane');
+
+        const file = {
+            category: 'enemy',
+            archetypes: {
+                boss: { health: 60, speed: 15, attackDamage: 3, attackRate: 0.5, pointValue: 500, width: 90, height: 170, color: '#641e16', weight: 50, laneSpan: 3, phases: [{ healthThreshold: 1 }, { speedMultiplier: 2 }] }
+            }
+        };
+        assert.deepEqual(Archetypes.validate('enemy', file), ['boss.phases[1] must be an object with a number healthThreshold'],
+            'Phases should be validated with the archetype');
+    });
+
+    // Test phases
+    test('a boss should enter its phases as its health falls below their thresholds', (assert) => {
+        const boss = createBoss();
+        const movement = boss.getComponent('movement');
+        const events = recordEvents();
+
+        hit(boss, 20);
+        assert.equal(boss.getComponent('boss').phase, 0, 'The boss should stay in its first phase above the threshold');
+        hit(boss, 1);
+        assert.equal(boss.getComponent('boss').phase, 1, 'The boss should enter its second phase below two thirds of its health');
+        assert.equal(movement.speedMultiplier, 1, 'The second phase should keep the boss\'s speed');
+
+        hit(boss, 25);
+        assert.equal(boss.getComponent('boss').phase, 2, 'The boss should enter its last phase below a third of its health');
+        assert.equal(movement.speedMultiplier, 2, 'The last phase should speed the boss up');
+
+        assert.deepEqual(events.filter(event => event.name === 'bossPhaseChanged').map(event => `${event.previousPhase}>${event.phase}`),
+            ['0>1', '1>2'], 'Phase changes should be published');
+    });
+
+    // Test phases combined with abilities
+    test('a boss\'s phase speed and the speed of its abilities should combine', (assert) => {
+        const boss = createBoss();
+        const movement = boss.getComponent('movement');
+        const abilities = new AbilityComponent().init({ abilities: abilityRegistry.createAbilities([{ type: 'enrage' }]) });
+        boss.addComponent(abilities);
+        const enrage = abilities.getAbility('enrage');
+
+        hit(boss, 31);
+        assert.isTrue(enrage.active, 'The boss should enrage below half its health');
+        assert.equal(movement.speedMultiplier, 1.5, 'The rage should speed up the boss in a phase that keeps its speed');
+
+        hit(boss, 25);
+        assert.equal(boss.getComponent('boss').phase, 2, 'The boss should enter its last phase');
+        assert.equal(movement.speedMultiplier, 3, 'The phase change should keep the rage\'s speed');
+
+        ServiceLocator.getService('abilitySystem').setActive(boss, enrage, false);
+        assert.equal(movement.speedMultiplier, 2, 'The rage ending should keep the phase\'s speed');
+    });
+
+    // Test summoning
+    test('a boss should summon zombies in the lanes next to it on the timer', (assert) => {
+        const boss = createBoss(4);
+        const events = recordEvents();
+
+        game.tick(96);
+        assert.equal(events.filter(event => event.name === 'bossSummoned').length, 0, 'The first phase should not summon');
+
+        hit(boss, 21);
+        game.tick(72);
+        const summons = events.filter(event => event.name === 'bossSummoned');
+        assert.equal(summons.length, 1, 'The boss should summon after the interval');
+        assert.deepEqual(summons[0].minions.map(minion => minion.getComponent('lane').laneIndex), [2, 6],
+            'The zombies should be summoned just above and below the boss');
+        assert.isTrue(summons[0].minions.every(minion => minion.hasTag('normalZombie')), 'The phase\'s zombie type should be summoned');
+    });
+
+    // Test lane sweep
+    test('a boss should sweep the player\'s lane after a warning', (assert) => {
+        game.initializeGame({ createPlayer: true, initialSoldiers: 3 });
+        const boss = createBoss(4);
+        const events = recordEvents();
+        game.tick(1);
+
+        const playerLane = game.player.getComponent('lane').laneIndex;
+        const soldiers = entityManager.getEntitiesWithTag('soldier');
+        const inLane = soldiers.filter(soldier => soldier.getComponent('lane').laneIndex === playerLane);
+        const elsewhere = soldiers.filter(soldier => !inLane.includes(soldier));
+        const health = soldier => soldier.getComponent('health').currentHealth;
+        const startingHealth = soldiers.map(health);
+        assert.isTrue(inLane.length > 0, 'A soldier should be in the player\'s lane');
+
+        hit(boss, 41);
+        game.tick(48);
+        const warning = events.find(event => event.name === 'bossSweepWarning');
+        assert.equal(warning && warning.laneIndex, playerLane, 'The sweep should be announced for the player\'s lane');
+        assert.deepEqual(soldiers.map(health), startingHealth, 'The soldiers should not be hit before the warning is over');
+
+        game.tick(12);
+        assert.isTrue(events.some(event => event.name === 'bossLaneSweep'), 'The sweep should strike after the warning');
+        inLane.forEach(soldier => assert.isTrue(health(soldier) < startingHealth[soldiers.indexOf(soldier)],
+            'The soldiers in the swept lane should be hit'));
+        elsewhere.forEach(soldier => assert.equal(health(soldier), startingHealth[soldiers.indexOf(soldier)],
+            'The soldiers in other lanes should not be hit'));
+    });
+
+    // Test defeat
+    test('killing a boss should publish bossDefeated and stop its attacks', (assert) => {
+        const boss = createBoss();
+        const events = recordEvents();
+        hit(boss, 21);
+
+        hit(boss, 100);
+        game.tick(1);
+        const defeated = events.filter(event => event.name === 'bossDefeated');
+        assert.equal(defeated.length, 1, 'The defeat should be published once');
+        assert.equal(defeated[0].entity, boss, 'The defeated boss should be published');
+        assert.equal(defeated[0].type, 'boss', 'The boss type should be published');
+        assert.equal(ServiceLocator.getService('timer').findTimer(`boss:${boss.id}:summon`), null, 'A defeated boss should stop summoning');
+    });
+
+    // Test snapshots
+    test('a boss should continue its phase and timers where they were in a restored game', (assert) => {
+        const boss = createBoss();
+        hit(boss, 21);
+        game.tick(36);
+        const snapshot = JSON.parse(JSON.stringify(game.createSnapshot()));
+
+        game.destroy();
+        ServiceLocator.clearServices();
+        game = new Game({ headless: true, width: 800, height: 600 });
+        const events = recordEvents();
+        game.restoreSnapshot(snapshot);
+        game.start();
+
+        const restored = ServiceLocator.getService('entityManager').getEntity(boss.id);
+        assert.equal(restored.getComponent('boss').phase, 1, 'The restored boss should still be in its second phase');
+        assert.deepEqual(restored.getComponent('lane').getLanes(), [3, 4, 5], 'The restored boss should span the same lanes');
+        assert.isTrue(events.some(event => event.name === 'bossSpawned'), 'The restored boss should be announced for the health bar');
+
+        game.tick(35);
+        assert.isFalse(events.some(event => event.name === 'bossSummoned'), 'The summon timer should keep the time it had left');
+        game.tick(1);
+        assert.isTrue(events.some(event => event.name === 'bossSummoned'), 'The boss should summon on time');
+    });
+});
@@ -0,0 +1,283 @@
+/**
+ * Collision System Unit Tests
+ *
+ * Tests for the CollisionSystem class to ensure fast projectiles are swept
+ * along the path they travel during a tick instead of tunnelling through targets,
+ * that enemy projectiles hit soldiers rather than enemies, and that zombies changing
+ * lanes move between the lane arrays.
+ */
+
+import { Game } from '../../src/core/game.js';
+import { ServiceLocator } from '../../src/core/service-locator.js';
+import { CollisionSystem } from '../../src/systems/collision-system.js';
+import { EntityFactory } from '../../src/entities/entity-factory.js';
+import { createBulletEntity } from '../../src/entities/bullet.js';
+import { createEnemyProjectileEntity } from '../../src/entities/enemy-projectile.js';
+import { PlayerSoldierService } from '../../src/core/player-soldier-service.js';
+
+// The game's fixed update step
+const TICK = 1 / 12;
+
+// Centre of a lane (lanes are 60 px high)
+const laneY = (laneIndex) => laneIndex * 60 + 30;
+
+// Define the test suite for CollisionSystem
+suite('CollisionSystem', () => {
+    let game;
+    let entityManager;
+    let collisionSystem;
+    let collisions;
+
+    // Set up before each test
+    beforeEach(() => {
+        ServiceLocator.clearServices();
+
+        game = new Game({ headless: true, width: 800, height: 600 });
+        entityManager = ServiceLocator.getService('entityManager');
+        collisionSystem = ServiceLocator.getService('collisionSystem');
+
+        collisions = [];
+        game.eventBus.subscribe('projectileTargetCollision', (data) => collisions.push(data));
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        if (game) {
+            game.destroy();
+            game = null;
+        }
+
+        // Clear services
+        ServiceLocator.clearServices();
+    });
+
+    // Create a tough zombie in lane 3
+    function zombieAt(x) {
+        const zombie = EntityFactory.createZombie(entityManager, 'normal', 'Standard', { laneIndex: 3, x });
+        zombie.getComponent('transform').setPosition(x, laneY(3));
+        zombie.getComponent('health').currentHealth = 100;
+        return zombie;
+    }
+
+    // Create a bullet next to a zombie (in the same lane)
+    function bulletAt(x, zombie, config = {}) {
+        return createBulletEntity(entityManager, {
+            x,
+            y: zombie.getComponent('transform').y,
+            width: 12,
+            height: 5,
+            damage: 5,
+            ...config
+        });
+    }
+
+    // Test tunnelling
+    test('a fast bullet should hit a zombie it passed through during the tick', (assert) => {
+        const zombie = zombieAt(340);
+        collisionSystem.update(TICK);
+
+        const bullet = bulletAt(300, zombie);
+        bullet.getComponent('transform').x = 367; // One Barrett tick (800 * 1/12 px) later
+        assert.isFalse(collisionSystem.checkCollision(bullet, zombie), 'Bullet should not overlap the zombie at the end of the tick');
+
+        collisionSystem.update(TICK);
+
+        assert.equal(collisions.length, 1, 'Swept bullet should hit the zombie');
+        assert.equal(collisions[0].target, zombie, 'Zombie should be the target');
+        assert.equal(zombie.getComponent('health').currentHealth, 95, 'Zombie should be damaged');
+        assert.isFalse(entityManager.hasEntity(bullet.id), 'Bullet should be removed');
+    });
+
+    // Test penetration
+    test('hits should be resolved in order along the path up to affectedEntities', (assert) => {
+        const zombies = [420, 340, 380].map(zombieAt);
+        collisionSystem.update(TICK);
+
+        const bullet = bulletAt(300, zombies[0], { affectedEntities: 2 });
+        bullet.getComponent('transform').x = 500;
+        collisionSystem.update(TICK);
+
+        assert.equal(collisions.length, 1, 'Bullet should be resolved once');
+        assert.deepEqual(collisions[0].targets.map(target => target.id), [zombies[1].id, zombies[2].id], 'Nearest targets should be hit first');
+        assert.equal(zombies[1].getComponent('health').currentHealth, 95, 'First zombie should be damaged');
+        assert.equal(zombies[2].getComponent('health').currentHealth, 95, 'Second zombie should be damaged');
+        assert.equal(zombies[0].getComponent('health').currentHealth, 100, 'Zombie past the penetration count should not be damaged');
+    });
+
+    // Test moving targets
+    test('a bullet and a zombie crossing each other during the tick should collide', (assert) => {
+        const zombie = zombieAt(420);
+        collisionSystem.update(TICK);
+
+        const bullet = bulletAt(300, zombie);
+        bullet.getComponent('transform').x = 340;
+        zombie.getComponent('transform').x = 300;
+        collisionSystem.update(TICK);
+
+        assert.equal(collisions.length, 1, 'Zombie should be hit');
+    });
+
+    // Test misses
+    test('targets beyond the path or in other lanes should not be hit', (assert) => {
+        const zombie = zombieAt(600);
+        const other = EntityFactory.createZombie(entityManager, 'normal', 'Standard', { laneIndex: 1, x: 340 });
+        other.getComponent('transform').setPosition(340, laneY(1));
+        collisionSystem.update(TICK);
+
+        const bullet = bulletAt(300, zombie);
+        bullet.getComponent('transform').x = 367;
+        collisionSystem.update(TICK);
+
+        assert.equal(collisions.length, 0, 'Nothing should be hit');
+        assert.isTrue(entityManager.hasEntity(bullet.id), 'Bullet should keep flying');
+    });
+
+    // Test grenades
+    test('a grenade should burst on the first target along its path', (assert) => {
+        game.initializeGame({ createPlayer: true, initialSoldiers: 1 });
+        game.player.getComponent('lane').laneIndex = 3;
+        game.player.getComponent('player').grenades.standard = 1;
+
+        const zombies = [340, 380].map(zombieAt);
+        collisionSystem.update(TICK);
+
+        let exploded = null;
+        game.eventBus.subscribe('grenadeExploded', (data) => {
+            exploded = data;
+        });
+
+        const grenade = PlayerSoldierService.throwGrenade(entityManager, game.player, 'standard');
+        const transform = grenade.getComponent('transform');
+        transform.y = zombies[0].getComponent('transform').y;
+        collisionSystem.update(TICK);
+        transform.x = 500;
+        collisionSystem.update(TICK);
+
+        assert.equal(collisions.length, 1, 'Grenade should burst once');
+        assert.deepEqual(collisions[0].targets.map(target => target.id), [zombies[0].id], 'Grenade should only hit the first target');
+        assert.isTrue(exploded.position.x < 340, 'Grenade should burst where it met the first target');
+    });
+
+    // Test pooled bullets
+    test('a reused bullet should be registered in the lane it is fired in', (assert) => {
+        const zombie = zombieAt(340);
+        const first = createBulletEntity(entityManager, { x: 300, y: laneY(1), width: 12, height: 5 });
+        entityManager.removeEntity(first);
+
+        const bullet = bulletAt(300, zombie);
+        assert.equal(bullet, first, 'Bullet entity should come from the pool');
+        assert.isFalse(collisionSystem.projectilesByLane[1].has(bullet.id), 'Reused bullet should not be in its old lane');
+        assert.isTrue(collisionSystem.projectilesByLane[3].has(bullet.id), 'Reused bullet should be in its new lane');
+
+        collisionSystem.update(TICK);
+        bullet.getComponent('transform').x = 367;
+        collisionSystem.update(TICK);
+
+        assert.equal(collisions.length, 1, 'Reused bullet should hit the zombie');
+    });
+
+    // Test enemy projectiles
+    test('an enemy projectile should hit the first soldier in its path and leave acid', (assert) => {
+        game.initializeGame({ createPlayer: true, initialSoldiers: 1 });
+        const soldier = entityManager.getEntitiesWithTag('soldier')[0];
+        const soldierTransform = soldier.getComponent('transform');
+        const health = soldier.getComponent('health');
+        const startingHealth = health.currentHealth;
+
+        const zombie = zombieAt(300);
+        zombie.getComponent('transform').y = soldierTransform.y;
+
+        const enemyCollisions = [];
+        game.eventBus.subscribe('enemyProjectileCollision', (data) => enemyCollisions.push(data));
+
+        const acid = createEnemyProjectileEntity(entityManager, { x: 400, y: soldierTransform.y, damage: 1, landingX: 100 });
+        collisionSystem.update(TICK);
+        acid.getComponent('transform').x = 90; // Past the zombie and the soldier within the tick
+        collisionSystem.update(TICK);
+
+        assert.equal(enemyCollisions.length, 1, 'Acid should strike once');
+        assert.equal(enemyCollisions[0].target, soldier, 'Acid should strike the soldier rather than the zombie');
+        assert.equal(health.currentHealth, startingHealth - 1, 'Soldier should be damaged');
+        assert.equal(zombie.getComponent('health').currentHealth, 100, 'Zombie should not be damaged');
+        assert.equal(collisions.length, 0, 'Acid should not count as a player projectile');
+        assert.isFalse(entityManager.hasEntity(acid.id), 'Acid should be removed');
+
+        const puddle = ServiceLocator.getService('damageService').damageAreas
+            .find(area => area.getComponent('damageArea').isAcid);
+        assert.isTrue(puddle.getComponent('transform').x > soldierTransform.x, 'Acid puddle should be where the acid struck');
+    });
+
+    test('an enemy projectile that hits nobody should land at its landing point', (assert) => {
+        const enemyCollisions = [];
+        game.eventBus.subscribe('enemyProjectileCollision', (data) => enemyCollisions.push(data));
+
+        const acid = createEnemyProjectileEntity(entityManager, { x: 400, y: laneY(3), landingX: 100 });
+        collisionSystem.update(TICK);
+        acid.getComponent('transform').x = 200;
+        collisionSystem.update(TICK);
+        assert.equal(enemyCollisions.length, 0, 'Acid should keep flying before its landing point');
+
+        acid.getComponent('transform').x = 80;
+        collisionSystem.update(TICK);
+        assert.equal(enemyCollisions.length, 1, 'Acid should land');
+        assert.isNull(enemyCollisions[0].target, 'Landed acid should have no target');
+
+        const puddle = ServiceLocator.getService('damageService').damageAreas
+            .find(area => area.getComponent('damageArea').isAcid);
+        assert.equal(puddle.getComponent('transform').x, 100, 'Acid puddle should be at the landing point');
+    });
+
+    test('a bullet should shoot down an enemy projectile in its path', (assert) => {
+        const zombie = zombieAt(600);
+        const acid = createEnemyProjectileEntity(entityManager, { x: 400, y: laneY(3) });
+
+        const shotDown = [];
+        game.eventBus.subscribe('enemyProjectileShotDown', (data) => shotDown.push(data));
+
+        collisionSystem.update(TICK);
+        const bullet = bulletAt(300, zombie);
+        bullet.getComponent('transform').x = 367;
+        acid.getComponent('transform').x = 340; // They cross each other during the tick
+        collisionSystem.update(TICK);
+
+        assert.equal(shotDown.length, 1, 'Acid should be shot down');
+        assert.equal(shotDown[0].enemyProjectile, acid, 'Acid should be the projectile shot down');
+        assert.equal(collisions.length, 0, 'Bullet should not hit anything else');
+        assert.isFalse(entityManager.hasEntity(acid.id), 'Acid should be removed');
+        assert.isFalse(entityManager.hasEntity(bullet.id), 'Bullet should be removed');
+    });
+
+    // Test lane changes
+    test('a zombie changing lanes should move between the lane arrays and leave its collision group', (assert) => {
+        const zombie = zombieAt(300);
+        const hazard = EntityFactory.createImpassableHazard(entityManager, 'Standard', { laneIndex: 3, x: 290, y: laneY(3) });
+        const laneSystem = ServiceLocator.getService('laneSystem');
+
+        collisionSystem.update(TICK);
+        const movement = zombie.getComponent('movement');
+        assert.isTrue(movement.collisionGroupId !== null, 'Zombie should be grouped with the hazard it walked into');
+
+        laneSystem.changeLane(zombie, 2, 0.5);
+        assert.isTrue(collisionSystem.rightSideEntitiesByLane[2].has(zombie.id), 'Zombie should be in the lane it moves to');
+        assert.isTrue(collisionSystem.rightSideEntitiesByLane[3].has(zombie.id), 'Zombie should stay in the lane it leaves during the move');
+
+        laneSystem.processEntity(zombie, 0.5);
+        assert.isTrue(collisionSystem.rightSideEntitiesByLane[2].has(zombie.id), 'Zombie should be in its new lane');
+        assert.isFalse(collisionSystem.rightSideEntitiesByLane[3].has(zombie.id), 'Zombie should have left its old lane');
+        assert.isFalse(zombie.getComponent('collision').isCollidingWith(hazard), 'Zombie should no longer touch the hazard');
+        assert.isFalse(hazard.getComponent('collision').isCollidingWith(zombie), 'Hazard should no longer touch the zombie');
+        assert.isNull(movement.collisionGroupId, 'Zombie should leave the collision group');
+        assert.isNull(hazard.getComponent('movement').collisionGroupId, 'Hazard left on its own should leave the collision group');
+    });
+
+    // Test the sweep
+    test('getTimeOfImpact should find when a moving hitbox first touches a target', (assert) => {
+        const target = { left: 100, top: 0, right: 140, bottom: 40 };
+
+        const hitAt = CollisionSystem.getTimeOfImpact({ left: 190, top: 10, right: 200, bottom: 20 }, { x: 200, y: 0 }, target);
+        assert.equal(hitAt, 0.5, 'Hitbox should touch the target halfway through');
+        assert.isNull(CollisionSystem.getTimeOfImpact({ left: 190, top: 50, right: 200, bottom: 60 }, { x: 200, y: 0 }, target), 'Hitbox passing above should miss');
+        assert.isNull(CollisionSystem.getTimeOfImpact({ left: 50, top: 10, right: 60, bottom: 20 }, { x: 20, y: 0 }, target), 'Hitbox stopping short should miss');
+        assert.equal(CollisionSystem.getTimeOfImpact({ left: 110, top: 10, right: 120, bottom: 20 }, { x: 0, y: 0 }, target), 0, 'Overlapping hitbox should hit right away');
+    });
+});
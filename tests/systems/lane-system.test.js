@@ -196,6 +196,32 @@ suite('LaneSystem', () => {
         assert.equal(entitiesInInvalidLane.length, 0, 'Should find 0 entities in invalid lane');
     });
     
+    // Test changeLane method
+    test('changeLane should move an entity to another lane over the transition', (assert) => {
+        const entity = entityManager.createEntity();
+        const lane = new LaneComponent().init({ laneIndex: 2 });
+        entity.addComponent(lane);
+        entity.addComponent(new TransformComponent().init({ x: 100, y: 125 }));
+
+        // Only combat lanes can be moved to
+        assert.isFalse(laneSystem.changeLane(entity, 0, 1), 'Should not move into the bonus lane');
+        assert.isFalse(laneSystem.changeLane(entity, 9, 1), 'Should not move outside the lanes');
+
+        assert.isTrue(laneSystem.changeLane(entity, 3, 1), 'Should start moving to lane 3');
+        assert.equal(lane.laneIndex, 3, 'Lane index should be the target lane');
+        assert.deepEqual(lane.getLanes(), [2, 3], 'Entity should cover both lanes during the move');
+        assert.isFalse(laneSystem.changeLane(entity, 4, 1), 'Should not start another move during the move');
+
+        laneSystem.processEntity(entity, 0.5);
+        assert.equal(entity.getComponent('transform').y, 150, 'Y position should be halfway between the lanes');
+        assert.isTrue(lane.isChangingLane(), 'Move should not be over halfway through');
+
+        laneSystem.processEntity(entity, 0.5);
+        assert.equal(entity.getComponent('transform').y, 175, 'Y position should be the centre of the target lane');
+        assert.isFalse(lane.isChangingLane(), 'Move should be over after the transition');
+        assert.deepEqual(lane.getLanes(), [3], 'Entity should only cover the target lane after the move');
+    });
+
     // Test calculateLaneCoverage method
     test('calculateLaneCoverage should return correct lane coverage', (assert) => {
         assert.equal(laneSystem.calculateLaneCoverage(1), 1, '1 soldier should cover 1 lane');
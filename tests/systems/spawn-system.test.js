@@ -0,0 +1,163 @@
+/**
+ * Spawn System Unit Tests
+ *
+ * Tests for the SpawnSystem class to ensure spawn zones activate as the
+ * player travels through them and spawn entities reproducibly.
+ */
+
+import { Game } from '../../src/core/game.js';
+import { ServiceLocator } from '../../src/core/service-locator.js';
+import { SpawnZoneState } from '../../src/systems/spawn-system.js';
+import { AssetLoader } from '../../src/core/asset-loader.js';
+
+// A level with a single zombie spawn zone
+function createMap(zone = {}) {
+    return {
+        name: 'Spawn Test',
+        length: 20000,
+        seed: 5,
+        objects: [],
+        spawnZones: [{
+            type: 'enemy',
+            startPosition: 1000,
+            endPosition: 3000,
+            lanes: [2, 3],
+            spawnFrequency: 2,
+            spawnCount: 3,
+            possibleEntities: [
+                { objectType: 'Normal', variant: 'Standard', weight: 70 },
+                { objectType: 'Armored', variant: 'Standard', weight: 30 }
+            ],
+            ...zone
+        }]
+    };
+}
+
+// Define the test suite for SpawnSystem
+suite('SpawnSystem', () => {
+    let game;
+    let spawnSystem;
+    let spawned;
+
+    // Levels are built from the archetypes
+    const assetLoader = new AssetLoader();
+
+    // Set up before each test
+    beforeEach(async () => {
+        await assetLoader.loadArchetypes();
+        ServiceLocator.clearServices();
+
+        game = new Game({ headless: true, width: 800, height: 600 });
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        if (game) {
+            game.destroy();
+            game = null;
+        }
+
+        // Clear services
+        ServiceLocator.clearServices();
+    });
+
+    // Load a level and record the spawned entities
+    function load(zone) {
+        game.loadLevel(createMap(zone), { createPlayer: false });
+        spawnSystem = ServiceLocator.getService('spawnSystem');
+
+        spawned = [];
+        game.eventBus.subscribe('entitySpawned', (data) => spawned.push(data));
+    }
+
+    // Test activation
+    test('zones should activate when the player reaches their start position', (assert) => {
+        load();
+        let activated = null;
+        game.eventBus.subscribe('spawnZoneActivated', (data) => {
+            activated = data;
+        });
+
+        game.playerWorldPosition = 999;
+        spawnSystem.update(0.1);
+        assert.equal(spawnSystem.zones[0].state, SpawnZoneState.PENDING, 'Zone should wait for the player');
+        assert.equal(spawned.length, 0, 'Nothing should spawn before the zone');
+
+        game.playerWorldPosition = 1000;
+        spawnSystem.update(0.1);
+        assert.equal(spawnSystem.zones[0].state, SpawnZoneState.ACTIVE, 'Zone should be active');
+        assert.equal(activated.zoneIndex, 0, 'Activation should be published');
+        assert.equal(spawned.length, 1, 'The first entity should spawn right away');
+    });
+
+    // Test frequency and count
+    test('zones should spawn every spawnFrequency seconds up to spawnCount', (assert) => {
+        load();
+        let completed = null;
+        game.eventBus.subscribe('spawnZoneCompleted', (data) => {
+            completed = data;
+        });
+
+        game.playerWorldPosition = 1500;
+        spawnSystem.update(0.5);
+        spawnSystem.update(1.0);
+        assert.equal(spawned.length, 1, 'Second entity should wait for the spawn frequency');
+
+        spawnSystem.update(1.0);
+        assert.equal(spawned.length, 2, 'Second entity should spawn after the spawn frequency');
+
+        spawnSystem.update(2.0);
+        spawnSystem.update(2.0);
+        assert.equal(spawned.length, 3, 'Zone should not spawn more than spawnCount entities');
+        assert.equal(spawnSystem.zones[0].state, SpawnZoneState.COMPLETED, 'Zone should be completed');
+        assert.equal(completed.spawned, 3, 'Completion should be published with the spawn count');
+    });
+
+    // Test lanes and entities
+    test('spawned entities should come from the zone lanes and possible entities', (assert) => {
+        load({ spawnCount: 20, spawnFrequency: 0.1 });
+        game.playerWorldPosition = 1000;
+
+        for (let i = 0; i < 20; i++) {
+            spawnSystem.update(0.1);
+        }
+
+        assert.equal(spawned.length, 20, 'Every spawn should create an entity');
+        spawned.forEach(({ entity, lane, objectType }) => {
+            assert.isTrue([2, 3].includes(lane), 'Lane should be one of the zone lanes');
+            assert.isTrue(['normal', 'armored'].includes(objectType), 'Type should be one of the possible entities');
+            assert.isTrue(entity.hasTag('enemy'), 'Zone should spawn enemies');
+            assert.equal(entity.getComponent('lane').laneIndex, lane, 'Entity should be placed in the picked lane');
+        });
+    });
+
+    // Test leaving the zone
+    test('zones should stop spawning once the player passes their end position', (assert) => {
+        load({ spawnCount: 100 });
+        game.playerWorldPosition = 1000;
+        spawnSystem.update(0.1);
+
+        game.playerWorldPosition = 3001;
+        spawnSystem.update(5);
+
+        assert.equal(spawned.length, 1, 'Nothing should spawn after the zone');
+        assert.equal(spawnSystem.zones[0].state, SpawnZoneState.COMPLETED, 'Zone should be completed');
+    });
+
+    // Test determinism
+    test('the same seed should spawn the same entities', (assert) => {
+        const run = () => {
+            load({ spawnCount: 10, spawnFrequency: 0.5 });
+            game.start();
+            game.playerWorldPosition = 1000;
+            game.tick(60);
+            return spawned.map(({ lane, objectType }) => `${lane}:${objectType}`).join(',');
+        };
+
+        const first = run();
+        const second = run();
+
+        assert.equal(spawned.length, 10, 'Zone should spawn while the game runs');
+        assert.equal(second, first, 'Spawns should be reproducible');
+    });
+});
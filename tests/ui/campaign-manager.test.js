@@ -0,0 +1,106 @@
+/**
+ * CampaignManager Unit Tests
+ *
+ * Tests for the CampaignManager class to ensure campaign levels unlock
+ * per user and soldiers and grenades follow the carry-over rules.
+ */
+
+import { CampaignManager } from '../../src/ui/campaign-manager.js';
+import { CarryOverRule } from '../../src/config/campaign-config.js';
+
+// A small campaign over three maps
+const testCampaign = {
+    id: 'test',
+    name: 'Test Campaign',
+    levels: [
+        {
+            level: 1,
+            mapId: 'a',
+            message: 'First',
+            loadout: { soldiers: 3, grenades: { standard: 1, sticky: 0 } },
+            carryOver: { soldiers: CarryOverRule.RESET, grenades: CarryOverRule.RESET }
+        },
+        {
+            level: 2,
+            mapId: 'b',
+            timeLimit: 90,
+            message: 'Second',
+            loadout: { soldiers: 3, grenades: { standard: 2, sticky: 1 } },
+            carryOver: { soldiers: CarryOverRule.CARRY, grenades: CarryOverRule.RESET }
+        },
+        {
+            level: 3,
+            mapId: 'c',
+            loadout: { soldiers: 4, grenades: { standard: 0, sticky: 0 } },
+            carryOver: { soldiers: CarryOverRule.CARRY, grenades: CarryOverRule.CARRY }
+        }
+    ]
+};
+
+const testMaps = [
+    { id: 'a', name: 'Map A', length: 1000, objects: [] },
+    { id: 'b', name: 'Map B', length: 2000, timeLimit: 300, objects: [] },
+    { id: 'c', name: 'Map C', length: 3000, objects: [] }
+];
+
+// Define the test suite for CampaignManager
+suite('CampaignManager', () => {
+    let campaignManager;
+
+    // Set up before each test
+    beforeEach(() => {
+        campaignManager = new CampaignManager(testCampaign);
+        localStorage.removeItem(campaignManager.localStorageKey);
+    });
+
+    // Clean up after each test
+    afterEach(() => {
+        localStorage.removeItem(campaignManager.localStorageKey);
+    });
+
+    // Test level maps
+    test('getLevelMap should apply the level number, message and time limit to the map', (assert) => {
+        const map = campaignManager.getLevelMap(1, testMaps);
+
+        assert.equal(map.name, 'Map B', 'Level should use its map');
+        assert.equal(map.level, 2, 'Map should carry the level number');
+        assert.equal(map.message, 'Second', 'Map should carry the intro message');
+        assert.equal(map.timeLimit, 90, 'Level time limit should override the map');
+        assert.equal(testMaps[1].timeLimit, 300, 'Original map should not be changed');
+        assert.isNull(campaignManager.getLevelMap(5, testMaps), 'Unknown level should have no map');
+    });
+
+    // Test unlocks
+    test('completing a level should unlock the next one for that user only', (assert) => {
+        assert.isTrue(campaignManager.isUnlocked('ann', 0), 'First level should always be unlocked');
+        assert.isFalse(campaignManager.isUnlocked('ann', 1), 'Second level should start locked');
+
+        const next = campaignManager.completeLevel('ann', 0, { soldiers: 2, grenades: { standard: 0, sticky: 0 } });
+
+        assert.equal(next, 1, 'Next level index should be returned');
+        assert.isTrue(campaignManager.isUnlocked('ann', 1), 'Second level should be unlocked');
+        assert.isFalse(campaignManager.isUnlocked('ann', 2), 'Third level should still be locked');
+        assert.isFalse(campaignManager.isUnlocked('bob', 1), 'Other users should keep their own progress');
+        assert.isTrue(new CampaignManager(testCampaign).isUnlocked('ann', 1), 'Progress should be persisted');
+    });
+
+    // Test loadouts
+    test('getStartingLoadout should follow the carry-over rules of the level', (assert) => {
+        assert.deepEqual(campaignManager.getStartingLoadout('ann', 1), { soldiers: 3, grenades: { standard: 2, sticky: 1 } }, 'Without a previous level the loadout should be used');
+
+        campaignManager.completeLevel('ann', 0, { soldiers: 7, grenades: { standard: 5, sticky: 5 } });
+        assert.deepEqual(campaignManager.getStartingLoadout('ann', 1), { soldiers: 7, grenades: { standard: 2, sticky: 1 } }, 'Soldiers should carry over and grenades reset');
+
+        campaignManager.completeLevel('ann', 1, { soldiers: 1, grenades: { standard: 3, sticky: 0 } });
+        assert.deepEqual(campaignManager.getStartingLoadout('ann', 2), { soldiers: 1, grenades: { standard: 3, sticky: 0 } }, 'Soldiers and grenades should carry over');
+        assert.deepEqual(campaignManager.getStartingLoadout('ann', 1), { soldiers: 3, grenades: { standard: 2, sticky: 1 } }, 'Replaying an earlier level should use its loadout');
+    });
+
+    // Test completing the campaign
+    test('completing the last level should finish the campaign', (assert) => {
+        const next = campaignManager.completeLevel('ann', 2, { soldiers: 3, grenades: {} });
+
+        assert.isNull(next, 'There should be no next level');
+        assert.deepEqual(campaignManager.getProgress('ann').completedLevels, [2], 'Level should be recorded as completed');
+    });
+});